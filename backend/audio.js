@@ -0,0 +1,483 @@
+// audio.js (ESM) — WAV/MP3 assembly helpers
+
+// =====================
+// WAV
+// =====================
+
+export class AudioFormatError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "AudioFormatError";
+  }
+}
+
+const WAV_FORMAT_PCM = 1;
+const WAV_FORMAT_ALAW = 6;
+const WAV_FORMAT_MULAW = 7;
+const WAV_FORMAT_EXTENSIBLE = 0xfffe;
+
+// Streaming encoders write this (or 0) when the final size is unknown
+const WAV_SIZE_UNKNOWN = 0xffffffff;
+
+// Walks the RIFF chunk list and returns the `fmt ` fields and the `data` payload.
+// Other chunks (LIST, fact, cue, ...) are skipped.
+export function parseWav(buf, label = "WAV") {
+  if (
+    !buf ||
+    buf.length < 12 ||
+    buf.toString("ascii", 0, 4) !== "RIFF" ||
+    buf.toString("ascii", 8, 12) !== "WAVE"
+  ) {
+    throw new AudioFormatError(`${label} is not a RIFF/WAVE file`);
+  }
+
+  let fmt = null;
+  let data = null;
+  let pos = 12;
+
+  while (pos + 8 <= buf.length) {
+    const id = buf.toString("ascii", pos, pos + 4);
+    let size = buf.readUInt32LE(pos + 4);
+    const body = pos + 8;
+
+    if (id === "data") {
+      // Unknown/overlong sizes: take everything that is there
+      if (size === WAV_SIZE_UNKNOWN || size === 0 || body + size > buf.length) {
+        size = buf.length - body;
+      }
+      data = buf.subarray(body, body + size);
+    } else if (id === "fmt ") {
+      if (size < 16 || body + size > buf.length) {
+        throw new AudioFormatError(`${label} has a truncated fmt chunk`);
+      }
+      let audioFormat = buf.readUInt16LE(body);
+      if (audioFormat === WAV_FORMAT_EXTENSIBLE && size >= 26) {
+        // First two bytes of the SubFormat GUID carry the real format code
+        audioFormat = buf.readUInt16LE(body + 24);
+      }
+      fmt = {
+        audioFormat,
+        channels: buf.readUInt16LE(body + 2),
+        sampleRate: buf.readUInt32LE(body + 4),
+        byteRate: buf.readUInt32LE(body + 8),
+        blockAlign: buf.readUInt16LE(body + 12),
+        bitsPerSample: buf.readUInt16LE(body + 14),
+      };
+    }
+
+    if (fmt && data) break;
+    pos = body + size + (size & 1); // chunks are word-aligned
+  }
+
+  if (!fmt) throw new AudioFormatError(`${label} has no fmt chunk`);
+  if (!data) throw new AudioFormatError(`${label} has no data chunk`);
+  if (![WAV_FORMAT_PCM, WAV_FORMAT_ALAW, WAV_FORMAT_MULAW].includes(fmt.audioFormat)) {
+    throw new AudioFormatError(`${label} uses unsupported WAV format code ${fmt.audioFormat}`);
+  }
+  if (!fmt.channels || !fmt.sampleRate || !fmt.bitsPerSample) {
+    throw new AudioFormatError(`${label} has an invalid fmt chunk`);
+  }
+
+  fmt.blockAlign = fmt.channels * Math.ceil(fmt.bitsPerSample / 8);
+
+  // Drop a trailing partial frame so the joined stream stays aligned
+  const usable = data.length - (data.length % fmt.blockAlign);
+  return { fmt, data: data.subarray(0, usable) };
+}
+
+function describeWavFormat(fmt) {
+  const kind =
+    fmt.audioFormat === WAV_FORMAT_MULAW ? "mu-law" : fmt.audioFormat === WAV_FORMAT_ALAW ? "A-law" : "PCM";
+  return `${kind} ${fmt.sampleRate} Hz, ${fmt.channels} ch, ${fmt.bitsPerSample}-bit`;
+}
+
+function sameWavFormat(a, b) {
+  return (
+    a.audioFormat === b.audioFormat &&
+    a.channels === b.channels &&
+    a.sampleRate === b.sampleRate &&
+    a.bitsPerSample === b.bitsPerSample
+  );
+}
+
+// Joins WAV parts into one file with a freshly written 44-byte header.
+// Throws AudioFormatError if the parts don't share one sample format.
+export function concatPcmWav(buffers) {
+  if (!buffers.length) return Buffer.alloc(0);
+
+  const parts = buffers.map((b, i) => parseWav(b, `WAV part ${i + 1}`));
+  const { fmt } = parts[0];
+
+  parts.forEach((p, i) => {
+    if (!sameWavFormat(fmt, p.fmt)) {
+      throw new AudioFormatError(
+        `WAV part ${i + 1} is ${describeWavFormat(p.fmt)}, expected ${describeWavFormat(fmt)}`
+      );
+    }
+  });
+
+  const pcmData = Buffer.concat(parts.map((p) => p.data));
+  return Buffer.concat([buildWavHeader({ ...fmt, dataLength: pcmData.length }), pcmData]);
+}
+
+function silenceByte(audioFormat, bitsPerSample) {
+  if (audioFormat === WAV_FORMAT_MULAW) return 0xff;
+  if (audioFormat === WAV_FORMAT_ALAW) return 0xd5;
+  if (bitsPerSample === 8) return 0x80; // 8-bit PCM is unsigned
+  return 0;
+}
+
+function buildWavHeader({ audioFormat, channels, sampleRate, bitsPerSample, dataLength }) {
+  const blockAlign = channels * Math.ceil(bitsPerSample / 8);
+  const h = Buffer.alloc(44);
+  h.write("RIFF", 0, "ascii");
+  h.writeUInt32LE(36 + dataLength, 4);
+  h.write("WAVE", 8, "ascii");
+  h.write("fmt ", 12, "ascii");
+  h.writeUInt32LE(16, 16);
+  h.writeUInt16LE(audioFormat, 20);
+  h.writeUInt16LE(channels, 22);
+  h.writeUInt32LE(sampleRate, 24);
+  h.writeUInt32LE(sampleRate * blockAlign, 28);
+  h.writeUInt16LE(blockAlign, 32);
+  h.writeUInt16LE(bitsPerSample, 34);
+  h.write("data", 36, "ascii");
+  h.writeUInt32LE(dataLength, 40);
+  return h;
+}
+
+// Header for a 16-bit PCM WAV sent while it is still being produced. The sizes
+// are left unknown, which players read as "until the end of the stream".
+export function streamingWavHeader({ sampleRate, channels = 1 }) {
+  const fmt = { audioFormat: WAV_FORMAT_PCM, channels, sampleRate, bitsPerSample: 16 };
+  const h = buildWavHeader({ ...fmt, dataLength: 0 });
+  h.writeUInt32LE(WAV_SIZE_UNKNOWN, 4);
+  h.writeUInt32LE(WAV_SIZE_UNKNOWN, 40);
+  return h;
+}
+
+// Wraps raw little-endian PCM in a WAV header
+export function pcmToWav(pcm, { sampleRate, channels = 1, bitsPerSample = 16 }) {
+  return Buffer.concat([
+    buildWavHeader({ audioFormat: WAV_FORMAT_PCM, channels, sampleRate, bitsPerSample, dataLength: pcm.length }),
+    pcm,
+  ]);
+}
+
+// 16-bit PCM WAV -> { sampleRate, channels, samples } with interleaved
+// samples scaled to [-1, 1). Other sample formats throw AudioFormatError.
+export function readPcm16(buf, label = "WAV") {
+  const { fmt, data } = parseWav(buf, label);
+  if (fmt.audioFormat !== WAV_FORMAT_PCM || fmt.bitsPerSample !== 16) {
+    throw new AudioFormatError(`${label} is ${describeWavFormat(fmt)}, expected 16-bit PCM`);
+  }
+
+  const samples = new Float32Array(data.length / 2);
+  for (let i = 0; i < samples.length; i++) samples[i] = data.readInt16LE(i * 2) / 32768;
+  return { sampleRate: fmt.sampleRate, channels: fmt.channels, samples };
+}
+
+// Interleaved [-1, 1] samples -> 16-bit PCM WAV, clipping anything outside
+export function writePcm16(samples, { sampleRate, channels = 1 }) {
+  const pcm = Buffer.alloc(samples.length * 2);
+  for (let i = 0; i < samples.length; i++) {
+    const v = Math.round(samples[i] * 32768);
+    pcm.writeInt16LE(v > 32767 ? 32767 : v < -32768 ? -32768 : v, i * 2);
+  }
+  return pcmToWav(pcm, { sampleRate, channels, bitsPerSample: 16 });
+}
+
+// A WAV of `ms` silence in the same format as `templateWav`.
+// Without a template, `fallback` ({ sampleRate, encoding }) describes mono output.
+export function wavSilence(ms, templateWav, fallback = {}) {
+  let fmt;
+  if (templateWav) {
+    fmt = parseWav(templateWav, "WAV template").fmt;
+  } else {
+    const encoding = fallback.encoding || "linear16";
+    fmt = {
+      audioFormat:
+        encoding === "mulaw" ? WAV_FORMAT_MULAW : encoding === "alaw" ? WAV_FORMAT_ALAW : WAV_FORMAT_PCM,
+      channels: 1,
+      sampleRate: Number(fallback.sampleRate) || 48000,
+      bitsPerSample: encoding === "linear16" ? 16 : 8,
+    };
+  }
+
+  const frames = Math.round((Math.max(0, ms) * fmt.sampleRate) / 1000);
+  const blockAlign = fmt.channels * Math.ceil(fmt.bitsPerSample / 8);
+  const data = Buffer.alloc(frames * blockAlign, silenceByte(fmt.audioFormat, fmt.bitsPerSample));
+
+  return Buffer.concat([buildWavHeader({ ...fmt, dataLength: data.length }), data]);
+}
+
+// =====================
+// MP3
+// =====================
+const MP3_BITRATES_V1_L3 = [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320];
+const MP3_BITRATES_V2_L3 = [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160];
+const MP3_SAMPLE_RATES = {
+  3: [44100, 48000, 32000], // MPEG-1
+  2: [22050, 24000, 16000], // MPEG-2
+  0: [11025, 12000, 8000], // MPEG-2.5
+};
+
+// Byte length of a leading ID3v2 tag, or 0
+export function id3v2Length(buf, offset = 0) {
+  if (buf.length < offset + 10 || buf.toString("latin1", offset, offset + 3) !== "ID3") return 0;
+  const size =
+    ((buf[offset + 6] & 0x7f) << 21) |
+    ((buf[offset + 7] & 0x7f) << 14) |
+    ((buf[offset + 8] & 0x7f) << 7) |
+    (buf[offset + 9] & 0x7f);
+  const hasFooter = (buf[offset + 5] & 0x10) !== 0;
+  return 10 + size + (hasFooter ? 10 : 0);
+}
+
+// Parses an MPEG audio Layer III frame header at `offset`, or returns null
+export function parseMp3FrameHeader(buf, offset) {
+  if (offset + 4 > buf.length) return null;
+  const h = buf.readUInt32BE(offset);
+
+  if ((h >>> 21) !== 0x7ff) return null;
+
+  const version = (h >>> 19) & 0x3; // 3=MPEG-1, 2=MPEG-2, 0=MPEG-2.5
+  const layer = (h >>> 17) & 0x3; // 1=Layer III
+  const bitrateIndex = (h >>> 12) & 0xf;
+  const sampleRateIndex = (h >>> 10) & 0x3;
+
+  if (version === 1 || layer !== 1 || bitrateIndex === 0 || bitrateIndex === 15 || sampleRateIndex === 3) {
+    return null;
+  }
+
+  const mpeg1 = version === 3;
+  const bitrate = (mpeg1 ? MP3_BITRATES_V1_L3 : MP3_BITRATES_V2_L3)[bitrateIndex] * 1000;
+  const sampleRate = MP3_SAMPLE_RATES[version][sampleRateIndex];
+  const padding = (h >>> 9) & 0x1;
+  const channelMode = (h >>> 6) & 0x3; // 3=mono
+
+  return {
+    header: h,
+    mpeg1,
+    bitrate,
+    sampleRate,
+    padding,
+    mono: channelMode === 3,
+    protected: ((h >>> 16) & 0x1) === 0, // CRC follows header
+    samplesPerFrame: mpeg1 ? 1152 : 576,
+    frameLength: Math.floor(((mpeg1 ? 144 : 72) * bitrate) / sampleRate) + padding,
+  };
+}
+
+// Offset of the first valid frame header (after any ID3v2 tag), or -1
+export function findFirstMp3Frame(buf) {
+  for (let i = id3v2Length(buf); i + 4 <= buf.length; i++) {
+    const f = parseMp3FrameHeader(buf, i);
+    if (f && (i + f.frameLength === buf.length || parseMp3FrameHeader(buf, i + f.frameLength))) {
+      return i;
+    }
+  }
+  return -1;
+}
+
+// All-zero side info means no Huffman data, which decodes to silence
+function silentMp3Frames(ms, tpl) {
+  // Clear padding, set "no CRC" so the zeroed frame body stays valid
+  const header = ((tpl.header & ~(1 << 9)) | (1 << 16)) >>> 0;
+  const frameLength = tpl.frameLength - tpl.padding;
+
+  const frame = Buffer.alloc(frameLength);
+  frame.writeUInt32BE(header, 0);
+
+  const frameCount = Math.round((Math.max(0, ms) * tpl.sampleRate) / 1000 / tpl.samplesPerFrame);
+  return Buffer.concat(Array.from({ length: frameCount }, () => frame));
+}
+
+// `ms` of silent MP3 frames matching the format of `templateMp3`'s first frame
+export function mp3Silence(ms, templateMp3) {
+  const at = templateMp3 ? findFirstMp3Frame(templateMp3) : -1;
+  if (at < 0) return Buffer.alloc(0);
+
+  return silentMp3Frames(ms, parseMp3FrameHeader(templateMp3, at));
+}
+
+// `ms` of silent MP3 frames for a given format, without a template file.
+// 32/44.1/48 kHz use MPEG-1, 16/22.05/24 kHz use MPEG-2; always mono.
+export function mp3SilenceFor(ms, { sampleRate = 48000, bitRate = 128000 } = {}) {
+  const version = [3, 2, 0].find((v) => MP3_SAMPLE_RATES[v].includes(sampleRate)) ?? 3;
+  const rates = MP3_SAMPLE_RATES[version];
+  const sampleRateIndex = Math.max(0, rates.indexOf(sampleRate));
+
+  const table = version === 3 ? MP3_BITRATES_V1_L3 : MP3_BITRATES_V2_L3;
+  let bitrateIndex = table.indexOf(Math.round(bitRate / 1000));
+  if (bitrateIndex <= 0) bitrateIndex = table.indexOf(version === 3 ? 128 : 64);
+
+  const header =
+    ((0x7ff << 21) |
+      (version << 19) |
+      (1 << 17) | // Layer III
+      (1 << 16) | // no CRC
+      (bitrateIndex << 12) |
+      (sampleRateIndex << 10) |
+      (3 << 6)) >>> // mono
+    0;
+
+  const template = Buffer.alloc(4);
+  template.writeUInt32BE(header, 0);
+  return silentMp3Frames(ms, parseMp3FrameHeader(template, 0));
+}
+
+// Side info size decides where a Xing/Info tag sits inside the first frame
+function mp3SideInfoLength(frame) {
+  if (frame.mpeg1) return frame.mono ? 17 : 32;
+  return frame.mono ? 9 : 17;
+}
+
+// Locates a Xing/Info or VBRI header frame at `offset`, or returns null
+function findMp3InfoTag(buf, offset, frame) {
+  const xingAt = offset + 4 + (frame.protected ? 2 : 0) + mp3SideInfoLength(frame);
+  const xingId = buf.toString("latin1", xingAt, xingAt + 4);
+  if (xingId === "Xing" || xingId === "Info") return { kind: "xing", at: xingAt };
+
+  const vbriAt = offset + 4 + 32;
+  if (buf.toString("latin1", vbriAt, vbriAt + 4) === "VBRI") return { kind: "vbri", at: vbriAt };
+
+  return null;
+}
+
+// Splits an MP3 into its leading ID3v2 tag, optional Xing/Info/VBRI frame and
+// the remaining audio frames. A trailing ID3v1 tag is dropped.
+function readMp3(buf, label) {
+  let end = buf.length;
+  if (end >= 128 && buf.toString("latin1", end - 128, end - 125) === "TAG") end -= 128;
+
+  const body = buf.subarray(0, end);
+  const first = findFirstMp3Frame(body);
+  if (first < 0) throw new AudioFormatError(`${label} has no MPEG audio frames`);
+
+  const format = parseMp3FrameHeader(body, first);
+  const tag = findMp3InfoTag(body, first, format);
+  const audioStart = tag ? first + format.frameLength : first;
+
+  let frames = 0;
+  let pos = audioStart;
+  while (pos + 4 <= end) {
+    const f = parseMp3FrameHeader(body, pos);
+    if (!f) {
+      pos++; // resync past junk
+      continue;
+    }
+    frames++;
+    pos += f.frameLength;
+  }
+
+  return {
+    id3: body.subarray(0, id3v2Length(body)),
+    format,
+    info: tag ? { ...tag, frame: body.subarray(first, first + format.frameLength), at: tag.at - first } : null,
+    audio: body.subarray(audioStart, Math.min(pos, end)),
+    frames,
+  };
+}
+
+// Rewrites frame/byte counts in a copied Xing/Info or VBRI frame
+function rewriteMp3InfoFrame(info, frames, bytes) {
+  const frame = Buffer.from(info.frame);
+
+  if (info.kind === "vbri") {
+    frame.writeUInt32BE(bytes, info.at + 10);
+    frame.writeUInt32BE(frames, info.at + 14);
+    return frame;
+  }
+
+  const flags = frame.readUInt32BE(info.at + 4);
+  let p = info.at + 8;
+  if (flags & 0x1) {
+    frame.writeUInt32BE(frames, p);
+    p += 4;
+  }
+  if (flags & 0x2) {
+    frame.writeUInt32BE(bytes, p);
+    p += 4;
+  }
+  if (flags & 0x4) {
+    // Seek table: evenly spaced, which is exact for CBR
+    for (let i = 0; i < 100; i++) frame[p + i] = Math.floor((i * 256) / 100);
+  }
+  return frame;
+}
+
+// Joins MP3 parts. Only the first part's ID3v2 tag is kept; Xing/Info frames of
+// later parts are dropped and the first one is rewritten with the joined totals,
+// so players report the real duration.
+export function concatMp3(buffers) {
+  const parts = buffers
+    .filter((b) => b?.length)
+    .map((b, i) => readMp3(b, `MP3 part ${i + 1}`));
+  if (!parts.length) return Buffer.alloc(0);
+
+  const { format } = parts[0];
+  parts.forEach((p, i) => {
+    if (
+      p.format.sampleRate !== format.sampleRate ||
+      p.format.mpeg1 !== format.mpeg1 ||
+      p.format.mono !== format.mono
+    ) {
+      throw new AudioFormatError(
+        `MP3 part ${i + 1} is ${p.format.sampleRate} Hz ${p.format.mono ? "mono" : "stereo"}, ` +
+          `expected ${format.sampleRate} Hz ${format.mono ? "mono" : "stereo"}`
+      );
+    }
+  });
+
+  const audio = Buffer.concat(parts.map((p) => p.audio));
+  const frames = parts.reduce((n, p) => n + p.frames, 0);
+
+  const { info } = parts[0];
+  const infoFrame = info
+    ? rewriteMp3InfoFrame(info, frames, info.frame.length + audio.length)
+    : Buffer.alloc(0);
+
+  return Buffer.concat([parts[0].id3, infoFrame, audio]);
+}
+
+// =====================
+// Duration
+// =====================
+
+// FLAC: total samples and rate from STREAMINFO, which directly follows "fLaC"
+function flacDurationMs(buf) {
+  if (buf.length < 42 || buf.toString("ascii", 0, 4) !== "fLaC" || (buf[4] & 0x7f) !== 0) {
+    throw new AudioFormatError("FLAC has no STREAMINFO block");
+  }
+  const sampleRate = (buf.readUInt32BE(18) >>> 12) & 0xfffff;
+  const frames = (buf[21] & 0x0f) * 2 ** 32 + buf.readUInt32BE(22);
+  return sampleRate ? (frames / sampleRate) * 1000 : 0;
+}
+
+// Ogg Opus: the last page's granule position, less the OpusHead pre-skip, at 48 kHz
+function oggOpusDurationMs(buf) {
+  const last = buf.lastIndexOf("OggS");
+  const head = buf.indexOf("OpusHead");
+  if (last < 0 || head < 0 || last + 14 > buf.length) throw new AudioFormatError("Ogg has no Opus stream");
+  const granule = Number(buf.readBigInt64LE(last + 6));
+  const preSkip = buf.readUInt16LE(head + 10);
+  return (Math.max(0, granule - preSkip) / 48000) * 1000;
+}
+
+// Playing time of one WAV or MP3 part (or a whole FLAC or Ogg Opus file) in ms.
+// MP3 frames are counted the same way concatMp3 joins them, so durations add
+// up to the joined file's length.
+export function audioDurationMs(buf, container) {
+  if (container === "wav") {
+    const { fmt, data } = parseWav(buf);
+    return (data.length / fmt.blockAlign / fmt.sampleRate) * 1000;
+  }
+  if (container === "mp3") {
+    const { format, frames } = readMp3(buf, "MP3");
+    return ((frames * format.samplesPerFrame) / format.sampleRate) * 1000;
+  }
+  if (container === "flac") return flacDurationMs(buf);
+  if (container === "ogg") return oggOpusDurationMs(buf);
+  throw new AudioFormatError(`Can't measure ${container} audio`);
+}
@@ -0,0 +1,294 @@
+// auth.js (ESM) — local users, API tokens and UI login sessions
+//
+// Users live in <dir>/users.json as
+//   { id, username, role, password: { salt, hash }, createdAt,
+//     tokens: [{ id, name, hash, createdAt }] }
+// Passwords are scrypt hashes; API tokens (for scripts) are stored as SHA-256
+// hashes and shown once, when created. Sessions (UI logins) are kept in memory,
+// so a restart signs everyone out. Both are sent as "Authorization: Bearer ...".
+// The file is re-read when it changes (users-cli.js edits it while the server
+// runs): a new role applies at once, a new password or removal ends sessions.
+//
+// Roles, lowest first; each can do everything the ones before it can:
+//   viewer         voices, lexicon status/entries/lint/audit, own tokens
+//   narrator       + document extraction, preflight, previews, narration jobs
+//   lexicon-admin  + lexicon refresh, entry edits and imports, project lexicons
+import { createHash, randomBytes, randomUUID, scrypt, timingSafeEqual } from "node:crypto";
+import { mkdir, readFile, rename, stat, writeFile } from "node:fs/promises";
+import path from "node:path";
+import { promisify } from "node:util";
+
+const scryptAsync = promisify(scrypt);
+
+export const ROLES = ["viewer", "narrator", "lexicon-admin"];
+
+export class AuthError extends Error {
+  constructor(message, status = 401) {
+    super(message);
+    this.name = "AuthError";
+    this.status = status;
+  }
+}
+
+const USERNAME_RE = /^[A-Za-z0-9._@-]{1,64}$/;
+const MIN_PASSWORD_CHARS = 8;
+const MAX_TOKENS = 20; // per user
+const SESSION_PREFIX = "mns_";
+const TOKEN_PREFIX = "mnt_";
+const SWEEP_INTERVAL_MS = 60 * 1000;
+const RELOAD_CHECK_MS = 5 * 1000; // how often the users file is checked for changes
+
+export function hasRole(user, role) {
+  return !!user && ROLES.indexOf(user.role) >= ROLES.indexOf(role);
+}
+
+function checkRole(role) {
+  if (!ROLES.includes(role)) throw new AuthError(`role must be one of: ${ROLES.join(", ")}`, 400);
+  return role;
+}
+
+function sha256(value) {
+  return createHash("sha256").update(value).digest("hex");
+}
+
+async function hashPassword(password, salt = randomBytes(16).toString("hex")) {
+  const hash = (await scryptAsync(String(password), salt, 64)).toString("hex");
+  return { salt, hash };
+}
+
+async function passwordMatches(password, stored) {
+  const { hash } = await hashPassword(password, stored.salt);
+  return timingSafeEqual(Buffer.from(hash, "hex"), Buffer.from(stored.hash, "hex"));
+}
+
+// What callers (and the API) get to see of a user
+function publicUser(user) {
+  return { id: user.id, username: user.username, role: user.role, createdAt: user.createdAt };
+}
+
+function publicToken(token) {
+  return { id: token.id, name: token.name, createdAt: token.createdAt };
+}
+
+export function createAuth({ dir, sessionTtlMs }) {
+  const usersFile = path.join(dir, "users.json");
+
+  let users = new Map(); // key: user id, value: user
+  let loadedMtime = -1;
+  let checkedAt = 0;
+  let writeChain = Promise.resolve();
+  // key: sha256(session token), value: { userId, salt, expiresAt }; salt is the
+  // password's at login, so changing the password ends the session
+  const sessions = new Map();
+
+  // Compared against when the username doesn't exist, so a login takes as
+  // long for unknown users as for known ones
+  const decoy = hashPassword(randomBytes(16).toString("hex"));
+
+  async function load() {
+    await writeChain.catch(() => {});
+    try {
+      const { mtimeMs } = await stat(usersFile);
+      if (mtimeMs === loadedMtime) return;
+      const data = JSON.parse(await readFile(usersFile, "utf8"));
+      users = new Map((data.users || []).map((u) => [u.id, u]));
+      loadedMtime = mtimeMs;
+    } catch (e) {
+      if (e.code !== "ENOENT") throw new Error(`Can't read ${usersFile}: ${e.message}`);
+    }
+  }
+
+  const ready = load();
+
+  // Picks up changes other processes made, at most every RELOAD_CHECK_MS
+  async function fresh() {
+    await ready;
+    if (Date.now() - checkedAt < RELOAD_CHECK_MS) return;
+    checkedAt = Date.now();
+    await load();
+  }
+
+  // Writes are serialized so concurrent changes can't interleave on disk.
+  // Changes start with load(), so they never undo another process's edit.
+  function persist() {
+    const snapshot = JSON.stringify({ users: [...users.values()] }, null, 2);
+    writeChain = writeChain
+      .catch(() => {})
+      .then(async () => {
+        await mkdir(dir, { recursive: true });
+        await writeFile(`${usersFile}.tmp`, snapshot, { mode: 0o600 });
+        await rename(`${usersFile}.tmp`, usersFile);
+        loadedMtime = (await stat(usersFile)).mtimeMs;
+      });
+    return writeChain;
+  }
+
+  function findByName(username) {
+    const name = String(username || "").trim().toLowerCase();
+    for (const u of users.values()) if (u.username.toLowerCase() === name) return u;
+    return null;
+  }
+
+  function requireUser(username) {
+    const user = findByName(username);
+    if (!user) throw new AuthError(`No user named ${username}`, 404);
+    return user;
+  }
+
+  function checkPassword(password) {
+    if (String(password || "").length < MIN_PASSWORD_CHARS) {
+      throw new AuthError(`password must be at least ${MIN_PASSWORD_CHARS} characters`, 400);
+    }
+    return String(password);
+  }
+
+  // =====================
+  // Users (managed with users-cli.js)
+  // =====================
+  async function listUsers() {
+    await fresh();
+    return [...users.values()].map(publicUser).sort((a, b) => a.username.localeCompare(b.username));
+  }
+
+  async function countUsers() {
+    await fresh();
+    return users.size;
+  }
+
+  async function createUser({ username, password, role }) {
+    await load();
+    const name = String(username || "").trim();
+    if (!USERNAME_RE.test(name)) {
+      throw new AuthError("username must be 1-64 letters, digits, '.', '_', '@' or '-'", 400);
+    }
+    if (findByName(name)) throw new AuthError(`${name} already exists`, 409);
+
+    const user = {
+      id: randomUUID(),
+      username: name,
+      role: checkRole(role),
+      password: await hashPassword(checkPassword(password)),
+      createdAt: new Date().toISOString(),
+      tokens: [],
+    };
+    users.set(user.id, user);
+    await persist();
+    return publicUser(user);
+  }
+
+  async function updateUser(username, { password, role } = {}) {
+    await load();
+    const user = requireUser(username);
+    if (role !== undefined) user.role = checkRole(role);
+    if (password !== undefined) user.password = await hashPassword(checkPassword(password));
+    await persist();
+    return publicUser(user);
+  }
+
+  async function removeUser(username) {
+    await load();
+    const user = requireUser(username);
+    users.delete(user.id);
+    await persist();
+    return publicUser(user);
+  }
+
+  // =====================
+  // Sessions
+  // =====================
+  // { token, expiresAt, user }
+  async function login(username, password) {
+    await fresh();
+    const user = findByName(username);
+    const ok = await passwordMatches(password, user ? user.password : await decoy);
+    if (!user || !ok) throw new AuthError("Invalid username or password");
+
+    const token = SESSION_PREFIX + randomBytes(32).toString("base64url");
+    const expiresAt = Date.now() + sessionTtlMs;
+    sessions.set(sha256(token), { userId: user.id, salt: user.password.salt, expiresAt });
+    return { token, expiresAt: new Date(expiresAt).toISOString(), user: publicUser(user) };
+  }
+
+  function logout(token) {
+    sessions.delete(sha256(String(token || "")));
+  }
+
+  // The user a bearer token (session or API token) belongs to, or null
+  async function authenticate(token) {
+    await fresh();
+    const value = String(token || "");
+    const hash = sha256(value);
+
+    if (value.startsWith(SESSION_PREFIX)) {
+      const session = sessions.get(hash);
+      if (!session || session.expiresAt < Date.now()) return null;
+      const user = users.get(session.userId);
+      if (!user || user.password.salt !== session.salt) return null;
+      return publicUser(user);
+    }
+    if (value.startsWith(TOKEN_PREFIX)) {
+      for (const user of users.values()) {
+        if (user.tokens.some((t) => t.hash === hash)) return publicUser(user);
+      }
+    }
+    return null;
+  }
+
+  // =====================
+  // API tokens
+  // =====================
+  async function listTokens(userId) {
+    await fresh();
+    return (users.get(userId)?.tokens || []).map(publicToken);
+  }
+
+  // The token itself is only in the return value; it can't be looked up later
+  async function createToken(userId, name) {
+    await load();
+    const user = users.get(userId);
+    if (!user) throw new AuthError("No such user", 404);
+    if (user.tokens.length >= MAX_TOKENS) throw new AuthError(`At most ${MAX_TOKENS} tokens per user`, 400);
+
+    const label = String(name || "").trim().slice(0, 100) || "API token";
+    const token = TOKEN_PREFIX + randomBytes(32).toString("base64url");
+    const record = {
+      id: randomUUID(),
+      name: label,
+      hash: sha256(token),
+      createdAt: new Date().toISOString(),
+    };
+    user.tokens.push(record);
+    await persist();
+    return { ...publicToken(record), token };
+  }
+
+  async function revokeToken(userId, tokenId) {
+    await load();
+    const user = users.get(userId);
+    const token = user?.tokens.find((t) => t.id === tokenId);
+    if (!token) throw new AuthError("Token not found", 404);
+    user.tokens = user.tokens.filter((t) => t !== token);
+    await persist();
+    return publicToken(token);
+  }
+
+  setInterval(() => {
+    const now = Date.now();
+    for (const [key, session] of sessions) if (session.expiresAt < now) sessions.delete(key);
+  }, SWEEP_INTERVAL_MS).unref();
+
+  return {
+    ready,
+    listUsers,
+    countUsers,
+    createUser,
+    updateUser,
+    removeUser,
+    login,
+    logout,
+    authenticate,
+    listTokens,
+    createToken,
+    revokeToken,
+  };
+}
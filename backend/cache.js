@@ -0,0 +1,124 @@
+// cache.js (ESM) — content-addressed, disk-backed cache of synthesized chunks
+import { createHash, randomUUID } from "node:crypto";
+import { mkdir, readdir, readFile, rename, stat, unlink, utimes, writeFile } from "node:fs/promises";
+import path from "node:path";
+
+// Cache key: everything that changes the synthesized bytes
+export function chunkCacheKey({ provider, voice, text, container, encoding, sampleRate, bitRate }) {
+  return createHash("sha256")
+    .update(JSON.stringify([provider, voice, container, encoding, sampleRate, bitRate, text]))
+    .digest("hex");
+}
+
+// Entries live at <dir>/<key[0..2]>/<key>. LRU order is kept in memory
+// (Map insertion order) and seeded from file mtimes on startup.
+export function createChunkCache({ dir, maxBytes }) {
+  const enabled = !!dir && maxBytes > 0;
+  const index = new Map(); // key: cache key, value: byte size
+  let totalBytes = 0;
+
+  const fileFor = (key) => path.join(dir, key.slice(0, 2), key);
+
+  async function load() {
+    if (!enabled) return;
+    await mkdir(dir, { recursive: true });
+
+    const found = [];
+    for (const shard of await readdir(dir)) {
+      const shardDir = path.join(dir, shard);
+      let names;
+      try {
+        names = await readdir(shardDir);
+      } catch {
+        continue; // not a shard directory
+      }
+      for (const name of names) {
+        if (name.endsWith(".tmp")) continue;
+        const st = await stat(path.join(shardDir, name)).catch(() => null);
+        if (st?.isFile()) found.push({ key: name, size: st.size, usedAt: st.mtimeMs });
+      }
+    }
+
+    found.sort((a, b) => a.usedAt - b.usedAt);
+    for (const { key, size } of found) {
+      index.set(key, size);
+      totalBytes += size;
+    }
+    await evict();
+  }
+
+  const ready = load().catch((e) => {
+    console.error("Chunk cache load failed:", e);
+  });
+
+  function forget(key) {
+    if (!index.has(key)) return;
+    totalBytes -= index.get(key);
+    index.delete(key);
+  }
+
+  async function evict() {
+    while (totalBytes > maxBytes && index.size) {
+      const oldest = index.keys().next().value;
+      forget(oldest);
+      await unlink(fileFor(oldest)).catch(() => {});
+    }
+  }
+
+  async function get(key) {
+    if (!enabled) return null;
+    await ready;
+    if (!index.has(key)) return null;
+
+    try {
+      const buf = await readFile(fileFor(key));
+
+      // Move to the most-recently-used end; mtime persists it across restarts
+      const size = index.get(key);
+      index.delete(key);
+      index.set(key, size);
+      const now = new Date();
+      utimes(fileFor(key), now, now).catch(() => {});
+
+      return buf;
+    } catch {
+      forget(key);
+      return null;
+    }
+  }
+
+  async function put(key, buf) {
+    if (!enabled || buf.length > maxBytes) return;
+    await ready;
+
+    const file = fileFor(key);
+    const tmp = `${file}.${randomUUID()}.tmp`;
+    try {
+      await mkdir(path.dirname(file), { recursive: true });
+      await writeFile(tmp, buf);
+      await rename(tmp, file);
+    } catch (e) {
+      console.error("Chunk cache write failed:", e);
+      await unlink(tmp).catch(() => {});
+      return;
+    }
+
+    forget(key);
+    index.set(key, buf.length);
+    totalBytes += buf.length;
+    await evict();
+  }
+
+  // Whether get() would hit, without touching LRU order
+  async function has(key) {
+    if (!enabled) return false;
+    await ready;
+    return index.has(key);
+  }
+
+  function status() {
+    return { enabled, entries: index.size, bytes: totalBytes, maxBytes };
+  }
+
+  return { get, has, put, status };
+}
@@ -0,0 +1,167 @@
+// captions.js (ESM) — SRT/WebVTT captions timed from the synthesized audio
+//
+// The timeline is what synthesizeSegments actually produced, in playback order:
+// [{ type: "text", text, ms } | { type: "pause", ms }], with each chunk's ms
+// measured from its audio. Caption text is the original script, split into
+// sentences; each sentence is matched to the same sentence of the spoken
+// (phonetic) text, or placed proportionally when the two don't line up
+// sentence for sentence.
+
+export const CAPTION_DEFAULTS = { maxChars: 84, lineWidth: 42 };
+
+export class CaptionOptionsError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "CaptionOptionsError";
+    this.status = 400;
+  }
+}
+
+// Validates the opt-in form fields: captions, captionMaxChars, captionLineWidth
+export function parseCaptionOptions(body = {}) {
+  if (String(body.captions || "false") !== "true") return null;
+
+  const maxChars = Number(body.captionMaxChars || CAPTION_DEFAULTS.maxChars);
+  const lineWidth = Number(body.captionLineWidth || CAPTION_DEFAULTS.lineWidth);
+
+  if (!Number.isInteger(maxChars) || maxChars < 20 || maxChars > 200) {
+    throw new CaptionOptionsError("captionMaxChars must be a whole number from 20 to 200");
+  }
+  if (!Number.isInteger(lineWidth) || lineWidth < 10 || lineWidth > maxChars) {
+    throw new CaptionOptionsError("captionLineWidth must be a whole number from 10 to captionMaxChars");
+  }
+  return { maxChars, lineWidth };
+}
+
+// Sentence (or line) ranges: [{ start, end, text }] with offsets into `text`
+function sentences(text) {
+  const out = [];
+  for (const m of text.matchAll(/[^\n]+/g)) {
+    const parts = m[0].split(/(?<=[.!?]["')\]]?)\s+/);
+    let pos = m.index;
+    for (const part of parts) {
+      const start = text.indexOf(part, pos);
+      pos = start + part.length;
+      const clean = part.replace(/\s+/g, " ").trim();
+      if (clean) out.push({ start, end: pos, text: clean });
+    }
+  }
+  return out;
+}
+
+// Maps a character offset in the spoken text to a time in ms. Within a chunk
+// time is spread evenly over the characters.
+function spokenClock(timeline) {
+  const spans = []; // { from, to, t0, t1 } per text chunk
+  let text = "";
+  let t = 0;
+
+  for (const part of timeline) {
+    if (part.type === "text") {
+      if (text) text += "\n";
+      spans.push({ from: text.length, to: text.length + part.text.length, t0: t, t1: t + part.ms });
+      text += part.text;
+    }
+    t += part.ms;
+  }
+
+  // `edge` picks the chunk a boundary belongs to: cue starts take the later
+  // chunk (after any pause), cue ends the earlier one
+  function timeAt(offset, edge) {
+    const span =
+      edge === "start"
+        ? spans.find((s) => offset < s.to) || spans[spans.length - 1]
+        : [...spans].reverse().find((s) => offset > s.from) || spans[0];
+    if (!span) return 0;
+    const at = Math.min(Math.max(offset, span.from), span.to);
+    return span.t0 + ((at - span.from) / Math.max(1, span.to - span.from)) * (span.t1 - span.t0);
+  }
+
+  return { text, timeAt, totalMs: t };
+}
+
+// Splits a sentence into pieces of at most maxChars, at word boundaries
+function splitWords(text, maxChars) {
+  const pieces = [];
+  let buf = "";
+  for (const word of text.split(" ")) {
+    const candidate = buf ? `${buf} ${word}` : word;
+    if (candidate.length <= maxChars || !buf) buf = candidate;
+    else {
+      pieces.push(buf);
+      buf = word;
+    }
+  }
+  if (buf) pieces.push(buf);
+  return pieces;
+}
+
+function wrapLines(text, lineWidth) {
+  return splitWords(text, lineWidth).join("\n");
+}
+
+// [{ start, end, text }] in ms, non-overlapping and in order
+export function buildCues(timeline, captionText, { maxChars, lineWidth } = CAPTION_DEFAULTS) {
+  const clock = spokenClock(timeline);
+  const spoken = sentences(clock.text);
+  const written = sentences(String(captionText || "").replace(/\r\n/g, "\n"));
+  if (!written.length || !spoken.length) return [];
+
+  // Sentence for sentence when the counts agree, otherwise by relative position
+  const writtenChars = written[written.length - 1].end || 1;
+  const timed = written.map((w, i) => {
+    if (written.length === spoken.length) {
+      return {
+        text: w.text,
+        start: clock.timeAt(spoken[i].start, "start"),
+        end: clock.timeAt(spoken[i].end, "end"),
+      };
+    }
+    const scale = clock.text.length / writtenChars;
+    return {
+      text: w.text,
+      start: clock.timeAt(Math.round(w.start * scale), "start"),
+      end: clock.timeAt(Math.round(w.end * scale), "end"),
+    };
+  });
+
+  const cues = [];
+  for (const s of timed) {
+    const pieces = splitWords(s.text, maxChars);
+    const total = pieces.reduce((n, p) => n + p.length, 0) || 1;
+    let t = s.start;
+    for (const piece of pieces) {
+      const end = t + ((s.end - s.start) * piece.length) / total;
+      cues.push({ start: t, end, text: wrapLines(piece, lineWidth) });
+      t = end;
+    }
+  }
+
+  // Keep cues in order and at least a frame long
+  let last = 0;
+  for (const cue of cues) {
+    cue.start = Math.round(Math.max(cue.start, last));
+    cue.end = Math.round(Math.max(cue.end, cue.start + 40));
+    last = cue.end;
+  }
+  return cues;
+}
+
+function timestamp(ms, sep) {
+  const total = Math.max(0, Math.round(ms));
+  const h = String(Math.floor(total / 3_600_000)).padStart(2, "0");
+  const m = String(Math.floor((total % 3_600_000) / 60_000)).padStart(2, "0");
+  const s = String(Math.floor((total % 60_000) / 1000)).padStart(2, "0");
+  return `${h}:${m}:${s}${sep}${String(total % 1000).padStart(3, "0")}`;
+}
+
+export function toSrt(cues) {
+  return cues
+    .map((c, i) => `${i + 1}\n${timestamp(c.start, ",")} --> ${timestamp(c.end, ",")}\n${c.text}\n`)
+    .join("\n");
+}
+
+export function toVtt(cues) {
+  const body = cues.map((c, i) => `${i + 1}\n${timestamp(c.start, ".")} --> ${timestamp(c.end, ".")}\n${c.text}\n`);
+  return ["WEBVTT\n", ...body].join("\n");
+}
@@ -0,0 +1,459 @@
+// codecs.js (ESM) — local resampling and encoders for formats a provider can't
+// produce or that can't be joined chunk by chunk: G.711 WAV, FLAC and Ogg Opus.
+//
+// Samples are interleaved Float32Array in [-1, 1], as read by readPcm16.
+import { createHash } from "node:crypto";
+import { createRequire } from "node:module";
+import { writePcm16, pcmToWav } from "./audio.js";
+
+const require = createRequire(import.meta.url);
+
+export const OUTPUT_SAMPLE_RATES = [8000, 16000, 22050, 24000, 32000, 44100, 48000];
+export const WAV_ENCODINGS = ["linear16", "mulaw", "alaw"];
+
+// Opus always runs at 48 kHz here
+export const OPUS_SAMPLE_RATE = 48000;
+
+function toInt16(v) {
+  const s = Math.round(v * 32768);
+  return s > 32767 ? 32767 : s < -32768 ? -32768 : s;
+}
+
+// =====================
+// Resampling
+// =====================
+// Windowed-sinc interpolation from a precomputed kernel table. Downsampling
+// lowers the cutoff (and widens the kernel) to keep aliasing out.
+const KERNEL_ZEROS = 16; // zero crossings either side
+const KERNEL_STEPS = 512; // table entries per zero crossing
+const KERNEL = (() => {
+  const table = new Float64Array(KERNEL_ZEROS * KERNEL_STEPS + 2);
+  table[0] = 1;
+  for (let i = 1; i < table.length; i++) {
+    const x = i / KERNEL_STEPS;
+    const window = x < KERNEL_ZEROS ? 0.5 * (1 + Math.cos((Math.PI * x) / KERNEL_ZEROS)) : 0;
+    table[i] = (Math.sin(Math.PI * x) / (Math.PI * x)) * window;
+  }
+  return table;
+})();
+
+function kernelAt(x) {
+  const pos = Math.abs(x) * KERNEL_STEPS;
+  const i = Math.floor(pos);
+  if (i >= KERNEL.length - 1) return 0;
+  return KERNEL[i] + (KERNEL[i + 1] - KERNEL[i]) * (pos - i);
+}
+
+export function resample(samples, channels, fromRate, toRate) {
+  if (fromRate === toRate || !samples.length) return samples;
+
+  const inFrames = Math.floor(samples.length / channels);
+  const outFrames = Math.round((inFrames * toRate) / fromRate);
+  const out = new Float32Array(outFrames * channels);
+
+  const ratio = fromRate / toRate;
+  const cutoff = Math.min(1, toRate / fromRate) * 0.97; // a little below Nyquist
+  const reach = Math.ceil(KERNEL_ZEROS / cutoff);
+
+  for (let n = 0; n < outFrames; n++) {
+    const t = n * ratio;
+    const center = Math.floor(t);
+    const from = Math.max(0, center - reach + 1);
+    const to = Math.min(inFrames - 1, center + reach);
+
+    for (let c = 0; c < channels; c++) {
+      let v = 0;
+      for (let k = from; k <= to; k++) v += samples[k * channels + c] * kernelAt((t - k) * cutoff);
+      out[n * channels + c] = v * cutoff;
+    }
+  }
+  return out;
+}
+
+// =====================
+// G.711 (mu-law / A-law) WAV
+// =====================
+function muLaw(sample) {
+  const BIAS = 0x84;
+  const sign = sample < 0 ? 0x80 : 0;
+  let s = Math.min(Math.abs(sample), 32635) + BIAS;
+  let exponent = 7;
+  for (let mask = 0x4000; !(s & mask) && exponent > 0; mask >>= 1) exponent--;
+  const mantissa = (s >> (exponent + 3)) & 0x0f;
+  return ~(sign | (exponent << 4) | mantissa) & 0xff;
+}
+
+function aLaw(sample) {
+  const sign = sample >= 0 ? 0x80 : 0;
+  const s = Math.min(sample >= 0 ? sample : -sample - 1, 32767) >> 3;
+  let code;
+  if (s < 32) code = s >> 1;
+  else {
+    let exponent = 1;
+    while (s >> (exponent + 4) && exponent < 7) exponent++;
+    code = (exponent << 4) | ((s >> exponent) & 0x0f);
+  }
+  return (sign | code) ^ 0x55;
+}
+
+const WAV_FORMAT_CODES = { mulaw: 7, alaw: 6 };
+
+function encodeWav(samples, { sampleRate, channels, encoding }) {
+  if (encoding === "linear16") return writePcm16(samples, { sampleRate, channels });
+
+  const compand = encoding === "mulaw" ? muLaw : aLaw;
+  const data = Buffer.alloc(samples.length);
+  for (let i = 0; i < samples.length; i++) data[i] = compand(toInt16(samples[i]));
+
+  // pcmToWav writes format code 1; patch in the G.711 code
+  const wav = pcmToWav(data, { sampleRate, channels, bitsPerSample: 8 });
+  wav.writeUInt16LE(WAV_FORMAT_CODES[encoding], 20);
+  return wav;
+}
+
+// =====================
+// FLAC
+// =====================
+const FLAC_BLOCK_SIZE = 4096;
+// Frame header codes for the common rates; decoders need not look at STREAMINFO
+const FLAC_RATE_CODES = { 8000: 4, 16000: 5, 22050: 6, 24000: 7, 32000: 8, 44100: 9, 48000: 10 };
+
+class BitWriter {
+  constructor(size = 1 << 16) {
+    this.buf = Buffer.alloc(size);
+    this.pos = 0; // bytes written
+    this.acc = 0; // pending bits, right-aligned
+    this.bits = 0;
+  }
+
+  grow() {
+    const next = Buffer.alloc(this.buf.length * 2);
+    this.buf.copy(next);
+    this.buf = next;
+  }
+
+  // Up to 24 bits at a time; callers split wider values
+  write(value, n) {
+    // At most 7 pending bits plus 24 new ones, so this stays a positive int32
+    this.acc = (this.acc << n) | (value & ((1 << n) - 1));
+    this.bits += n;
+    while (this.bits >= 8) {
+      if (this.pos >= this.buf.length) this.grow();
+      this.bits -= 8;
+      this.buf[this.pos++] = (this.acc >>> this.bits) & 0xff;
+      this.acc &= (1 << this.bits) - 1;
+    }
+  }
+
+  writeUnary(q) {
+    while (q >= 24) {
+      this.write(0, 24);
+      q -= 24;
+    }
+    this.write(1, q + 1);
+  }
+
+  alignToByte() {
+    if (this.bits) this.write(0, 8 - this.bits);
+  }
+
+  bytes() {
+    return this.buf.subarray(0, this.pos);
+  }
+}
+
+function crc8(bytes) {
+  let crc = 0;
+  for (const b of bytes) {
+    crc ^= b;
+    for (let i = 0; i < 8; i++) crc = crc & 0x80 ? ((crc << 1) ^ 0x07) & 0xff : (crc << 1) & 0xff;
+  }
+  return crc;
+}
+
+function crc16(bytes) {
+  let crc = 0;
+  for (const b of bytes) {
+    crc ^= b << 8;
+    for (let i = 0; i < 8; i++) crc = crc & 0x8000 ? ((crc << 1) ^ 0x8005) & 0xffff : (crc << 1) & 0xffff;
+  }
+  return crc;
+}
+
+// FLAC's UTF-8-style frame number
+function utf8Number(n) {
+  if (n < 0x80) return [n];
+  const bytes = [];
+  let lead = 0x80;
+  let room = 0x3f;
+  while (n > room) {
+    bytes.unshift(0x80 | (n & 0x3f));
+    n = Math.floor(n / 64);
+    lead = (lead >> 1) | 0x80;
+    room >>= 1;
+  }
+  return [lead | n, ...bytes];
+}
+
+// Residual of FLAC's fixed polynomial predictor of `order`, from index `order`
+function fixedResidual(x, order) {
+  const r = new Int32Array(x.length - order);
+  for (let i = order; i < x.length; i++) {
+    let p = 0;
+    if (order === 1) p = x[i - 1];
+    else if (order === 2) p = 2 * x[i - 1] - x[i - 2];
+    else if (order === 3) p = 3 * x[i - 1] - 3 * x[i - 2] + x[i - 3];
+    else if (order === 4) p = 4 * x[i - 1] - 6 * x[i - 2] + 4 * x[i - 3] - x[i - 4];
+    r[i - order] = x[i] - p;
+  }
+  return r;
+}
+
+const zigzag = (v) => (v >= 0 ? 2 * v : -2 * v - 1);
+
+// Best Rice parameter for a run of residuals and its (estimated) cost in bits
+function riceParameter(residual, from, to) {
+  let sum = 0;
+  for (let i = from; i < to; i++) sum += zigzag(residual[i]);
+  const n = to - from;
+  let k = 0;
+  while (k < 14 && n * 2 ** (k + 1) < sum) k++;
+  return { k, bits: n * (k + 1) + Math.floor(sum / 2 ** k) };
+}
+
+// Partition order with the smallest total; each partition gets its own parameter
+function planResidual(residual, blockSize, order) {
+  let best = null;
+  for (let p = 0; p <= 4; p++) {
+    const partSize = blockSize >> p;
+    if (blockSize % (1 << p) || partSize <= order) break;
+
+    const parts = [];
+    let bits = 0;
+    for (let i = 0; i < 1 << p; i++) {
+      const from = i === 0 ? 0 : i * partSize - order;
+      const to = (i + 1) * partSize - order;
+      const { k, bits: cost } = riceParameter(residual, from, to);
+      parts.push({ k, from, to });
+      bits += cost + 4;
+    }
+    if (!best || bits < best.bits) best = { p, parts, bits };
+  }
+  return best;
+}
+
+function writeSubframe(w, x) {
+  // Silence and other constant runs
+  if (x.every((v) => v === x[0])) {
+    w.write(0, 8); // padding bit, CONSTANT, no wasted bits
+    w.write(x[0] & 0xffff, 16);
+    return;
+  }
+
+  let best = null;
+  for (let order = 0; order <= Math.min(4, x.length - 1); order++) {
+    const residual = fixedResidual(x, order);
+    const plan = planResidual(residual, x.length, order);
+    if (plan && (!best || plan.bits + order * 16 < best.plan.bits + best.order * 16)) {
+      best = { order, residual, plan };
+    }
+  }
+
+  const { order, residual, plan } = best;
+  w.write(0, 1);
+  w.write(0b001000 | order, 6); // FIXED
+  w.write(0, 1);
+  for (let i = 0; i < order; i++) w.write(x[i] & 0xffff, 16);
+
+  w.write(0, 2); // Rice, 4-bit parameters
+  w.write(plan.p, 4);
+  for (const part of plan.parts) {
+    w.write(part.k, 4);
+    for (let i = part.from; i < part.to; i++) {
+      const u = zigzag(residual[i]);
+      w.writeUnary(u >>> part.k);
+      if (part.k) w.write(u & ((1 << part.k) - 1), part.k);
+    }
+  }
+}
+
+export function encodeFlac(samples, { sampleRate, channels }) {
+  const pcm = new Int16Array(samples.length);
+  for (let i = 0; i < samples.length; i++) pcm[i] = toInt16(samples[i]);
+  const frames = Math.floor(pcm.length / channels);
+  const w = new BitWriter(pcm.length * 2 + 1024);
+
+  // fLaC + STREAMINFO (frame sizes left as unknown)
+  w.write(0x664c, 16);
+  w.write(0x6143, 16);
+  w.write(0x80, 8); // last metadata block, type 0
+  w.write(34, 24);
+  w.write(FLAC_BLOCK_SIZE, 16);
+  w.write(FLAC_BLOCK_SIZE, 16);
+  w.write(0, 24);
+  w.write(0, 24);
+  w.write(sampleRate, 20);
+  w.write(channels - 1, 3);
+  w.write(15, 5); // 16 bits per sample
+  w.write(Math.floor(frames / 2 ** 32) & 0xf, 4);
+  w.write(Math.floor(frames / 2 ** 16) & 0xffff, 16);
+  w.write(frames & 0xffff, 16);
+  const md5 = createHash("md5").update(Buffer.from(pcm.buffer, pcm.byteOffset, pcm.byteLength)).digest();
+  for (const b of md5) w.write(b, 8);
+
+  for (let start = 0, index = 0; start < frames; start += FLAC_BLOCK_SIZE, index++) {
+    const size = Math.min(FLAC_BLOCK_SIZE, frames - start);
+    const frameStart = w.pos;
+
+    w.write(0xfff8, 16); // sync, fixed block size stream
+    w.write(0b0111, 4); // block size in 16 bits after the header
+    w.write(FLAC_RATE_CODES[sampleRate] ?? 0, 4); // 0: sample rate from STREAMINFO
+    w.write(channels - 1, 4); // independent channels
+    w.write(0b100, 3); // 16 bits per sample
+    w.write(0, 1);
+    for (const b of utf8Number(index)) w.write(b, 8);
+    w.write(size - 1, 16);
+    w.write(crc8(w.buf.subarray(frameStart, w.pos)), 8);
+
+    for (let c = 0; c < channels; c++) {
+      const x = new Int32Array(size);
+      for (let i = 0; i < size; i++) x[i] = pcm[(start + i) * channels + c];
+      writeSubframe(w, x);
+    }
+
+    w.alignToByte();
+    w.write(crc16(w.buf.subarray(frameStart, w.pos)), 16);
+  }
+
+  return Buffer.from(w.bytes());
+}
+
+// =====================
+// Ogg Opus
+// =====================
+const OPUS_FRAME = 960; // 20 ms at 48 kHz
+// libopus's encoder delay at 48 kHz, which the decoder skips (RFC 7845 pre-skip)
+const OPUS_PRE_SKIP = 312;
+
+const OGG_CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let i = 0; i < 256; i++) {
+    let r = i << 24;
+    for (let j = 0; j < 8; j++) r = r & 0x80000000 ? ((r << 1) ^ 0x04c11db7) >>> 0 : (r << 1) >>> 0;
+    table[i] = r >>> 0;
+  }
+  return table;
+})();
+
+function oggCrc(bytes) {
+  let crc = 0;
+  for (const b of bytes) crc = ((crc << 8) ^ OGG_CRC_TABLE[((crc >>> 24) ^ b) & 0xff]) >>> 0;
+  return crc;
+}
+
+// Packets must fit the page's 255 lacing values
+function oggPage(packets, { serial, sequence, granule, flags }) {
+  const lacing = [];
+  for (const p of packets) {
+    let n = p.length;
+    while (n >= 255) {
+      lacing.push(255);
+      n -= 255;
+    }
+    lacing.push(n);
+  }
+
+  const header = Buffer.alloc(27 + lacing.length);
+  header.write("OggS", 0, "ascii");
+  header[4] = 0;
+  header[5] = flags;
+  header.writeBigInt64LE(BigInt(granule), 6);
+  header.writeUInt32LE(serial, 14);
+  header.writeUInt32LE(sequence, 18);
+  header[26] = lacing.length;
+  Buffer.from(lacing).copy(header, 27);
+
+  const page = Buffer.concat([header, ...packets]);
+  page.writeUInt32LE(oggCrc(page), 22);
+  return page;
+}
+
+export function encodeOggOpus(samples, { channels, bitRate }) {
+  const OpusScript = require("opusscript");
+  const encoder = new OpusScript(OPUS_SAMPLE_RATE, channels, OpusScript.Application.AUDIO);
+
+  try {
+    if (bitRate) encoder.setBitrate(bitRate);
+
+    const frames = Math.floor(samples.length / channels);
+    const packets = [];
+    const pcm = Buffer.alloc(OPUS_FRAME * channels * 2);
+    // Runs on past the end by the encoder delay so the last samples come out;
+    // the padding is silence
+    for (let start = 0; start < frames + OPUS_PRE_SKIP; start += OPUS_FRAME) {
+      pcm.fill(0);
+      const end = Math.max(start, Math.min(frames, start + OPUS_FRAME)) * channels;
+      for (let i = start * channels; i < end; i++) {
+        pcm.writeInt16LE(toInt16(samples[i]), (i - start * channels) * 2);
+      }
+      packets.push(encoder.encode(pcm, OPUS_FRAME));
+    }
+
+    const head = Buffer.alloc(19);
+    head.write("OpusHead", 0, "ascii");
+    head[8] = 1; // version
+    head[9] = channels;
+    head.writeUInt16LE(OPUS_PRE_SKIP, 10);
+    head.writeUInt32LE(OPUS_SAMPLE_RATE, 12);
+
+    const vendor = Buffer.from("medical-narration", "utf-8");
+    const tags = Buffer.alloc(8 + 4 + vendor.length + 4);
+    tags.write("OpusTags", 0, "ascii");
+    tags.writeUInt32LE(vendor.length, 8);
+    vendor.copy(tags, 12);
+
+    const serial = Math.floor(Math.random() * 2 ** 32);
+    const pages = [
+      oggPage([head], { serial, sequence: 0, granule: 0, flags: 0x02 }),
+      oggPage([tags], { serial, sequence: 1, granule: 0, flags: 0 }),
+    ];
+
+    // Up to a second of packets per page, as many as the lacing table holds.
+    // Granule positions count the pre-skip; the last one trims the padding.
+    let i = 0;
+    do {
+      const page = [];
+      let lacing = 0;
+      while (i < packets.length && page.length < 50) {
+        const need = Math.floor(packets[i].length / 255) + 1;
+        if (lacing + need > 255) break;
+        lacing += need;
+        page.push(packets[i++]);
+      }
+      const last = i >= packets.length;
+      pages.push(
+        oggPage(page, {
+          serial,
+          sequence: pages.length,
+          granule: last ? OPUS_PRE_SKIP + frames : i * OPUS_FRAME,
+          flags: last ? 0x04 : 0,
+        })
+      );
+    } while (i < packets.length);
+    return Buffer.concat(pages);
+  } finally {
+    encoder.delete();
+  }
+}
+
+// =====================
+// Public
+// =====================
+// format: { container: "wav" | "flac" | "ogg", encoding, sampleRate, channels, bitRate }
+// with samples already at format.sampleRate (48 kHz for ogg)
+export function encodeAudio(samples, format) {
+  if (format.container === "wav") return encodeWav(samples, format);
+  if (format.container === "flac") return encodeFlac(samples, format);
+  if (format.container === "ogg") return encodeOggOpus(samples, format);
+  throw new Error(`Can't encode ${format.container} locally`);
+}
@@ -0,0 +1,243 @@
+// documents.js (ESM) — plain text from uploaded scripts: .txt, .docx, .pdf, .pptx
+//
+// Every extractor returns paragraphs separated by a blank line, which is
+// where chunkTextSmart prefers to split. A PPTX deck becomes one script per
+// slide that has speaker notes, named like Deck_Slide07.
+import path from "node:path";
+import JSZip from "jszip";
+import mammoth from "mammoth";
+
+export const DOCUMENT_EXTENSIONS = [".txt", ".docx", ".pdf", ".pptx"];
+
+export class DocumentError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "DocumentError";
+    this.status = 400;
+  }
+}
+
+// =====================
+// Helpers
+// =====================
+function documentType(name) {
+  const ext = path.extname(String(name || "")).toLowerCase();
+  return ext || ".txt";
+}
+
+function baseName(name) {
+  return path.basename(String(name || "script"), path.extname(String(name || ""))) || "script";
+}
+
+// Trims lines, collapses runs of blank lines and joins paragraphs with one blank line
+function tidyParagraphs(paragraphs) {
+  return paragraphs
+    .map((p) => p.replace(/[ \t\u00a0]+/g, " ").replace(/ ?\n ?/g, "\n").trim())
+    .filter(Boolean)
+    .join("\n\n");
+}
+
+const XML_ENTITIES = { amp: "&", lt: "<", gt: ">", quot: '"', apos: "'" };
+
+function decodeXml(s) {
+  return s.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (m, e) => {
+    if (e[0] === "#") {
+      const code = e[1].toLowerCase() === "x" ? parseInt(e.slice(2), 16) : Number(e.slice(1));
+      return Number.isFinite(code) ? String.fromCodePoint(code) : m;
+    }
+    return XML_ENTITIES[e] ?? m;
+  });
+}
+
+async function openZip(buffer, name) {
+  try {
+    return await JSZip.loadAsync(buffer);
+  } catch {
+    throw new DocumentError(`${name} is not a valid Office document`);
+  }
+}
+
+// =====================
+// DOCX
+// =====================
+async function docxText(buffer, name) {
+  let result;
+  try {
+    result = await mammoth.extractRawText({ buffer });
+  } catch (e) {
+    throw new DocumentError(`Could not read ${name}: ${e.message}`);
+  }
+  // extractRawText ends each paragraph with a blank line
+  return tidyParagraphs(result.value.split(/\n\s*\n/));
+}
+
+// =====================
+// PDF
+// =====================
+// Lines come from the text items' end-of-line flags; a gap between lines
+// taller than about one and a half lines starts a new paragraph.
+function pageParagraphs(items) {
+  const lines = [];
+  let line = null;
+
+  for (const item of items) {
+    if (!line) line = { text: "", y: item.transform?.[5] ?? 0, height: item.height || 0 };
+    line.text += item.str;
+    line.height = Math.max(line.height, item.height || 0);
+    if (item.hasEOL) {
+      lines.push(line);
+      line = null;
+    }
+  }
+  if (line) lines.push(line);
+
+  const paragraphs = [];
+  let para = "";
+  let prev = null;
+
+  for (const l of lines) {
+    const text = l.text.trim();
+    const gap = prev ? Math.abs(prev.y - l.y) : 0;
+    const lineHeight = prev?.height || l.height || 12;
+
+    if (!text || (prev && gap > lineHeight * 1.5)) {
+      paragraphs.push(para);
+      para = "";
+    }
+    if (text) {
+      // Re-join words hyphenated across a line break
+      para = !para ? text : /\w-$/.test(para) && /^[a-z]/.test(text) ? para + text : `${para} ${text}`;
+    }
+    prev = text ? l : null;
+  }
+  paragraphs.push(para);
+  return paragraphs;
+}
+
+async function pdfText(buffer, name) {
+  // Loaded on first use; pdf.js is large and most uploads are text
+  const { getDocument } = await import("pdfjs-dist/legacy/build/pdf.mjs");
+
+  let doc;
+  try {
+    doc = await getDocument({
+      data: new Uint8Array(buffer),
+      isEvalSupported: false,
+      disableFontFace: true,
+      verbosity: 0,
+    }).promise;
+  } catch (e) {
+    throw new DocumentError(`Could not read ${name}: ${e.message}`);
+  }
+
+  try {
+    const paragraphs = [];
+    for (let i = 1; i <= doc.numPages; i++) {
+      const page = await doc.getPage(i);
+      const content = await page.getTextContent();
+      paragraphs.push(...pageParagraphs(content.items));
+      page.cleanup();
+    }
+    return tidyParagraphs(paragraphs);
+  } finally {
+    await doc.destroy();
+  }
+}
+
+// =====================
+// PPTX speaker notes
+// =====================
+// Relationship id -> target path, resolved against the part's folder
+async function readRels(zip, partPath) {
+  const dir = path.posix.dirname(partPath);
+  const relsPath = path.posix.join(dir, "_rels", `${path.posix.basename(partPath)}.rels`);
+  const xml = await zip.file(relsPath)?.async("string");
+  const rels = new Map();
+  if (!xml) return rels;
+
+  for (const m of xml.matchAll(/<Relationship\b([^>]*)\/?>/g)) {
+    const id = /\bId="([^"]*)"/.exec(m[1])?.[1];
+    const target = /\bTarget="([^"]*)"/.exec(m[1])?.[1];
+    const type = /\bType="([^"]*)"/.exec(m[1])?.[1] || "";
+    if (!id || !target) continue;
+    rels.set(id, { type, path: path.posix.normalize(path.posix.join(dir, target)) });
+  }
+  return rels;
+}
+
+// Text of the notes placeholder; the slide image and slide number placeholders
+// on a notes page carry no narration
+function notesText(xml) {
+  const paragraphs = [];
+
+  for (const shape of xml.matchAll(/<p:sp\b[\s\S]*?<\/p:sp>/g)) {
+    if (!/<p:ph\b[^>]*\btype="body"/.test(shape[0])) continue;
+
+    for (const p of shape[0].matchAll(/<a:p\b[^>]*?(?:\/>|>([\s\S]*?)<\/a:p>)/g)) {
+      let text = "";
+      for (const t of (p[1] || "").matchAll(/<a:t>([\s\S]*?)<\/a:t>|<a:t\/>|<a:br\b[^>]*\/>/g)) {
+        text += t[0].startsWith("<a:br") ? "\n" : decodeXml(t[1] || "");
+      }
+      paragraphs.push(text);
+    }
+  }
+  return tidyParagraphs(paragraphs);
+}
+
+// [{ slide, text }] for slides with notes, in presentation order
+async function pptxNotes(buffer, name) {
+  const zip = await openZip(buffer, name);
+  const presentation = await zip.file("ppt/presentation.xml")?.async("string");
+  if (!presentation) throw new DocumentError(`${name} is not a PowerPoint presentation`);
+
+  const rels = await readRels(zip, "ppt/presentation.xml");
+  const slideIds = [...presentation.matchAll(/<p:sldId\b[^>]*\br:id="([^"]*)"/g)].map((m) => m[1]);
+
+  const out = [];
+  for (let i = 0; i < slideIds.length; i++) {
+    const slidePath = rels.get(slideIds[i])?.path;
+    if (!slidePath) continue;
+
+    const slideRels = await readRels(zip, slidePath);
+    const notes = [...slideRels.values()].find((r) => r.type.endsWith("/notesSlide"));
+    const xml = notes && (await zip.file(notes.path)?.async("string"));
+    const text = xml ? notesText(xml) : "";
+    if (text) out.push({ slide: i + 1, text });
+  }
+  return out;
+}
+
+// =====================
+// Public
+// =====================
+// One upload -> [{ name, text }], name without extension
+export async function extractDocument(name, buffer) {
+  const type = documentType(name);
+  const base = baseName(name);
+
+  switch (type) {
+    case ".txt":
+      return [{ name: base, text: buffer.toString("utf-8").replace(/^\ufeff/, "") }];
+
+    case ".docx": {
+      const text = await docxText(buffer, name);
+      if (!text) throw new DocumentError(`No readable text found in ${name}`);
+      return [{ name: base, text }];
+    }
+
+    case ".pdf": {
+      const text = await pdfText(buffer, name);
+      if (!text) throw new DocumentError(`No readable text found in ${name} (scanned PDFs need OCR first)`);
+      return [{ name: base, text }];
+    }
+
+    case ".pptx": {
+      const slides = await pptxNotes(buffer, name);
+      if (!slides.length) throw new DocumentError(`No speaker notes found in ${name}`);
+      return slides.map((s) => ({ name: `${base}_Slide${String(s.slide).padStart(2, "0")}`, text: s.text }));
+    }
+
+    default:
+      throw new DocumentError(`Unsupported file type: ${name} (use ${DOCUMENT_EXTENSIONS.join(", ")})`);
+  }
+}
@@ -0,0 +1,120 @@
+// jobs.js (ESM) — in-memory registry for async narration jobs
+import { randomUUID } from "node:crypto";
+
+// Finished jobs (and their ZIPs) are kept this long, then swept
+const JOB_TTL_MS = 60 * 60 * 1000;
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+const jobs = new Map(); // key: job id, value: job
+
+export class JobCancelledError extends Error {
+  constructor() {
+    super("Job cancelled");
+    this.name = "JobCancelledError";
+  }
+}
+
+// owner: id of the user who started the job (see auth.js)
+export function createJob(fileNames, owner = null) {
+  const now = Date.now();
+  const job = {
+    id: randomUUID(),
+    owner,
+    status: "queued", // queued|running|done|failed|cancelled
+    error: null,
+    createdAt: now,
+    updatedAt: now,
+    finishedAt: null,
+    files: fileNames.map((name) => ({
+      name,
+      status: "pending", // pending|running|done|failed|cancelled
+      chunksDone: 0,
+      chunksTotal: 0,
+      cacheHits: 0,
+      cacheMisses: 0,
+      bytes: 0,
+      error: null,
+    })),
+    zip: null,
+    manifest: null, // see manifest.js; set when the job finishes
+    controller: new AbortController(),
+  };
+
+  jobs.set(job.id, job);
+  return job;
+}
+
+export function getJob(id) {
+  return jobs.get(String(id)) || null;
+}
+
+export function touchJob(job) {
+  job.updatedAt = Date.now();
+}
+
+// A finished job keeps its first outcome, so a late "done" can't undo a cancel
+export function finishJob(job, status, error = null) {
+  if (isJobFinished(job)) return;
+  job.status = status;
+  job.error = error ? String(error?.message || error) : null;
+  job.finishedAt = Date.now();
+  touchJob(job);
+
+  for (const f of job.files) {
+    if (f.status === "pending" || f.status === "running") {
+      f.status = status === "cancelled" ? "cancelled" : "failed";
+    }
+  }
+}
+
+export function cancelJob(job) {
+  if (isJobFinished(job)) return false;
+  job.controller.abort(new JobCancelledError());
+  finishJob(job, "cancelled");
+  return true;
+}
+
+export function isJobFinished(job) {
+  return ["done", "failed", "cancelled"].includes(job.status);
+}
+
+// Throws if the job was cancelled; call between units of work
+export function throwIfCancelled(job) {
+  if (job.controller.signal.aborted) throw new JobCancelledError();
+}
+
+// Public view of a job (no buffers, no controller)
+export function jobSummary(job) {
+  const chunksTotal = job.files.reduce((n, f) => n + f.chunksTotal, 0);
+  const chunksDone = job.files.reduce((n, f) => n + f.chunksDone, 0);
+  const filesDone = job.files.filter((f) => f.status === "done").length;
+  const cacheHits = job.files.reduce((n, f) => n + f.cacheHits, 0);
+  const cacheMisses = job.files.reduce((n, f) => n + f.cacheMisses, 0);
+
+  return {
+    id: job.id,
+    status: job.status,
+    error: job.error,
+    createdAt: new Date(job.createdAt).toISOString(),
+    updatedAt: new Date(job.updatedAt).toISOString(),
+    finishedAt: job.finishedAt ? new Date(job.finishedAt).toISOString() : null,
+    filesDone,
+    filesTotal: job.files.length,
+    chunksDone,
+    chunksTotal,
+    cacheHits,
+    cacheMisses,
+    downloadReady: job.status === "done" && !!job.zip,
+    files: job.files.map((f) => ({ ...f })),
+    manifest: job.manifest,
+  };
+}
+
+function sweepJobs() {
+  const cutoff = Date.now() - JOB_TTL_MS;
+  for (const [id, job] of jobs) {
+    if (isJobFinished(job) && job.finishedAt < cutoff) jobs.delete(id);
+  }
+}
+
+setInterval(sweepJobs, SWEEP_INTERVAL_MS).unref();
@@ -0,0 +1,225 @@
+// lexicon-lint.js (ESM) — finds problems in lexicon rows before they reach narration
+//
+// Input rows are { row, term, spoken, options } with the raw (untrimmed) cell
+// values, normalized matching options and the sheet row number (header = row 1). Each issue is
+// { layer, row, term, severity: "error"|"warning"|"info", code, message, suggestion }.
+import lexiconMatcher from "../shared/lexicon-matcher.js";
+
+const { compileLexicon, matchLexicon, ruleKey } = lexiconMatcher;
+
+export const SEVERITIES = ["error", "warning", "info"];
+
+export class LexiconLintError extends Error {
+  constructor(layer, issues) {
+    const errors = issues.filter((i) => i.severity === "error").length;
+    super(`Lexicon ${layer} has ${errors} lint error(s); keeping the previous copy`);
+    this.name = "LexiconLintError";
+    this.status = 422;
+    this.issues = issues;
+  }
+}
+
+// Entries without matching options; only these are compared by spelling
+function isPlain(entry) {
+  return !entry.regex && !entry.caseSensitive && !entry.before && !entry.after;
+}
+
+// Hyphens, spaces and case don't distinguish terms for matching purposes
+function spellingKey(term) {
+  return term.toLowerCase().replace(/[-\s]+/g, "");
+}
+
+function whitespaceIssues(layer, r, field, raw) {
+  const value = String(raw ?? "");
+  const base = { layer, row: r.row, term: String(r.term ?? "").trim() };
+  const out = [];
+
+  if (value !== value.trim()) {
+    out.push({
+      ...base,
+      severity: "warning",
+      code: "whitespace",
+      message: `${field} has leading/trailing whitespace`,
+      suggestion: `Change ${field} to "${value.trim()}"`,
+    });
+  }
+  if (/[\t\u00a0]| {2,}/.test(value.trim())) {
+    out.push({
+      ...base,
+      severity: "warning",
+      code: "inner-whitespace",
+      message: `${field} contains tabs, non-breaking or repeated spaces`,
+      suggestion: `Change ${field} to "${value.trim().replace(/[ \t\u00a0]+/g, " ")}"`,
+    });
+  }
+  if (/[\r\n]/.test(value)) {
+    out.push({
+      ...base,
+      severity: "warning",
+      code: "line-break",
+      message: `${field} contains a line break`,
+      suggestion: `Put ${field} on a single line`,
+    });
+  }
+  return out;
+}
+
+// Checks within one layer. `crossTerms` ([{ term, spoken }]) are the merged
+// terms of every layer, used to spot spoken values that would be replaced
+// again when the phonetic text is re-run through the lexicon.
+export function lintLexiconRows(rows, { layer, crossTerms = [] } = {}) {
+  const issues = [];
+  const kept = []; // rows narration would actually use
+
+  for (const r of rows) {
+    const term = String(r.term ?? "").trim();
+    const spoken = String(r.spoken ?? "").trim();
+    const base = { layer, row: r.row, term };
+
+    if (!term && !spoken) {
+      if (r.hasOtherContent) {
+        issues.push({
+          ...base,
+          severity: "warning",
+          code: "empty-row",
+          message: "Row has no term or spoken value and is ignored",
+          suggestion: "Fill in term and spoken, or delete the row",
+        });
+      }
+      continue;
+    }
+    if (!term) {
+      issues.push({
+        ...base,
+        severity: "error",
+        code: "missing-term",
+        message: `Row has spoken "${spoken}" but no term and is dropped`,
+        suggestion: "Fill in the term or delete the row",
+      });
+      continue;
+    }
+    if (!spoken) {
+      issues.push({
+        ...base,
+        severity: "error",
+        code: "missing-spoken",
+        message: `"${term}" has no spoken value and is dropped`,
+        suggestion: "Fill in the spoken value or delete the row",
+      });
+      continue;
+    }
+
+    issues.push(...whitespaceIssues(layer, r, "term", r.term));
+    issues.push(...whitespaceIssues(layer, r, "spoken", r.spoken));
+
+    const entry = { term, spoken, ...r.options };
+    const [invalid] = compileLexicon([entry]).errors;
+    if (invalid) {
+      issues.push({
+        ...base,
+        severity: "error",
+        code: "invalid-pattern",
+        message: `${invalid.message}; the row is ignored`,
+        suggestion: "Fix the regular expression in the term, before or after column",
+      });
+      continue;
+    }
+    kept.push({ row: r.row, ...entry });
+  }
+
+  // Duplicates: the same rule (term plus matching options), or the same plain
+  // term spelled with different hyphens/spaces, which the matcher treats as one
+  const byKey = new Map();
+  const bySpelling = new Map();
+  for (const r of kept) {
+    const base = { layer, row: r.row, term: r.term };
+    const first = byKey.get(ruleKey(r));
+
+    if (first) {
+      const conflict = first.spoken !== r.spoken;
+      issues.push({
+        ...base,
+        severity: conflict ? "error" : "warning",
+        code: "duplicate",
+        message: conflict
+          ? `"${r.term}" is also on row ${first.row} with a different spoken value ("${first.spoken}")`
+          : `"${r.term}" duplicates row ${first.row}`,
+        suggestion: conflict ? "Keep one spoken value and delete the other row" : `Delete row ${r.row}`,
+      });
+      continue;
+    }
+    byKey.set(ruleKey(r), r);
+    if (!isPlain(r)) continue;
+
+    const variant = bySpelling.get(spellingKey(r.term));
+    if (variant) {
+      issues.push({
+        ...base,
+        severity: variant.spoken === r.spoken ? "warning" : "error",
+        code: "variant-spelling",
+        message: `"${r.term}" and "${variant.term}" (row ${variant.row}) are the same term spelled differently`,
+        suggestion: `Keep one entry, e.g. "${variant.term.includes("-") ? variant.term : r.term}"`,
+      });
+    } else {
+      bySpelling.set(spellingKey(r.term), r);
+    }
+  }
+
+  // Shorter terms that also occur as whole tokens inside longer terms. Every
+  // run of whole tokens is looked up, since leftmost-longest matching would
+  // only ever report the longer term.
+  const unique = [...byKey.values()];
+  for (const r of unique.filter(isPlain)) {
+    const tokens = [...r.term.matchAll(/[A-Za-z0-9]+/g)].map((m) => [m.index, m.index + m[0].length]);
+    const reported = new Set();
+
+    for (let i = 0; i < tokens.length; i++) {
+      for (let j = i; j < tokens.length; j++) {
+        const inner = bySpelling.get(spellingKey(r.term.slice(tokens[i][0], tokens[j][1])));
+        if (!inner || inner === r || reported.has(inner)) continue;
+        if (spellingKey(inner.term) === spellingKey(r.term)) continue;
+        reported.add(inner);
+
+        issues.push({
+          layer,
+          row: inner.row,
+          term: inner.term,
+          severity: "info",
+          code: "substring",
+          message: `"${inner.term}" also appears inside the longer term "${r.term}" (row ${r.row})`,
+          suggestion: `No change needed if "${r.term}" should win where both apply`,
+        });
+      }
+    }
+  }
+
+  // Spoken values containing lexicon terms get rewritten on a second pass
+  const crossMatcher = compileLexicon(crossTerms.length ? crossTerms : unique);
+  for (const r of unique) {
+    const hits = matchLexicon(r.spoken, crossMatcher).filter(
+      (m) => spellingKey(m.term) !== spellingKey(r.term)
+    );
+    if (!hits.length) continue;
+
+    issues.push({
+      layer,
+      row: r.row,
+      term: r.term,
+      severity: "warning",
+      code: "spoken-contains-term",
+      message: `Spoken value "${r.spoken}" contains ${[...new Set(hits.map((m) => `"${m.term}"`))].join(", ")}, which can be replaced again`,
+      suggestion: "Respell the spoken value so it doesn't contain another term",
+    });
+  }
+
+  return issues.sort(
+    (a, b) =>
+      (a.row ?? 0) - (b.row ?? 0) || SEVERITIES.indexOf(a.severity) - SEVERITIES.indexOf(b.severity)
+  );
+}
+
+export function countIssues(issues) {
+  const counts = { error: 0, warning: 0, info: 0 };
+  for (const i of issues) counts[i.severity]++;
+  return counts;
+}
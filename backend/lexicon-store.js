@@ -0,0 +1,356 @@
+// lexicon-store.js (ESM) — editable lexicon entries with an append-only audit log
+//
+// Entries live in <dir>/entries.json; every change is appended to <dir>/audit.jsonl
+// as { at, actor, action, id, term, before, after }. The store also serves as the
+// "managed" lexicon layer. Entries may carry the optional matching fields
+// caseSensitive, regex, before and after (see shared/lexicon-matcher.js).
+import { randomUUID } from "node:crypto";
+import { appendFile, mkdir, readFile, rename, writeFile } from "node:fs/promises";
+import path from "node:path";
+import { parse as parseCsv } from "csv-parse/sync";
+import lexiconMatcher from "../shared/lexicon-matcher.js";
+import { entryOptions, optionColumns } from "./lexicon.js";
+
+const { compileLexicon, ruleKey } = lexiconMatcher;
+
+export class LexiconStoreError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = "LexiconStoreError";
+    this.status = status;
+  }
+}
+
+const MAX_FIELD_CHARS = 2000;
+const OPTION_FIELDS = ["caseSensitive", "regex", "before", "after"];
+
+function cleanText(value, field, { required = false } = {}) {
+  const s = String(value ?? "").trim();
+  if (required && !s) throw new LexiconStoreError(`${field} is required`);
+  if (s.length > MAX_FIELD_CHARS) throw new LexiconStoreError(`${field} is too long`);
+  return s;
+}
+
+// Tags arrive as an array or a comma/semicolon separated string
+function cleanTags(value) {
+  const list = Array.isArray(value) ? value : String(value ?? "").split(/[;,]/);
+  return [...new Set(list.map((t) => String(t).trim().toLowerCase()).filter(Boolean))];
+}
+
+// Applies the matching options present in `input` on top of `entry`'s; cleared
+// options are removed so plain entries stay plain
+function withMatchOptions(entry, input) {
+  const merged = {};
+  for (const field of OPTION_FIELDS) merged[field] = input[field] !== undefined ? input[field] : entry[field];
+
+  const out = { ...entry };
+  for (const field of OPTION_FIELDS) delete out[field];
+  Object.assign(out, entryOptions(merged));
+
+  for (const field of ["before", "after"]) {
+    if (out[field]?.length > MAX_FIELD_CHARS) throw new LexiconStoreError(`${field} is too long`);
+  }
+  const [invalid] = compileLexicon([out]).errors;
+  if (invalid) throw new LexiconStoreError(invalid.message);
+  return out;
+}
+
+function csvCell(value) {
+  const s = String(value ?? "");
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+export function createLexiconStore({ dir }) {
+  const entriesFile = path.join(dir, "entries.json");
+  const auditFile = path.join(dir, "audit.jsonl");
+
+  let entries = new Map(); // key: entry id, value: entry
+  let version = 0; // bumps on every change, lets callers cache derived data
+  let writeChain = Promise.resolve();
+
+  const ready = (async () => {
+    try {
+      const data = JSON.parse(await readFile(entriesFile, "utf8"));
+      entries = new Map((data.entries || []).map((e) => [e.id, e]));
+    } catch (e) {
+      if (e.code !== "ENOENT") throw new Error(`Can't read ${entriesFile}: ${e.message}`);
+    }
+  })();
+
+  // Changes run one at a time. `fn(next)` edits a copy of the entries and
+  // returns { result, records }; the copy replaces the entries only once it and
+  // its audit records are on disk, so a failed write changes nothing.
+  function change(fn) {
+    writeChain = writeChain
+      .catch(() => {})
+      .then(async () => {
+        await ready;
+        const next = new Map(entries);
+        const { result, records } = fn(next);
+        if (!records.length) return result;
+
+        await mkdir(dir, { recursive: true });
+        await writeFile(`${entriesFile}.tmp`, JSON.stringify({ entries: [...next.values()] }, null, 2));
+        await appendFile(auditFile, records.map((r) => JSON.stringify(r)).join("\n") + "\n");
+        await rename(`${entriesFile}.tmp`, entriesFile);
+        entries = next;
+        version++;
+        return result;
+      });
+    return writeChain;
+  }
+
+  // Same term and matching options; a case-sensitive "MS" and a plain "ms" are different rules
+  function findByRule(all, entry, exceptId = null) {
+    const key = ruleKey(entry);
+    for (const e of all.values()) {
+      if (e.id !== exceptId && ruleKey(e) === key) return e;
+    }
+    return null;
+  }
+
+  function audit(actor, action, before, after) {
+    return {
+      at: new Date().toISOString(),
+      actor: actor || "anonymous",
+      action,
+      id: (after || before).id,
+      term: (after || before).term,
+      before: before || null,
+      after: after || null,
+    };
+  }
+
+  async function list({ q = "", tag = "" } = {}) {
+    await ready;
+    const needle = String(q).trim().toLowerCase();
+    const wantTag = String(tag).trim().toLowerCase();
+
+    return [...entries.values()]
+      .filter((e) => !wantTag || e.tags.includes(wantTag))
+      .filter(
+        (e) =>
+          !needle ||
+          e.term.toLowerCase().includes(needle) ||
+          e.spoken.toLowerCase().includes(needle) ||
+          e.notes.toLowerCase().includes(needle)
+      )
+      .sort((a, b) => a.term.localeCompare(b.term, undefined, { sensitivity: "base" }));
+  }
+
+  async function get(id) {
+    await ready;
+    return entries.get(id) || null;
+  }
+
+  function create(input, actor) {
+    return change((next) => {
+      const now = new Date().toISOString();
+      const entry = withMatchOptions(
+        {
+          id: randomUUID(),
+          term: cleanText(input.term, "term", { required: true }),
+          spoken: cleanText(input.spoken, "spoken", { required: true }),
+          notes: cleanText(input.notes, "notes"),
+          tags: cleanTags(input.tags),
+          createdAt: now,
+          updatedAt: now,
+          updatedBy: actor || "anonymous",
+        },
+        input
+      );
+      if (findByRule(next, entry)) throw new LexiconStoreError(`Term already exists: ${entry.term}`, 409);
+
+      next.set(entry.id, entry);
+      return { result: entry, records: [audit(actor, "create", null, entry)] };
+    });
+  }
+
+  function update(id, input, actor) {
+    return change((next) => {
+      const before = next.get(id);
+      if (!before) throw new LexiconStoreError("Entry not found", 404);
+
+      let after = { ...before };
+      if (input.term !== undefined) after.term = cleanText(input.term, "term", { required: true });
+      if (input.spoken !== undefined) after.spoken = cleanText(input.spoken, "spoken", { required: true });
+      if (input.notes !== undefined) after.notes = cleanText(input.notes, "notes");
+      if (input.tags !== undefined) after.tags = cleanTags(input.tags);
+
+      after = withMatchOptions(after, input);
+      if (findByRule(next, after, id)) throw new LexiconStoreError(`Term already exists: ${after.term}`, 409);
+
+      after.updatedAt = new Date().toISOString();
+      after.updatedBy = actor || "anonymous";
+
+      next.set(id, after);
+      return { result: after, records: [audit(actor, "update", before, after)] };
+    });
+  }
+
+  function remove(id, actor) {
+    return change((next) => {
+      const before = next.get(id);
+      if (!before) throw new LexiconStoreError("Entry not found", 404);
+
+      next.delete(id);
+      return { result: before, records: [audit(actor, "delete", before, null)] };
+    });
+  }
+
+  // Upserts rows by rule (term, case-insensitive unless marked case-sensitive,
+  // plus matching options). mode "replace" also deletes
+  // entries missing from the import. Every change is audited individually.
+  function importRows(rows, { mode = "merge" } = {}, actor) {
+    return change((next) => {
+      const records = [];
+      const seen = new Set();
+      const counts = { created: 0, updated: 0, unchanged: 0, deleted: 0, skipped: 0 };
+      const now = new Date().toISOString();
+
+      for (const row of rows) {
+        const term = String(row.term ?? "").trim();
+        const spoken = String(row.spoken ?? "").trim();
+        if (!term || !spoken || term.length > MAX_FIELD_CHARS || spoken.length > MAX_FIELD_CHARS) {
+          counts.skipped++;
+          continue;
+        }
+
+        let rule; // { term, spoken, ...matching options }
+        try {
+          rule = withMatchOptions({ term, spoken }, row);
+        } catch {
+          counts.skipped++; // e.g. an invalid regex
+          continue;
+        }
+        seen.add(ruleKey(rule));
+
+        const existing = findByRule(next, rule);
+        const notes =
+          row.notes !== undefined ? String(row.notes).trim().slice(0, MAX_FIELD_CHARS) : existing?.notes || "";
+        const tags = row.tags !== undefined ? cleanTags(row.tags) : existing?.tags || [];
+
+        if (!existing) {
+          const entry = {
+            id: randomUUID(),
+            ...rule,
+            notes,
+            tags,
+            createdAt: now,
+            updatedAt: now,
+            updatedBy: actor || "anonymous",
+          };
+          next.set(entry.id, entry);
+          records.push(audit(actor, "import", null, entry));
+          counts.created++;
+          continue;
+        }
+
+        if (
+          existing.term === term &&
+          existing.spoken === spoken &&
+          existing.notes === notes &&
+          existing.tags.join(",") === tags.join(",")
+        ) {
+          counts.unchanged++;
+          continue;
+        }
+
+        const after = {
+          ...existing,
+          term,
+          spoken,
+          notes,
+          tags,
+          updatedAt: now,
+          updatedBy: actor || "anonymous",
+        };
+        next.set(existing.id, after);
+        records.push(audit(actor, "import", existing, after));
+        counts.updated++;
+      }
+
+      if (mode === "replace") {
+        for (const e of [...next.values()]) {
+          if (seen.has(ruleKey(e))) continue;
+          next.delete(e.id);
+          records.push(audit(actor, "delete", e, null));
+          counts.deleted++;
+        }
+      }
+
+      return { result: counts, records };
+    });
+  }
+
+  // Newest first; optionally only one entry's history
+  async function auditLog({ limit = 100, id = null } = {}) {
+    let text = "";
+    try {
+      text = await readFile(auditFile, "utf8");
+    } catch (e) {
+      if (e.code !== "ENOENT") throw e;
+    }
+
+    const out = [];
+    const lines = text.split("\n");
+    for (let i = lines.length - 1; i >= 0 && out.length < limit; i--) {
+      if (!lines[i]) continue;
+      try {
+        const rec = JSON.parse(lines[i]);
+        if (!id || rec.id === id) out.push(rec);
+      } catch {}
+    }
+    return out;
+  }
+
+  // Same columns as the shared sheet (term, spoken, case, regex, before, after) so it round-trips
+  async function exportCsv() {
+    const rows = await list();
+    const lines = ["term,spoken,notes,tags,case,regex,before,after"];
+    for (const e of rows) {
+      const cells = [e.term, e.spoken, e.notes, e.tags.join(";")];
+      cells.push(e.caseSensitive ? "yes" : "", e.regex ? "yes" : "", e.before || "", e.after || "");
+      lines.push(cells.map(csvCell).join(","));
+    }
+    return lines.join("\r\n") + "\r\n";
+  }
+
+  // Entries as { term, spoken, ...matching options } for the lexicon layer
+  function terms() {
+    return [...entries.values()].map((e) => ({ term: e.term, spoken: e.spoken, ...entryOptions(e) }));
+  }
+
+  return {
+    ready,
+    list,
+    get,
+    create,
+    update,
+    remove,
+    importRows,
+    auditLog,
+    exportCsv,
+    terms,
+    version: () => version,
+    count: () => entries.size,
+  };
+}
+
+// Reads term/spoken (plus optional notes/tags and matching) columns, accepting the sheet's header aliases
+export function parseStoreCsv(csvText) {
+  const records = parseCsv(csvText, {
+    columns: true,
+    skip_empty_lines: true,
+    relax_column_count: true,
+    trim: true,
+  });
+
+  return records.map((row) => ({
+    term: row.term ?? row.Term ?? row.TERM ?? row.word ?? row.Word,
+    spoken: row.spoken ?? row.Spoken ?? row.SPOKEN ?? row.pronunciation ?? row.Pronunciation,
+    notes: row.notes ?? row.Notes,
+    tags: row.tags ?? row.Tags,
+    ...optionColumns(row),
+  }));
+}
@@ -0,0 +1,519 @@
+// lexicon.js (ESM) — layered lexicons with explicit precedence
+//
+// Besides term/spoken, rows may set the optional matching columns case, regex,
+// before and after (see shared/lexicon-matcher.js for their meaning).
+//
+// Layers:
+//   sheet   — global Google Sheets CSV (LEXICON_CSV_URL), cached with a TTL
+//   file    — local CSV/JSON file (LEXICON_FILE), reloaded when it changes on disk
+//   managed — entries edited through the lexicon API (see lexicon-store.js)
+//   project — per-project/client override lists uploaded through the API
+//
+// When the same term (case-insensitive) appears in several layers, the layer
+// listed first in the precedence order wins. Project overrides only apply to
+// narration that names that project, so client terms never leak elsewhere.
+import { parse as parseCsv } from "csv-parse/sync";
+import { mkdir, readdir, readFile, rename, stat, unlink, writeFile } from "node:fs/promises";
+import path from "node:path";
+import { createHash } from "node:crypto";
+import { countIssues, lintLexiconRows, LexiconLintError } from "./lexicon-lint.js";
+import lexiconMatcher from "../shared/lexicon-matcher.js";
+
+const { ruleKey } = lexiconMatcher;
+
+export const LAYER_KINDS = ["project", "managed", "file", "sheet"];
+
+const PROJECT_ID_RE = /^[A-Za-z0-9_-]{1,64}$/;
+
+// Header names accepted for each column, in lookup order
+const TERM_COLUMNS = ["term", "Term", "TERM", "word", "Word"];
+const SPOKEN_COLUMNS = ["spoken", "Spoken", "SPOKEN", "pronunciation", "Pronunciation"];
+const OPTION_COLUMNS = {
+  caseSensitive: ["caseSensitive", "case", "Case"],
+  regex: ["regex", "Regex"],
+  before: ["before", "Before"],
+  after: ["after", "After"],
+};
+
+function pickColumn(row, names) {
+  for (const name of names) {
+    if (row[name] != null) return row[name];
+  }
+  return undefined;
+}
+
+function normalizeTerm(s) {
+  return String(s || "").trim();
+}
+
+// Longest first helps replacement correctness
+function sortTerms(terms) {
+  return [...terms].sort((a, b) => b.term.length - a.term.length);
+}
+
+function isTruthy(value) {
+  return value === true || /^(1|true|yes|y|x)$/i.test(String(value ?? "").trim());
+}
+
+// Raw optional matching columns, undefined where the row has no such column
+export function optionColumns(row) {
+  const out = {};
+  for (const [field, names] of Object.entries(OPTION_COLUMNS)) out[field] = pickColumn(row, names);
+  return out;
+}
+
+// Normalized matching options; unset ones are omitted, so plain rows stay { term, spoken }
+export function entryOptions(row) {
+  const raw = optionColumns(row);
+  const out = {};
+  if (isTruthy(raw.caseSensitive)) out.caseSensitive = true;
+  if (isTruthy(raw.regex)) out.regex = true;
+  if (normalizeTerm(raw.before)) out.before = normalizeTerm(raw.before);
+  if (normalizeTerm(raw.after)) out.after = normalizeTerm(raw.after);
+  return out;
+}
+
+function rowToEntry(row) {
+  const term = normalizeTerm(pickColumn(row, TERM_COLUMNS));
+  const spoken = normalizeTerm(pickColumn(row, SPOKEN_COLUMNS));
+  return term && spoken ? { term, spoken, ...entryOptions(row) } : null;
+}
+
+// Same columns as the shared sheet: term/word + spoken/pronunciation
+export function parseLexiconCsv(csvText) {
+  const records = parseCsv(csvText, {
+    columns: true,
+    skip_empty_lines: true,
+    relax_column_count: true,
+    trim: true,
+  });
+
+  return records.map(rowToEntry).filter(Boolean);
+}
+
+// Accepts [{ term, spoken }], { terms: [...] } or { "<term>": "<spoken>" }
+export function parseLexiconJson(jsonText) {
+  const data = typeof jsonText === "string" ? JSON.parse(jsonText) : jsonText;
+  const rows = Array.isArray(data)
+    ? data
+    : Array.isArray(data?.terms)
+      ? data.terms
+      : Object.entries(data || {}).map(([term, spoken]) => ({ term, spoken }));
+
+  return rows.map((row) => (row && typeof row === "object" ? rowToEntry(row) : null)).filter(Boolean);
+}
+
+// Picks the parser from a file name or content type, falling back to sniffing
+export function parseLexiconText(text, nameOrType = "") {
+  const hint = String(nameOrType).toLowerCase();
+  if (hint.includes("json")) return parseLexiconJson(text);
+  if (hint.includes("csv")) return parseLexiconCsv(text);
+  return /^\s*[[{]/.test(text) ? parseLexiconJson(text) : parseLexiconCsv(text);
+}
+
+// =====================
+// Lint input
+// =====================
+// Raw rows for lexicon-lint.js, numbered like the sheet (header = row 1), plus
+// header problems that would make every row disappear on load
+function csvLintRows(csvText, layer) {
+  const records = parseCsv(csvText, { relax_column_count: true });
+  const header = records[0] || [];
+  const names = header.map((h) => h.trim());
+  const issues = [];
+
+  header.forEach((h, i) => {
+    if (h === names[i]) return;
+    issues.push({
+      layer,
+      row: 1,
+      term: "",
+      severity: "warning",
+      code: "header-whitespace",
+      message: `Header "${h}" has leading/trailing whitespace`,
+      suggestion: `Rename the column to "${names[i]}"`,
+    });
+  });
+
+  const termCol = names.findIndex((n) => TERM_COLUMNS.includes(n));
+  const spokenCol = names.findIndex((n) => SPOKEN_COLUMNS.includes(n));
+  for (const [col, field, aliases] of [
+    [termCol, "term", TERM_COLUMNS],
+    [spokenCol, "spoken", SPOKEN_COLUMNS],
+  ]) {
+    if (col >= 0) continue;
+    issues.push({
+      layer,
+      row: 1,
+      term: "",
+      severity: "error",
+      code: "missing-column",
+      message: `No ${field} column; every row is dropped`,
+      suggestion: `Name a header cell one of: ${aliases.join(", ")}`,
+    });
+  }
+  if (termCol < 0 || spokenCol < 0) return { rows: [], issues };
+
+  const rows = records.slice(1).map((cells, i) => ({
+    row: i + 2,
+    term: cells[termCol] ?? "",
+    spoken: cells[spokenCol] ?? "",
+    options: entryOptions(Object.fromEntries(names.map((n, col) => [n, cells[col]]))),
+    hasOtherContent: cells.some((c) => c.trim()),
+  }));
+  return { rows, issues };
+}
+
+// JSON lists have no header, so rows are numbered from 1
+function jsonLintRows(jsonText) {
+  const data = JSON.parse(jsonText);
+  const list = Array.isArray(data)
+    ? data
+    : Array.isArray(data?.terms)
+      ? data.terms
+      : Object.entries(data || {}).map(([term, spoken]) => ({ term, spoken }));
+
+  const rows = list.map((item, i) => {
+    const obj = item && typeof item === "object" ? item : {};
+    return {
+      row: i + 1,
+      term: pickColumn(obj, TERM_COLUMNS) ?? "",
+      spoken: pickColumn(obj, SPOKEN_COLUMNS) ?? "",
+      options: entryOptions(obj),
+      hasOtherContent: item != null,
+    };
+  });
+  return { rows, issues: [] };
+}
+
+function textLintRows(text, nameOrType, layer) {
+  const hint = String(nameOrType).toLowerCase();
+  const isJson = hint.includes("json") || (!hint.includes("csv") && /^\s*[[{]/.test(text));
+  return isJson ? jsonLintRows(text) : csvLintRows(text, layer);
+}
+
+// Entries that are already clean { term, spoken, ...options } (editor, project overrides)
+function termLintRows(terms) {
+  return {
+    rows: terms.map((t, i) => ({ row: i + 1, term: t.term, spoken: t.spoken, options: entryOptions(t) })),
+    issues: [],
+  };
+}
+
+function hasErrors(issues) {
+  return issues.some((i) => i.severity === "error");
+}
+
+export function isValidProjectId(id) {
+  return PROJECT_ID_RE.test(String(id || ""));
+}
+
+// =====================
+// Layers
+// =====================
+// strict: refuse a download that lints with errors and keep the previous copy
+function createSheetLayer({ url, ttlMs, strict: strictDefault }) {
+  const state = { terms: [], text: "", lastFetched: null, expiresAt: 0, error: null };
+
+  async function load({ force = false, strict = strictDefault } = {}) {
+    if (!force && Date.now() < state.expiresAt && state.terms.length) return;
+
+    try {
+      const r = await fetch(url, { method: "GET" });
+      if (!r.ok) {
+        const body = await r.text().catch(() => "");
+        throw new Error(`Lexicon fetch failed: ${r.status} ${body.slice(0, 200)}`);
+      }
+
+      const text = await r.text();
+      if (strict && state.lastFetched) {
+        const { rows, issues } = csvLintRows(text, "sheet");
+        issues.push(...lintLexiconRows(rows, { layer: "sheet" }));
+        if (hasErrors(issues)) {
+          state.expiresAt = Date.now() + ttlMs; // don't refetch the rejected copy on every request
+          throw new LexiconLintError("sheet", issues);
+        }
+      }
+
+      state.terms = sortTerms(parseLexiconCsv(text));
+      state.text = text;
+      state.lastFetched = new Date().toISOString();
+      state.expiresAt = Date.now() + ttlMs;
+      state.error = null;
+    } catch (e) {
+      state.error = String(e?.message || e);
+      // Only an explicit refresh reports a lint rejection; requests keep the previous copy
+      if (e instanceof LexiconLintError && force) throw e;
+      // Keep serving the previous copy if there is one
+      if (!state.lastFetched) throw e;
+      console.error("Lexicon sheet refresh failed, serving cached copy:", e);
+    }
+  }
+
+  return {
+    id: "sheet",
+    kind: "sheet",
+    source: "Google Sheets CSV", // the URL itself stays private
+    load,
+    terms: () => state.terms,
+    lintRows: () => csvLintRows(state.text, "sheet"),
+    status: () => ({
+      termCount: state.terms.length,
+      lastFetched: state.lastFetched,
+      ttlSeconds: Math.floor(ttlMs / 1000),
+      error: state.error,
+    }),
+  };
+}
+
+function createFileLayer({ filePath, strict: strictDefault }) {
+  const state = { terms: [], text: "", lastFetched: null, mtimeMs: 0, rejectedMtimeMs: 0, error: null };
+
+  async function load({ force = false, strict = strictDefault } = {}) {
+    try {
+      const st = await stat(filePath);
+      if (!force && st.mtimeMs === state.mtimeMs && state.lastFetched) return;
+      if (!force && st.mtimeMs === state.rejectedMtimeMs) return; // failed strict lint, keep the previous copy
+
+      const text = await readFile(filePath, "utf8");
+      if (strict && state.lastFetched) {
+        const { rows, issues } = textLintRows(text, filePath, "file");
+        issues.push(...lintLexiconRows(rows, { layer: "file" }));
+        if (hasErrors(issues)) {
+          state.rejectedMtimeMs = st.mtimeMs;
+          throw new LexiconLintError("file", issues);
+        }
+      }
+
+      state.terms = sortTerms(parseLexiconText(text, filePath));
+      state.text = text;
+      state.mtimeMs = st.mtimeMs;
+      state.rejectedMtimeMs = 0;
+      state.lastFetched = new Date().toISOString();
+      state.error = null;
+    } catch (e) {
+      state.error = String(e?.message || e);
+      if (e instanceof LexiconLintError && force) throw e;
+      if (!state.lastFetched) throw new Error(`Lexicon file ${filePath}: ${state.error}`);
+      console.error("Lexicon file reload failed, serving cached copy:", e);
+    }
+  }
+
+  return {
+    id: "file",
+    kind: "file",
+    source: path.basename(filePath),
+    load,
+    terms: () => state.terms,
+    lintRows: () => textLintRows(state.text, filePath, "file"),
+    status: () => ({
+      termCount: state.terms.length,
+      lastFetched: state.lastFetched,
+      modifiedAt: state.mtimeMs ? new Date(state.mtimeMs).toISOString() : null,
+      error: state.error,
+    }),
+  };
+}
+
+// Wraps the editable entry store; sorted terms are rebuilt only after edits
+function createManagedLayer({ store }) {
+  let cachedVersion = -1;
+  let sorted = [];
+
+  return {
+    id: "managed",
+    kind: "managed",
+    source: "Lexicon editor",
+    load: () => store.ready,
+    // Numbered in the editor's (alphabetical) order
+    lintRows: async () => termLintRows(await store.list()),
+    terms: () => {
+      if (cachedVersion !== store.version()) {
+        sorted = sortTerms(store.terms());
+        cachedVersion = store.version();
+      }
+      return sorted;
+    },
+    status: () => ({ termCount: store.count(), lastFetched: null }),
+  };
+}
+
+// Project override lists, one JSON file per project
+function createProjectStore({ dir }) {
+  const cache = new Map(); // key: project id, value: { terms, updatedAt }
+
+  const fileFor = (id) => path.join(dir, `${id}.json`);
+
+  async function get(id) {
+    if (!isValidProjectId(id)) return null;
+    if (cache.has(id)) return cache.get(id);
+
+    try {
+      const data = JSON.parse(await readFile(fileFor(id), "utf8"));
+      const entry = { terms: sortTerms(parseLexiconJson(data.terms || [])), updatedAt: data.updatedAt || null };
+      cache.set(id, entry);
+      return entry;
+    } catch (e) {
+      if (e.code === "ENOENT") return null;
+      throw e;
+    }
+  }
+
+  async function put(id, terms) {
+    const entry = { terms: sortTerms(terms), updatedAt: new Date().toISOString() };
+
+    await mkdir(dir, { recursive: true });
+    const tmp = `${fileFor(id)}.tmp`;
+    await writeFile(tmp, JSON.stringify(entry, null, 2));
+    await rename(tmp, fileFor(id));
+
+    cache.set(id, entry);
+    return entry;
+  }
+
+  async function remove(id) {
+    cache.delete(id);
+    try {
+      await unlink(fileFor(id));
+      return true;
+    } catch (e) {
+      if (e.code === "ENOENT") return false;
+      throw e;
+    }
+  }
+
+  async function list() {
+    let names = [];
+    try {
+      names = await readdir(dir);
+    } catch (e) {
+      if (e.code !== "ENOENT") throw e;
+    }
+
+    const ids = names.filter((n) => n.endsWith(".json")).map((n) => n.slice(0, -5)).filter(isValidProjectId);
+    const out = [];
+    for (const id of ids.sort()) {
+      const entry = await get(id);
+      if (entry) out.push({ project: id, termCount: entry.terms.length, updatedAt: entry.updatedAt });
+    }
+    return out;
+  }
+
+  return { get, put, remove, list };
+}
+
+// =====================
+// Merged view
+// =====================
+export function createLexicons({ csvUrl, filePath, projectDir, managedStore, precedence, ttlMs, strict = false }) {
+  const order = String(precedence || LAYER_KINDS.join(","))
+    .split(",")
+    .map((s) => s.trim())
+    .filter(Boolean);
+
+  for (const kind of order) {
+    if (!LAYER_KINDS.includes(kind)) throw new Error(`Unknown lexicon layer in precedence: ${kind}`);
+  }
+  for (const kind of LAYER_KINDS) {
+    if (!order.includes(kind)) order.push(kind);
+  }
+
+  const globalLayers = [];
+  if (csvUrl) globalLayers.push(createSheetLayer({ url: csvUrl, ttlMs, strict }));
+  if (filePath) globalLayers.push(createFileLayer({ filePath, strict }));
+  if (managedStore) globalLayers.push(createManagedLayer({ store: managedStore }));
+
+  const projects = createProjectStore({ dir: projectDir });
+
+  async function loadGlobalLayers(opts) {
+    await Promise.all(globalLayers.map((layer) => layer.load(opts)));
+  }
+
+  // Layers applying to `project` (or none), highest precedence first
+  async function layersFor(project) {
+    const layers = [...globalLayers];
+
+    if (project) {
+      const entry = await projects.get(project);
+      if (entry) {
+        layers.push({
+          id: `project:${project}`,
+          kind: "project",
+          source: project,
+          terms: () => entry.terms,
+          lintRows: () => termLintRows(entry.terms),
+          status: () => ({ termCount: entry.terms.length, lastFetched: entry.updatedAt }),
+        });
+      }
+    }
+
+    return layers.sort((a, b) => order.indexOf(a.kind) - order.indexOf(b.kind));
+  }
+
+  // { map, rawTerms, lastFetched, layers } — the shape narration consumes
+  async function getLexicon(project = null) {
+    await loadGlobalLayers();
+    const layers = await layersFor(project);
+
+    // Entries with the same term but different matching options (e.g. a
+    // case-sensitive "MS" and a plain "ms") are separate rules and both kept
+    const map = new Map(); // key: ruleKey(entry), value: spoken
+    const merged = [];
+    for (const layer of layers) {
+      for (const entry of layer.terms()) {
+        const key = ruleKey(entry);
+        if (map.has(key)) continue; // a higher-precedence layer already defined it
+        map.set(key, entry.spoken);
+        merged.push({ ...entry, layer: layer.id });
+      }
+    }
+
+    const fetched = layers.map((l) => l.status().lastFetched).filter(Boolean).sort();
+
+    // Kept in layer order (each layer is longest first): compileLexicon breaks
+    // ties between rules by their position, so re-sorting would lose precedence
+    const rawTerms = merged;
+
+    return {
+      map,
+      rawTerms,
+      lastFetched: fetched[fetched.length - 1] || null,
+      // Changes whenever the merged entries do; recorded in narration manifests
+      hash: createHash("sha256").update(JSON.stringify(rawTerms)).digest("hex").slice(0, 16),
+      layers: layers.map((l) => ({ id: l.id, kind: l.kind, source: l.source, ...l.status() })),
+    };
+  }
+
+  // With strict, a layer whose new copy lints with errors keeps its previous
+  // copy and the LexiconLintError is rethrown once the others have loaded
+  async function refresh({ strict } = {}) {
+    const results = await Promise.allSettled(globalLayers.map((layer) => layer.load({ force: true, strict })));
+    const failed = results.find((r) => r.status === "rejected");
+    if (failed) throw failed.reason;
+  }
+
+  // Lints each layer that applies to `project` (optionally just one, by kind or id).
+  // Spoken values are checked against the merged terms, since that is what narration uses.
+  async function lint(project = null, { layer: only = "" } = {}) {
+    const lex = await getLexicon(project);
+    const layers = (await layersFor(project)).filter((l) => !only || l.kind === only || l.id === only);
+
+    const out = [];
+    for (const layer of layers) {
+      const { rows, issues } = await layer.lintRows();
+      issues.push(...lintLexiconRows(rows, { layer: layer.id, crossTerms: lex.rawTerms }));
+      out.push({ layer: layer.id, kind: layer.kind, source: layer.source, counts: countIssues(issues), issues });
+    }
+
+    return { layers: out, counts: countIssues(out.flatMap((l) => l.issues)) };
+  }
+
+  return {
+    precedence: order,
+    getLexicon,
+    refresh,
+    lint,
+    ttlSeconds: Math.floor(ttlMs / 1000),
+    projects,
+  };
+}
@@ -0,0 +1,99 @@
+// manifest.js (ESM) — per-file record of a narration batch, written into the ZIP
+//
+// Every script gets one row whether it succeeded or not, so a partial batch
+// still says which files are missing and why.
+import { createHash } from "node:crypto";
+
+export const MANIFEST_COLUMNS = [
+  "file",
+  "status",
+  "error",
+  "outputs",
+  "durationMs",
+  "bytes",
+  "chunks",
+  "cacheHits",
+  "cacheMisses",
+  "model",
+  "format",
+  "lexiconVersion",
+  "lexiconHash",
+  "inputSha256",
+];
+
+export function sha256(text) {
+  return createHash("sha256").update(text).digest("hex");
+}
+
+// "wav linear16 48000 Hz" / "flac 44100 Hz" / "mp3 128 kbps" / "ogg opus 32 kbps",
+// plus the loudness target when post-processed
+export function describeFormat(opts) {
+  if (opts.container === "mp3") return `mp3 ${Math.round(opts.bitRate / 1000)} kbps`;
+  const format =
+    opts.container === "ogg"
+      ? `ogg opus ${Math.round(opts.bitRate / 1000)} kbps`
+      : opts.container === "flac"
+        ? `flac ${opts.sampleRate} Hz`
+        : `${opts.container} ${opts.encoding} ${opts.sampleRate} Hz`;
+  const pp = opts.postProcess;
+  return pp ? `${format}, ${pp.targetLufs} LUFS / ${pp.truePeakDb} dBTP` : format;
+}
+
+// result: { entries, durationMs, chunks, cacheHits, cacheMisses } for a narrated file,
+// { error } for a failed one
+export function manifestRow(file, result, { opts, lex }) {
+  return {
+    file: file.originalname,
+    status: result.error ? "failed" : "done",
+    error: result.error ? String(result.error.message || result.error) : null,
+    outputs: result.entries?.map((e) => e.name) || [],
+    durationMs: result.durationMs ?? null,
+    bytes: result.entries?.[0].data.length ?? null,
+    chunks: result.chunks ?? null,
+    cacheHits: result.cacheHits ?? null,
+    cacheMisses: result.cacheMisses ?? null,
+    model: opts.model,
+    format: describeFormat(opts),
+    lexiconVersion: lex.lastFetched,
+    lexiconHash: lex.hash,
+    inputSha256: sha256(file.buffer),
+  };
+}
+
+export function buildManifest(rows, { opts, lex }) {
+  return {
+    generatedAt: new Date().toISOString(),
+    model: opts.model,
+    cast: Object.fromEntries([...opts.cast].map(([speaker, v]) => [speaker, `${v.provider.id}:${v.voice}`])),
+    format: describeFormat(opts),
+    project: opts.project,
+    lexicon: { version: lex.lastFetched, hash: lex.hash, terms: lex.rawTerms.length },
+    totals: {
+      files: rows.length,
+      done: rows.filter((r) => r.status === "done").length,
+      failed: rows.filter((r) => r.status === "failed").length,
+      cacheHits: rows.reduce((n, r) => n + (r.cacheHits || 0), 0),
+      cacheMisses: rows.reduce((n, r) => n + (r.cacheMisses || 0), 0),
+    },
+    files: rows,
+  };
+}
+
+function csvCell(value) {
+  const s = Array.isArray(value) ? value.join(";") : String(value ?? "");
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+export function manifestCsv(manifest) {
+  const lines = [MANIFEST_COLUMNS.join(",")];
+  for (const row of manifest.files) lines.push(MANIFEST_COLUMNS.map((c) => csvCell(row[c])).join(","));
+  return lines.join("\r\n") + "\r\n";
+}
+
+// The two manifest files as ZIP entries
+export function manifestEntries(manifest) {
+  return [
+    { name: "manifest.json", data: Buffer.from(JSON.stringify(manifest, null, 2), "utf-8") },
+    { name: "manifest.csv", data: Buffer.from(manifestCsv(manifest), "utf-8") },
+  ];
+}
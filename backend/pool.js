@@ -0,0 +1,114 @@
+// pool.js (ESM) — bounded concurrency and retry with backoff for provider calls
+
+// Resolves after `ms`, or rejects with the signal's reason when aborted
+export function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(signal.reason);
+
+    const onAbort = () => {
+      clearTimeout(t);
+      reject(signal.reason);
+    };
+    const t = setTimeout(() => {
+      signal?.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener("abort", onAbort, { once: true });
+  });
+}
+
+// Runs at most `concurrency` tasks at once; the rest wait in FIFO order.
+// pause(ms) holds back new starts, e.g. while a provider is rate limiting us.
+export function createLimiter(concurrency) {
+  const max = Math.max(1, Number(concurrency) || 1);
+  const queue = [];
+  let active = 0;
+  let pausedUntil = 0;
+  let resumeTimer = null; // one pending wake-up while paused
+
+  function resumeLater(wait) {
+    clearTimeout(resumeTimer);
+    resumeTimer = setTimeout(() => {
+      resumeTimer = null;
+      next();
+    }, wait);
+  }
+
+  function next() {
+    if (active >= max || !queue.length) return;
+
+    const wait = pausedUntil - Date.now();
+    if (wait > 0) {
+      if (!resumeTimer) resumeLater(wait);
+      return;
+    }
+
+    active++;
+    const { fn, resolve, reject } = queue.shift();
+    Promise.resolve()
+      .then(fn)
+      .then(resolve, reject)
+      .finally(() => {
+        active--;
+        next();
+      });
+    next();
+  }
+
+  function run(fn) {
+    return new Promise((resolve, reject) => {
+      queue.push({ fn, resolve, reject });
+      next();
+    });
+  }
+
+  function pause(ms) {
+    const until = Math.max(pausedUntil, Date.now() + ms);
+    if (resumeTimer && until > pausedUntil) resumeLater(until - Date.now());
+    pausedUntil = until;
+  }
+
+  return { run, pause };
+}
+
+// HTTP statuses worth another attempt; other 4xx are caller errors
+const RETRYABLE_STATUS = new Set([408, 425, 429, 500, 502, 503, 504]);
+
+export function isRetryable(err) {
+  if (err?.name === "TimeoutError") return true;
+  if (typeof err?.status === "number") return RETRYABLE_STATUS.has(err.status) || err.status >= 500;
+  // fetch() network failures surface as TypeError
+  return err instanceof TypeError;
+}
+
+// `signal` plus a per-request timeout, for one provider call
+export function withTimeout(signal, timeoutMs) {
+  if (!timeoutMs) return signal;
+  return AbortSignal.any([signal, AbortSignal.timeout(timeoutMs)].filter(Boolean));
+}
+
+// Calls fn() until it succeeds, a non-retryable error occurs or attempts run out;
+// `signal` cancels everything. Waits use exponential backoff with full jitter,
+// or the server's Retry-After when it sent one.
+export async function withRetry(
+  fn,
+  { retries = 4, baseDelayMs = 500, maxDelayMs = 20_000, signal, onRateLimit } = {}
+) {
+  for (let attempt = 0; ; attempt++) {
+    signal?.throwIfAborted();
+
+    try {
+      return await fn();
+    } catch (e) {
+      if (signal?.aborted) throw signal.reason;
+      if (attempt >= retries || !isRetryable(e)) throw e;
+
+      const backoff = Math.random() * Math.min(maxDelayMs, baseDelayMs * 2 ** attempt);
+      const delay = e.retryAfterMs != null ? Math.min(e.retryAfterMs, maxDelayMs * 3) : backoff;
+
+      if (e.status === 429) onRateLimit?.(delay);
+      console.warn(`Retrying after ${Math.round(delay)}ms (attempt ${attempt + 1}/${retries}): ${e.message}`);
+      await sleep(delay, signal);
+    }
+  }
+}
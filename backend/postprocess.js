@@ -0,0 +1,379 @@
+// postprocess.js (ESM) — optional clean-up of narrated audio, as decoded samples
+//
+// Works on the synthesized parts before they are joined, in this order:
+//   1. each speech chunk is brought to the loudness target, so voices and
+//      chunks match
+//   2. speech-to-speech joins are crossfaded; speech next to a timed pause
+//      gets a short fade instead, so the pause keeps its length
+//   3. leading and trailing silence is trimmed to the configured padding; a
+//      timed pause at the start or end of the script is kept as written
+//   4. the joined file is normalized to the target again and true-peak limited
+// Loudness is integrated loudness per ITU-R BS.1770-4 / EBU R128, in LUFS.
+
+export const POSTPROCESS_DEFAULTS = {
+  targetLufs: -16,
+  truePeakDb: -1,
+  trimSilence: true,
+  headPadMs: 200,
+  tailPadMs: 500,
+  crossfadeMs: 10,
+};
+
+export class PostProcessOptionsError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "PostProcessOptionsError";
+    this.status = 400;
+  }
+}
+
+// Validates the opt-in form fields: postProcess, targetLufs, truePeakDb,
+// trimSilence, headPadMs, tailPadMs, crossfadeMs
+export function parsePostProcessOptions(body = {}) {
+  if (String(body.postProcess || "false") !== "true") return null;
+
+  const number = (field, min, max, { integer = false } = {}) => {
+    const raw = body[field];
+    const value = raw === undefined || raw === "" ? POSTPROCESS_DEFAULTS[field] : Number(raw);
+    if (!Number.isFinite(value) || value < min || value > max || (integer && !Number.isInteger(value))) {
+      const kind = integer ? "whole number" : "number";
+      throw new PostProcessOptionsError(`${field} must be a ${kind} from ${min} to ${max}`);
+    }
+    return value;
+  };
+
+  return {
+    targetLufs: number("targetLufs", -36, -10),
+    truePeakDb: number("truePeakDb", -9, 0),
+    trimSilence: String(body.trimSilence ?? "true") !== "false",
+    headPadMs: number("headPadMs", 0, 5000, { integer: true }),
+    tailPadMs: number("tailPadMs", 0, 5000, { integer: true }),
+    crossfadeMs: number("crossfadeMs", 0, 200, { integer: true }),
+  };
+}
+
+// =====================
+// Loudness (BS.1770-4)
+// =====================
+// K-weighting as two biquads (high shelf, then high-pass), with coefficients
+// derived for any sample rate the same way libebur128 does
+function kWeighting(sampleRate) {
+  let K = Math.tan((Math.PI * 1681.974450955533) / sampleRate);
+  let Q = 0.7071752369554196;
+  const Vh = Math.pow(10, 3.999843853973347 / 20);
+  const Vb = Math.pow(Vh, 0.4996667741545416);
+  let a0 = 1 + K / Q + K * K;
+  const shelf = {
+    b: [(Vh + (Vb * K) / Q + K * K) / a0, (2 * (K * K - Vh)) / a0, (Vh - (Vb * K) / Q + K * K) / a0],
+    a: [(2 * (K * K - 1)) / a0, (1 - K / Q + K * K) / a0],
+  };
+
+  K = Math.tan((Math.PI * 38.13547087602444) / sampleRate);
+  Q = 0.5003270373238773;
+  a0 = 1 + K / Q + K * K;
+  const highPass = { b: [1, -2, 1], a: [(2 * (K * K - 1)) / a0, (1 - K / Q + K * K) / a0] };
+
+  return [shelf, highPass];
+}
+
+// Integrated loudness in LUFS, or null when there is no full 400 ms block
+// above the absolute gate (too short, or silent)
+export function integratedLoudness(samples, channels, sampleRate) {
+  const frames = Math.floor(samples.length / channels);
+  const blockLen = Math.round(sampleRate * 0.4);
+  const step = Math.round(sampleRate * 0.1); // 75% overlap
+  if (frames < blockLen) return null;
+
+  // Running sum of K-weighted energy over all channels (weight 1 for
+  // mono/stereo; surround isn't produced here)
+  const energy = new Float64Array(frames + 1);
+  for (let c = 0; c < channels; c++) {
+    const state = kWeighting(sampleRate).map((f) => ({ ...f, x1: 0, x2: 0, y1: 0, y2: 0 }));
+    for (let n = 0; n < frames; n++) {
+      let v = samples[n * channels + c];
+      for (const f of state) {
+        const y = f.b[0] * v + f.b[1] * f.x1 + f.b[2] * f.x2 - f.a[0] * f.y1 - f.a[1] * f.y2;
+        f.x2 = f.x1;
+        f.x1 = v;
+        f.y2 = f.y1;
+        f.y1 = y;
+        v = y;
+      }
+      energy[n + 1] += v * v;
+    }
+  }
+  for (let n = 1; n <= frames; n++) energy[n] += energy[n - 1];
+
+  const blocks = [];
+  for (let start = 0; start + blockLen <= frames; start += step) {
+    blocks.push((energy[start + blockLen] - energy[start]) / blockLen);
+  }
+
+  const lufs = (z) => -0.691 + 10 * Math.log10(z);
+  const mean = (zs) => zs.reduce((n, z) => n + z, 0) / zs.length;
+
+  const absolute = blocks.filter((z) => lufs(z) > -70);
+  if (!absolute.length) return null;
+  const relativeGate = lufs(mean(absolute)) - 10;
+  const gated = absolute.filter((z) => lufs(z) > relativeGate);
+  return lufs(mean(gated));
+}
+
+function applyGain(samples, db) {
+  const g = Math.pow(10, db / 20);
+  for (let i = 0; i < samples.length; i++) samples[i] *= g;
+}
+
+// Per-chunk gain is capped so a chunk of breath noise isn't blown up to speech level
+const MAX_CHUNK_GAIN_DB = 12;
+
+// =====================
+// True peak
+// =====================
+// 4x oversampling with a Hann-windowed sinc, 16 taps per phase (BS.1770-4 Annex 2).
+// Phases are stored back to back in one array.
+const TP_PHASES = 4;
+const TP_HALF_TAPS = 8;
+const TP_TAPS = 2 * TP_HALF_TAPS;
+const TP_COEFFS = new Float64Array((TP_PHASES - 1) * TP_TAPS);
+for (let k = 1; k < TP_PHASES; k++) {
+  for (let j = 0; j < TP_TAPS; j++) {
+    const t = k / TP_PHASES - (j - TP_HALF_TAPS + 1);
+    const sinc = Math.sin(Math.PI * t) / (Math.PI * t);
+    TP_COEFFS[(k - 1) * TP_TAPS + j] = sinc * 0.5 * (1 + Math.cos((Math.PI * t) / TP_HALF_TAPS));
+  }
+}
+
+// Largest absolute value of the signal between frame n and n + 1, over all channels
+function truePeakAt(samples, channels, frames, n) {
+  const first = n - TP_HALF_TAPS + 1;
+  const inside = first >= 0 && first + TP_TAPS <= frames;
+  let peak = 0;
+
+  for (let c = 0; c < channels; c++) {
+    peak = Math.max(peak, Math.abs(samples[n * channels + c]));
+    for (let k = 0; k < TP_PHASES - 1; k++) {
+      const base = k * TP_TAPS;
+      let v = 0;
+      for (let j = 0; j < TP_TAPS; j++) {
+        const m = first + j;
+        if (inside || (m >= 0 && m < frames)) v += samples[m * channels + c] * TP_COEFFS[base + j];
+      }
+      peak = Math.max(peak, Math.abs(v));
+    }
+  }
+  return peak;
+}
+
+// Look-ahead limiter: the gain needed at each over-ceiling peak is spread
+// over a short attack window around it, then released gradually
+function limitTruePeak(samples, channels, sampleRate, ceilingDb) {
+  const ceiling = Math.pow(10, ceilingDb / 20);
+  const frames = Math.floor(samples.length / channels);
+  const half = Math.max(1, Math.round(sampleRate * 0.002)); // 2 ms either side
+
+  const sampleMax = (n) => {
+    let peak = 0;
+    for (let c = 0; c < channels && n < frames; c++) {
+      peak = Math.max(peak, Math.abs(samples[n * channels + c]));
+    }
+    return peak;
+  };
+
+  const required = new Float32Array(frames).fill(1);
+  let over = false;
+  for (let n = 0; n < frames; n++) {
+    // Inter-sample peaks sit within a few dB of the samples either side,
+    // so quiet stretches skip the oversampling
+    if (Math.max(sampleMax(n), sampleMax(n + 1)) < ceiling / 2) continue;
+
+    const peak = truePeakAt(samples, channels, frames, n);
+    if (peak > ceiling) {
+      required[n] = ceiling / peak;
+      over = true;
+    }
+  }
+  if (!over) return;
+
+  // Minimum over +/- half, then a centered average over +/- half: every value
+  // averaged at a peak is already at or below that peak's required gain
+  const envelope = new Float32Array(frames).fill(1);
+  for (let n = 0; n < frames; n++) {
+    if (required[n] === 1) continue;
+    for (let k = Math.max(0, n - half); k <= Math.min(frames - 1, n + half); k++) {
+      envelope[k] = Math.min(envelope[k], required[n]);
+    }
+  }
+
+  const sums = new Float64Array(frames + 1);
+  for (let n = 0; n < frames; n++) sums[n + 1] = sums[n] + envelope[n];
+
+  const release = 1 / (sampleRate * 0.05); // full recovery in 50 ms
+  let gain = 1;
+  for (let n = 0; n < frames; n++) {
+    const from = Math.max(0, n - half);
+    const to = Math.min(frames, n + half + 1);
+    const smoothed = (sums[to] - sums[from]) / (to - from);
+    gain = Math.min(smoothed, gain + release);
+    for (let c = 0; c < channels; c++) samples[n * channels + c] *= gain;
+  }
+}
+
+// =====================
+// Joins and trimming
+// =====================
+function fade(samples, channels, frames, { fadeIn }) {
+  const total = Math.floor(samples.length / channels);
+  for (let f = 0; f < frames; f++) {
+    const g = Math.sin(((f + 0.5) / frames) * (Math.PI / 2));
+    const n = fadeIn ? f : total - 1 - f;
+    for (let c = 0; c < channels; c++) samples[n * channels + c] *= g;
+  }
+}
+
+// Joins parts, overlapping speech-to-speech joins with an equal-power
+// crossfade. Returns the samples and each part's share of them in frames
+// (an overlap counts towards the earlier part).
+function joinParts(parts, channels, fadeFrames) {
+  const lengths = parts.map((p) => Math.floor(p.samples.length / channels));
+  const overlaps = parts.map((p, i) => {
+    if (i === 0 || p.type === "pause" || parts[i - 1].type === "pause") return 0;
+    return Math.min(fadeFrames, Math.floor(lengths[i - 1] / 2), Math.floor(lengths[i] / 2));
+  });
+
+  parts.forEach((p, i) => {
+    if (p.type === "pause") return;
+    const len = Math.min(fadeFrames, Math.floor(lengths[i] / 2));
+    if (parts[i - 1]?.type === "pause") fade(p.samples, channels, len, { fadeIn: true });
+    if (parts[i + 1]?.type === "pause") fade(p.samples, channels, len, { fadeIn: false });
+  });
+
+  const totalFrames = lengths.reduce((n, l, i) => n + l - overlaps[i], 0);
+  const out = new Float32Array(totalFrames * channels);
+  const shares = [];
+
+  let pos = 0;
+  parts.forEach((p, i) => {
+    const ov = overlaps[i];
+    const start = (pos - ov) * channels;
+    for (let f = 0; f < ov; f++) {
+      const angle = ((f + 0.5) / ov) * (Math.PI / 2);
+      for (let c = 0; c < channels; c++) {
+        const k = start + f * channels + c;
+        out[k] = out[k] * Math.cos(angle) + p.samples[f * channels + c] * Math.sin(angle);
+      }
+    }
+    out.set(p.samples.subarray(ov * channels), pos * channels);
+    pos += lengths[i] - ov;
+
+    if (i > 0) shares[i - 1] -= ov;
+    shares.push(lengths[i]);
+  });
+
+  return { samples: out, shares };
+}
+
+// Below about -50 dBFS counts as silence
+const SILENCE_THRESHOLD = Math.pow(10, -50 / 20);
+
+// Adds `delta` frames (negative removes) to the shares from one end,
+// spilling a removal over into the next part when one runs out
+function adjustShares(shares, delta, fromEnd) {
+  const order = shares.map((_, i) => (fromEnd ? shares.length - 1 - i : i));
+  if (delta >= 0) {
+    shares[order[0]] += delta;
+    return;
+  }
+  let remove = -delta;
+  for (const i of order) {
+    const take = Math.min(shares[i], remove);
+    shares[i] -= take;
+    remove -= take;
+    if (!remove) break;
+  }
+}
+
+// Where the first timed pause starts and the last one ends, in frames of the
+// joined file; trimming stops there, so the script's own pauses keep their length
+function pauseBounds(parts, shares) {
+  let pos = 0;
+  let firstStart = -1;
+  let lastEnd = -1;
+  parts.forEach((p, i) => {
+    if (p.type === "pause") {
+      if (firstStart < 0) firstStart = pos;
+      lastEnd = pos + shares[i];
+    }
+    pos += shares[i];
+  });
+  return { headLimit: firstStart < 0 ? pos : firstStart, tailLimit: lastEnd < 0 ? 0 : lastEnd };
+}
+
+function trimSilence(samples, channels, sampleRate, { headPadMs, tailPadMs }, parts, shares) {
+  const frames = Math.floor(samples.length / channels);
+  const loud = (n) => {
+    for (let c = 0; c < channels; c++) {
+      if (Math.abs(samples[n * channels + c]) > SILENCE_THRESHOLD) return true;
+    }
+    return false;
+  };
+  const { headLimit, tailLimit } = pauseBounds(parts, shares);
+
+  let first = 0;
+  while (first < headLimit && !loud(first)) first++;
+  if (first === frames) return samples; // all silence: leave it be
+  let last = frames - 1;
+  while (last >= tailLimit && last > first && !loud(last)) last--;
+
+  // A script that starts (ends) with a pause isn't padded on that side either
+  const head = Math.round((headPadMs * sampleRate) / 1000);
+  const tail = Math.round((tailPadMs * sampleRate) / 1000);
+  const start = headLimit === 0 ? 0 : first - head; // negative: pad
+  const end = tailLimit === frames ? frames : last + 1 + tail; // past `frames`: pad
+
+  adjustShares(shares, -start, false);
+  adjustShares(shares, end - frames, true);
+
+  const out = new Float32Array((end - start) * channels);
+  const from = Math.max(0, start);
+  const to = Math.min(frames, end);
+  out.set(samples.subarray(from * channels, to * channels), (from - start) * channels);
+  return out;
+}
+
+// =====================
+// Public
+// =====================
+// parts: [{ type: "text" | "pause", samples }] in playback order, all interleaved
+// Float32Array at the same rate and channel count (samples are changed in place).
+// Returns { samples, durations } with each part's duration in ms after
+// processing, for caption timing.
+export function postProcessPcm(parts, { sampleRate, channels }, settings) {
+  if (!parts.length) return { samples: new Float32Array(0), durations: [] };
+
+  // 1) Chunk loudness
+  for (const p of parts) {
+    if (p.type === "pause") continue;
+    const loudness = integratedLoudness(p.samples, channels, sampleRate);
+    if (loudness === null) continue;
+    const gain = settings.targetLufs - loudness;
+    applyGain(p.samples, Math.max(-MAX_CHUNK_GAIN_DB, Math.min(MAX_CHUNK_GAIN_DB, gain)));
+  }
+
+  // 2) Joins
+  const fadeFrames = Math.round((settings.crossfadeMs * sampleRate) / 1000);
+  let { samples, shares } = joinParts(parts, channels, fadeFrames);
+
+  // 3) Leading/trailing silence
+  if (settings.trimSilence) samples = trimSilence(samples, channels, sampleRate, settings, parts, shares);
+
+  // 4) File loudness and true peak
+  const loudness = integratedLoudness(samples, channels, sampleRate);
+  if (loudness !== null) applyGain(samples, settings.targetLufs - loudness);
+  limitTruePeak(samples, channels, sampleRate, settings.truePeakDb);
+
+  return {
+    samples,
+    durations: shares.map((frames) => (frames / sampleRate) * 1000),
+  };
+}
@@ -0,0 +1,88 @@
+// preflight.js (ESM) — dry-run checks that need no TTS provider
+//
+// Finds words that look medical but that no lexicon entry covers, so they can
+// be added before a batch is paid for, and estimates narration length.
+import lexiconMatcher from "../shared/lexicon-matcher.js";
+import textNormalizer from "../shared/text-normalizer.js";
+import scriptMarkup from "../shared/script-markup.js";
+
+const { matchLexicon } = lexiconMatcher;
+const { normalizeText } = textNormalizer;
+const { transformText } = scriptMarkup;
+
+// Rough narration pace (~15 characters per second)
+export const MS_PER_CHAR = 60;
+
+const WORD_RE = /[A-Za-z][A-Za-z0-9]*(?:-[A-Za-z0-9]+)*/g;
+
+// Drug classes and clinical terms TTS voices commonly stumble over
+const MEDICAL_SUFFIX_RE = new RegExp(
+  "(?:" +
+    [
+      "itis", "a?emia", "ectomy", "otomy", "ostomy", "oscopy", "plasty", "algia", "osis", "pathy",
+      "penia", "plegia", "megaly", "uria", "cillin", "mycin", "cycline", "floxacin", "olol", "pril",
+      "sartan", "statin", "azole", "prazole", "tidine", "dipine", "gliptin", "gliflozin", "parin",
+      "triptan", "zepam", "zolam", "oxetine", "lukast", "mab", "nib", "vir",
+    ].join("|") +
+    ")$",
+  "i"
+);
+
+// Everyday words that happen to match the patterns above
+const COMMON_WORDS = new Set([
+  "a", "i", "ok", "us", "uk", "tv", "am", "pm", "no", "id",
+  "academia", "bohemia", "diagnosis", "prognosis", "nostalgia",
+]);
+
+// Why a word looks like it needs a lexicon entry, or null
+function medicalReason(word) {
+  if (COMMON_WORDS.has(word.toLowerCase())) return null;
+  if (/^[A-Z][A-Z0-9]{1,5}$/.test(word)) return /\d/.test(word) ? "letters and digits" : "abbreviation";
+  if (/[A-Za-z]/.test(word) && /\d/.test(word)) return "letters and digits";
+  if (/[a-z][A-Z]/.test(word)) return "mixed case";
+  if (word.length >= 6 && MEDICAL_SUFFIX_RE.test(word)) return "medical suffix";
+  return null;
+}
+
+// Medical-looking words in the script's ordinary text that the lexicon doesn't
+// match and normalization leaves alone: [{ word, count, reason }], most frequent
+// first. Content of [SPELL], [SAY-AS] and [SUB] is skipped, since the author
+// already said how to read it.
+export function findUnknownTerms(text, { matcher, normalize, speakers = false } = {}) {
+  const found = new Map(); // word -> { word, count, reason }
+
+  transformText(
+    text,
+    (t) => {
+      const spans = matchLexicon(t, matcher);
+      for (const m of t.matchAll(WORD_RE)) {
+        const end = m.index + m[0].length;
+        if (spans.some((s) => s.start < end && m.index < s.end)) continue;
+        if (/\[\/?$/.test(t.slice(Math.max(0, m.index - 2), m.index))) continue; // unknown tags, reported as markup
+
+        const reason = medicalReason(m[0]);
+        if (!reason || normalizeText(m[0], normalize) !== m[0]) continue;
+
+        const entry = found.get(m[0]) || { word: m[0], count: 0, reason };
+        entry.count++;
+        found.set(m[0], entry);
+      }
+      return t;
+    },
+    { speakers }
+  );
+
+  return [...found.values()].sort((a, b) => b.count - a.count || a.word.localeCompare(b.word));
+}
+
+// Hard-wrapped chunk boundaries: { chunk, midWord, context } where `chunk` is
+// the index of the chunk that was cut and context shows the text around the cut
+export function describeHardWrap(chunks, index) {
+  const before = chunks[index];
+  const after = chunks[index + 1] || "";
+  return {
+    chunk: index,
+    midWord: /[A-Za-z0-9]$/.test(before) && /^[A-Za-z0-9]/.test(after),
+    context: `${before.slice(-24)}|${after.slice(0, 24)}`,
+  };
+}
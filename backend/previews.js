@@ -0,0 +1,52 @@
+// previews.js (ESM) — in-memory registry for single-passage previews
+//
+// A preview is created from the editor's selection, then fetched by an
+// <audio> element; the first fetch starts its synthesis, every fetch streams
+// from that one synthesis and the audio is kept, so overlapping requests,
+// replays (and A/B comparisons) don't synthesize again.
+import { randomUUID } from "node:crypto";
+
+const PREVIEW_TTL_MS = 30 * 60 * 1000;
+const MAX_PREVIEWS = 200; // oldest are dropped first
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+const previews = new Map(); // key: preview id, value: preview (insertion order = age)
+
+// plan: planChunks output for the passage; characters: text characters sent to providers;
+// meter: the usage meter its synthesis calls are recorded against; onDrop: called
+// once when the preview expires or is pushed out
+export function createPreview({ plan, characters, meter = null, onDrop = null }) {
+  const preview = {
+    id: randomUUID(),
+    createdAt: Date.now(),
+    plan,
+    characters,
+    meter,
+    synthesis: null, // the shared in-flight synthesis (see server.js previewSynthesis)
+    audio: null, // the complete WAV, once synthesized
+    onDrop,
+  };
+
+  previews.set(preview.id, preview);
+  while (previews.size > MAX_PREVIEWS) dropPreview(previews.keys().next().value);
+  return preview;
+}
+
+function dropPreview(id) {
+  const preview = previews.get(id);
+  previews.delete(id);
+  preview?.onDrop?.(preview);
+}
+
+export function getPreview(id) {
+  return previews.get(String(id)) || null;
+}
+
+function sweepPreviews() {
+  const cutoff = Date.now() - PREVIEW_TTL_MS;
+  for (const [id, preview] of previews) {
+    if (preview.createdAt < cutoff) dropPreview(id);
+  }
+}
+
+setInterval(sweepPreviews, SWEEP_INTERVAL_MS).unref();
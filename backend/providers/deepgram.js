@@ -0,0 +1,87 @@
+// providers/deepgram.js (ESM) — Deepgram Aura TTS
+import { ProviderHttpError, parseRetryAfter } from "./http.js";
+
+const DG_SPEAK_URL = "https://api.deepgram.com/v1/speak";
+
+// Deepgram rejects text longer than this per request
+const DG_TTS_MAX_CHARS = 2000;
+
+// WAV encodings and the sample rates Deepgram accepts for each
+const DG_WAV_FORMATS = {
+  linear16: [8000, 16000, 24000, 32000, 48000],
+  mulaw: [8000, 16000],
+  alaw: [8000, 16000],
+};
+
+const DG_VOICES = [
+  { id: "aura-2-thalia-en", label: "Thalia (US, Female, Neutral)" },
+  { id: "aura-2-asteria-en", label: "Asteria (US, Female, Warm)" },
+  { id: "aura-2-luna-en", label: "Luna (US, Female, Soft)" },
+  { id: "aura-2-athena-en", label: "Athena (US, Female, Mature)" },
+  { id: "aura-athena-en", label: "Athena Classic (UK, Female, Mature)" },
+  { id: "aura-2-orion-en", label: "Orion (US, Male, Neutral)" },
+  { id: "aura-2-helios-en", label: "Helios (UK, Male, Professional)" },
+  { id: "aura-2-arcas-en", label: "Arcas (US, Male, Calm)" },
+  { id: "aura-2-hera-en", label: "Hera (US, Female, Professional)" },
+  { id: "aura-2-hermes-en", label: "Hermes (US, Male, Professional)" },
+  { id: "aura-2-electra-en", label: "Electra (US, Female, Knowledgeable)" },
+  { id: "aura-2-cora-en", label: "Cora (US, Female, Smooth)" },
+  { id: "aura-2-draco-en", label: "Draco (UK, Male, Trustworthy)" },
+  { id: "aura-2-pandora-en", label: "Pandora (UK, Female, Calm)" },
+  { id: "aura-2-vesta-en", label: "Vesta (US, Female, Empathetic)" },
+  { id: "aura-2-zeus-en", label: "Zeus (US, Male, Deep)" },
+];
+
+export function createDeepgramProvider({ apiKey, pricePer1kChars = null }) {
+  if (!apiKey) return null;
+
+  async function synthesize({ text, voice, container, encoding, sampleRate, bitRate, signal }) {
+    const params = new URLSearchParams();
+    params.set("model", voice);
+    params.set("container", container);
+
+    if (container === "wav") {
+      params.set("encoding", encoding || "linear16");
+      params.set("sample_rate", String(sampleRate || 48000));
+    }
+
+    if (container === "mp3" && bitRate) {
+      params.set("bit_rate", String(bitRate));
+    }
+
+    const r = await fetch(`${DG_SPEAK_URL}?${params.toString()}`, {
+      method: "POST",
+      headers: {
+        Authorization: `Token ${apiKey}`,
+        "Content-Type": "application/json",
+      },
+      body: JSON.stringify({ text }),
+      signal,
+    });
+
+    const buf = Buffer.from(await r.arrayBuffer());
+    if (!r.ok) {
+      let msg = buf.toString("utf8");
+      try {
+        msg = JSON.stringify(JSON.parse(msg));
+      } catch {}
+      throw new ProviderHttpError(`Deepgram TTS failed (${r.status}): ${msg}`, {
+        status: r.status,
+        retryAfterMs: parseRetryAfter(r.headers.get("retry-after")),
+      });
+    }
+
+    return buf;
+  }
+
+  return {
+    id: "deepgram",
+    label: "Deepgram Aura",
+    maxChars: DG_TTS_MAX_CHARS,
+    containers: ["wav", "mp3"],
+    wavFormats: DG_WAV_FORMATS,
+    voices: DG_VOICES,
+    pricePer1kChars,
+    synthesize,
+  };
+}
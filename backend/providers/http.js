@@ -0,0 +1,22 @@
+// providers/http.js (ESM) — shared error type for HTTP-based providers
+
+// Carries the HTTP status and any Retry-After hint so callers can decide to retry
+export class ProviderHttpError extends Error {
+  constructor(message, { status, retryAfterMs = null } = {}) {
+    super(message);
+    this.name = "ProviderHttpError";
+    this.status = status;
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+// Retry-After is either delta-seconds or an HTTP date
+export function parseRetryAfter(value) {
+  if (!value) return null;
+
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+
+  const at = Date.parse(value);
+  return Number.isNaN(at) ? null : Math.max(0, at - Date.now());
+}
@@ -0,0 +1,102 @@
+// providers/index.js (ESM) — TTS provider registry
+//
+// A provider is { id, label, maxChars, containers, wavFormats, voices: [{ id, label }],
+// pricePer1kChars, synthesize(opts) }. pricePer1kChars (USD) feeds preflight cost estimates;
+// null when unknown. wavFormats maps each WAV encoding the provider writes to its sample
+// rates, or to null when the rate is the voice's own and can't be chosen.
+// synthesize({ text, voice, container, encoding, sampleRate, bitRate, signal }) resolves
+// with one audio file (Buffer) in the requested container.
+//
+// Voices are addressed as "<provider>:<voice>". Bare voice ids (e.g. "aura-2-thalia-en")
+// belong to the default provider, which keeps older requests working.
+import { createDeepgramProvider } from "./deepgram.js";
+import { createOpenAiProvider } from "./openai.js";
+import { createLocalProvider } from "./local.js";
+import { createToneProvider } from "./tone.js";
+
+// Unset -> fallback; "" or "unknown" -> null
+function parsePrice(value, fallback) {
+  if (value === undefined) return fallback;
+  const n = Number(value);
+  return String(value).trim() && Number.isFinite(n) ? n : null;
+}
+
+function splitList(s) {
+  return String(s || "")
+    .split(",")
+    .map((x) => x.trim())
+    .filter(Boolean);
+}
+
+// What a provider's voices can be narrated to: its own containers, plus FLAC and
+// Ogg Opus, which are encoded locally from its 16-bit WAV
+export function outputContainers(provider) {
+  const containers = [...provider.containers];
+  if (provider.wavFormats?.linear16 !== undefined) containers.push("flac", "ogg");
+  return containers;
+}
+
+export function createProviders(env) {
+  const providers = [
+    createDeepgramProvider({
+      apiKey: env.DEEPGRAM_API_KEY,
+      pricePer1kChars: parsePrice(env.DEEPGRAM_PRICE_PER_1K_CHARS, 0.03),
+    }),
+    createOpenAiProvider({
+      baseUrl: env.OPENAI_TTS_BASE_URL,
+      apiKey: env.OPENAI_TTS_API_KEY,
+      model: env.OPENAI_TTS_MODEL,
+      voices: splitList(env.OPENAI_TTS_VOICES),
+      // OpenAI's own tts-1 list price; self-hosted endpoints are unknown
+      pricePer1kChars: parsePrice(
+        env.OPENAI_TTS_PRICE_PER_1K_CHARS,
+        env.OPENAI_TTS_BASE_URL ? null : 0.015
+      ),
+    }),
+    createLocalProvider({
+      engine: env.LOCAL_TTS_ENGINE,
+      bin: env.LOCAL_TTS_BIN,
+      voices: splitList(env.LOCAL_TTS_VOICES),
+    }),
+    createToneProvider({ enabled: String(env.TONE_TTS_ENABLED || "false") === "true" }),
+  ].filter(Boolean);
+
+  const byId = new Map(providers.map((p) => [p.id, p]));
+  const defaultProvider = byId.get(env.TTS_DEFAULT_PROVIDER) || providers[0] || null;
+
+  // "openai:nova" -> { provider, voice: "nova" }; "aura-2-thalia-en" -> default provider
+  function resolveVoice(model) {
+    const s = String(model || "");
+    const sep = s.indexOf(":");
+    const provider = sep > 0 ? byId.get(s.slice(0, sep)) : defaultProvider;
+
+    if (!provider) {
+      throw new Error(sep > 0 ? `TTS provider not configured: ${s.slice(0, sep)}` : "No TTS provider configured");
+    }
+
+    const voice = sep > 0 ? s.slice(sep + 1) : s || provider.voices[0]?.id;
+    if (!provider.voices.some((v) => v.id === voice)) {
+      throw new Error(`Unknown voice for ${provider.id}: ${voice}`);
+    }
+
+    return { provider, voice };
+  }
+
+  function voiceCatalog() {
+    return {
+      defaultVoice: defaultProvider?.voices[0] ? `${defaultProvider.id}:${defaultProvider.voices[0].id}` : null,
+      providers: providers.map((p) => ({
+        id: p.id,
+        label: p.label,
+        maxChars: p.maxChars,
+        containers: outputContainers(p),
+        pricePer1kChars: p.pricePer1kChars,
+      })),
+      voices: providers.flatMap((p) =>
+        p.voices.map((v) => ({ id: `${p.id}:${v.id}`, provider: p.id, voice: v.id, label: v.label }))
+      ),
+    };
+  }
+
+  return { providers, resolveVoice, voiceCatalog };
+}
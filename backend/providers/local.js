@@ -0,0 +1,80 @@
+// providers/local.js (ESM) — local command-line engines (Piper, espeak-ng)
+import { spawn } from "node:child_process";
+import { readFile } from "node:fs/promises";
+import path from "node:path";
+import { pcmToWav } from "../audio.js";
+
+const LOCAL_TTS_MAX_CHARS = 5000;
+const PIPER_DEFAULT_SAMPLE_RATE = 22050;
+
+// Runs `bin args...`, writes `input` to stdin and resolves with stdout
+function runEngine(bin, args, input, signal) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(bin, args, { stdio: ["pipe", "pipe", "pipe"], signal });
+    const out = [];
+    let err = "";
+
+    child.stdout.on("data", (d) => out.push(d));
+    child.stderr.on("data", (d) => {
+      err += d.toString("utf8");
+    });
+    child.on("error", (e) => reject(new Error(`Local TTS failed to start ${bin}: ${e.message}`)));
+    child.on("close", (code) => {
+      if (code === 0) return resolve(Buffer.concat(out));
+      reject(new Error(`Local TTS ${bin} exited with code ${code}: ${err.trim().slice(-300)}`));
+    });
+
+    child.stdin.on("error", () => {}); // engine may exit before reading everything
+    child.stdin.end(input);
+  });
+}
+
+// Piper voice models ship with <model>.onnx.json holding the output sample rate
+async function piperSampleRate(modelPath) {
+  try {
+    const cfg = JSON.parse(await readFile(`${modelPath}.json`, "utf8"));
+    return Number(cfg?.audio?.sample_rate) || PIPER_DEFAULT_SAMPLE_RATE;
+  } catch {
+    return PIPER_DEFAULT_SAMPLE_RATE;
+  }
+}
+
+// engine: "piper" (voices are .onnx model paths) or "espeak-ng" (voices are espeak voice names)
+export function createLocalProvider({ engine, bin, voices }) {
+  if (!engine) return null;
+  if (!["piper", "espeak-ng"].includes(engine)) {
+    throw new Error(`LOCAL_TTS_ENGINE must be piper or espeak-ng, got "${engine}"`);
+  }
+
+  const executable = bin || engine;
+  const voiceMap = new Map(); // key: voice id, value: model path or espeak voice
+
+  for (const v of voices?.length ? voices : engine === "espeak-ng" ? ["en-us"] : []) {
+    const id = engine === "piper" ? path.basename(v).replace(/\.onnx$/i, "") : v;
+    voiceMap.set(id, v);
+  }
+
+  async function synthesize({ text, voice, signal }) {
+    const target = voiceMap.get(voice);
+    if (!target) throw new Error(`Unknown local voice: ${voice}`);
+
+    if (engine === "piper") {
+      const raw = await runEngine(executable, ["--model", target, "--output-raw"], text, signal);
+      return pcmToWav(raw, { sampleRate: await piperSampleRate(target) });
+    }
+
+    // espeak-ng writes a streaming WAV (placeholder sizes) to stdout
+    return runEngine(executable, ["-v", target, "--stdout", "--stdin"], text, signal);
+  }
+
+  return {
+    id: "local",
+    label: engine === "piper" ? "Piper (local)" : "eSpeak NG (local)",
+    maxChars: LOCAL_TTS_MAX_CHARS,
+    containers: ["wav"],
+    wavFormats: { linear16: null }, // the voice model's own rate
+    voices: [...voiceMap.keys()].map((id) => ({ id, label: id })),
+    pricePer1kChars: 0,
+    synthesize,
+  };
+}
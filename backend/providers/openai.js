@@ -0,0 +1,51 @@
+// providers/openai.js (ESM) — OpenAI-compatible /v1/audio/speech endpoints
+import { ProviderHttpError, parseRetryAfter } from "./http.js";
+
+const OPENAI_TTS_MAX_CHARS = 4096;
+
+const OPENAI_DEFAULT_VOICES = ["alloy", "ash", "coral", "echo", "fable", "nova", "onyx", "sage", "shimmer"];
+
+export function createOpenAiProvider({ baseUrl, apiKey, model, voices, pricePer1kChars = null }) {
+  if (!baseUrl && !apiKey) return null;
+
+  const endpoint = `${String(baseUrl || "https://api.openai.com").replace(/\/+$/, "")}/v1/audio/speech`;
+  const voiceIds = voices?.length ? voices : OPENAI_DEFAULT_VOICES;
+
+  async function synthesize({ text, voice, container, signal }) {
+    const headers = { "Content-Type": "application/json" };
+    if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
+
+    const r = await fetch(endpoint, {
+      method: "POST",
+      headers,
+      body: JSON.stringify({
+        model: model || "tts-1",
+        voice,
+        input: text,
+        response_format: container,
+      }),
+      signal,
+    });
+
+    const buf = Buffer.from(await r.arrayBuffer());
+    if (!r.ok) {
+      throw new ProviderHttpError(`OpenAI TTS failed (${r.status}): ${buf.toString("utf8").slice(0, 300)}`, {
+        status: r.status,
+        retryAfterMs: parseRetryAfter(r.headers.get("retry-after")),
+      });
+    }
+
+    return buf;
+  }
+
+  return {
+    id: "openai",
+    label: "OpenAI-compatible TTS",
+    maxChars: OPENAI_TTS_MAX_CHARS,
+    containers: ["wav", "mp3"],
+    wavFormats: { linear16: [24000] }, // response_format "wav" is always 24 kHz
+    voices: voiceIds.map((id) => ({ id, label: id[0].toUpperCase() + id.slice(1) })),
+    pricePer1kChars,
+    synthesize,
+  };
+}
@@ -0,0 +1,54 @@
+// providers/tone.js (ESM) — deterministic offline provider for dry runs and tests.
+// WAV output is a sine tone whose length follows the text length; MP3 output is silence.
+import { pcmToWav, mp3SilenceFor } from "../audio.js";
+import { OUTPUT_SAMPLE_RATES } from "../codecs.js";
+
+const TONE_MAX_CHARS = 2000;
+const TONE_MS_PER_CHAR = 60; // roughly narration pace (~15 chars/s)
+const TONE_MIN_MS = 200;
+
+const TONE_VOICES = [
+  { id: "low", label: "Low tone (220 Hz)", hz: 220 },
+  { id: "mid", label: "Mid tone (440 Hz)", hz: 440 },
+  { id: "high", label: "High tone (660 Hz)", hz: 660 },
+  { id: "silence", label: "Silence", hz: 0 },
+];
+
+export function toneDurationMs(text) {
+  return Math.max(TONE_MIN_MS, String(text || "").length * TONE_MS_PER_CHAR);
+}
+
+export function createToneProvider({ enabled }) {
+  if (!enabled) return null;
+
+  async function synthesize({ text, voice, container, sampleRate, bitRate, signal }) {
+    signal?.throwIfAborted();
+
+    const def = TONE_VOICES.find((v) => v.id === voice);
+    if (!def) throw new Error(`Unknown tone voice: ${voice}`);
+
+    const ms = toneDurationMs(text);
+
+    if (container === "mp3") return mp3SilenceFor(ms, { sampleRate: 24000, bitRate });
+
+    const rate = Number(sampleRate) || 48000;
+    const frames = Math.round((ms * rate) / 1000);
+    const pcm = Buffer.alloc(frames * 2);
+    for (let i = 0; i < frames; i++) {
+      const v = def.hz ? Math.sin((2 * Math.PI * def.hz * i) / rate) * 0.25 : 0;
+      pcm.writeInt16LE(Math.round(v * 32767), i * 2);
+    }
+    return pcmToWav(pcm, { sampleRate: rate });
+  }
+
+  return {
+    id: "tone",
+    label: "Offline tone (dry run)",
+    maxChars: TONE_MAX_CHARS,
+    containers: ["wav", "mp3"],
+    wavFormats: { linear16: OUTPUT_SAMPLE_RATES },
+    voices: TONE_VOICES.map(({ id, label }) => ({ id, label })),
+    pricePer1kChars: 0,
+    synthesize,
+  };
+}
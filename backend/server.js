@@ -7,7 +7,55 @@ import compression from "compression";
 import rateLimit from "express-rate-limit";
 import archiver from "archiver";
 import dotenv from "dotenv";
-import { parse as parseCsv } from "csv-parse/sync";
+import { PassThrough } from "node:stream";
+import {
+  createJob,
+  getJob,
+  touchJob,
+  finishJob,
+  cancelJob,
+  isJobFinished,
+  throwIfCancelled,
+  jobSummary,
+  JobCancelledError,
+} from "./jobs.js";
+import { createPreview, getPreview } from "./previews.js";
+import { AuthError, ROLES, createAuth, hasRole } from "./auth.js";
+import { USAGE_GROUPS, createUsage } from "./usage.js";
+import {
+  AudioFormatError,
+  concatPcmWav,
+  concatMp3,
+  wavSilence,
+  mp3Silence,
+  mp3SilenceFor,
+  audioDurationMs,
+  parseWav,
+  pcmToWav,
+  readPcm16,
+  streamingWavHeader,
+  writePcm16,
+} from "./audio.js";
+import { createProviders, outputContainers } from "./providers/index.js";
+import { createChunkCache, chunkCacheKey } from "./cache.js";
+import { createLimiter, withRetry, withTimeout } from "./pool.js";
+import { createLexicons, isValidProjectId, parseLexiconText } from "./lexicon.js";
+import { createLexiconStore, parseStoreCsv } from "./lexicon-store.js";
+import { MS_PER_CHAR, describeHardWrap, findUnknownTerms } from "./preflight.js";
+import { buildCues, parseCaptionOptions, toSrt, toVtt } from "./captions.js";
+import { buildManifest, manifestEntries, manifestRow } from "./manifest.js";
+import { extractDocument } from "./documents.js";
+import { parsePostProcessOptions, postProcessPcm } from "./postprocess.js";
+import { OUTPUT_SAMPLE_RATES, OPUS_SAMPLE_RATE, WAV_ENCODINGS, encodeAudio, resample } from "./codecs.js";
+// Shared with the browser preview so both produce identical text
+import lexiconMatcher from "../shared/lexicon-matcher.js";
+import textNormalizer from "../shared/text-normalizer.js";
+import scriptMarkup from "../shared/script-markup.js";
+import { fileURLToPath } from "node:url";
+
+const { compileLexicon, applyLexicon } = lexiconMatcher;
+const { normalizeText, RULE_IDS: NORMALIZE_RULE_IDS } = textNormalizer;
+const { parseMarkup, transformText, renderMarkup, stripMarkup, speakerName } = scriptMarkup;
 
 dotenv.config();
 
@@ -18,9 +66,62 @@ app.use(helmet());
 
 // ----- ENV -----
 const PORT = Number(process.env.PORT || 8787);
-const DEEPGRAM_API_KEY = process.env.DEEPGRAM_API_KEY || "";
 const LEXICON_CSV_URL = process.env.LEXICON_CSV_URL || "";
+const LEXICON_FILE = process.env.LEXICON_FILE || "";
+const LEXICON_PROJECT_DIR =
+  process.env.LEXICON_PROJECT_DIR || fileURLToPath(new URL("./data/lexicons/projects", import.meta.url));
+const LEXICON_STORE_DIR =
+  process.env.LEXICON_STORE_DIR || fileURLToPath(new URL("./data/lexicons/managed", import.meta.url));
+const LEXICON_PRECEDENCE = process.env.LEXICON_PRECEDENCE || "project,managed,file,sheet"; // highest first
+const LEXICON_LINT_STRICT = process.env.LEXICON_LINT_STRICT === "true"; // reject refreshes with lint errors
 const ALLOWED_ORIGIN = process.env.ALLOWED_ORIGIN || "";
+const TTS_CACHE_DIR =
+  process.env.TTS_CACHE_DIR || fileURLToPath(new URL("./data/tts-cache", import.meta.url));
+const TTS_CACHE_MAX_MB = Number(process.env.TTS_CACHE_MAX_MB ?? 512); // 0 disables
+const TTS_CONCURRENCY = Number(process.env.TTS_CONCURRENCY || 4); // per provider
+const TTS_MAX_RETRIES = Number(process.env.TTS_MAX_RETRIES ?? 4);
+const TTS_REQUEST_TIMEOUT_MS = Number(process.env.TTS_REQUEST_TIMEOUT_MS || 60_000);
+const PREVIEW_MAX_CHARS = Number(process.env.PREVIEW_MAX_CHARS || 3000); // per editor preview
+const AUTH_DIR = process.env.AUTH_DIR || fileURLToPath(new URL("./data/auth", import.meta.url));
+const AUTH_SESSION_HOURS = Number(process.env.AUTH_SESSION_HOURS || 12);
+const AUTH_DISABLED = process.env.AUTH_DISABLED === "true"; // local development only
+const USAGE_DIR = process.env.USAGE_DIR || fileURLToPath(new URL("./data/usage", import.meta.url));
+// Billed characters per user and per project; 0 (the default) is unlimited
+const USAGE_DAILY_CHARS = Number(process.env.USAGE_DAILY_CHARS || 0);
+const USAGE_MONTHLY_CHARS = Number(process.env.USAGE_MONTHLY_CHARS || 0);
+const USAGE_PROJECT_DAILY_CHARS = Number(process.env.USAGE_PROJECT_DAILY_CHARS || 0);
+const USAGE_PROJECT_MONTHLY_CHARS = Number(process.env.USAGE_PROJECT_MONTHLY_CHARS || 0);
+
+// ----- TTS providers -----
+// DEEPGRAM_API_KEY, OPENAI_TTS_*, LOCAL_TTS_*, TONE_TTS_ENABLED, TTS_DEFAULT_PROVIDER
+const tts = createProviders(process.env);
+
+// ----- Synthesized chunk cache -----
+const chunkCache = createChunkCache({
+  dir: TTS_CACHE_DIR,
+  maxBytes: TTS_CACHE_MAX_MB * 1024 * 1024,
+});
+
+// ----- Usage accounting and quotas -----
+// <USAGE_DIR>/quotas.json can set other limits per user or project (see usage.js)
+const usage = createUsage({
+  dir: USAGE_DIR,
+  limits: {
+    user: { daily: USAGE_DAILY_CHARS, monthly: USAGE_MONTHLY_CHARS },
+    project: { daily: USAGE_PROJECT_DAILY_CHARS, monthly: USAGE_PROJECT_MONTHLY_CHARS },
+  },
+});
+
+// ----- Provider worker pools -----
+// One pool per provider, shared by every file and job, so the cap is global
+const providerLimiters = new Map(); // key: provider id, value: limiter
+
+function limiterFor(provider) {
+  if (!providerLimiters.has(provider.id)) {
+    providerLimiters.set(provider.id, createLimiter(TTS_CONCURRENCY));
+  }
+  return providerLimiters.get(provider.id);
+}
 
 // ----- CORS -----
 // If ALLOWED_ORIGIN is blank, allow all (dev friendly)
@@ -31,6 +132,7 @@ app.use(
       if (!ALLOWED_ORIGIN) return cb(null, true);
       return cb(null, origin === ALLOWED_ORIGIN);
     },
+    exposedHeaders: ["X-Cache-Hits", "X-Cache-Misses"], // job downloads
   })
 );
 
@@ -48,135 +150,108 @@ const upload = multer({
   limits: { fileSize: 5 * 1024 * 1024, files: 50 }, // 5MB each, 50 files
 });
 
+// Narrate forms: up to 50 scripts in `files` (.txt, .docx, .pdf or .pptx),
+// plus optionally the original (pre-lexicon) text of each one in `originals`,
+// in the same order, for captions. Decks and PDFs get a larger size limit.
+const narrateUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 20 * 1024 * 1024, files: 100 },
+}).fields([
+  { name: "files", maxCount: 50 },
+  { name: "originals", maxCount: 50 },
+]);
+
 // =====================
-// Lexicon cache
+// Authentication (users, roles and tokens: see auth.js)
 // =====================
-const LEXICON_TTL_MS = 5 * 60 * 1000;
+const auth = createAuth({ dir: AUTH_DIR, sessionTtlMs: AUTH_SESSION_HOURS * 60 * 60 * 1000 });
 
-let lexiconCache = {
-  map: new Map(), // key: normalized term, value: spoken
-  rawTerms: [], // [{term, spoken}]
-  lastFetched: null, // ISO string
-  expiresAt: 0, // epoch ms
-};
+// Everyone is this user when AUTH_DISABLED is set
+const LOCAL_USER = { id: "local", username: "local", role: "lexicon-admin" };
 
-function normalizeTerm(s) {
-  return String(s || "").trim();
+// Stricter than the global limit, against password guessing
+const loginLimiter = rateLimit({
+  windowMs: 15 * 60_000,
+  max: 20,
+});
+
+function bearerToken(req) {
+  const m = /^Bearer\s+(\S+)$/i.exec(req.get("Authorization") || "");
+  return m ? m[1] : "";
 }
 
-function escapeRegExp(s) {
-  return s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+// Paths under /api reachable without signing in. A preview's audio URL works
+// as a capability instead: its random id is only given to the narrator who
+// created it, and an <audio> element can't send an Authorization header.
+function isPublicRoute(req) {
+  if (req.path === "/health" || req.path === "/auth/login") return true;
+  return req.method === "GET" && /^\/narrate\/previews\/[^/]+\/audio$/.test(req.path);
 }
 
-async function fetchLexiconFromSheets() {
-  const r = await fetch(LEXICON_CSV_URL, { method: "GET" });
-  if (!r.ok) {
-    const body = await r.text().catch(() => "");
-    throw new Error(`Lexicon fetch failed: ${r.status} ${body.slice(0, 200)}`);
+// Every other /api request needs a session or API token; sets req.user
+app.use("/api", async (req, res, next) => {
+  if (AUTH_DISABLED) {
+    req.user = LOCAL_USER;
+    return next();
   }
+  if (isPublicRoute(req)) return next();
 
-  const csvText = await r.text();
-
-  const records = parseCsv(csvText, {
-    columns: true,
-    skip_empty_lines: true,
-    relax_column_count: true,
-    trim: true,
-  });
-
-  const terms = [];
-  const map = new Map();
-
-  for (const row of records) {
-    const term = normalizeTerm(row.term ?? row.Term ?? row.TERM ?? row.word ?? row.Word);
-    const spoken = normalizeTerm(
-      row.spoken ??
-        row.Spoken ??
-        row.SPOKEN ??
-        row.pronunciation ??
-        row.Pronunciation
-    );
-
-    if (!term || !spoken) continue;
-
-    terms.push({ term, spoken });
-    map.set(term.toLowerCase(), spoken);
+  try {
+    req.user = await auth.authenticate(bearerToken(req));
+  } catch (e) {
+    return sendError(res, e);
   }
+  if (req.user) return next();
+  res.setHeader("WWW-Authenticate", "Bearer");
+  sendError(res, new AuthError("Sign in, or send an API token as Authorization: Bearer <token>"));
+});
 
-  // Longest first helps replacement correctness
-  terms.sort((a, b) => b.term.length - a.term.length);
-
-  return { map, terms };
-}
-
-async function refreshLexicon() {
-  if (!LEXICON_CSV_URL) throw new Error("LEXICON_CSV_URL not set");
-
-  const { map, terms } = await fetchLexiconFromSheets();
-
-  lexiconCache = {
-    map,
-    rawTerms: terms,
-    lastFetched: new Date().toISOString(),
-    expiresAt: Date.now() + LEXICON_TTL_MS,
-  };
-
-  return {
-    termCount: lexiconCache.rawTerms.length,
-    lastFetched: lexiconCache.lastFetched,
-    ttlSeconds: Math.floor(LEXICON_TTL_MS / 1000),
+// Route guard; roles include the ones below them (viewer < narrator < lexicon-admin)
+function requireRole(role) {
+  return (req, res, next) => {
+    if (hasRole(req.user, role)) return next();
+    sendError(res, new AuthError(`This needs the ${role} role`, 403));
   };
 }
 
-async function getLexiconCached() {
-  if (Date.now() < lexiconCache.expiresAt && lexiconCache.map.size) {
-    return lexiconCache;
-  }
-  await refreshLexicon();
-  return lexiconCache;
-}
-
 // =====================
-// Text transforms
+// Lexicons
 // =====================
-function applyPauseTags(text, { longPauseDots = 6, useSilentPause = false } = {}) {
-  let out = String(text || "");
-
-  out = out.replace(/\r\n/g, "\n");
-
-  out = out.replace(/\[PAUSE=SHORT\]/gi, ",");
+const LEXICON_TTL_MS = 5 * 60 * 1000;
 
-  const dots = ".".repeat(Math.max(1, Number(longPauseDots) || 6));
-  out = out.replace(/\[PAUSE\]/gi, useSilentPause ? ". . ." : dots);
+const lexiconStore = createLexiconStore({ dir: LEXICON_STORE_DIR });
 
-  out = out.replace(/\[SILENT_PAUSE\]/gi, ". . .");
+const lexicons = createLexicons({
+  csvUrl: LEXICON_CSV_URL,
+  filePath: LEXICON_FILE,
+  projectDir: LEXICON_PROJECT_DIR,
+  managedStore: lexiconStore,
+  precedence: LEXICON_PRECEDENCE,
+  ttlMs: LEXICON_TTL_MS,
+  strict: LEXICON_LINT_STRICT,
+});
 
-  return out;
+// Who is making a lexicon change, for the audit log
+function requestActor(req) {
+  return req.user?.username || "anonymous";
 }
 
-function applyLexicon(text, lexTermsSorted) {
-  let out = String(text || "");
-
-  for (const { term, spoken } of lexTermsSorted) {
-    if (!term || !spoken) continue;
-
-    const escaped = escapeRegExp(term).replace(/\\-/g, "[-\\s]?");
-
-    // Replace only full tokens (not inside other words)
-    const pattern = `(?<![A-Za-z0-9])${escaped}(?![A-Za-z0-9])`;
-
-    out = out.replace(new RegExp(pattern, "gi"), spoken);
+// Validates an optional ?project= / form field
+function parseProject(value) {
+  const project = String(value || "").trim();
+  if (!project) return null;
+  if (!isValidProjectId(project)) {
+    throw new RequestError("project must be 1-64 letters, digits, '-' or '_'");
   }
-
-  return out;
+  return project;
 }
 
 // =====================
-// Deepgram chunking (fixes 2000-char limit)
+// Chunking (keeps each request under the provider's max characters)
 // =====================
-const DG_TTS_MAX_CHARS = 2000;
-
-function chunkTextSmart(text, maxChars = DG_TTS_MAX_CHARS) {
+// `hardWraps`, when given, receives the index of every chunk cut at maxChars
+// instead of at a paragraph or sentence end
+function chunkTextSmart(text, maxChars, { hardWraps } = {}) {
   const clean = String(text || "").replace(/\r\n/g, "\n").trim();
   if (!clean) return [];
 
@@ -211,6 +286,7 @@ function chunkTextSmart(text, maxChars = DG_TTS_MAX_CHARS) {
 
           // Hard wrap if still too long
           while (sBuf.length > maxChars) {
+            hardWraps?.push(chunks.length);
             chunks.push(sBuf.slice(0, maxChars));
             sBuf = sBuf.slice(maxChars);
           }
@@ -233,170 +309,1243 @@ function chunkTextSmart(text, maxChars = DG_TTS_MAX_CHARS) {
   return chunks;
 }
 
-// Assumes standard PCM WAV with 44-byte header
-function concatPcmWav(buffers) {
-  if (!buffers.length) return Buffer.alloc(0);
-  if (buffers.length === 1) return buffers[0];
-
-  const header = Buffer.from(buffers[0].subarray(0, 44));
-  const riff = header.toString("ascii", 0, 4);
-  const wave = header.toString("ascii", 8, 12);
+// Records one chunk against the meter's user and project. Bookkeeping
+// problems are logged; they never fail the narration.
+function meterChunk(meter, provider, opts, { audio, cacheHit = false, failed = false }) {
+  if (!meter) return;
+  let audioSeconds = 0;
+  try {
+    if (audio) audioSeconds = audioDurationMs(audio, opts.container) / 1000;
+  } catch {}
+  usage
+    .record(meter, {
+      model: `${provider.id}:${opts.voice}`,
+      characters: opts.text.length,
+      audioSeconds,
+      cacheHit,
+      failed,
+    })
+    .catch((e) => console.error("Usage record error:", e));
+}
 
-  if (riff !== "RIFF" || wave !== "WAVE") {
-    // Fallback: naive concat
-    return Buffer.concat(buffers);
+// Unchanged chunks are served from the cache; only new text reaches the provider.
+// `stats` ({ cacheHits, cacheMisses }) is incremented in place; `meter`
+// (usage.startMeter) gets every call, hit, miss or failure.
+async function synthesizeChunkCached(provider, opts, stats, meter) {
+  const key = chunkCacheKey({ ...opts, provider: provider.id });
+
+  const cached = await chunkCache.get(key);
+  if (cached) {
+    if (stats) stats.cacheHits++;
+    meterChunk(meter, provider, opts, { audio: cached, cacheHit: true });
+    return cached;
   }
 
-  const dataParts = [];
-  dataParts.push(buffers[0].subarray(44));
-
-  for (let i = 1; i < buffers.length; i++) {
-    const b = buffers[i];
-    dataParts.push(b.length > 44 ? b.subarray(44) : Buffer.alloc(0));
+  // Retries wait outside the pool so a backing-off chunk doesn't hold a slot;
+  // a 429 pauses the whole pool for that provider
+  const limiter = limiterFor(provider);
+  let audio;
+  try {
+    audio = await withRetry(
+      () =>
+        limiter.run(() =>
+          provider.synthesize({ ...opts, signal: withTimeout(opts.signal, TTS_REQUEST_TIMEOUT_MS) })
+        ),
+      { retries: TTS_MAX_RETRIES, signal: opts.signal, onRateLimit: (ms) => limiter.pause(ms) }
+    );
+  } catch (e) {
+    // Chunks cancelled by another chunk's failure (or the client) didn't fail themselves
+    if (!opts.signal?.aborted) meterChunk(meter, provider, opts, { failed: true });
+    throw e;
   }
+  if (stats) stats.cacheMisses++;
+  meterChunk(meter, provider, opts, { audio });
+  await chunkCache.put(key, audio);
+  return audio;
+}
 
-  const pcmData = Buffer.concat(dataParts);
-  const out = Buffer.concat([header, pcmData]);
-
-  // RIFF size (file length - 8) at offset 4
-  out.writeUInt32LE(out.length - 8, 4);
-  // data chunk size at offset 40 (standard header)
-  out.writeUInt32LE(pcmData.length, 40);
+// =====================
+// Synthesis (chunk formats, joining, local encoding)
+// =====================
+function writesWavNatively(provider, { encoding, sampleRate }) {
+  return !!provider.wavFormats?.[encoding]?.includes(sampleRate);
+}
 
-  return out;
+// Chunks are joined as the providers return them only for MP3, or WAV every
+// voice can write as requested. Everything else (FLAC, Ogg Opus, post-processing,
+// a rate or encoding some provider lacks) is decoded, resampled and encoded here.
+function encodesLocally(plan, opts) {
+  if (opts.container === "mp3") return false;
+  if (opts.container !== "wav" || opts.postProcess) return true;
+  return plan.some((seg) => seg.type === "text" && !writesWavNatively(seg.provider, opts));
 }
 
-function concatMp3(buffers) {
-  return Buffer.concat(buffers);
+// The provider's closest rate at or above the output rate, so resampling
+// only ever goes down; null rates are the voice's own
+function sourceRate(provider, sampleRate) {
+  const rates = provider.wavFormats?.linear16;
+  if (!rates) return sampleRate;
+  return rates.find((r) => r >= sampleRate) ?? rates[rates.length - 1];
 }
 
-async function deepgramSpeakOnce({
-  apiKey,
-  text,
-  model,
-  container,
-  encoding,
-  sampleRate,
-  bitRate,
-}) {
-  const params = new URLSearchParams();
-  params.set("model", model);
-  params.set("container", container);
+// What each chunk is requested as (and cached under)
+function chunkFormat(provider, opts, local) {
+  if (opts.container === "mp3") return { container: "mp3", bitRate: opts.bitRate };
+  if (!local) return { container: "wav", encoding: opts.encoding, sampleRate: opts.sampleRate };
+  return { container: "wav", encoding: "linear16", sampleRate: sourceRate(provider, opts.sampleRate) };
+}
 
-  if (container === "wav") {
-    params.set("encoding", encoding || "linear16");
-    params.set("sample_rate", String(sampleRate || 48000));
+// Splits text segments into provider-sized chunks. Text segments without their
+// own provider/voice use the request's. Returns
+// [{ type: "text", provider, voice, speaker, chunks, hardWraps, format } | { type: "pause", ms }]
+function planChunks(segments, opts) {
+  const plan = segments
+    .map((seg) => {
+      if (seg.type === "pause") return seg;
+      const p = seg.provider || opts.provider;
+      const hardWraps = [];
+      const chunks = chunkTextSmart(seg.text, p.maxChars, { hardWraps });
+      const voice = seg.voice || opts.voice;
+      return { type: "text", provider: p, voice, speaker: seg.speaker, chunks, hardWraps };
+    })
+    .filter((seg) => (seg.type === "pause" ? seg.ms > 0 : seg.chunks.length));
+
+  const local = encodesLocally(plan, opts);
+  for (const seg of plan) {
+    if (seg.type === "text") seg.format = chunkFormat(seg.provider, opts, local);
   }
+  return plan;
+}
 
-  if (container === "mp3" && bitRate) {
-    params.set("bit_rate", String(bitRate));
+// Decodes the parts to samples at the output rate, post-processes or joins them
+// and encodes the result: { audio, durations }
+function encodeParts(parts, opts) {
+  const { sampleRate } = opts;
+  const decoded = [];
+  let channels = null;
+
+  parts.forEach((p, i) => {
+    if (p.type === "pause") return decoded.push({ type: "pause", ms: p.ms });
+    const pcm = readPcm16(p.audio, `Chunk ${i + 1}`);
+    channels ??= pcm.channels;
+    if (pcm.channels !== channels) {
+      throw new AudioFormatError(`Chunk ${i + 1} has ${pcm.channels} channels, expected ${channels}`);
+    }
+    decoded.push({ type: "text", samples: resample(pcm.samples, channels, pcm.sampleRate, sampleRate) });
+  });
+  channels ??= 1;
+  for (const p of decoded) {
+    if (p.type === "pause") p.samples = new Float32Array(Math.round((p.ms * sampleRate) / 1000) * channels);
   }
 
-  const url = `https://api.deepgram.com/v1/speak?${params.toString()}`;
+  let samples;
+  let durations;
+  if (opts.postProcess) {
+    ({ samples, durations } = postProcessPcm(decoded, { sampleRate, channels }, opts.postProcess));
+  } else {
+    samples = new Float32Array(decoded.reduce((n, p) => n + p.samples.length, 0));
+    let pos = 0;
+    for (const p of decoded) {
+      samples.set(p.samples, pos);
+      pos += p.samples.length;
+    }
+    durations = decoded.map((p) => (p.samples.length / channels / sampleRate) * 1000);
+  }
 
-  const r = await fetch(url, {
-    method: "POST",
-    headers: {
-      Authorization: `Token ${apiKey}`,
-      "Content-Type": "application/json",
-    },
-    body: JSON.stringify({ text }),
+  const audio = encodeAudio(samples, {
+    container: opts.container,
+    encoding: opts.encoding,
+    sampleRate,
+    channels,
+    bitRate: opts.bitRate,
   });
+  return { audio, durations };
+}
 
-  const buf = Buffer.from(await r.arrayBuffer());
-  if (!r.ok) {
-    let msg = buf.toString("utf8");
-    try {
-      msg = JSON.stringify(JSON.parse(msg));
-    } catch {}
-    throw new Error(`Deepgram TTS failed (${r.status}): ${msg}`);
-  }
+// Queues every chunk of a plan at once; the provider pool bounds concurrency.
+// Each text segment gets `pending`, its chunks' audio promises in script order.
+// The first failure cancels the rest.
+function startChunks(plan, { signal, stats, meter, onChunk }) {
+  const total = plan.reduce((n, seg) => n + (seg.chunks?.length || 0), 0);
+  onChunk?.(0, total);
+
+  const failFast = new AbortController();
+  const chunkSignal = AbortSignal.any([signal, failFast.signal].filter(Boolean));
 
-  return buf;
+  let done = 0;
+  for (const seg of plan) {
+    if (seg.type !== "text") continue;
+    seg.pending = seg.chunks.map(async (chunk) => {
+      try {
+        const audio = await synthesizeChunkCached(
+          seg.provider,
+          { ...seg.format, voice: seg.voice, text: chunk, signal: chunkSignal },
+          stats,
+          meter
+        );
+        onChunk?.(++done, total);
+        return audio;
+      } catch (e) {
+        failFast.abort(e);
+        throw e;
+      }
+    });
+    // Callers that wait in order may never reach a chunk cancelled by an earlier failure
+    for (const p of seg.pending) p.catch(() => {});
+  }
 }
 
-async function deepgramSpeakChunked(opts) {
-  const chunks = chunkTextSmart(opts.text, DG_TTS_MAX_CHARS);
-  if (!chunks.length) return Buffer.alloc(0);
+// Synthesizes [{ type: "text", text, provider?, voice? } | { type: "pause", ms }]
+// into one file, splicing exact-length silence between text segments.
+// onChunk(done, total) is called before the first and after every chunk.
+// `timeline`, when given, receives every part in playback order as
+// { type: "text", text, ms } | { type: "pause", ms } with measured durations.
+async function synthesizeSegments({ provider, segments, onChunk, stats, meter, timeline, ...opts }) {
+  const plan = planChunks(segments, { provider, ...opts });
+  const local = encodesLocally(plan, opts);
+
+  // Promise.all rejects with the first failure rather than a cancellation
+  startChunks(plan, { signal: opts.signal, stats, meter, onChunk });
+  await Promise.all(plan.flatMap((seg) => seg.pending || []));
+  for (const seg of plan) {
+    if (seg.pending) seg.audio = await Promise.all(seg.pending);
+  }
+
+  // Silence is generated in the format of the first synthesized part
+  const template = plan.find((seg) => seg.audio)?.audio[0];
+  const silence = (ms) => {
+    if (local) return null; // added by encodeParts
+    if (opts.container === "wav") return wavSilence(ms, template, opts);
+    if (opts.container === "mp3") return template ? mp3Silence(ms, template) : mp3SilenceFor(ms, opts);
+    return Buffer.alloc(0);
+  };
 
-  const audioParts = [];
-  for (const chunk of chunks) {
-    audioParts.push(await deepgramSpeakOnce({ ...opts, text: chunk }));
+  // [{ type: "text", text, audio } | { type: "pause", ms, audio }] in playback order
+  const parts = plan.flatMap((seg) =>
+    seg.type === "text"
+      ? seg.chunks.map((text, i) => ({ type: "text", text, audio: seg.audio[i] }))
+      : [{ type: "pause", ms: seg.ms, audio: silence(seg.ms) }]
+  );
+  if (!parts.length) return Buffer.alloc(0);
+
+  // Post-processing changes the parts' lengths, so captions use its durations
+  let audio;
+  let durations;
+  if (local) ({ audio, durations } = encodeParts(parts, opts));
+  else if (opts.container === "wav") audio = concatPcmWav(parts.map((p) => p.audio));
+  else if (opts.container === "mp3") audio = concatMp3(parts.map((p) => p.audio));
+  else audio = Buffer.concat(parts.map((p) => p.audio));
+
+  if (timeline) {
+    parts.forEach((p, i) => {
+      if (p.type === "pause") timeline.push({ type: "pause", ms: durations ? durations[i] : p.ms });
+      else {
+        const ms = durations ? durations[i] : audioDurationMs(p.audio, opts.container);
+        timeline.push({ type: "text", text: p.text, ms });
+      }
+    });
   }
 
-  if (opts.container === "wav") return concatPcmWav(audioParts);
-  if (opts.container === "mp3") return concatMp3(audioParts);
-  return Buffer.concat(audioParts);
+  return audio;
 }
 
 // =====================
 // Routes
 // =====================
+app.post("/api/auth/login", loginLimiter, async (req, res) => {
+  try {
+    const { username, password } = req.body || {};
+    res.json(await auth.login(username, password));
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+app.post("/api/auth/logout", (req, res) => {
+  auth.logout(bearerToken(req));
+  res.json({ ok: true });
+});
+
+app.get("/api/auth/me", requireRole("viewer"), (req, res) => {
+  res.json({ user: req.user, roles: ROLES, authDisabled: AUTH_DISABLED });
+});
+
+// The signed-in user's own API tokens, for scripts
+app.get("/api/auth/tokens", requireRole("viewer"), async (req, res) => {
+  try {
+    res.json({ tokens: await auth.listTokens(req.user.id) });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+app.post("/api/auth/tokens", requireRole("viewer"), async (req, res) => {
+  try {
+    res.status(201).json(await auth.createToken(req.user.id, req.body?.name));
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+app.delete("/api/auth/tokens/:id", requireRole("viewer"), async (req, res) => {
+  try {
+    res.json(await auth.revokeToken(req.user.id, req.params.id));
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
 app.get("/api/health", (req, res) => {
   res.json({ ok: true });
 });
 
-app.get("/api/lexicon/status", async (req, res) => {
+app.get("/api/cache/status", requireRole("viewer"), (req, res) => {
+  res.json(chunkCache.status());
+});
+
+app.get("/api/voices", requireRole("viewer"), (req, res) => {
+  res.json(tts.voiceCatalog());
+});
+
+app.get("/api/lexicon/status", requireRole("viewer"), async (req, res) => {
   try {
-    const lex = await getLexiconCached();
+    const lex = await lexicons.getLexicon(parseProject(req.query.project));
     res.json({
       termCount: lex.rawTerms.length,
       lastFetched: lex.lastFetched,
-      ttlSeconds: Math.floor(LEXICON_TTL_MS / 1000),
+      ttlSeconds: lexicons.ttlSeconds,
+      precedence: lexicons.precedence,
+      layers: lex.layers,
     });
   } catch (e) {
-    res.status(500).json({ error: String(e?.message || e) });
+    sendError(res, e);
   }
 });
 
-app.post("/api/lexicon/refresh", async (req, res) => {
+// ?strict=true|false overrides LEXICON_LINT_STRICT; a rejected refresh is a 422 with the issues
+app.post("/api/lexicon/refresh", requireRole("lexicon-admin"), async (req, res) => {
   try {
-    const status = await refreshLexicon();
-    res.json(status);
+    const strict = req.query.strict === undefined ? undefined : req.query.strict === "true";
+    await lexicons.refresh({ strict });
+    const lex = await lexicons.getLexicon(parseProject(req.query.project));
+    res.json({
+      termCount: lex.rawTerms.length,
+      lastFetched: lex.lastFetched,
+      ttlSeconds: lexicons.ttlSeconds,
+      layers: lex.layers,
+    });
   } catch (e) {
-    res.status(500).json({ error: String(e?.message || e) });
+    sendError(res, e);
   }
 });
 
-app.get("/api/lexicon/json", async (req, res) => {
+// ?layer= limits the report to one layer (kind or id, e.g. "sheet" or "project:acme")
+app.get("/api/lexicon/lint", requireRole("viewer"), async (req, res) => {
   try {
-    const lex = await getLexiconCached();
+    const layer = String(req.query.layer || "").trim();
+    res.json(await lexicons.lint(parseProject(req.query.project), { layer }));
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+app.get("/api/lexicon/json", requireRole("viewer"), async (req, res) => {
+  try {
+    const lex = await lexicons.getLexicon(parseProject(req.query.project));
     res.json({ terms: lex.rawTerms });
   } catch (e) {
-    res.status(500).json({ error: String(e?.message || e) });
+    sendError(res, e);
+  }
+});
+
+// Managed lexicon entries (editor UI): CRUD, CSV import/export, audit trail
+app.get("/api/lexicon/entries", requireRole("viewer"), async (req, res) => {
+  try {
+    const entries = await lexiconStore.list({ q: req.query.q, tag: req.query.tag });
+    res.json({ entries });
+  } catch (e) {
+    sendError(res, e);
   }
 });
 
-// Batch narration -> ZIP (now chunked to avoid Deepgram 2000 char limit)
-app.post("/api/narrate/batch", upload.array("files"), async (req, res) => {
+app.get("/api/lexicon/entries/export.csv", requireRole("viewer"), async (req, res) => {
   try {
-    if (!DEEPGRAM_API_KEY) {
-      return res.status(500).json({ error: "Server missing DEEPGRAM_API_KEY" });
+    const csv = await lexiconStore.exportCsv();
+    res.setHeader("Content-Type", "text/csv; charset=utf-8");
+    res.setHeader("Content-Disposition", 'attachment; filename="lexicon.csv"');
+    res.send(csv);
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+// Multipart `file` (CSV with sheet columns, optional notes/tags); mode=merge|replace
+app.post("/api/lexicon/entries/import", requireRole("lexicon-admin"), upload.single("file"), async (req, res) => {
+  try {
+    if (!req.file) throw new RequestError("No file uploaded (field name must be 'file').");
+
+    const mode = String(req.body?.mode || "merge");
+    if (!["merge", "replace"].includes(mode)) throw new RequestError("mode must be merge or replace");
+
+    let rows;
+    try {
+      rows = parseStoreCsv(req.file.buffer.toString("utf-8"));
+    } catch (e) {
+      throw new RequestError(`Could not parse CSV: ${e.message}`);
     }
 
-    const files = req.files || [];
-    if (!files.length) {
-      return res.status(400).json({ error: "No files uploaded (field name must be 'files')." });
+    res.json(await lexiconStore.importRows(rows, { mode }, requestActor(req)));
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+app.post("/api/lexicon/entries", requireRole("lexicon-admin"), async (req, res) => {
+  try {
+    res.status(201).json(await lexiconStore.create(req.body || {}, requestActor(req)));
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+app.get("/api/lexicon/entries/:id", requireRole("viewer"), async (req, res) => {
+  try {
+    const entry = await lexiconStore.get(req.params.id);
+    if (!entry) return res.status(404).json({ error: "Entry not found" });
+    res.json(entry);
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+app.patch("/api/lexicon/entries/:id", requireRole("lexicon-admin"), async (req, res) => {
+  try {
+    res.json(await lexiconStore.update(req.params.id, req.body || {}, requestActor(req)));
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+app.delete("/api/lexicon/entries/:id", requireRole("lexicon-admin"), async (req, res) => {
+  try {
+    const entry = await lexiconStore.remove(req.params.id, requestActor(req));
+    res.json({ id: entry.id, deleted: true });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+app.get("/api/lexicon/audit", requireRole("viewer"), async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(Number(req.query.limit) || 100, 1), 1000);
+    res.json({ records: await lexiconStore.auditLog({ limit, id: req.query.id || null }) });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+// Per-project/client override lists
+app.get("/api/lexicon/projects", requireRole("viewer"), async (req, res) => {
+  try {
+    res.json({ projects: await lexicons.projects.list() });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+app.get("/api/lexicon/projects/:project", requireRole("viewer"), async (req, res) => {
+  try {
+    const project = parseProject(req.params.project);
+    const entry = await lexicons.projects.get(project);
+    if (!entry) return res.status(404).json({ error: "Project lexicon not found" });
+    res.json({ project, updatedAt: entry.updatedAt, terms: entry.terms });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+// Replaces a project's overrides: multipart `file` (CSV/JSON) or JSON body { terms }
+app.put("/api/lexicon/projects/:project", requireRole("lexicon-admin"), upload.single("file"), async (req, res) => {
+  try {
+    const project = parseProject(req.params.project);
+
+    let terms;
+    try {
+      terms = req.file
+        ? parseLexiconText(req.file.buffer.toString("utf-8"), req.file.originalname || req.file.mimetype)
+        : parseLexiconText(req.body?.terms ? req.body : [], "json");
+    } catch (e) {
+      throw new RequestError(`Could not parse lexicon: ${e.message}`);
     }
 
-    const model = String(req.body.model || "aura-2-thalia-en");
-    const container = String(req.body.container || "wav").toLowerCase(); // wav|mp3
+    const entry = await lexicons.projects.put(project, terms);
+    res.json({ project, termCount: entry.terms.length, updatedAt: entry.updatedAt });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
 
-    const longPauseDots = Number(req.body.longPauseDots || 6);
-    const useSilentPause = String(req.body.useSilentPause || "false") === "true";
+app.delete("/api/lexicon/projects/:project", requireRole("lexicon-admin"), async (req, res) => {
+  try {
+    const project = parseProject(req.params.project);
+    const removed = await lexicons.projects.remove(project);
+    if (!removed) return res.status(404).json({ error: "Project lexicon not found" });
+    res.json({ project, deleted: true });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
 
-    // WAV params
-    const encoding = String(req.body.encoding || "linear16");
-    const sampleRate = Number(req.body.sampleRate || 48000);
+// =====================
+// Narration pipeline
+// =====================
+class RequestError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.status = status;
+  }
+}
 
-    // MP3 params
-    const bitRate = Number(req.body.bitRate || 128000);
+const OUTPUT_CONTAINERS = ["wav", "mp3", "flac", "ogg"];
 
-    if (!["wav", "mp3"].includes(container)) {
-      return res.status(400).json({ error: "container must be wav or mp3" });
+// Parses multipart form fields shared by the batch and job routes
+function parseNarrateOptions(body = {}) {
+  const container = String(body.container || "wav").toLowerCase(); // wav|mp3|flac|ogg
+  if (!OUTPUT_CONTAINERS.includes(container)) {
+    throw new RequestError(`container must be one of ${OUTPUT_CONTAINERS.join(", ")}`);
+  }
+
+  const encoding = container === "wav" ? String(body.encoding || "linear16") : "linear16";
+  if (!WAV_ENCODINGS.includes(encoding)) {
+    throw new RequestError(`encoding must be one of ${WAV_ENCODINGS.join(", ")}`);
+  }
+
+  // Opus is always 48 kHz
+  const sampleRate = container === "ogg" ? OPUS_SAMPLE_RATE : Number(body.sampleRate || 48000);
+  if (!OUTPUT_SAMPLE_RATES.includes(sampleRate)) {
+    throw new RequestError(`sampleRate must be one of ${OUTPUT_SAMPLE_RATES.join(", ")}`);
+  }
+
+  const bitRate = Number(body.bitRate || (container === "ogg" ? 32000 : 128000));
+  if (container === "ogg" && !(Number.isInteger(bitRate) && bitRate >= 6000 && bitRate <= 256000)) {
+    throw new RequestError("bitRate for Ogg Opus must be 6000 to 256000");
+  }
+
+  // Post-processing works on decoded samples, which MP3 chunks never are
+  const postProcess = parsePostProcessOptions(body); // null unless postProcess=true
+  if (postProcess && container === "mp3") {
+    throw new RequestError("Post-processing isn't available for MP3 output");
+  }
+
+  let resolved;
+  try {
+    resolved = resolveOutputVoice(body.model || "aura-2-thalia-en", container);
+  } catch (e) {
+    throw new RequestError(e.message);
+  }
+
+  return {
+    project: parseProject(body.project),
+    model: String(body.model || "aura-2-thalia-en"),
+    provider: resolved.provider,
+    voice: resolved.voice,
+    container,
+    cast: parseCast(body.cast, container),
+
+    longPauseDots: Number(body.longPauseDots || 6),
+    useSilentPause: String(body.useSilentPause || "false") === "true",
+
+    // WAV params (sampleRate also for FLAC)
+    encoding,
+    sampleRate,
+
+    // MP3 and Ogg Opus params
+    bitRate,
+
+    normalize: parseNormalizeOptions(body),
+    captions: parseCaptionOptions(body), // null unless captions=true
+    postProcess,
+  };
+}
+
+// Resolves a voice id and checks its provider can write the container
+function resolveOutputVoice(model, container) {
+  const resolved = tts.resolveVoice(model);
+  if (!outputContainers(resolved.provider).includes(container)) {
+    throw new Error(`${resolved.provider.label} does not support ${container} output`);
+  }
+  return resolved;
+}
+
+// cast: JSON object mapping speaker labels to voices, e.g.
+// {"NURSE":"aura-2-orion-en","PATIENT":"openai:nova"}. Without a cast,
+// "NAME:" line prefixes are read as ordinary text.
+function parseCast(value, container) {
+  const cast = new Map(); // speaker -> { provider, voice }
+  if (value === undefined || value === "") return cast;
+
+  let raw;
+  try {
+    raw = JSON.parse(String(value));
+  } catch (e) {
+    throw new RequestError(`cast must be a JSON object: ${e.message}`);
+  }
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) {
+    throw new RequestError("cast must be a JSON object of speaker -> voice");
+  }
+
+  for (const [label, model] of Object.entries(raw)) {
+    const speaker = speakerName(label);
+    if (!speaker) throw new RequestError("cast has an empty speaker name");
+    try {
+      cast.set(speaker, resolveOutputVoice(String(model || ""), container));
+    } catch (e) {
+      throw new RequestError(`cast ${speaker}: ${e.message}`);
     }
+  }
+  return cast;
+}
+
+// normalize: "all" (default), "none" or a comma-separated list of rule ids to
+// run (see shared/text-normalizer.js); dateOrder: mdy|dmy for 03/04/2024
+function parseNormalizeOptions(body) {
+  const value = String(body.normalize ?? "all").trim();
+  const enabled =
+    value === "all"
+      ? NORMALIZE_RULE_IDS
+      : value === "none"
+        ? []
+        : value.split(",").map((s) => s.trim()).filter(Boolean);
+
+  for (const id of enabled) {
+    if (!NORMALIZE_RULE_IDS.includes(id)) throw new RequestError(`Unknown normalization rule: ${id}`);
+  }
 
-    const lex = await getLexiconCached();
+  const dateOrder = String(body.dateOrder || "mdy").toLowerCase();
+  if (!["mdy", "dmy"].includes(dateOrder)) throw new RequestError("dateOrder must be mdy or dmy");
+
+  return {
+    rules: Object.fromEntries(NORMALIZE_RULE_IDS.map((id) => [id, enabled.includes(id)])),
+    dateOrder,
+  };
+}
+
+// Uploads -> scripts: { originalname, buffer, captionSource } with the text
+// extracted as UTF-8. A PPTX deck becomes one script per slide with notes;
+// its original gets the same split, or no caption source if that doesn't line up.
+// An upload that can't be read becomes an empty script with `error` set, which
+// fails only its own manifest row.
+async function readScripts(files, originals) {
+  const scripts = [];
+
+  for (let i = 0; i < files.length; i++) {
+    const original = originals[i];
+    let parts;
+    let captions;
+    try {
+      parts = await extractDocument(files[i].originalname, files[i].buffer);
+      captions = original ? await extractDocument(original.originalname, original.buffer) : [];
+    } catch (error) {
+      console.error(`Reading ${files[i].originalname} failed:`, error);
+      scripts.push({ originalname: files[i].originalname, buffer: Buffer.alloc(0), captionSource: null, error });
+      continue;
+    }
+
+    parts.forEach((part, j) =>
+      scripts.push({
+        originalname: `${part.name}.txt`,
+        buffer: Buffer.from(part.text, "utf-8"),
+        captionSource: captions.length === parts.length ? captions[j].text : null,
+      })
+    );
+  }
+  return scripts;
+}
+
+// Scripts and options, without looking at the scripts' markup
+async function readNarrateRequest(req) {
+  if (!tts.providers.length) {
+    throw new RequestError("Server has no TTS provider configured (e.g. DEEPGRAM_API_KEY)", 500);
+  }
+
+  const files = req.files?.files || [];
+  if (!files.length) {
+    throw new RequestError("No files uploaded (field name must be 'files').");
+  }
+
+  const originals = req.files?.originals || [];
+  if (originals.length && originals.length !== files.length) {
+    throw new RequestError("Upload one 'originals' file per script, in the same order, or none");
+  }
+
+  const opts = parseNarrateOptions(req.body);
+  return { files: await readScripts(files, originals), opts };
+}
+
+async function checkNarrateRequest(req) {
+  const { files, opts } = await readNarrateRequest(req);
+
+  // Markup errors, speakers missing from the cast and unknown [VOICE=...]
+  // values fail the whole request, before anything is synthesized
+  const issues = files.flatMap((file) =>
+    markupIssues(file, opts).map((err) => ({ file: file.originalname, ...err }))
+  );
+  if (issues.length) {
+    const e = new RequestError(`Script markup has ${issues.length} error(s), e.g. ${describeIssue(issues[0])}`);
+    e.issues = issues;
+    throw e;
+  }
+
+  return { files, opts };
+}
+
+function markupIssues(file, opts) {
+  const text = file.buffer.toString("utf-8");
+  const { errors, speakers, voices } = parseMarkup(text, { speakers: opts.cast.size > 0 });
+  const issues = [...errors];
+
+  for (const s of speakers) {
+    if (!opts.cast.has(s.name)) {
+      issues.push({ line: s.line, column: s.column, message: `No voice in the cast for speaker ${s.name}` });
+    }
+  }
+  for (const v of voices) {
+    try {
+      resolveOutputVoice(v.value, opts.container);
+    } catch (e) {
+      issues.push({ line: v.line, column: v.column, message: `[VOICE=${v.value}]: ${e.message}` });
+    }
+  }
+
+  return issues.sort((a, b) => a.line - b.line || a.column - b.column);
+}
+
+function describeIssue({ file, line, column, message }) {
+  return `${file} line ${line}, column ${column}: ${message}`;
+}
+
+function outputName(file, container) {
+  const originalName = file.originalname || "script.txt";
+  const base = originalName.replace(/\.(txt|docx)$/i, "");
+  return `${base}.${container}`;
+}
+
+// Resolves a segment's speaker or [VOICE=...] block to { provider, voice },
+// or null for the request's voice. Unresolvable voices (which preflight
+// reports and checkNarrateRequest rejects) fall back to the request's voice.
+function segmentVoice(seg, opts) {
+  if (seg.voice) {
+    try {
+      return tts.resolveVoice(seg.voice);
+    } catch {
+      return null;
+    }
+  }
+  return (seg.speaker && opts.cast.get(seg.speaker)) || null;
+}
+
+// Runs a script through the text pipeline without synthesizing anything:
+// [{ type: "text", text, speaker?, provider?, voice? } | { type: "pause", ms }]
+function planFile(file, opts, lex) {
+  const rawText = file.buffer.toString("utf-8");
+  const matcher = compileLexicon(lex.rawTerms);
+
+  // 1) Lexicon replacements, then numbers, units, dates, ... into words (after
+  //    the lexicon, so its regex entries still see the digits). Tags and the
+  //    content of [SPELL], [SAY-AS] and [SUB] are left alone.
+  const markup = { speakers: opts.cast.size > 0 };
+  const text = transformText(rawText, (t) => normalizeText(applyLexicon(t, matcher), opts.normalize), markup);
+
+  // 2) Markup: pause tags, spelling, substitutions; timed pauses become
+  //    silence between separately synthesized segments. Speaker labels and
+  //    [VOICE=...] blocks pick each segment's voice.
+  return renderMarkup(parseMarkup(text, markup).nodes, opts).map((seg) => {
+    if (seg.type !== "text") return seg;
+    const resolved = segmentVoice(seg, opts);
+    return {
+      type: "text",
+      text: seg.text,
+      speaker: seg.speaker,
+      provider: resolved?.provider,
+      voice: resolved?.voice,
+    };
+  });
+}
+
+async function narrateFile(file, opts, lex, { onChunk, stats, meter, signal, timeline } = {}) {
+  // 3) Provider speak (chunked)
+  return synthesizeSegments({
+    provider: opts.provider,
+    voice: opts.voice,
+    segments: planFile(file, opts, lex),
+    container: opts.container,
+    encoding: opts.encoding,
+    sampleRate: opts.sampleRate,
+    bitRate: opts.bitRate,
+    postProcess: opts.postProcess,
+    onChunk,
+    stats,
+    meter,
+    signal,
+    timeline,
+  });
+}
+
+// The audio file plus, with captions on, its .srt and .vtt, with what the
+// manifest records: { entries: [{ name, data }], durationMs, chunks }
+async function narrateEntries(file, opts, lex, progress = {}) {
+  if (file.error) throw file.error; // unreadable upload (see readScripts)
+  const timeline = opts.captions ? [] : undefined;
+  const stats = progress.stats || { cacheHits: 0, cacheMisses: 0 };
+  const before = { ...stats };
+
+  const audio = await narrateFile(file, opts, lex, { ...progress, stats, timeline });
+  const entries = [{ name: outputName(file, opts.container), data: audio }];
+  const result = {
+    entries,
+    durationMs: audio.length ? Math.round(audioDurationMs(audio, opts.container)) : 0,
+    chunks: stats.cacheHits + stats.cacheMisses - before.cacheHits - before.cacheMisses,
+    cacheHits: stats.cacheHits - before.cacheHits,
+    cacheMisses: stats.cacheMisses - before.cacheMisses,
+  };
+  if (!opts.captions) return result;
+
+  // Viewers read the original script; without one, the phonetic text minus
+  // markup (and speaker labels, which aren't spoken either)
+  const captionText = stripMarkup(file.captionSource ?? file.buffer.toString("utf-8"), {
+    speakers: opts.cast.size > 0,
+  });
+  const cues = buildCues(timeline, captionText, opts.captions);
+  entries.push(
+    { name: outputName(file, "srt"), data: Buffer.from(toSrt(cues), "utf-8") },
+    { name: outputName(file, "vtt"), data: Buffer.from(toVtt(cues), "utf-8") }
+  );
+  return result;
+}
+
+// Every chunk of a plan in script order, and whether the cache already has it:
+// [{ index, chars, voice, speaker, cached, pricePer1kChars, text }]
+async function describeChunks(plan) {
+  const chunks = [];
+  for (const seg of plan) {
+    if (seg.type !== "text") continue;
+    for (const text of seg.chunks) {
+      const key = chunkCacheKey({ ...seg.format, provider: seg.provider.id, voice: seg.voice, text });
+      chunks.push({
+        index: chunks.length,
+        chars: text.length,
+        voice: `${seg.provider.id}:${seg.voice}`,
+        speaker: seg.speaker || null,
+        cached: await chunkCache.has(key),
+        pricePer1kChars: seg.provider.pricePer1kChars ?? null,
+        text,
+      });
+    }
+  }
+  return chunks;
+}
+
+function uncachedCharacters(chunks) {
+  return chunks.reduce((n, c) => (c.cached ? n : n + c.chars), 0);
+}
+
+// Checks the requester's quotas against what narrating `files` would be billed
+// (cache hits are free) and holds those characters until the meter ends
+async function reserveNarration(req, files, opts, lex, source) {
+  let characters = 0;
+  for (const file of files) {
+    characters += uncachedCharacters(await describeChunks(planChunks(planFile(file, opts, lex), opts)));
+  }
+  const owner = { user: req.user.username, project: opts.project };
+  await usage.checkQuota({ ...owner, characters });
+  return usage.startMeter({ ...owner, source, reserve: characters });
+}
+
+// Everything narrateFile would do short of calling the provider: the final
+// text, the chunk plan (with cache hits), hard wraps, markup problems,
+// medical-looking words no lexicon entry covers, and length/cost estimates
+async function preflightFile(file, opts, lex) {
+  if (file.error) {
+    return {
+      name: file.originalname,
+      output: null,
+      text: "",
+      error: String(file.error.message || file.error),
+      chunks: [],
+      hardWraps: [],
+      markup: [],
+      unknownTerms: [],
+      characters: 0,
+      billableCharacters: 0,
+      estimatedMs: 0,
+      estimatedCost: 0,
+    };
+  }
+  const segments = planFile(file, opts, lex);
+  const plan = planChunks(segments, opts);
+  const chunks = await describeChunks(plan);
+
+  const hardWraps = [];
+  let pauseMs = 0;
+  let first = 0; // index of the segment's first chunk
+
+  for (const seg of plan) {
+    if (seg.type === "pause") {
+      pauseMs += seg.ms;
+      continue;
+    }
+    for (const i of seg.hardWraps) hardWraps.push({ ...describeHardWrap(seg.chunks, i), chunk: first + i });
+    first += seg.chunks.length;
+  }
+
+  const characters = chunks.reduce((n, c) => n + c.chars, 0);
+  const billable = chunks.filter((c) => !c.cached);
+  const unpriced = billable.some((c) => c.pricePer1kChars === null);
+
+  return {
+    name: file.originalname,
+    output: outputName(file, opts.container),
+    text: segments.map((seg) => (seg.type === "pause" ? `[PAUSE=${seg.ms}ms]` : seg.text)).join(""),
+    chunks: chunks.map(({ pricePer1kChars, ...c }) => c),
+    hardWraps,
+    markup: markupIssues(file, opts),
+    unknownTerms: findUnknownTerms(file.buffer.toString("utf-8"), {
+      matcher: compileLexicon(lex.rawTerms),
+      normalize: opts.normalize,
+      speakers: opts.cast.size > 0,
+    }),
+    characters,
+    billableCharacters: uncachedCharacters(chunks),
+    estimatedMs: Math.round(characters * MS_PER_CHAR + pauseMs),
+    estimatedCost: unpriced ? null : billable.reduce((sum, c) => sum + (c.chars / 1000) * c.pricePer1kChars, 0),
+  };
+}
+
+// Previews are always 16-bit mono WAV, which can be streamed part by part
+const PREVIEW_FORMAT = { sampleRate: 24000, channels: 1 };
+
+// The editor's passage (a selection or paragraph of phonetic text) and the
+// narration options. Output format, captions and post-processing don't apply.
+async function readPreviewRequest(req) {
+  if (!tts.providers.length) {
+    throw new RequestError("Server has no TTS provider configured (e.g. DEEPGRAM_API_KEY)", 500);
+  }
+
+  const text = String(req.body?.text ?? "");
+  if (!text.trim()) throw new RequestError("Nothing to preview; select some text first");
+  if (text.length > PREVIEW_MAX_CHARS) {
+    throw new RequestError(`Previews are limited to ${PREVIEW_MAX_CHARS} characters; select a shorter passage`);
+  }
+
+  const opts = parseNarrateOptions({
+    ...req.body,
+    container: "wav",
+    encoding: "linear16",
+    sampleRate: PREVIEW_FORMAT.sampleRate,
+    captions: "false",
+    postProcess: "false",
+  });
+  const file = { originalname: "selection", buffer: Buffer.from(text, "utf-8") };
+
+  const issues = markupIssues(file, opts).map((err) => ({ file: file.originalname, ...err }));
+  if (issues.length) {
+    const e = new RequestError(
+      `Passage markup has ${issues.length} error(s), e.g. ${describeIssue(issues[0])}`
+    );
+    e.issues = issues;
+    throw e;
+  }
+
+  return { file, opts };
+}
+
+// A preview's one synthesis, shared by every request for its audio: decoded
+// parts collect in `data` as they arrive and waiting readers are woken. It
+// runs to the end even if its readers leave, since the player fetches again
+// (replays, Range requests) and the passage's characters are reserved. A
+// failed synthesis is dropped so the next request can retry it; the
+// reservation is kept for that retry.
+function previewSynthesis(preview) {
+  if (preview.synthesis) return preview.synthesis;
+
+  const synthesis = { data: [], started: false, done: false, error: null, waiting: new Set() };
+  const wake = () => {
+    for (const resolve of synthesis.waiting) resolve();
+    synthesis.waiting.clear();
+  };
+  preview.synthesis = synthesis;
+  startChunks(preview.plan, { meter: preview.meter });
+
+  (async () => {
+    let index = 0;
+    for (const seg of preview.plan) {
+      if (seg.type === "pause") {
+        synthesis.data.push(Buffer.alloc(Math.round((seg.ms * PREVIEW_FORMAT.sampleRate) / 1000) * 2));
+        wake();
+        continue;
+      }
+
+      for (const pending of seg.pending) {
+        const pcm = readPcm16(await pending, `Chunk ${++index}`);
+        if (pcm.channels !== PREVIEW_FORMAT.channels) {
+          throw new AudioFormatError(`Chunk ${index} has ${pcm.channels} channels; previews are mono`);
+        }
+        const samples = resample(pcm.samples, 1, pcm.sampleRate, PREVIEW_FORMAT.sampleRate);
+        synthesis.data.push(parseWav(writePcm16(samples, PREVIEW_FORMAT)).data);
+        synthesis.started = true;
+        wake();
+      }
+    }
+    preview.audio = pcmToWav(Buffer.concat(synthesis.data), PREVIEW_FORMAT);
+    synthesis.done = true;
+    usage.endMeter(preview.meter);
+  })()
+    .catch((e) => {
+      synthesis.error = e;
+      preview.synthesis = null;
+    })
+    .finally(wake);
+
+  return synthesis;
+}
+
+// Streams a preview while it is synthesized. The WAV header goes out with the
+// first decoded chunk (so an early failure can still be a JSON error), then
+// every part follows in script order as the shared synthesis produces it.
+async function streamPreview(preview, res) {
+  const synthesis = previewSynthesis(preview);
+
+  let written = 0;
+  for (;;) {
+    if (res.destroyed) return; // the player went away; the synthesis carries on
+    if (synthesis.error) throw synthesis.error;
+
+    if (synthesis.started || synthesis.done) {
+      if (!res.headersSent) {
+        res.setHeader("Content-Type", "audio/wav");
+        res.setHeader("Cache-Control", "no-store");
+        res.write(streamingWavHeader(PREVIEW_FORMAT));
+      }
+      while (written < synthesis.data.length) res.write(synthesis.data[written++]);
+      res.flush?.(); // compression() holds output back otherwise
+    }
+    if (synthesis.done) break;
+
+    await new Promise((resolve) => synthesis.waiting.add(resolve));
+  }
+  res.end();
+}
+
+function sendError(res, e) {
+  const body = { error: String(e?.message || e) };
+  if (e?.issues) body.issues = e.issues; // lexicon lint rejections, markup errors
+  res.status(e.status || 500).json(body);
+}
+
+// Collects a ZIP of [{ name, data }] into a single Buffer
+function zipToBuffer(entries) {
+  return new Promise((resolve, reject) => {
+    const archive = archiver("zip", { zlib: { level: 9 } });
+    const sink = new PassThrough();
+    const parts = [];
+
+    sink.on("data", (d) => parts.push(d));
+    sink.on("end", () => resolve(Buffer.concat(parts)));
+    archive.on("error", reject);
+
+    archive.pipe(sink);
+    for (const { name, data } of entries) archive.append(data, { name });
+    archive.finalize();
+  });
+}
+
+// `meter` (from reserveNarration) is ended when the job is
+async function runNarrateJob(job, files, opts, meter) {
+  job.status = "running";
+  touchJob(job);
+
+  try {
+    const lex = await lexicons.getLexicon(opts.project);
+
+    // Files run side by side; the provider pools bound the actual requests.
+    // A failed file is recorded and doesn't stop the others.
+    const results = await Promise.all(
+      files.map(async (f, i) => {
+        const progress = job.files[i];
+
+        try {
+          const result = await narrateEntries(f, opts, lex, {
+            signal: job.controller.signal,
+            stats: progress,
+            meter,
+            onChunk: (done, total) => {
+              progress.chunksDone = done;
+              progress.chunksTotal = total;
+              if (done > 0 && progress.status === "pending") progress.status = "running";
+              touchJob(job);
+            },
+          });
+
+          progress.status = "done";
+          progress.bytes = result.entries[0].data.length;
+          touchJob(job);
+          return result;
+        } catch (error) {
+          if (job.controller.signal.aborted) throw error;
+          console.error(`Narrate job ${job.id}: ${f.originalname} failed:`, error);
+          progress.status = "failed";
+          progress.error = String(error?.message || error);
+          touchJob(job);
+          return { error };
+        }
+      })
+    );
+
+    throwIfCancelled(job);
+    const rows = files.map((f, i) => manifestRow(f, results[i], { opts, lex }));
+    job.manifest = buildManifest(rows, { opts, lex });
+    const zip = await zipToBuffer([...results.flatMap((r) => r.entries || []), ...manifestEntries(job.manifest)]);
+    throwIfCancelled(job); // cancelled while zipping
+    job.zip = zip;
+
+    const failed = results.filter((r) => r.error);
+    if (failed.length === files.length) {
+      finishJob(job, "failed", `Every script failed; first error: ${failed[0].error.message}`);
+    } else {
+      finishJob(job, "done");
+    }
+  } catch (e) {
+    if (e instanceof JobCancelledError || job.controller.signal.aborted) {
+      if (!isJobFinished(job)) finishJob(job, "cancelled");
+      return;
+    }
+    console.error(`Narrate job ${job.id} error:`, e);
+    finishJob(job, "failed", e);
+    job.controller.abort(e); // stop files still in flight
+  } finally {
+    usage.endMeter(meter);
+  }
+}
+
+// Script text from a .docx, .pdf or .pptx, for the editor: { scripts: [{ name, text }] }
+// with one script per slide with speaker notes for a deck
+const documentUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 20 * 1024 * 1024, files: 1 },
+}).single("file");
+
+app.post("/api/documents/extract", requireRole("narrator"), documentUpload, async (req, res) => {
+  try {
+    if (!req.file) throw new RequestError("No file uploaded (field name must be 'file').");
+    res.json({ scripts: await extractDocument(req.file.originalname, req.file.buffer) });
+  } catch (e) {
+    if (!e.status) console.error("Document extract error:", e);
+    sendError(res, e);
+  }
+});
+
+// Dry run: same form as /api/narrate/batch, nothing is synthesized. Markup
+// errors are reported per file instead of failing the request.
+app.post("/api/narrate/preflight", requireRole("narrator"), narrateUpload, async (req, res) => {
+  try {
+    const { files, opts } = await readNarrateRequest(req);
+    const lex = await lexicons.getLexicon(opts.project);
+
+    const results = [];
+    for (const file of files) results.push(await preflightFile(file, opts, lex));
+
+    const sum = (field) => results.reduce((n, r) => n + r[field], 0);
+    res.json({
+      files: results,
+      totals: {
+        files: results.length,
+        chunks: results.reduce((n, r) => n + r.chunks.length, 0),
+        characters: sum("characters"),
+        billableCharacters: sum("billableCharacters"),
+        estimatedMs: sum("estimatedMs"),
+        estimatedCost: results.some((r) => r.estimatedCost === null) ? null : sum("estimatedCost"),
+        markupErrors: results.reduce((n, r) => n + r.markup.length, 0),
+        midWordSplits: results.reduce((n, r) => n + r.hardWraps.filter((w) => w.midWord).length, 0),
+        unknownTerms: new Set(results.flatMap((r) => r.unknownTerms.map((t) => t.word))).size,
+      },
+    });
+  } catch (e) {
+    console.error("Preflight error:", e);
+    sendError(res, e);
+  }
+});
+
+// Editor preview of one passage: form fields as for a batch, with the phonetic
+// text in `text` instead of files. Returns the URL an <audio> element streams.
+const previewUpload = multer({ limits: { fieldSize: 1024 * 1024 } }).none();
+
+app.post("/api/narrate/previews", requireRole("narrator"), previewUpload, async (req, res) => {
+  try {
+    const { file, opts } = await readPreviewRequest(req);
+    const lex = await lexicons.getLexicon(opts.project);
+    const plan = planChunks(planFile(file, opts, lex), opts);
+
+    // Synthesis waits for the first play, so the characters are held from now
+    // until it finishes or the preview is dropped
+    const chunks = await describeChunks(plan);
+    const owner = { user: req.user.username, project: opts.project };
+    const characters = uncachedCharacters(chunks);
+    await usage.checkQuota({ ...owner, characters });
+
+    const preview = createPreview({
+      plan,
+      characters: chunks.reduce((n, c) => n + c.chars, 0),
+      meter: usage.startMeter({ ...owner, source: "preview", reserve: characters }),
+      onDrop: (p) => usage.endMeter(p.meter),
+    });
+    res.status(201).json({
+      id: preview.id,
+      url: `/api/narrate/previews/${preview.id}/audio`,
+      characters: preview.characters,
+      chunks: chunks.length,
+    });
+  } catch (e) {
+    console.error("Preview error:", e);
+    sendError(res, e);
+  }
+});
+
+// The preview's WAV: streamed as it is synthesized (requests made meanwhile
+// share the one synthesis), from memory after that. Fetched by <audio>, which may be on the frontend's origin.
+app.get("/api/narrate/previews/:id/audio", async (req, res) => {
+  const preview = getPreview(req.params.id);
+  if (!preview) return res.status(404).json({ error: "Preview not found or expired" });
+  res.setHeader("Cross-Origin-Resource-Policy", "cross-origin");
+
+  if (preview.audio) {
+    res.setHeader("Content-Type", "audio/wav");
+    return res.send(preview.audio);
+  }
+
+  try {
+    await streamPreview(preview, res);
+  } catch (e) {
+    if (res.destroyed) return; // the player went away
+    console.error("Preview stream error:", e);
+    if (!res.headersSent) sendError(res, e);
+    else res.destroy(e);
+  }
+});
+
+// Batch narration -> ZIP (chunked to the provider's character limit)
+app.post("/api/narrate/batch", requireRole("narrator"), narrateUpload, async (req, res) => {
+  // A client that hangs up stops the synthesis (and billing) of what is left
+  const controller = new AbortController();
+  res.on("close", () => {
+    if (!res.writableFinished) controller.abort(new Error("Client disconnected"));
+  });
+
+  let meter = null;
+  try {
+    const { files, opts } = await checkNarrateRequest(req);
+
+    const lex = await lexicons.getLexicon(opts.project);
+    meter = await reserveNarration(req, files, opts, lex, "batch");
 
     // ZIP response
     res.setHeader("Content-Type", "application/zip");
@@ -411,48 +1560,167 @@ app.post("/api/narrate/batch", upload.array("files"), async (req, res) => {
 
     archive.pipe(res);
 
-    // Process sequentially
-    for (const f of files) {
-      const originalName = f.originalname || "script.txt";
-      const base = originalName.replace(/\.(txt|docx)$/i, "");
-      const outName = `${base}.${container}`;
-
-      const rawText = f.buffer.toString("utf-8");
-
-      // 1) Pause tags
-      let text = applyPauseTags(rawText, { longPauseDots, useSilentPause });
-
-      // 2) Lexicon replacements
-      text = applyLexicon(text, lex.rawTerms);
-
-      // 3) Deepgram speak (chunked)
-      const audioBuf = await deepgramSpeakChunked({
-        apiKey: DEEPGRAM_API_KEY,
-        text,
-        model,
-        container,
-        encoding,
-        sampleRate,
-        bitRate,
-      });
+    // Synthesize concurrently, append in upload order. A failed script is
+    // recorded in the manifest and the rest of the batch carries on.
+    const pending = files.map((f) =>
+      narrateEntries(f, opts, lex, { meter, signal: controller.signal }).catch((error) => ({ error }))
+    );
 
-      archive.append(audioBuf, { name: outName });
+    const rows = [];
+    for (let i = 0; i < files.length; i++) {
+      const result = await pending[i];
+      if (controller.signal.aborted) return; // nobody to send the rest to
+      if (result.error) console.error(`Narrate batch: ${files[i].originalname} failed:`, result.error);
+      for (const entry of result.entries || []) archive.append(entry.data, { name: entry.name });
+      rows.push(manifestRow(files[i], result, { opts, lex }));
     }
 
+    for (const entry of manifestEntries(buildManifest(rows, { opts, lex }))) {
+      archive.append(entry.data, { name: entry.name });
+    }
     await archive.finalize();
   } catch (e) {
     console.error("Narrate batch error:", e);
     if (!res.headersSent) {
-      res.status(500).json({ error: String(e?.message || e) });
+      sendError(res, e);
     } else {
       try {
         res.end();
       } catch {}
     }
+  } finally {
+    usage.endMeter(meter);
+  }
+});
+
+// Async narration jobs: submit, poll progress, cancel, download ZIP later
+app.post("/api/narrate/jobs", requireRole("narrator"), narrateUpload, async (req, res) => {
+  try {
+    const { files, opts } = await checkNarrateRequest(req);
+    const lex = await lexicons.getLexicon(opts.project);
+    const meter = await reserveNarration(req, files, opts, lex, "job");
+
+    const job = createJob(files.map((f) => outputName(f, opts.container)), req.user.id);
+    runNarrateJob(job, files, opts, meter);
+
+    res.status(202).json(jobSummary(job));
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+// A job is only visible to the user who started it
+function ownJob(req) {
+  const job = getJob(req.params.id);
+  return job && job.owner === req.user.id ? job : null;
+}
+
+app.get("/api/narrate/jobs/:id", requireRole("narrator"), (req, res) => {
+  const job = ownJob(req);
+  if (!job) return res.status(404).json({ error: "Job not found" });
+  res.json(jobSummary(job));
+});
+
+app.post("/api/narrate/jobs/:id/cancel", requireRole("narrator"), (req, res) => {
+  const job = ownJob(req);
+  if (!job) return res.status(404).json({ error: "Job not found" });
+
+  cancelJob(job);
+  res.json(jobSummary(job));
+});
+
+app.get("/api/narrate/jobs/:id/download", requireRole("narrator"), (req, res) => {
+  const job = ownJob(req);
+  if (!job) return res.status(404).json({ error: "Job not found" });
+  if (job.status !== "done" || !job.zip) {
+    return res.status(409).json({ error: `Job is ${job.status}, no ZIP available` });
+  }
+
+  const { cacheHits, cacheMisses } = jobSummary(job);
+
+  res.setHeader("Content-Type", "application/zip");
+  res.setHeader("Content-Disposition", 'attachment; filename="narrations.zip"');
+  res.setHeader("X-Cache-Hits", String(cacheHits));
+  res.setHeader("X-Cache-Misses", String(cacheMisses));
+  res.send(job.zip);
+});
+
+// =====================
+// Usage and quotas
+// =====================
+const DAY_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+// ?groupBy=day,user,project,model (any subset, in order), ?from= and ?to=
+// (YYYY-MM-DD, UTC, inclusive), ?user= and ?project=. Only lexicon admins see
+// other users' usage; everyone else gets their own.
+function parseUsageQuery(req) {
+  const groupBy = String(req.query.groupBy || USAGE_GROUPS.join(","))
+    .split(",")
+    .map((g) => g.trim())
+    .filter(Boolean);
+  const unknown = groupBy.find((g) => !USAGE_GROUPS.includes(g));
+  if (unknown || !groupBy.length) {
+    throw new RequestError(`groupBy must be a comma-separated list of: ${USAGE_GROUPS.join(", ")}`);
+  }
+
+  const from = String(req.query.from || "");
+  const to = String(req.query.to || "");
+  for (const day of [from, to]) {
+    if (day && !DAY_RE.test(day)) throw new RequestError("from and to must be dates as YYYY-MM-DD");
+  }
+
+  const user = hasRole(req.user, "lexicon-admin") ? String(req.query.user || "") : req.user.username;
+  return { groupBy: [...new Set(groupBy)], from, to, user, project: parseProject(req.query.project) || "" };
+}
+
+app.get("/api/usage", requireRole("viewer"), async (req, res) => {
+  try {
+    const query = parseUsageQuery(req);
+    res.json({ ...query, rows: await usage.report(query) });
+  } catch (e) {
+    if (!e.status) console.error("Usage report error:", e);
+    sendError(res, e);
+  }
+});
+
+app.get("/api/usage/export.csv", requireRole("viewer"), async (req, res) => {
+  try {
+    const query = parseUsageQuery(req);
+    const csv = usage.reportCsv(await usage.report(query), query.groupBy);
+    res.setHeader("Content-Type", "text/csv; charset=utf-8");
+    res.setHeader("Content-Disposition", 'attachment; filename="usage.csv"');
+    res.send(csv);
+  } catch (e) {
+    if (!e.status) console.error("Usage export error:", e);
+    sendError(res, e);
+  }
+});
+
+// The signed-in user's quotas (and ?project='s) with what is left of them;
+// an empty list means no limits apply
+app.get("/api/usage/quota", requireRole("viewer"), async (req, res) => {
+  try {
+    const project = parseProject(req.query.project);
+    res.json({ quotas: await usage.quotaStatus({ user: req.user.username, project }) });
+  } catch (e) {
+    sendError(res, e);
   }
 });
 
 // ----- Start -----
-app.listen(PORT, () => {
+// A data file that can't be read stops the server before it takes requests
+try {
+  await Promise.all([auth.ready, lexiconStore.ready, usage.ready]);
+} catch (e) {
+  console.error(e.message);
+  process.exit(1);
+}
+
+app.listen(PORT, async () => {
   console.log(`Backend listening on http://localhost:${PORT}`);
+  if (AUTH_DISABLED) {
+    console.warn("AUTH_DISABLED is set: every request acts as a lexicon admin. Don't expose this server.");
+  } else if (!(await auth.countUsers())) {
+    console.warn("No users yet; add one with: npm run users -- add <username> lexicon-admin");
+  }
 });
\ No newline at end of file
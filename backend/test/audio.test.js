@@ -0,0 +1,142 @@
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  AudioFormatError,
+  audioDurationMs,
+  concatMp3,
+  concatPcmWav,
+  mp3Silence,
+  mp3SilenceFor,
+  parseWav,
+  pcmToWav,
+  streamingWavHeader,
+  wavSilence,
+} from "../audio.js";
+import { toneDurationMs } from "../providers/tone.js";
+import { narrateForm, readZip, startServer } from "./helpers.js";
+
+// A RIFF file built from [id, body] chunks, padded to even lengths
+function riff(chunks) {
+  const parts = chunks.map(([id, body]) => {
+    const head = Buffer.alloc(8);
+    head.write(id, 0, "ascii");
+    head.writeUInt32LE(body.length, 4);
+    return Buffer.concat([head, body, Buffer.alloc(body.length & 1)]);
+  });
+  const head = Buffer.from("RIFF\0\0\0\0WAVE", "ascii");
+  head.writeUInt32LE(4 + parts.reduce((n, p) => n + p.length, 0), 4);
+  return Buffer.concat([head, ...parts]);
+}
+
+function fmtChunk({ audioFormat = 1, channels = 1, sampleRate = 24000, bitsPerSample = 16 } = {}) {
+  const body = Buffer.alloc(16);
+  const blockAlign = channels * (bitsPerSample / 8);
+  body.writeUInt16LE(audioFormat, 0);
+  body.writeUInt16LE(channels, 2);
+  body.writeUInt32LE(sampleRate, 4);
+  body.writeUInt32LE(sampleRate * blockAlign, 8);
+  body.writeUInt16LE(blockAlign, 12);
+  body.writeUInt16LE(bitsPerSample, 14);
+  return ["fmt ", body];
+}
+
+describe("WAV parsing", () => {
+  test("skips other chunks, including odd-sized ones", () => {
+    const pcm = Buffer.from([1, 0, 2, 0, 3, 0]);
+    const wav = riff([["LIST", Buffer.from("abc")], fmtChunk(), ["fact", Buffer.alloc(4)], ["data", pcm]]);
+    const { fmt, data } = parseWav(wav);
+    assert.equal(fmt.sampleRate, 24000);
+    assert.deepEqual(data, pcm);
+  });
+
+  test("reads a streamed WAV with unknown sizes to the end", () => {
+    const pcm = Buffer.alloc(480);
+    const { data } = parseWav(Buffer.concat([streamingWavHeader({ sampleRate: 24000 }), pcm]));
+    assert.equal(data.length, 480);
+  });
+
+  test("drops a trailing partial frame", () => {
+    const { data } = parseWav(riff([fmtChunk({ channels: 2 }), ["data", Buffer.alloc(11)]]));
+    assert.equal(data.length, 8);
+  });
+
+  test("rejects what isn't a usable WAV", () => {
+    assert.throws(() => parseWav(Buffer.from("ID3 not a wave file")), /not a RIFF\/WAVE file/);
+    assert.throws(() => parseWav(riff([["data", Buffer.alloc(4)]])), /no fmt chunk/);
+    assert.throws(() => parseWav(riff([fmtChunk()])), /no data chunk/);
+    const float = riff([fmtChunk({ audioFormat: 3 }), ["data", Buffer.alloc(4)]]);
+    assert.throws(() => parseWav(float), AudioFormatError);
+  });
+
+  test("joins parts under one header and refuses mixed formats", () => {
+    const a = pcmToWav(Buffer.alloc(100), { sampleRate: 24000 });
+    const b = riff([["LIST", Buffer.alloc(6)], fmtChunk(), ["data", Buffer.alloc(50)]]);
+    const joined = concatPcmWav([a, b]);
+    assert.equal(joined.length, 44 + 150);
+    assert.equal(joined.readUInt32LE(4), 36 + 150);
+    assert.equal(parseWav(joined).data.length, 150);
+
+    const other = pcmToWav(Buffer.alloc(100), { sampleRate: 48000 });
+    assert.throws(() => concatPcmWav([a, other]), /WAV part 2 is PCM 48000 Hz.*expected PCM 24000 Hz/);
+  });
+});
+
+describe("timed silence", () => {
+  test("WAV silence matches the template's format", () => {
+    const mulaw = wavSilence(250, null, { encoding: "mulaw", sampleRate: 8000 });
+    const { fmt, data } = parseWav(mulaw);
+    assert.equal(fmt.audioFormat, 7);
+    assert.equal(data.length, 2000);
+    assert.ok(data.every((b) => b === 0xff));
+
+    const copy = parseWav(wavSilence(100, mulaw));
+    assert.deepEqual(copy.fmt, fmt);
+    assert.equal(audioDurationMs(wavSilence(750, null, { sampleRate: 24000 }), "wav"), 750);
+  });
+
+  test("MP3 silence is whole frames of the requested length", () => {
+    const silence = mp3SilenceFor(1000, { sampleRate: 24000, bitRate: 64000 });
+    assert.ok(Math.abs(audioDurationMs(silence, "mp3") - 1000) <= 24);
+
+    const copy = mp3Silence(480, silence);
+    assert.equal(audioDurationMs(copy, "mp3"), 480);
+    assert.equal(mp3Silence(480, Buffer.from("not mp3")).length, 0);
+  });
+
+  test("joined MP3 parts last as long as their sum", () => {
+    const parts = [300, 1200, 600].map((ms) => mp3SilenceFor(ms, { sampleRate: 48000 }));
+    const total = parts.reduce((n, p) => n + audioDurationMs(p, "mp3"), 0);
+    assert.equal(audioDurationMs(concatMp3(parts), "mp3"), total);
+  });
+});
+
+describe("pause tags", () => {
+  let server;
+  before(async () => (server = await startServer()));
+  after(() => server.stop());
+
+  async function narrate(fields) {
+    const res = await fetch(`${server.url}/api/narrate/batch`, {
+      method: "POST",
+      body: narrateForm([["pause.txt", "Hello. [PAUSE=1500ms] World."]], { model: "tone:mid", ...fields }),
+    });
+    assert.equal(res.status, 200, await res.clone().text());
+    return readZip(res);
+  }
+
+  test("become exact silence in WAV output", async () => {
+    const zip = await narrate({ container: "wav", sampleRate: "24000" });
+    const { data } = parseWav(zip["pause.wav"]);
+    const speech = toneDurationMs("Hello.");
+    assert.equal(data.length / 2 / 24, speech + 1500 + toneDurationMs("World."));
+
+    const gap = data.subarray((speech + 100) * 48, (speech + 1400) * 48); // 24 frames of 2 bytes per ms
+    assert.ok(gap.every((b) => b === 0));
+  });
+
+  test("become silent frames in MP3 output", async () => {
+    const zip = await narrate({ container: "mp3" });
+    const expected = 2 * toneDurationMs("Hello.") + 1500;
+    assert.ok(Math.abs(audioDurationMs(zip["pause.mp3"], "mp3") - expected) <= 3 * 24);
+  });
+});
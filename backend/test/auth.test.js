@@ -0,0 +1,177 @@
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { mkdir, mkdtemp, readFile, rm, writeFile } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import path from "node:path";
+import { AuthError, createAuth, hasRole } from "../auth.js";
+import { narrateForm, startServer } from "./helpers.js";
+
+let dir;
+
+before(async () => {
+  dir = await mkdtemp(path.join(tmpdir(), "auth-test-"));
+});
+
+after(async () => {
+  await rm(dir, { recursive: true, force: true });
+});
+
+describe("roles", () => {
+  test("each role includes the ones below it", () => {
+    assert.ok(hasRole({ role: "lexicon-admin" }, "narrator"));
+    assert.ok(hasRole({ role: "narrator" }, "viewer"));
+    assert.ok(!hasRole({ role: "viewer" }, "narrator"));
+    assert.ok(!hasRole(null, "viewer"));
+  });
+});
+
+describe("createAuth", () => {
+  let auth;
+  before(async () => {
+    auth = createAuth({ dir: path.join(dir, "unit"), sessionTtlMs: 60_000 });
+    await auth.createUser({ username: "Ana", password: "correct horse", role: "narrator" });
+  });
+
+  test("users are validated and stored without their password", async () => {
+    await assert.rejects(auth.createUser({ username: "ana", password: "whatever1", role: "viewer" }), {
+      status: 409,
+    });
+    await assert.rejects(auth.createUser({ username: "bo", password: "short", role: "viewer" }), {
+      status: 400,
+    });
+    await assert.rejects(auth.createUser({ username: "bo", password: "long enough", role: "owner" }), {
+      status: 400,
+    });
+
+    const stored = await readFile(path.join(dir, "unit/users.json"), "utf8");
+    assert.doesNotMatch(stored, /correct horse/);
+    assert.deepEqual(
+      (await auth.listUsers()).map((u) => [u.username, u.role]),
+      [["Ana", "narrator"]]
+    );
+  });
+
+  test("a login gives a session token until logout", async () => {
+    await assert.rejects(auth.login("ana", "wrong password"), AuthError);
+    const { token, user } = await auth.login("ana", "correct horse");
+    assert.equal(user.username, "Ana");
+    assert.equal((await auth.authenticate(token)).role, "narrator");
+    auth.logout(token);
+    assert.equal(await auth.authenticate(token), null);
+  });
+
+  test("a new password ends existing sessions", async () => {
+    const { token } = await auth.login("ana", "correct horse");
+    await auth.updateUser("ana", { password: "battery staple" });
+    assert.equal(await auth.authenticate(token), null);
+    await auth.updateUser("ana", { password: "correct horse" });
+  });
+
+  test("API tokens are shown once and work until revoked", async () => {
+    const [user] = await auth.listUsers();
+    const created = await auth.createToken(user.id, "CI");
+    assert.match(created.token, /^mnt_/);
+    assert.deepEqual(
+      (await auth.listTokens(user.id)).map((t) => t.name),
+      ["CI"]
+    );
+    assert.doesNotMatch(await readFile(path.join(dir, "unit/users.json"), "utf8"), new RegExp(created.token));
+
+    assert.equal((await auth.authenticate(created.token)).username, "Ana");
+    await auth.revokeToken(user.id, created.id);
+    assert.equal(await auth.authenticate(created.token), null);
+  });
+});
+
+describe("a corrupt users file", () => {
+  test("is reported with its path", async () => {
+    const authDir = path.join(dir, "corrupt");
+    await mkdir(authDir);
+    await writeFile(path.join(authDir, "users.json"), "{bad");
+    await assert.rejects(createAuth({ dir: authDir, sessionTtlMs: 60_000 }).ready, /Can't read .*users\.json/);
+  });
+
+  test("stops the server before it listens", async () => {
+    await assert.rejects(startServer({ AUTH_DISABLED: "false", AUTH_DIR: path.join(dir, "corrupt") }), (e) => {
+      assert.match(e.message, /Can't read .*users\.json/);
+      assert.doesNotMatch(e.message, /Backend listening/);
+      return true;
+    });
+  });
+});
+
+describe("signed-in routes", () => {
+  let server;
+  const tokens = {};
+
+  before(async () => {
+    const authDir = path.join(dir, "server");
+    const auth = createAuth({ dir: authDir, sessionTtlMs: 60_000 });
+    for (const role of ["viewer", "narrator", "lexicon-admin"]) {
+      await auth.createUser({ username: role, password: "password1", role });
+    }
+    server = await startServer({ AUTH_DISABLED: "false", AUTH_DIR: authDir });
+    for (const role of ["viewer", "narrator", "lexicon-admin"]) {
+      const res = await fetch(`${server.url}/api/auth/login`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ username: role, password: "password1" }),
+      });
+      assert.equal(res.status, 200, await res.clone().text());
+      tokens[role] = (await res.json()).token;
+    }
+  });
+  after(() => server.stop());
+
+  const get = (route, role) =>
+    fetch(`${server.url}${route}`, { headers: role ? { Authorization: `Bearer ${tokens[role]}` } : {} });
+
+  test("need a session or API token", async () => {
+    const res = await get("/api/voices");
+    assert.equal(res.status, 401);
+    assert.equal(res.headers.get("WWW-Authenticate"), "Bearer");
+    assert.equal((await get("/api/health")).status, 200);
+  });
+
+  test("a wrong password is a 401", async () => {
+    const res = await fetch(`${server.url}/api/auth/login`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ username: "viewer", password: "password2" }),
+    });
+    assert.equal(res.status, 401);
+  });
+
+  test("are limited by role", async () => {
+    assert.equal((await get("/api/voices", "viewer")).status, 200);
+
+    const preflight = (role) =>
+      fetch(`${server.url}/api/narrate/preflight`, {
+        method: "POST",
+        headers: { Authorization: `Bearer ${tokens[role]}` },
+        body: narrateForm([["a.txt", "Hello."]], { model: "tone:mid" }),
+      });
+    assert.equal((await preflight("viewer")).status, 403);
+    assert.equal((await preflight("narrator")).status, 200);
+
+    const refresh = (role) =>
+      fetch(`${server.url}/api/lexicon/refresh`, {
+        method: "POST",
+        headers: { Authorization: `Bearer ${tokens[role]}` },
+      });
+    assert.equal((await refresh("narrator")).status, 403);
+    assert.notEqual((await refresh("lexicon-admin")).status, 403);
+  });
+
+  test("an API token acts as its user", async () => {
+    const res = await fetch(`${server.url}/api/auth/tokens`, {
+      method: "POST",
+      headers: { Authorization: `Bearer ${tokens.narrator}`, "Content-Type": "application/json" },
+      body: JSON.stringify({ name: "script" }),
+    });
+    assert.equal(res.status, 201);
+    const { token } = await res.json();
+    const me = await fetch(`${server.url}/api/auth/me`, { headers: { Authorization: `Bearer ${token}` } });
+    assert.equal((await me.json()).user.username, "narrator");
+  });
+});
@@ -0,0 +1,66 @@
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtemp, rm, utimes } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import path from "node:path";
+import { chunkCacheKey, createChunkCache } from "../cache.js";
+
+describe("chunkCacheKey", () => {
+  const base = { provider: "tone", voice: "mid", text: "Hello.", container: "wav", sampleRate: 24000 };
+
+  test("changes with anything that changes the audio", () => {
+    const key = chunkCacheKey(base);
+    assert.match(key, /^[0-9a-f]{64}$/);
+    assert.equal(chunkCacheKey({ ...base }), key);
+    for (const change of [{ voice: "low" }, { text: "Hello!" }, { sampleRate: 48000 }, { container: "mp3" }]) {
+      assert.notEqual(chunkCacheKey({ ...base, ...change }), key, JSON.stringify(change));
+    }
+  });
+});
+
+describe("createChunkCache", () => {
+  let dir;
+  before(async () => (dir = await mkdtemp(path.join(tmpdir(), "chunk-cache-"))));
+  after(() => rm(dir, { recursive: true, force: true }));
+
+  const key = (n) => chunkCacheKey({ provider: "tone", voice: "mid", text: `chunk ${n}` });
+
+  test("stores chunks and evicts the least recently used", async () => {
+    const cache = createChunkCache({ dir: path.join(dir, "lru"), maxBytes: 30 });
+    await cache.put(key(1), Buffer.alloc(10, 1));
+    await cache.put(key(2), Buffer.alloc(10, 2));
+    assert.deepEqual(await cache.get(key(1)), Buffer.alloc(10, 1)); // 1 is now the most recent
+
+    await cache.put(key(3), Buffer.alloc(15, 3));
+    assert.equal(await cache.has(key(2)), false);
+    assert.equal(await cache.has(key(1)), true);
+    assert.deepEqual(cache.status(), { enabled: true, entries: 2, bytes: 25, maxBytes: 30 });
+  });
+
+  test("picks up what it held before a restart, oldest first", async () => {
+    const sub = path.join(dir, "restart");
+    const first = createChunkCache({ dir: sub, maxBytes: 100 });
+    await first.put(key(1), Buffer.alloc(40));
+    await first.put(key(2), Buffer.alloc(40));
+    const old = new Date(Date.now() - 60_000);
+    await utimes(path.join(sub, key(2).slice(0, 2), key(2)), old, old);
+
+    const second = createChunkCache({ dir: sub, maxBytes: 100 });
+    await second.put(key(3), Buffer.alloc(40));
+    assert.equal(await second.has(key(2)), false);
+    assert.equal(await second.has(key(1)), true);
+  });
+
+  test("is off without a directory or size", async () => {
+    const cache = createChunkCache({ dir: "", maxBytes: 100 });
+    await cache.put(key(1), Buffer.alloc(1));
+    assert.equal(await cache.get(key(1)), null);
+    assert.equal(cache.status().enabled, false);
+  });
+
+  test("chunks larger than the whole cache aren't stored", async () => {
+    const cache = createChunkCache({ dir: path.join(dir, "small"), maxBytes: 5 });
+    await cache.put(key(1), Buffer.alloc(6));
+    assert.equal(await cache.has(key(1)), false);
+  });
+});
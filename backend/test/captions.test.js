@@ -0,0 +1,78 @@
+import { describe, test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { buildCues, parseCaptionOptions, toSrt, toVtt } from "../captions.js";
+import scriptMarkup from "../../shared/script-markup.js";
+import { narrateForm, readZip, startServer } from "./helpers.js";
+
+const { stripMarkup } = scriptMarkup;
+
+const timeline = [
+  { type: "text", text: "Take two tablets. ", ms: 1000 },
+  { type: "pause", ms: 500 },
+  { type: "text", text: "Call if it hurts.", ms: 1000 },
+];
+
+describe("cues", () => {
+  test("sentences are timed from the spoken timeline", () => {
+    const cues = buildCues(timeline, "Take 2 tablets. Call if it hurts.");
+    assert.deepEqual(cues.map((c) => c.text), ["Take 2 tablets.", "Call if it hurts."]);
+    assert.equal(cues[0].start, 0);
+    assert.ok(cues[1].start >= 1500, "the second cue starts after the pause");
+    assert.equal(cues[1].end, 2500);
+  });
+
+  test("long sentences are split and wrapped", () => {
+    const text = "This sentence is long enough that it needs more than one caption cue to show.";
+    const cues = buildCues([{ type: "text", text, ms: 4000 }], text, { maxChars: 40, lineWidth: 20 });
+    assert.ok(cues.length > 1);
+    for (const cue of cues) {
+      for (const line of cue.text.split("\n")) assert.ok(line.length <= 20, line);
+    }
+  });
+
+  test("SRT and WebVTT", () => {
+    const cues = [{ start: 0, end: 1234, text: "Hello." }];
+    assert.equal(toSrt(cues), "1\n00:00:00,000 --> 00:00:01,234\nHello.\n");
+    assert.equal(toVtt(cues), "WEBVTT\n\n1\n00:00:00.000 --> 00:00:01.234\nHello.\n");
+  });
+
+  test("options are opt-in and validated", () => {
+    assert.equal(parseCaptionOptions({}), null);
+    assert.deepEqual(parseCaptionOptions({ captions: "true" }), { maxChars: 84, lineWidth: 42 });
+    assert.throws(() => parseCaptionOptions({ captions: "true", captionMaxChars: "5" }), { status: 400 });
+  });
+
+  test("speaker labels are dropped from caption text", () => {
+    const text = "NURSE: Hello there.\nDR. LEE: Take [SUB alias=\"doctor\"]Dr.[/SUB] Lee's advice.";
+    assert.equal(stripMarkup(text, { speakers: true }), "Hello there.\nTake Dr. Lee's advice.");
+    assert.equal(stripMarkup("NURSE: Hello."), "NURSE: Hello.");
+  });
+});
+
+describe("narration with captions", () => {
+  let server;
+  before(async () => {
+    server = await startServer();
+  });
+  after(() => server.stop());
+
+  test("multi-voice captions leave out the speaker labels", async () => {
+    const script = "NURSE: Hello there.\nDOCTOR: Take two tablets daily.";
+    const r = await fetch(`${server.url}/api/narrate/batch`, {
+      method: "POST",
+      body: narrateForm([["visit.txt", script]], {
+        model: "tone:mid",
+        cast: JSON.stringify({ NURSE: "tone:low", DOCTOR: "tone:high" }),
+        captions: "true",
+      }),
+    });
+    assert.equal(r.status, 200, await r.clone().text());
+
+    const files = await readZip(r);
+    const srt = files["visit.srt"].toString("utf8");
+    const vtt = files["visit.vtt"].toString("utf8");
+    assert.match(srt, /Hello there\./);
+    assert.match(vtt, /Take two tablets daily\./);
+    assert.doesNotMatch(srt + vtt, /NURSE|DOCTOR/);
+  });
+});
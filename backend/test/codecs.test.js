@@ -0,0 +1,131 @@
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { createHash } from "node:crypto";
+import { encodeAudio, resample } from "../codecs.js";
+import { audioDurationMs, parseWav } from "../audio.js";
+import { narrateForm, readZip, startServer } from "./helpers.js";
+
+function sine(hz, ms, sampleRate, amplitude = 0.5) {
+  const out = new Float32Array(Math.round((ms * sampleRate) / 1000));
+  for (let i = 0; i < out.length; i++) out[i] = amplitude * Math.sin((2 * Math.PI * hz * i) / sampleRate);
+  return out;
+}
+
+function rms(samples, from = 0, to = samples.length) {
+  let sum = 0;
+  for (let i = from; i < to; i++) sum += samples[i] * samples[i];
+  return Math.sqrt(sum / (to - from));
+}
+
+// Sign changes per second: twice the tone's frequency
+function crossingsPerSecond(samples, sampleRate) {
+  let n = 0;
+  for (let i = 1; i < samples.length; i++) if (samples[i - 1] < 0 !== samples[i] < 0) n++;
+  return (n * sampleRate) / samples.length;
+}
+
+describe("resample", () => {
+  test("keeps the length in time and the tone's pitch", () => {
+    const out = resample(sine(440, 500, 48000), 1, 48000, 16000);
+    assert.equal(out.length, 8000);
+    assert.ok(Math.abs(crossingsPerSecond(out, 16000) - 880) < 10);
+    assert.ok(Math.abs(rms(out, 1000, 7000) - 0.5 / Math.SQRT2) < 0.01);
+  });
+
+  test("filters out what the new rate can't hold", () => {
+    const out = resample(sine(10000, 500, 48000), 1, 48000, 16000);
+    assert.ok(rms(out, 1000, 7000) < 0.01);
+  });
+
+  test("works per channel and passes same-rate audio through", () => {
+    const stereo = new Float32Array(9600);
+    for (let i = 0; i < stereo.length; i += 2) stereo[i] = 0.5;
+    const out = resample(stereo, 2, 48000, 24000);
+    assert.equal(out.length, 4800);
+    assert.ok(Math.abs(out[2000] - 0.5) < 0.01 && Math.abs(out[2001]) < 0.01);
+    assert.equal(resample(stereo, 2, 48000, 48000), stereo);
+  });
+});
+
+describe("encodeAudio", () => {
+  const samples = sine(440, 1000, 8000);
+
+  test("G.711 WAV uses one byte per sample and its own format code", () => {
+    for (const [encoding, code] of [
+      ["mulaw", 7],
+      ["alaw", 6],
+    ]) {
+      const wav = encodeAudio(samples, { container: "wav", encoding, sampleRate: 8000, channels: 1 });
+      const { fmt, data } = parseWav(wav);
+      assert.equal(fmt.audioFormat, code);
+      assert.equal(fmt.bitsPerSample, 8);
+      assert.equal(data.length, samples.length);
+      assert.equal(audioDurationMs(wav, "wav"), 1000);
+    }
+    // Standard codes for silence
+    const silence = new Float32Array(1);
+    const byte = (encoding) =>
+      parseWav(encodeAudio(silence, { container: "wav", encoding, sampleRate: 8000, channels: 1 })).data[0];
+    assert.equal(byte("mulaw"), 0xff);
+    assert.equal(byte("alaw"), 0xd5);
+  });
+
+  test("FLAC carries the stream info and an MD5 of the samples", () => {
+    const flac = encodeAudio(samples, { container: "flac", sampleRate: 8000, channels: 1 });
+    assert.equal(flac.toString("ascii", 0, 4), "fLaC");
+    assert.equal(audioDurationMs(flac, "flac"), 1000);
+
+    const pcm = Buffer.alloc(samples.length * 2);
+    samples.forEach((v, i) => pcm.writeInt16LE(Math.round(v * 32768), i * 2));
+    assert.deepEqual(flac.subarray(26, 42), createHash("md5").update(pcm).digest());
+    assert.ok(flac.length < pcm.length, "compresses the tone");
+  });
+
+  test("Ogg Opus starts with OpusHead and trims the encoder padding", () => {
+    const ogg = encodeAudio(sine(440, 1000, 48000), { container: "ogg", channels: 1, bitRate: 32000 });
+    assert.equal(ogg.toString("ascii", 0, 4), "OggS");
+    assert.ok(ogg.includes("OpusHead") && ogg.includes("OpusTags"));
+    assert.equal(audioDurationMs(ogg, "ogg"), 1000);
+  });
+
+  test("formats without a local encoder are refused", () => {
+    assert.throws(() => encodeAudio(samples, { container: "mp3" }), /Can't encode mp3 locally/);
+  });
+});
+
+describe("narration output formats", () => {
+  let server;
+  before(async () => (server = await startServer()));
+  after(() => server.stop());
+
+  const narrate = (fields) =>
+    fetch(`${server.url}/api/narrate/batch`, {
+      method: "POST",
+      body: narrateForm([["dose.txt", "Take two tablets."]], { model: "tone:mid", ...fields }),
+    });
+
+  for (const [fields, name, check] of [
+    [{ container: "flac", sampleRate: "16000" }, "dose.flac", (buf) => buf.toString("ascii", 0, 4) === "fLaC"],
+    [{ container: "ogg" }, "dose.ogg", (buf) => buf.toString("ascii", 0, 4) === "OggS"],
+    [
+      { container: "wav", encoding: "mulaw", sampleRate: "8000" },
+      "dose.wav",
+      (buf) => parseWav(buf).fmt.audioFormat === 7 && parseWav(buf).fmt.sampleRate === 8000,
+    ],
+  ]) {
+    test(`${fields.container} ${fields.encoding || ""}`.trim(), async () => {
+      const res = await narrate(fields);
+      assert.equal(res.status, 200, await res.clone().text());
+      const files = await readZip(res);
+      assert.ok(check(files[name]));
+      // The tone is 60 ms per character
+      const ms = audioDurationMs(files[name], fields.container);
+      assert.ok(Math.abs(ms - 17 * 60) < 25, `${ms} ms`);
+    });
+  }
+
+  test("unsupported rates and encodings are rejected", async () => {
+    assert.equal((await narrate({ container: "flac", sampleRate: "11025" })).status, 400);
+    assert.equal((await narrate({ container: "wav", encoding: "gsm" })).status, 400);
+  });
+});
@@ -0,0 +1,159 @@
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import JSZip from "jszip";
+import { DocumentError, extractDocument } from "../documents.js";
+import { narrateForm, readZip, startServer } from "./helpers.js";
+
+const OOXML = "http://schemas.openxmlformats.org";
+const REL = `${OOXML}/officeDocument/2006/relationships`;
+
+async function zipOf(files) {
+  const zip = new JSZip();
+  for (const [name, text] of Object.entries(files)) zip.file(name, text);
+  return zip.generateAsync({ type: "nodebuffer" });
+}
+
+function docx(paragraphs) {
+  const body = paragraphs.map((p) => `<w:p><w:r><w:t>${p}</w:t></w:r></w:p>`).join("");
+  return zipOf({
+    "[Content_Types].xml":
+      `<?xml version="1.0"?><Types xmlns="${OOXML}/package/2006/content-types">` +
+      '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+      '<Default Extension="xml" ContentType="application/xml"/></Types>',
+    "_rels/.rels":
+      `<?xml version="1.0"?><Relationships xmlns="${OOXML}/package/2006/relationships">` +
+      `<Relationship Id="rId1" Type="${REL}/officeDocument" Target="word/document.xml"/></Relationships>`,
+    "word/document.xml":
+      `<?xml version="1.0"?><w:document xmlns:w="${OOXML}/wordprocessingml/2006/main">` +
+      `<w:body>${body}</w:body></w:document>`,
+  });
+}
+
+// notes: one entry per slide, null for a slide without notes
+function pptx(notes) {
+  const rel = ([id, type, target]) => `<Relationship Id="${id}" Type="${REL}/${type}" Target="${target}"/>`;
+  const rels = (items) => `<Relationships>${items.map(rel).join("")}</Relationships>`;
+  const files = {
+    "ppt/presentation.xml": `<p:presentation><p:sldIdLst>${notes
+      .map((_, i) => `<p:sldId id="${256 + i}" r:id="rId${i + 1}"/>`)
+      .join("")}</p:sldIdLst></p:presentation>`,
+    "ppt/_rels/presentation.xml.rels": rels(
+      notes.map((_, i) => [`rId${i + 1}`, "slide", `slides/slide${i + 1}.xml`])
+    ),
+  };
+  notes.forEach((text, i) => {
+    files[`ppt/slides/slide${i + 1}.xml`] = "<p:sld/>";
+    if (text === null) return;
+    files[`ppt/slides/_rels/slide${i + 1}.xml.rels`] = rels([
+      ["rId1", "notesSlide", `../notesSlides/notesSlide${i + 1}.xml`],
+    ]);
+    files[`ppt/notesSlides/notesSlide${i + 1}.xml`] =
+      '<p:notes><p:sp><p:nvSpPr><p:nvPr><p:ph type="sldImg"/></p:nvPr></p:nvSpPr></p:sp>' +
+      '<p:sp><p:nvSpPr><p:nvPr><p:ph type="body" idx="1"/></p:nvPr></p:nvSpPr><p:txBody>' +
+      `<a:p><a:r><a:t>${text}</a:t></a:r></a:p></p:txBody></p:sp></p:notes>`;
+  });
+  return zipOf(files);
+}
+
+describe("extractDocument", () => {
+  test("plain text loses its byte order mark", async () => {
+    const [doc] = await extractDocument("a.txt", Buffer.from("\ufeffHello."));
+    assert.deepEqual(doc, { name: "a", text: "Hello." });
+  });
+
+  test("DOCX paragraphs are separated by a blank line", async () => {
+    const [doc] = await extractDocument("Intro.docx", await docx(["First  paragraph.", "Second &amp; last."]));
+    assert.deepEqual(doc, { name: "Intro", text: "First paragraph.\n\nSecond & last." });
+  });
+
+  test("a PPTX deck becomes one script per slide with notes", async () => {
+    const slides = await extractDocument("Deck.pptx", await pptx(["Welcome.", null, "Dose &lt; 5 mg."]));
+    assert.deepEqual(slides, [
+      { name: "Deck_Slide01", text: "Welcome." },
+      { name: "Deck_Slide03", text: "Dose < 5 mg." },
+    ]);
+  });
+
+  test("corrupt or empty documents are DocumentErrors", async () => {
+    await assert.rejects(extractDocument("bad.docx", Buffer.from("not a zip")), DocumentError);
+    await assert.rejects(extractDocument("bad.pptx", Buffer.from("not a zip")), DocumentError);
+    await assert.rejects(extractDocument("empty.pptx", await pptx([null])), /No speaker notes/);
+  });
+});
+
+describe("document uploads", () => {
+  let server;
+  before(async () => (server = await startServer()));
+  after(() => server.stop());
+
+  test("a deck is narrated one file per slide with notes", async () => {
+    const res = await fetch(`${server.url}/api/narrate/batch`, {
+      method: "POST",
+      body: narrateForm([["Deck.pptx", await pptx(["Welcome.", null, "Rest."])]], { model: "tone:mid" }),
+    });
+    assert.equal(res.status, 200, await res.clone().text());
+    const zip = await readZip(res);
+    assert.ok(zip["Deck_Slide01.wav"] && zip["Deck_Slide03.wav"]);
+    assert.equal(zip["Deck_Slide02.wav"], undefined);
+  });
+});
+
+describe("unreadable uploads", () => {
+  let server;
+  before(async () => (server = await startServer()));
+  after(() => server.stop());
+
+  const uploads = [
+    ["broken.docx", "not a zip"],
+    ["good.txt", "This one is fine."],
+  ];
+
+  test("fail only their own row of a batch", async () => {
+    const res = await fetch(`${server.url}/api/narrate/batch`, {
+      method: "POST",
+      body: narrateForm(uploads, { model: "tone:mid" }),
+    });
+    assert.equal(res.status, 200, await res.clone().text());
+
+    const zip = await readZip(res);
+    const manifest = JSON.parse(zip["manifest.json"]);
+    assert.deepEqual(
+      manifest.files.map((f) => [f.file, f.status]),
+      [
+        ["broken.docx", "failed"],
+        ["good.txt", "done"],
+      ]
+    );
+    assert.match(manifest.files[0].error, /Could not read broken.docx/);
+    assert.ok(zip["good.wav"]);
+  });
+
+  test("fail only their own file of a job", async () => {
+    const res = await fetch(`${server.url}/api/narrate/jobs`, {
+      method: "POST",
+      body: narrateForm(uploads, { model: "tone:mid" }),
+    });
+    assert.equal(res.status, 202, await res.clone().text());
+    let job = await res.json();
+    while (!["done", "failed", "cancelled"].includes(job.status)) {
+      await new Promise((r) => setTimeout(r, 50));
+      job = await (await fetch(`${server.url}/api/narrate/jobs/${job.id}`)).json();
+    }
+    assert.equal(job.status, "done");
+    assert.deepEqual(
+      job.files.map((f) => f.status),
+      ["failed", "done"]
+    );
+  });
+
+  test("are flagged by the preflight", async () => {
+    const res = await fetch(`${server.url}/api/narrate/preflight`, {
+      method: "POST",
+      body: narrateForm(uploads, { model: "tone:mid" }),
+    });
+    assert.equal(res.status, 200, await res.clone().text());
+    const { files } = await res.json();
+    assert.match(files[0].error, /Could not read broken.docx/);
+    assert.equal(files[1].error, undefined);
+  });
+});
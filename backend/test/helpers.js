@@ -0,0 +1,92 @@
+// Shared by the *.test.js files: runs server.js on a free port with the offline
+// tone provider, auth off and every data directory in a temp dir
+import { spawn } from "node:child_process";
+import { once } from "node:events";
+import { mkdtemp, rm } from "node:fs/promises";
+import { createServer } from "node:net";
+import { tmpdir } from "node:os";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import JSZip from "jszip";
+
+const BACKEND_DIR = fileURLToPath(new URL("..", import.meta.url));
+const START_TIMEOUT_MS = 15_000;
+
+async function freePort() {
+  const server = createServer().listen(0, "127.0.0.1");
+  await once(server, "listening");
+  const { port } = server.address();
+  server.close();
+  await once(server, "close");
+  return port;
+}
+
+export async function startServer(env = {}) {
+  const dir = await mkdtemp(path.join(tmpdir(), "narration-test-"));
+  const port = await freePort();
+  const child = spawn(process.execPath, ["server.js"], {
+    cwd: BACKEND_DIR,
+    env: {
+      PATH: process.env.PATH,
+      PORT: String(port),
+      AUTH_DISABLED: "true",
+      TONE_TTS_ENABLED: "true",
+      TTS_DEFAULT_PROVIDER: "tone",
+      AUTH_DIR: path.join(dir, "auth"),
+      USAGE_DIR: path.join(dir, "usage"),
+      TTS_CACHE_DIR: path.join(dir, "tts-cache"),
+      LEXICON_STORE_DIR: path.join(dir, "lexicons/managed"),
+      LEXICON_PROJECT_DIR: path.join(dir, "lexicons/projects"),
+      ...env,
+    },
+    stdio: ["ignore", "pipe", "pipe"],
+  });
+
+  let output = "";
+  child.stdout.on("data", (d) => (output += d));
+  child.stderr.on("data", (d) => (output += d));
+  const closed = once(child, "close"); // after the last output
+
+  const started = Date.now();
+  while (!output.includes("Backend listening")) {
+    if (child.exitCode !== null) {
+      await closed;
+      await rm(dir, { recursive: true, force: true });
+      throw new Error(`server.js exited:\n${output}`);
+    }
+    if (Date.now() - started > START_TIMEOUT_MS) {
+      child.kill();
+      throw new Error(`server.js didn't start:\n${output}`);
+    }
+    await new Promise((r) => setTimeout(r, 50));
+  }
+
+  return {
+    url: `http://127.0.0.1:${port}`,
+    dir,
+    output: () => output,
+    async stop() {
+      if (child.exitCode === null) {
+        child.kill();
+        await once(child, "exit");
+      }
+      await rm(dir, { recursive: true, force: true });
+    },
+  };
+}
+
+// multipart body for the narrate routes: files are [name, text] pairs
+export function narrateForm(files, fields = {}) {
+  const form = new FormData();
+  for (const [name, text] of files) form.append("files", new Blob([text]), name);
+  for (const [key, value] of Object.entries(fields)) form.append(key, value);
+  return form;
+}
+
+// { [name]: Buffer } of a ZIP response
+export async function readZip(response) {
+  const zip = await JSZip.loadAsync(Buffer.from(await response.arrayBuffer()));
+  const out = {};
+  for (const name of Object.keys(zip.files)) out[name] = await zip.files[name].async("nodebuffer");
+  return out;
+}
@@ -0,0 +1,127 @@
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { once } from "node:events";
+import { createServer } from "node:http";
+import { pcmToWav } from "../audio.js";
+import { cancelJob, createJob, finishJob, jobSummary, throwIfCancelled, JobCancelledError } from "../jobs.js";
+import { narrateForm, readZip, startServer } from "./helpers.js";
+
+describe("job registry", () => {
+  test("a cancel isn't overwritten by a late finish", () => {
+    const job = createJob(["a.wav", "b.wav"]);
+    job.files[0].status = "done";
+
+    assert.equal(cancelJob(job), true);
+    assert.throws(() => throwIfCancelled(job), JobCancelledError);
+
+    finishJob(job, "done");
+    const summary = jobSummary(job);
+    assert.equal(summary.status, "cancelled");
+    assert.deepEqual(summary.files.map((f) => f.status), ["done", "cancelled"]);
+    assert.equal(summary.downloadReady, false);
+    assert.equal(cancelJob(job), false);
+  });
+
+  test("failing marks unfinished files failed", () => {
+    const job = createJob(["a.wav"]);
+    finishJob(job, "failed", new Error("boom"));
+    assert.equal(job.error, "boom");
+    assert.equal(job.files[0].status, "failed");
+  });
+});
+
+describe("narration jobs", () => {
+  let server;
+  before(async () => (server = await startServer()));
+  after(() => server.stop());
+
+  async function submit(files) {
+    const res = await fetch(`${server.url}/api/narrate/jobs`, {
+      method: "POST",
+      body: narrateForm(files, { model: "tone:mid" }),
+    });
+    assert.equal(res.status, 202);
+    return res.json();
+  }
+
+  async function waitFor(id) {
+    for (let i = 0; i < 200; i++) {
+      const job = await (await fetch(`${server.url}/api/narrate/jobs/${id}`)).json();
+      if (["done", "failed", "cancelled"].includes(job.status)) return job;
+      await new Promise((r) => setTimeout(r, 50));
+    }
+    throw new Error("job didn't finish");
+  }
+
+  test("runs to done and serves the ZIP", async () => {
+    const { id } = await submit([["one.txt", "Hello there."], ["two.txt", "Goodbye."]]);
+    const job = await waitFor(id);
+    assert.equal(job.status, "done");
+    assert.equal(job.filesDone, 2);
+
+    const res = await fetch(`${server.url}/api/narrate/jobs/${id}/download`);
+    assert.equal(res.status, 200);
+    assert.equal(res.headers.get("x-cache-misses"), "2");
+    const zip = await readZip(res);
+    assert.ok(zip["one.wav"] && zip["two.wav"] && zip["manifest.json"]);
+  });
+
+  test("a cancelled job stays cancelled and has no download", async () => {
+    const { id } = await submit([["long.txt", "A sentence. ".repeat(200)]]);
+    const cancelled = await (await fetch(`${server.url}/api/narrate/jobs/${id}/cancel`, { method: "POST" })).json();
+    assert.equal(cancelled.status, "cancelled");
+
+    const job = await waitFor(id);
+    await new Promise((r) => setTimeout(r, 200));
+    assert.equal((await (await fetch(`${server.url}/api/narrate/jobs/${id}`)).json()).status, "cancelled");
+    assert.equal(job.downloadReady, false);
+    assert.equal((await fetch(`${server.url}/api/narrate/jobs/${id}/download`)).status, 409);
+  });
+
+  test("unknown jobs are 404", async () => {
+    assert.equal((await fetch(`${server.url}/api/narrate/jobs/nope`)).status, 404);
+  });
+});
+
+describe("batch narration", () => {
+  // An OpenAI-compatible endpoint that takes 200 ms per chunk
+  let requests = 0;
+  const provider = createServer((req, res) => {
+    requests++;
+    req.resume();
+    setTimeout(() => res.end(pcmToWav(Buffer.alloc(4800), { sampleRate: 24000 })), 200);
+  });
+  let server;
+
+  before(async () => {
+    provider.listen(0, "127.0.0.1");
+    await once(provider, "listening");
+    server = await startServer({
+      OPENAI_TTS_BASE_URL: `http://127.0.0.1:${provider.address().port}`,
+      TTS_CONCURRENCY: "1",
+    });
+  });
+  after(async () => {
+    await server.stop();
+    provider.closeAllConnections();
+    provider.close();
+  });
+
+  test("stops synthesizing when the client disconnects", async () => {
+    const files = Array.from({ length: 8 }, (_, i) => [`part${i}.txt`, `Part ${i} of the leaflet.`]);
+    const client = new AbortController();
+    const res = fetch(`${server.url}/api/narrate/batch`, {
+      method: "POST",
+      body: narrateForm(files, { model: "openai:alloy" }),
+      signal: client.signal,
+    }).catch(() => null);
+
+    while (!requests) await new Promise((r) => setTimeout(r, 10));
+    client.abort();
+    await res;
+
+    // One chunk at a time would have reached every file by now
+    await new Promise((r) => setTimeout(r, 2000));
+    assert.ok(requests <= 2, `${requests} chunks synthesized after the disconnect`);
+  });
+});
@@ -0,0 +1,107 @@
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { countIssues, lintLexiconRows, LexiconLintError } from "../lexicon-lint.js";
+import { startServer } from "./helpers.js";
+
+// Sheet rows numbered from 2 (row 1 is the header)
+function lint(rows, crossTerms) {
+  const input = rows.map(([term, spoken, options = {}], i) => ({ row: i + 2, term, spoken, options }));
+  return lintLexiconRows(input, { layer: "sheet", crossTerms });
+}
+
+const codes = (issues) => issues.map((i) => [i.row, i.severity, i.code]);
+
+describe("lintLexiconRows", () => {
+  test("missing values drop the row", () => {
+    assert.deepEqual(codes(lint([["", "twice daily"], ["BID", " "], ["", ""]])), [
+      [2, "error", "missing-term"],
+      [3, "error", "missing-spoken"],
+    ]);
+  });
+
+  test("stray whitespace and line breaks are warnings with a fix", () => {
+    const issues = lint([[" BID", "twice  daily"], ["PRN", "as\nneeded"]]);
+    assert.deepEqual(codes(issues), [
+      [2, "warning", "whitespace"],
+      [2, "warning", "inner-whitespace"],
+      [3, "warning", "line-break"],
+    ]);
+    assert.equal(issues[0].suggestion, 'Change term to "BID"');
+  });
+
+  test("duplicates conflict when their spoken values differ", () => {
+    const issues = lint([
+      ["BID", "twice daily"],
+      ["bid", "twice daily"],
+      ["BID", "two times a day"],
+      ["BID", "bid", { caseSensitive: true }],
+    ]);
+    assert.deepEqual(codes(issues), [
+      [3, "warning", "duplicate"],
+      [4, "error", "duplicate"],
+    ]);
+    assert.match(issues[1].message, /also on row 2/);
+  });
+
+  test("hyphen and space variants of one term are flagged", () => {
+    assert.deepEqual(codes(lint([["anti-inflammatory", "a"], ["anti inflammatory", "b"]])), [
+      [3, "error", "variant-spelling"],
+    ]);
+  });
+
+  test("shorter terms inside longer ones are noted", () => {
+    const issues = lint([["blood pressure", "B P"], ["pressure", "press-ure"]]);
+    assert.deepEqual(codes(issues), [[3, "info", "substring"]]);
+  });
+
+  test("spoken values that would be replaced again are warnings", () => {
+    const issues = lint([["PO", "by mouth"]], [{ term: "mouth", spoken: "mowth" }]);
+    assert.deepEqual(codes(issues), [[2, "warning", "spoken-contains-term"]]);
+  });
+
+  test("invalid patterns are errors", () => {
+    const issues = lint([["q(\\d+", "every $1", { regex: true }]]);
+    assert.deepEqual(codes(issues), [[2, "error", "invalid-pattern"]]);
+  });
+
+  test("a clean sheet has no issues", () => {
+    assert.deepEqual(lint([["BID", "twice daily"], ["PRN", "as needed"]]), []);
+  });
+});
+
+test("counts and the lint error", () => {
+  const issues = lint([["", "x"], [" BID", "twice daily"], ["blood pressure", "B P"], ["blood", "blud"]]);
+  assert.deepEqual(countIssues(issues), { error: 1, warning: 1, info: 1 });
+
+  const error = new LexiconLintError("sheet", issues);
+  assert.equal(error.status, 422);
+  assert.match(error.message, /sheet has 1 lint error/);
+});
+
+describe("lint endpoint", () => {
+  let server;
+  before(async () => (server = await startServer()));
+  after(() => server.stop());
+
+  test("reports each layer that applies to a project", async () => {
+    const put = await fetch(`${server.url}/api/lexicon/projects/acme`, {
+      method: "PUT",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({
+        terms: [
+          { term: "PO", spoken: "by mouth" },
+          { term: "mouth", spoken: "mowth" },
+        ],
+      }),
+    });
+    assert.equal(put.status, 200, await put.clone().text());
+
+    const report = await (await fetch(`${server.url}/api/lexicon/lint?project=acme&layer=project`)).json();
+    assert.equal(report.layers.length, 1);
+    assert.equal(report.layers[0].layer, "project:acme");
+    assert.deepEqual(
+      report.layers[0].issues.map((i) => [i.term, i.code]),
+      [["PO", "spoken-contains-term"]]
+    );
+  });
+});
@@ -0,0 +1,113 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import lexiconMatcher from "../../shared/lexicon-matcher.js";
+
+const { applyLexicon, applyLexiconWithSpans, compileLexicon, matchLexicon } = lexiconMatcher;
+
+describe("lexicon matching", () => {
+  test("matches whole tokens, case-insensitively", () => {
+    const terms = [{ term: "IV", spoken: "intravenous" }];
+    assert.equal(
+      applyLexicon("Give iv fluids, then IV. Not IVF or DIV.", terms),
+      "Give intravenous fluids, then intravenous. Not IVF or DIV."
+    );
+  });
+
+  test("a hyphen in a term also matches a space or nothing", () => {
+    const terms = [{ term: "anti-inflammatory", spoken: "an-tee in-flam-a-tory" }];
+    for (const text of ["anti-inflammatory", "anti inflammatory", "antiinflammatory"]) {
+      assert.equal(applyLexicon(text, terms), "an-tee in-flam-a-tory", text);
+    }
+  });
+
+  test("the longest term wins and replacements aren't scanned again", () => {
+    const terms = [
+      { term: "blood", spoken: "BLOOD" },
+      { term: "blood pressure", spoken: "B P" },
+      { term: "B", spoken: "bee" },
+    ];
+    assert.equal(applyLexicon("blood pressure and blood", terms), "B P and BLOOD");
+  });
+
+  test("the first entry for a term shadows later ones", () => {
+    const matcher = compileLexicon([
+      { term: "q.d.", spoken: "once a day" },
+      { term: "Q.D.", spoken: "daily" },
+      { term: "", spoken: "nothing" },
+      { term: "no spoken" },
+    ]);
+    assert.equal(matcher.size, 1);
+    assert.equal(applyLexicon("Take q.d.", matcher), "Take once a day");
+  });
+
+  test("spans point into both the script and the spoken text", () => {
+    const { text, spans } = applyLexiconWithSpans("Take PO BID.", [
+      { term: "PO", spoken: "by mouth" },
+      { term: "BID", spoken: "twice daily" },
+    ]);
+    assert.equal(text, "Take by mouth twice daily.");
+    assert.deepEqual(
+      spans.map((s) => [s.start, s.end, s.outStart, s.outEnd]),
+      [
+        [5, 7, 5, 13],
+        [8, 11, 14, 25],
+      ]
+    );
+  });
+
+  test("no terms, no matches", () => {
+    assert.deepEqual(matchLexicon("anything", compileLexicon([])), []);
+    assert.equal(applyLexicon("anything", null), "anything");
+  });
+});
+
+describe("context-aware rules", () => {
+  test("case-sensitive terms need their exact letters", () => {
+    const terms = [
+      { term: "MS", spoken: "multiple sclerosis", caseSensitive: true },
+      { term: "ms", spoken: "milliseconds" },
+    ];
+    assert.equal(applyLexicon("MS for 20 ms", terms), "multiple sclerosis for 20 milliseconds");
+    assert.equal(applyLexicon("Ms Smith", terms), "milliseconds Smith");
+  });
+
+  test("regex terms expand groups in the spoken text", () => {
+    const terms = [
+      { term: "q(\\d+)h", spoken: "every $1 hours", regex: true },
+      { term: "(?<n>\\d+)x", spoken: "$<n> times ($&, $$)", regex: true },
+    ];
+    assert.equal(applyLexicon("Take q4h, 3x.", terms), "Take every 4 hours, 3 times (3x, $).");
+    assert.equal(applyLexicon("q4hours", terms), "q4hours"); // whole tokens only
+  });
+
+  test("before and after conditions, negated with !", () => {
+    const terms = [
+      { term: "mg", spoken: "milligrams", before: "\\d\\s*" },
+      { term: "Dr", spoken: "drive", after: "!\\.? [A-Z]" },
+      { term: "Dr", spoken: "doctor" },
+    ];
+    assert.equal(applyLexicon("5 mg of mg", terms), "5 milligrams of mg");
+    assert.equal(applyLexicon("Dr. Lee lives on Elm Dr", terms), "doctor. Lee lives on Elm drive");
+  });
+
+  test("conditional entries go ahead of their layer's plain entry", () => {
+    const terms = [
+      { term: "CO", spoken: "carbon monoxide", layer: "sheet" },
+      { term: "CO", spoken: "cardiac output", after: "\\s*of", layer: "sheet" },
+    ];
+    assert.equal(applyLexicon("CO of 5 and CO levels", terms), "cardiac output of 5 and carbon monoxide levels");
+  });
+
+  test("invalid patterns are reported and skipped", () => {
+    const matcher = compileLexicon([
+      { term: "(", spoken: "x", regex: true },
+      { term: "ok", spoken: "okay", after: "[" },
+      { term: "fine", spoken: "good" },
+    ]);
+    assert.deepEqual(
+      matcher.errors.map((e) => e.term),
+      ["(", "ok"]
+    );
+    assert.equal(applyLexicon("ok fine", matcher), "ok good");
+  });
+});
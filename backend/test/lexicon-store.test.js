@@ -0,0 +1,174 @@
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { mkdir, mkdtemp, rm, rmdir, writeFile } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import path from "node:path";
+import { createLexiconStore, LexiconStoreError, parseStoreCsv } from "../lexicon-store.js";
+import { narrateForm, startServer } from "./helpers.js";
+
+describe("lexicon store", () => {
+  let root;
+  before(async () => (root = await mkdtemp(path.join(tmpdir(), "lexicon-store-"))));
+  after(() => rm(root, { recursive: true, force: true }));
+
+  let n = 0;
+  const freshStore = () => createLexiconStore({ dir: path.join(root, String(++n)) });
+
+  test("every change is audited and survives a restart", async () => {
+    const dir = path.join(root, "restart");
+    const store = createLexiconStore({ dir });
+    const entry = await store.create({ term: "BID", spoken: "twice daily", tags: "Dosing, dosing" }, "ana");
+    assert.deepEqual(entry.tags, ["dosing"]);
+
+    await store.update(entry.id, { spoken: "two times a day" }, "ben");
+    const other = await store.create({ term: "PRN", spoken: "as needed" }, "ana");
+    await store.remove(other.id, "ben");
+
+    const reopened = createLexiconStore({ dir });
+    assert.deepEqual(
+      (await reopened.list()).map((e) => [e.term, e.spoken, e.updatedBy]),
+      [["BID", "two times a day", "ben"]]
+    );
+
+    const log = await reopened.auditLog();
+    assert.deepEqual(
+      log.map((r) => [r.action, r.term, r.actor]),
+      [
+        ["delete", "PRN", "ben"],
+        ["create", "PRN", "ana"],
+        ["update", "BID", "ben"],
+        ["create", "BID", "ana"],
+      ]
+    );
+    assert.equal(log[2].before.spoken, "twice daily");
+    assert.equal((await reopened.auditLog({ id: entry.id })).length, 2);
+  });
+
+  test("a rule can only exist once; case-sensitive and plain terms are different rules", async () => {
+    const store = freshStore();
+    await store.create({ term: "ms", spoken: "milliseconds" });
+    await assert.rejects(store.create({ term: "MS", spoken: "multiple sclerosis" }), { status: 409 });
+    await store.create({ term: "MS", spoken: "multiple sclerosis", caseSensitive: true });
+    assert.equal(store.count(), 2);
+  });
+
+  test("invalid input is a 400", async () => {
+    const store = freshStore();
+    await assert.rejects(store.create({ term: "", spoken: "x" }), LexiconStoreError);
+    await assert.rejects(store.create({ term: "(", spoken: "x", regex: true }), { status: 400 });
+    await assert.rejects(store.update("missing", { spoken: "x" }), { status: 404 });
+  });
+
+  test("a failed write leaves the entries as they were", async () => {
+    const dir = path.join(root, "failing");
+    const store = createLexiconStore({ dir });
+    await store.create({ term: "BID", spoken: "twice daily" });
+
+    await mkdir(path.join(dir, "entries.json.tmp")); // the next write can't replace it
+    await assert.rejects(store.create({ term: "PRN", spoken: "as needed" }));
+    const entry = (await store.list())[0];
+    await assert.rejects(store.update(entry.id, { spoken: "two times a day" }));
+    await assert.rejects(store.remove(entry.id));
+    assert.deepEqual(
+      (await store.list()).map((e) => [e.term, e.spoken]),
+      [["BID", "twice daily"]]
+    );
+
+    await rmdir(path.join(dir, "entries.json.tmp"));
+    await store.create({ term: "IV", spoken: "intravenous" });
+    const reopened = createLexiconStore({ dir });
+    assert.deepEqual((await reopened.list()).map((e) => e.term), ["BID", "IV"]);
+    assert.deepEqual((await reopened.auditLog()).map((r) => r.term), ["IV", "BID"]);
+  });
+
+  test("a corrupt entries file is reported with its path", async () => {
+    const dir = path.join(root, "corrupt");
+    await mkdir(dir);
+    await writeFile(path.join(dir, "entries.json"), "{bad");
+    await assert.rejects(createLexiconStore({ dir }).ready, /Can't read .*entries\.json/);
+  });
+
+  test("search by text or tag", async () => {
+    const store = freshStore();
+    await store.create({ term: "BID", spoken: "twice daily", tags: "dosing" });
+    await store.create({ term: "IV", spoken: "intravenous", notes: "route" });
+    assert.deepEqual((await store.list({ q: "ROUTE" })).map((e) => e.term), ["IV"]);
+    assert.deepEqual((await store.list({ tag: "dosing" })).map((e) => e.term), ["BID"]);
+  });
+
+  test("imports merge or replace and report what changed", async () => {
+    const store = freshStore();
+    await store.create({ term: "BID", spoken: "twice daily" });
+    await store.create({ term: "PRN", spoken: "as needed" });
+
+    const rows = parseStoreCsv("Term,Pronunciation,case\nBID,two times a day,\nIV,intravenous,\nMS,,\n");
+    assert.deepEqual(await store.importRows(rows, { mode: "merge" }), {
+      created: 1,
+      updated: 1,
+      unchanged: 0,
+      deleted: 0,
+      skipped: 1,
+    });
+    assert.equal(store.count(), 3);
+
+    const only = parseStoreCsv("term,spoken\nIV,intravenous\n");
+    const counts = await store.importRows(only, { mode: "replace" });
+    assert.deepEqual(counts, { created: 0, updated: 0, unchanged: 1, deleted: 2, skipped: 0 });
+    assert.deepEqual(store.terms(), [{ term: "IV", spoken: "intravenous" }]);
+  });
+
+  test("the CSV export reads back as the same entries", async () => {
+    const store = freshStore();
+    await store.create({ term: "MS", spoken: "multiple sclerosis", caseSensitive: true, notes: 'say "M S"' });
+    await store.create({ term: "q(\\d+)h", spoken: "every $1 hours", regex: true, tags: "dosing;timing" });
+
+    const copy = freshStore();
+    await copy.importRows(parseStoreCsv(await store.exportCsv()));
+    const fields = ["term", "spoken", "notes", "tags", "caseSensitive", "regex"];
+    const strip = (list) => list.map((e) => fields.map((f) => e[f]));
+    assert.deepEqual(strip(await copy.list()), strip(await store.list()));
+  });
+});
+
+describe("lexicon entries API", () => {
+  test("a corrupt entries file stops the server before it listens", async () => {
+    const dir = await mkdtemp(path.join(tmpdir(), "lexicon-store-"));
+    await writeFile(path.join(dir, "entries.json"), "{bad");
+    await assert.rejects(startServer({ LEXICON_STORE_DIR: dir }), (e) => {
+      assert.match(e.message, /exited/);
+      assert.match(e.message, /Can't read .*entries\.json/);
+      assert.doesNotMatch(e.message, /Backend listening/);
+      return true;
+    });
+    await rm(dir, { recursive: true, force: true });
+  });
+
+
+  let server;
+  before(async () => (server = await startServer()));
+  after(() => server.stop());
+
+  const api = (route, init = {}) =>
+    fetch(`${server.url}/api/lexicon/entries${route}`, {
+      ...init,
+      headers: { "Content-Type": "application/json" },
+      body: init.body && JSON.stringify(init.body),
+    });
+
+  test("a new entry is used by the next preflight", async () => {
+    const res = await api("", { method: "POST", body: { term: "BID", spoken: "twice daily" } });
+    assert.equal(res.status, 201);
+    const { id } = await res.json();
+    assert.equal((await api("", { method: "POST", body: { term: "bid", spoken: "x" } })).status, 409);
+
+    const preflight = await fetch(`${server.url}/api/narrate/preflight`, {
+      method: "POST",
+      body: narrateForm([["a.txt", "Take one BID."]], { model: "tone:mid" }),
+    });
+    assert.match((await preflight.json()).files[0].text, /Take one twice daily\./);
+
+    assert.equal((await api(`/${id}`, { method: "PATCH", body: { spoken: "two times a day" } })).status, 200);
+    assert.equal((await api(`/${id}`, { method: "DELETE" })).status, 200);
+    assert.equal((await api(`/${id}`)).status, 404);
+  });
+});
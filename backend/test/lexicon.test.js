@@ -0,0 +1,93 @@
+import { describe, test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtemp, rm, writeFile } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import path from "node:path";
+import { createLexicons, parseLexiconCsv, parseLexiconJson } from "../lexicon.js";
+import lexiconMatcher from "../../shared/lexicon-matcher.js";
+
+const { applyLexicon, compileLexicon } = lexiconMatcher;
+
+let dir;
+
+before(async () => {
+  dir = await mkdtemp(path.join(tmpdir(), "lexicon-test-"));
+});
+
+after(async () => {
+  await rm(dir, { recursive: true, force: true });
+});
+
+// A file layer plus a project layer for "acme"
+async function setup(csv, projectTerms, precedence) {
+  const filePath = path.join(dir, `${Math.random().toString(36).slice(2)}.csv`);
+  await writeFile(filePath, csv);
+  const projectDir = path.join(dir, "projects");
+  const lexicons = createLexicons({ filePath, projectDir, precedence, ttlMs: 60_000 });
+  await lexicons.projects.put("acme", projectTerms);
+  return lexicons;
+}
+
+async function narrate(lexicons, text, project = "acme") {
+  return applyLexicon(text, compileLexicon((await lexicons.getLexicon(project)).rawTerms));
+}
+
+describe("parsing", () => {
+  test("CSV columns and matching options", () => {
+    const rows = parseLexiconCsv("Word,Pronunciation,case,after\nMS,em ess,yes,\nmg,milligrams,,\n");
+    assert.deepEqual(rows, [
+      { term: "MS", spoken: "em ess", caseSensitive: true },
+      { term: "mg", spoken: "milligrams" },
+    ]);
+  });
+
+  test("JSON lists and maps", () => {
+    assert.deepEqual(parseLexiconJson({ ECG: "E C G" }), [{ term: "ECG", spoken: "E C G" }]);
+    assert.deepEqual(parseLexiconJson('[{"term":"BID","spoken":"twice daily"}]'), [
+      { term: "BID", spoken: "twice daily" },
+    ]);
+  });
+});
+
+describe("layer precedence", () => {
+  test("a project override beats the file layer for the same term", async () => {
+    const lexicons = await setup("term,spoken\nECG,E C G\n", [{ term: "ECG", spoken: "electrocardiogram" }]);
+    assert.equal(await narrate(lexicons, "An ECG today"), "An electrocardiogram today");
+    assert.equal(await narrate(lexicons, "An ECG today", null), "An E C G today");
+  });
+
+  test("the precedence setting decides which layer wins", async () => {
+    const lexicons = await setup(
+      "term,spoken\nECG,E C G\n",
+      [{ term: "ECG", spoken: "electrocardiogram" }],
+      "file,project"
+    );
+    assert.equal(await narrate(lexicons, "An ECG today"), "An E C G today");
+  });
+
+  test("ties between layers go to the higher layer, not the longer term", async () => {
+    // The file's regex matches the same text as the project's plain term
+    const lexicons = await setup("term,spoken,regex\nE[CK]G,E K G,yes\n", [{ term: "ECG", spoken: "E C G" }]);
+    const lex = await lexicons.getLexicon("acme");
+    assert.deepEqual(lex.rawTerms.map((t) => t.layer), ["project:acme", "file"]);
+    assert.equal(await narrate(lexicons, "ECG and EKG"), "E C G and E K G");
+  });
+
+  test("a plain project override beats a conditional entry from a lower layer", async () => {
+    const csv = 'term,spoken,before\nmg,milligrams,"\\d\\s*"\n';
+    const lexicons = await setup(csv, [{ term: "mg", spoken: "mig" }]);
+    assert.equal(await narrate(lexicons, "5 mg"), "5 mig");
+    assert.equal(await narrate(lexicons, "5 mg", null), "5 milligrams");
+  });
+
+  test("a conditional entry still goes ahead of the plain one in its own layer", async () => {
+    const lexicons = await setup('term,spoken,before\nmg,milligrams,"\\d\\s*"\nmg,M G,\n', []);
+    assert.equal(await narrate(lexicons, "5 mg, or mg"), "5 milligrams, or M G");
+  });
+
+  test("a conditional entry from a higher layer goes ahead of a lower plain one", async () => {
+    const project = [{ term: "mg", spoken: "milligrams", before: "\\d\\s*" }];
+    const lexicons = await setup("term,spoken\nmg,M G\n", project);
+    assert.equal(await narrate(lexicons, "5 mg, or mg"), "5 milligrams, or M G");
+  });
+});
@@ -0,0 +1,148 @@
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { buildManifest, describeFormat, manifestCsv, manifestRow, MANIFEST_COLUMNS } from "../manifest.js";
+import { narrateForm, readZip, startServer } from "./helpers.js";
+
+const opts = { model: "tone:mid", container: "wav", encoding: "linear16", sampleRate: 24000, cast: new Map() };
+const lex = { lastFetched: "2026-01-01T00:00:00.000Z", hash: "abc", rawTerms: [] };
+const file = (name, text) => ({ originalname: name, buffer: Buffer.from(text) });
+
+describe("manifest rows", () => {
+  test("done and failed files both get a row", () => {
+    const done = manifestRow(
+      file("a.txt", "Hi."),
+      {
+        entries: [{ name: "a.wav", data: Buffer.alloc(100) }],
+        durationMs: 500,
+        chunks: 2,
+        cacheHits: 1,
+        cacheMisses: 1,
+      },
+      { opts, lex }
+    );
+    const failed = manifestRow(file("b.txt", "Oops"), { error: new Error("provider down") }, { opts, lex });
+
+    assert.deepEqual(
+      { ...done, inputSha256: undefined },
+      {
+        file: "a.txt",
+        status: "done",
+        error: null,
+        outputs: ["a.wav"],
+        durationMs: 500,
+        bytes: 100,
+        chunks: 2,
+        cacheHits: 1,
+        cacheMisses: 1,
+        model: "tone:mid",
+        format: "wav linear16 24000 Hz",
+        lexiconVersion: lex.lastFetched,
+        lexiconHash: "abc",
+        inputSha256: undefined,
+      }
+    );
+    assert.equal(failed.status, "failed");
+    assert.equal(failed.error, "provider down");
+    assert.equal(failed.cacheHits, null);
+
+    const manifest = buildManifest([done, failed], { opts, lex });
+    assert.deepEqual(manifest.totals, { files: 2, done: 1, failed: 1, cacheHits: 1, cacheMisses: 1 });
+
+    const lines = manifestCsv(manifest).trimEnd().split("\r\n");
+    assert.equal(lines[0], MANIFEST_COLUMNS.join(","));
+    assert.equal(lines.length, 3);
+  });
+
+  test("CSV cells with commas, quotes or line breaks are quoted; lists use semicolons", () => {
+    const row = manifestRow(
+      file('a "quoted", name.txt', "x"),
+      { error: new Error("line one\nline two") },
+      { opts, lex }
+    );
+    row.outputs = ["a.wav", "a.srt"];
+    const [, line] = manifestCsv(buildManifest([row], { opts, lex })).split("\r\n");
+    assert.ok(line.startsWith('"a ""quoted"", name.txt",failed,"line one\nline two",a.wav;a.srt,'));
+  });
+
+  test("the manifest records what the batch was narrated with", () => {
+    const cast = new Map([["NURSE", { provider: { id: "tone" }, voice: "low" }]]);
+    const manifest = buildManifest([], { opts: { ...opts, cast, project: "acme" }, lex });
+    assert.deepEqual(
+      { ...manifest, generatedAt: undefined },
+      {
+        generatedAt: undefined,
+        model: "tone:mid",
+        cast: { NURSE: "tone:low" },
+        format: "wav linear16 24000 Hz",
+        project: "acme",
+        lexicon: { version: lex.lastFetched, hash: "abc", terms: 0 },
+        totals: { files: 0, done: 0, failed: 0, cacheHits: 0, cacheMisses: 0 },
+        files: [],
+      }
+    );
+  });
+
+  test("formats are described for people", () => {
+    assert.equal(describeFormat({ container: "mp3", bitRate: 128000 }), "mp3 128 kbps");
+    assert.equal(describeFormat({ container: "ogg", bitRate: 32000 }), "ogg opus 32 kbps");
+    assert.equal(
+      describeFormat({ container: "flac", sampleRate: 44100, postProcess: { targetLufs: -16, truePeakDb: -1 } }),
+      "flac 44100 Hz, -16 LUFS / -1 dBTP"
+    );
+  });
+});
+
+describe("batch manifest", () => {
+  let server;
+  before(async () => (server = await startServer()));
+  after(() => server.stop());
+
+  const batch = async (files) => {
+    const res = await fetch(`${server.url}/api/narrate/batch`, {
+      method: "POST",
+      body: narrateForm(files, { model: "tone:mid" }),
+    });
+    assert.equal(res.status, 200, await res.clone().text());
+    return JSON.parse((await readZip(res))["manifest.json"]);
+  };
+
+  test("reports each file's cache hits and misses", async () => {
+    const first = await batch([["a.txt", "First script."]]);
+    assert.equal(first.files[0].cacheHits, 0);
+    assert.equal(first.files[0].cacheMisses, 1);
+
+    const second = await batch([["a.txt", "First script."], ["b.txt", "Second script."]]);
+    assert.deepEqual(
+      second.files.map((f) => [f.file, f.cacheHits, f.cacheMisses]),
+      [
+        ["a.txt", 1, 0],
+        ["b.txt", 0, 1],
+      ]
+    );
+    assert.equal(second.totals.cacheHits, 1);
+  });
+
+  test("job downloads expose their cache headers to the frontend", async () => {
+    const res = await fetch(`${server.url}/api/narrate/jobs/nope`, { headers: { Origin: "http://example.com" } });
+    assert.match(res.headers.get("access-control-expose-headers"), /X-Cache-Hits,X-Cache-Misses/);
+  });
+
+  test("the ZIP carries the manifest as JSON and CSV", async () => {
+    const res = await fetch(`${server.url}/api/narrate/batch`, {
+      method: "POST",
+      body: narrateForm([["a.txt", "Take two tablets."], ["b.txt", "Rest today."]], { model: "tone:mid" }),
+    });
+    assert.equal(res.status, 200, await res.clone().text());
+    const zip = await readZip(res);
+
+    const manifest = JSON.parse(zip["manifest.json"]);
+    assert.deepEqual(
+      manifest.files.map((f) => [f.file, f.status, f.outputs]),
+      [
+        ["a.txt", "done", ["a.wav"]],
+        ["b.txt", "done", ["b.wav"]],
+      ]
+    );
+    assert.ok(zip["manifest.csv"].toString("utf8").startsWith(MANIFEST_COLUMNS.join(",")));
+  });
+});
@@ -0,0 +1,78 @@
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { readPcm16 } from "../audio.js";
+import { narrateForm, readZip, startServer } from "./helpers.js";
+
+const SCRIPT = "NURSE: Good morning.\nDOCTOR: Hello.";
+const CAST = JSON.stringify({ NURSE: "tone:low", DOCTOR: "tone:high" });
+
+// Sign changes per second over [fromMs, toMs): twice the tone's frequency
+function crossingsPerSecond({ samples, sampleRate }, fromMs, toMs) {
+  const from = Math.round((fromMs * sampleRate) / 1000);
+  const to = Math.round((toMs * sampleRate) / 1000);
+  let n = 0;
+  for (let i = from + 1; i < to; i++) if (samples[i - 1] < 0 !== samples[i] < 0) n++;
+  return (n * 1000) / (toMs - fromMs);
+}
+
+describe("multi-voice scripts", () => {
+  let server;
+  before(async () => (server = await startServer()));
+  after(() => server.stop());
+
+  const post = (route, fields, script = SCRIPT) =>
+    fetch(`${server.url}/api/narrate/${route}`, {
+      method: "POST",
+      body: narrateForm([["visit.txt", script]], { model: "tone:silence", ...fields }),
+    });
+
+  test("each speaker's lines are planned with their cast voice", async () => {
+    const res = await post("preflight", { cast: CAST });
+    assert.equal(res.status, 200, await res.clone().text());
+    const [file] = (await res.json()).files;
+    assert.deepEqual(
+      file.chunks.map((c) => [c.speaker, c.voice]),
+      [
+        ["NURSE", "tone:low"],
+        ["DOCTOR", "tone:high"],
+      ]
+    );
+    assert.doesNotMatch(file.text, /NURSE|DOCTOR/);
+  });
+
+  test("one file, each part in its speaker's voice", async () => {
+    const res = await post("batch", { cast: CAST, sampleRate: "24000" });
+    assert.equal(res.status, 200, await res.clone().text());
+    const pcm = readPcm16((await readZip(res))["visit.wav"]);
+    const ms = (pcm.samples.length / pcm.sampleRate) * 1000;
+
+    assert.ok(Math.abs(crossingsPerSecond(pcm, 0, 200) - 440) < 20); // 220 Hz
+    assert.ok(Math.abs(crossingsPerSecond(pcm, ms - 200, ms) - 1320) < 20); // 660 Hz
+  });
+
+  test("a speaker missing from the cast is a markup error", async () => {
+    const res = await post("batch", { cast: JSON.stringify({ NURSE: "tone:low" }) });
+    assert.equal(res.status, 400);
+    const { issues } = await res.json();
+    assert.deepEqual(issues, [
+      { file: "visit.txt", line: 2, column: 1, message: "No voice in the cast for speaker DOCTOR" },
+    ]);
+  });
+
+  test("without a cast, labels are read as text", async () => {
+    const res = await post("preflight", {});
+    const [file] = (await res.json()).files;
+    assert.match(file.text, /NURSE: Good morning/);
+  });
+
+  test("a bad cast is rejected", async () => {
+    for (const [cast, error] of [
+      ["[1]", /cast must be a JSON object/],
+      ['{"NURSE":"tone:purple"}', /cast NURSE: /],
+    ]) {
+      const res = await post("batch", { cast });
+      assert.equal(res.status, 400);
+      assert.match((await res.json()).error, error);
+    }
+  });
+});
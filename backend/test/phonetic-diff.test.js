@@ -0,0 +1,67 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import phoneticDiff from "../../frontend/phonetic-diff.js";
+
+const { diffTexts, mapRanges, mergeEdits, tokenize } = phoneticDiff;
+
+describe("diffTexts", () => {
+  test("tokens are words, whitespace runs and single other characters", () => {
+    assert.deepEqual(
+      tokenize("Take 5mg,  daily").map((t) => t.text),
+      ["Take", " ", "5mg", ",", "  ", "daily"]
+    );
+  });
+
+  test("changes are whole words, as character offsets", () => {
+    const a = "Take aspirin twice daily.";
+    const b = "Take A S A twice daily.";
+    assert.deepEqual(diffTexts(a, b), [{ aStart: 5, aEnd: 12, bStart: 5, bEnd: 10 }]);
+    assert.deepEqual(diffTexts(a, a), []);
+  });
+
+  test("changes only whitespace apart are one change", () => {
+    const hunks = diffTexts("the ASA dose", "the A S A dose");
+    assert.equal(hunks.length, 1);
+  });
+});
+
+describe("mergeEdits", () => {
+  const base = "Take aspirin twice daily. Call the clinic.";
+
+  test("manual edits are kept on top of a regenerated text", () => {
+    const edited = "Take ASS-prin twice daily. Call the clinic.";
+    const updated = "Take aspirin twice daily. Call the clinic today.";
+    assert.deepEqual(mergeEdits(base, edited, updated), {
+      text: "Take ASS-prin twice daily. Call the clinic today.",
+      conflicts: [],
+    });
+  });
+
+  test("both sides making the same change is not a conflict", () => {
+    const same = "Take A S A twice daily. Call the clinic.";
+    assert.deepEqual(mergeEdits(base, same, same), { text: same, conflicts: [] });
+  });
+
+  test("where both sides changed the same words the manual edit wins", () => {
+    const edited = "Take ASS-prin twice daily. Call the clinic.";
+    const updated = "Take acetylsalicylic acid twice daily. Call the clinic.";
+    const { text, conflicts } = mergeEdits(base, edited, updated);
+    assert.equal(text, edited);
+    assert.deepEqual(conflicts, [
+      { start: 5, end: 13, ours: "ASS-prin", theirs: "acetylsalicylic acid", base: "aspirin" },
+    ]);
+    assert.equal(text.slice(conflicts[0].start, conflicts[0].end), "ASS-prin");
+  });
+});
+
+describe("mapRanges", () => {
+  test("ranges move with the text around them and edited ones are dropped", () => {
+    const before = "Take aspirin twice daily.";
+    const after = "Please take aspirin twice a day.";
+    const ranges = [
+      { start: 5, end: 12, id: "aspirin" },
+      { start: 19, end: 24, id: "daily" },
+    ];
+    assert.deepEqual(mapRanges(ranges, before, after), [{ start: 12, end: 19, id: "aspirin" }]);
+  });
+});
@@ -0,0 +1,107 @@
+import { afterEach, describe, mock, test } from "node:test";
+import assert from "node:assert/strict";
+import { createLimiter, isRetryable, sleep, withRetry } from "../pool.js";
+
+const tick = (ms = 0) => new Promise((r) => setTimeout(r, ms));
+
+describe("createLimiter", () => {
+  afterEach(() => mock.restoreAll());
+
+  test("runs at most `concurrency` tasks at once, in order", async () => {
+    const limiter = createLimiter(2);
+    let active = 0;
+    let peak = 0;
+    const started = [];
+    const task = (i) => async () => {
+      started.push(i);
+      peak = Math.max(peak, ++active);
+      await tick(5);
+      active--;
+      return i;
+    };
+
+    const results = await Promise.all([0, 1, 2, 3, 4].map((i) => limiter.run(task(i))));
+    assert.deepEqual(results, [0, 1, 2, 3, 4]);
+    assert.deepEqual(started, [0, 1, 2, 3, 4]);
+    assert.equal(peak, 2);
+  });
+
+  test("a failed task doesn't hold its slot", async () => {
+    const limiter = createLimiter(1);
+    await assert.rejects(limiter.run(() => Promise.reject(new Error("nope"))), /nope/);
+    assert.equal(await limiter.run(() => "ok"), "ok");
+  });
+
+  test("a pause keeps one resume timer, moved when the pause is extended", async () => {
+    const limiter = createLimiter(1);
+    limiter.pause(40);
+    const setTimeoutSpy = mock.method(globalThis, "setTimeout");
+    const clearTimeoutSpy = mock.method(globalThis, "clearTimeout");
+
+    const started = Date.now();
+    const runs = [1, 2, 3, 4].map(() => limiter.run(() => Date.now() - started));
+    assert.equal(setTimeoutSpy.mock.callCount(), 1);
+    const first = setTimeoutSpy.mock.calls[0].result;
+
+    limiter.pause(80);
+    assert.equal(setTimeoutSpy.mock.callCount(), 2);
+    assert.ok(clearTimeoutSpy.mock.calls.some((c) => c.arguments[0] === first));
+
+    const waited = await Promise.all(runs);
+    assert.ok(waited[0] >= 75, `first task started after ${waited[0]} ms`);
+  });
+});
+
+describe("withRetry", () => {
+  test("retries retryable errors, then succeeds", async () => {
+    let calls = 0;
+    const result = await withRetry(
+      async () => {
+        if (++calls < 3) throw Object.assign(new Error("busy"), { status: 503 });
+        return "done";
+      },
+      { baseDelayMs: 1 }
+    );
+    assert.equal(result, "done");
+    assert.equal(calls, 3);
+  });
+
+  test("gives up on caller errors and when attempts run out", async () => {
+    let calls = 0;
+    const badRequest = Object.assign(new Error("bad"), { status: 400 });
+    await assert.rejects(withRetry(async () => (calls++, Promise.reject(badRequest))), /bad/);
+    assert.equal(calls, 1);
+
+    calls = 0;
+    const busy = Object.assign(new Error("busy"), { status: 500 });
+    await assert.rejects(withRetry(async () => (calls++, Promise.reject(busy)), { retries: 2, baseDelayMs: 1 }));
+    assert.equal(calls, 3);
+  });
+
+  test("a 429's Retry-After pauses the caller's pool", async () => {
+    let paused = null;
+    let calls = 0;
+    await withRetry(
+      async () => {
+        if (++calls === 1) throw Object.assign(new Error("slow down"), { status: 429, retryAfterMs: 5 });
+      },
+      { onRateLimit: (ms) => (paused = ms) }
+    );
+    assert.equal(paused, 5);
+  });
+
+  test("the signal cancels a backoff", async () => {
+    const controller = new AbortController();
+    const pending = sleep(10_000, controller.signal);
+    controller.abort(new Error("stop"));
+    await assert.rejects(pending, /stop/);
+  });
+});
+
+test("isRetryable", () => {
+  assert.equal(isRetryable({ status: 429 }), true);
+  assert.equal(isRetryable({ status: 502 }), true);
+  assert.equal(isRetryable({ status: 404 }), false);
+  assert.equal(isRetryable(new TypeError("fetch failed")), true);
+  assert.equal(isRetryable(Object.assign(new Error("t"), { name: "TimeoutError" })), true);
+});
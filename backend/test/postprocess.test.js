@@ -0,0 +1,89 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { integratedLoudness, parsePostProcessOptions, postProcessPcm, POSTPROCESS_DEFAULTS } from "../postprocess.js";
+
+const RATE = 48000;
+const FORMAT = { sampleRate: RATE, channels: 1 };
+
+function tone(ms, amplitude = 0.1, hz = 997) {
+  const out = new Float32Array(Math.round((ms * RATE) / 1000));
+  for (let i = 0; i < out.length; i++) out[i] = amplitude * Math.sin((2 * Math.PI * hz * i) / RATE);
+  return out;
+}
+
+function silence(ms) {
+  return new Float32Array(Math.round((ms * RATE) / 1000));
+}
+
+// Silence, then tone, then silence, as one speech chunk
+function speech(leadMs, toneMs, trailMs) {
+  const out = new Float32Array(silence(leadMs).length + tone(toneMs).length + silence(trailMs).length);
+  out.set(tone(toneMs), silence(leadMs).length);
+  return { type: "text", samples: out };
+}
+
+const pause = (ms) => ({ type: "pause", samples: silence(ms) });
+const settings = (overrides = {}) => ({ ...POSTPROCESS_DEFAULTS, crossfadeMs: 0, ...overrides });
+const ms = (samples) => (samples.length / RATE) * 1000;
+
+describe("loudness", () => {
+  test("a -20 dBFS 997 Hz sine measures about -23 LUFS", () => {
+    assert.ok(Math.abs(integratedLoudness(tone(3000, 0.1), 1, RATE) - -23) < 0.3);
+  });
+
+  test("silence has no loudness", () => {
+    assert.equal(integratedLoudness(silence(1000), 1, RATE), null);
+  });
+
+  test("the output reaches the target and stays under the true-peak ceiling", () => {
+    const parts = [{ type: "text", samples: tone(3000, 0.02) }];
+    const { samples } = postProcessPcm(parts, FORMAT, settings({ targetLufs: -16, trimSilence: false }));
+    assert.ok(Math.abs(integratedLoudness(samples, 1, RATE) - -16) < 0.5);
+
+    const peak = samples.reduce((m, v) => Math.max(m, Math.abs(v)), 0);
+    assert.ok(20 * Math.log10(peak) <= -1 + 0.1);
+  });
+});
+
+describe("silence trimming", () => {
+  test("leading and trailing silence is trimmed to the padding", () => {
+    const { samples, durations } = postProcessPcm(
+      [speech(1000, 1000, 1500)],
+      FORMAT,
+      settings({ headPadMs: 200, tailPadMs: 500 })
+    );
+    assert.ok(Math.abs(ms(samples) - 1700) < 1);
+    assert.ok(Math.abs(durations[0] - 1700) < 1);
+  });
+
+  test("a pause at the start or end of the script is kept", () => {
+    const parts = [pause(800), speech(0, 1000, 300), pause(1200)];
+    const { samples, durations } = postProcessPcm(parts, FORMAT, settings({ headPadMs: 200, tailPadMs: 500 }));
+    assert.ok(Math.abs(durations[0] - 800) < 1, `leading pause is ${durations[0]} ms`);
+    assert.ok(Math.abs(durations[2] - 1200) < 1, `trailing pause is ${durations[2]} ms`);
+    assert.ok(Math.abs(ms(samples) - 3300) < 1);
+  });
+
+  test("speech edges next to the script's pauses are not trimmed into the pause", () => {
+    const parts = [speech(1000, 500, 0), pause(600), speech(0, 500, 1000)];
+    const { durations } = postProcessPcm(parts, FORMAT, settings({ headPadMs: 100, tailPadMs: 100 }));
+    assert.ok(Math.abs(durations[0] - 600) < 1);
+    assert.ok(Math.abs(durations[1] - 600) < 1);
+    assert.ok(Math.abs(durations[2] - 600) < 1);
+  });
+
+  test("trimming can be turned off", () => {
+    const { samples } = postProcessPcm([speech(1000, 1000, 1000)], FORMAT, settings({ trimSilence: false }));
+    assert.ok(Math.abs(ms(samples) - 3000) < 1);
+  });
+});
+
+describe("options", () => {
+  test("opt-in, with defaults and range checks", () => {
+    assert.equal(parsePostProcessOptions({}), null);
+    assert.deepEqual(parsePostProcessOptions({ postProcess: "true" }), POSTPROCESS_DEFAULTS);
+    assert.equal(parsePostProcessOptions({ postProcess: "true", trimSilence: "false" }).trimSilence, false);
+    assert.throws(() => parsePostProcessOptions({ postProcess: "true", targetLufs: "-5" }), { status: 400 });
+    assert.throws(() => parsePostProcessOptions({ postProcess: "true", headPadMs: "1.5" }), { status: 400 });
+  });
+});
@@ -0,0 +1,86 @@
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import lexiconMatcher from "../../shared/lexicon-matcher.js";
+import { describeHardWrap, findUnknownTerms, MS_PER_CHAR } from "../preflight.js";
+import { narrateForm, startServer } from "./helpers.js";
+
+const { compileLexicon } = lexiconMatcher;
+
+describe("findUnknownTerms", () => {
+  const matcher = compileLexicon([{ term: "BID", spoken: "twice daily" }]);
+
+  test("lists medical-looking words the lexicon doesn't cover, most frequent first", () => {
+    const text = "Start lisinopril BID. Check HbA1c and eGFR. Recheck HbA1c. Diagnosis: OK.";
+    assert.deepEqual(findUnknownTerms(text, { matcher }), [
+      { word: "HbA1c", count: 2, reason: "letters and digits" },
+      { word: "eGFR", count: 1, reason: "mixed case" },
+      { word: "lisinopril", count: 1, reason: "medical suffix" },
+    ]);
+  });
+
+  test("skips words the author already spelled out, and speaker labels", () => {
+    const text = 'NURSE: Take [SUB alias="ibuprofen"]IBU[/SUB] and [SPELL]ECG[/SPELL]. ECG later.';
+    assert.deepEqual(
+      findUnknownTerms(text, { matcher, speakers: true }).map((t) => t.word),
+      ["ECG"]
+    );
+  });
+});
+
+test("describeHardWrap shows the cut and whether it split a word", () => {
+  assert.deepEqual(describeHardWrap(["abc def", "ghi"], 0), {
+    chunk: 0,
+    midWord: true,
+    context: "abc def|ghi",
+  });
+  assert.equal(describeHardWrap(["abc ", "def"], 0).midWord, false);
+});
+
+describe("preflight endpoint", () => {
+  let server;
+  before(async () => (server = await startServer()));
+  after(() => server.stop());
+
+  const preflight = async (files) => {
+    const res = await fetch(`${server.url}/api/narrate/preflight`, {
+      method: "POST",
+      body: narrateForm(files, { model: "tone:mid" }),
+    });
+    assert.equal(res.status, 200, await res.clone().text());
+    return res.json();
+  };
+
+  test("plans chunks and estimates length and cost", async () => {
+    const { files, totals } = await preflight([["a.txt", "Take [PAUSE=2s] one tablet."]]);
+    const [file] = files;
+    assert.equal(file.output, "a.wav");
+    assert.equal(file.chunks.length, 2);
+    assert.equal(file.characters, file.chunks[0].chars + file.chunks[1].chars);
+    assert.equal(file.estimatedMs, file.characters * MS_PER_CHAR + 2000);
+    assert.equal(file.estimatedCost, 0);
+    assert.equal(totals.billableCharacters, file.characters);
+  });
+
+  test("cached chunks aren't billable", async () => {
+    const script = [["b.txt", "Already narrated once."]];
+    const body = narrateForm(script, { model: "tone:mid" });
+    await (await fetch(`${server.url}/api/narrate/batch`, { method: "POST", body })).arrayBuffer();
+    const { files, totals } = await preflight(script);
+    assert.equal(files[0].chunks[0].cached, true);
+    assert.equal(totals.billableCharacters, 0);
+  });
+
+  test("reports markup errors and hard wraps instead of failing", async () => {
+    const { files, totals } = await preflight([
+      ["bad.txt", "Hold [PAUSE=later]."],
+      ["long.txt", "x".repeat(2500)],
+    ]);
+    assert.equal(files[0].markup.length, 1);
+    assert.equal(totals.markupErrors, 1);
+    assert.deepEqual(
+      files[1].hardWraps.map((w) => [w.chunk, w.midWord]),
+      [[0, true]]
+    );
+    assert.equal(totals.midWordSplits, 1);
+  });
+});
@@ -0,0 +1,63 @@
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { startServer } from "./helpers.js";
+
+describe("previews", () => {
+  let server;
+  before(async () => (server = await startServer()));
+  after(() => server.stop());
+
+  async function createPreview(text) {
+    const form = new FormData();
+    form.append("text", text);
+    form.append("model", "tone:mid");
+    const res = await fetch(`${server.url}/api/narrate/previews`, { method: "POST", body: form });
+    assert.equal(res.status, 201, await res.clone().text());
+    return res.json();
+  }
+
+  async function previewUsage() {
+    const { rows } = await (await fetch(`${server.url}/api/usage?groupBy=user`)).json();
+    return rows[0] || { chunks: 0, billedCharacters: 0 };
+  }
+
+  const audio = async (url, init) => Buffer.from(await (await fetch(server.url + url, init)).arrayBuffer());
+
+  test("overlapping and repeated requests share one synthesis", async () => {
+    const before = await previewUsage();
+    const preview = await createPreview("One sentence here. [PAUSE=300ms] And another one.");
+
+    const [a, b] = await Promise.all([audio(preview.url), audio(preview.url, { headers: { Range: "bytes=0-" } })]);
+    const c = await audio(preview.url);
+    assert.ok(a.length > 44);
+    assert.equal(a.subarray(44).compare(b.subarray(44)), 0);
+    assert.equal(a.subarray(44).compare(c.subarray(44)), 0);
+
+    const used = await previewUsage();
+    assert.equal(used.chunks - before.chunks, preview.chunks);
+    assert.equal(used.billedCharacters - before.billedCharacters, preview.characters);
+  });
+
+  test("a reader leaving doesn't stop the synthesis for the others", async () => {
+    const before = await previewUsage();
+    const preview = await createPreview("A longer passage to preview. ".repeat(20));
+
+    const leaver = new AbortController();
+    const left = fetch(server.url + preview.url, { signal: leaver.signal }).catch(() => null);
+    const stayed = audio(preview.url);
+    leaver.abort();
+    await left;
+
+    const wav = await stayed;
+    assert.ok(wav.length > 44 + 24000 * 2);
+    const again = await audio(preview.url);
+    assert.equal(wav.subarray(44).compare(again.subarray(44)), 0);
+
+    const used = await previewUsage();
+    assert.equal(used.billedCharacters - before.billedCharacters, preview.characters);
+  });
+
+  test("unknown previews are 404", async () => {
+    assert.equal((await fetch(`${server.url}/api/narrate/previews/nope/audio`)).status, 404);
+  });
+});
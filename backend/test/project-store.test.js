@@ -0,0 +1,103 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import { IDBFactory } from "fake-indexeddb";
+
+const SOURCE = readFileSync(new URL("../../frontend/project-store.js", import.meta.url), "utf8");
+
+// The browser script run against its own empty in-memory IndexedDB
+function loadStore() {
+  const window = { indexedDB: new IDBFactory(), crypto: globalThis.crypto };
+  new Function("window", SOURCE)(window);
+  return window.ProjectStore;
+}
+
+const script = (id, phoneticText = "") => ({ id, name: `${id}.txt`, originalText: "", phoneticText });
+
+function exported(fields = {}) {
+  return {
+    format: "medical-narration-project",
+    version: 1,
+    project: { id: "theirs", name: "Clinic leaflets", scripts: [script("a"), script("b")] },
+    revisions: [],
+    ...fields,
+  };
+}
+
+describe("importProject", () => {
+  test("rejects files that aren't project exports", async () => {
+    const store = loadStore();
+    await assert.rejects(store.importProject({ project: { scripts: [] } }), /Not a narration project file/);
+    await assert.rejects(store.importProject(exported({ project: { name: "x" } })), /Not a narration project/);
+    await assert.rejects(store.importProject(exported({ version: 2 })), /version 2 is newer/);
+    assert.deepEqual(await store.listProjects(), []);
+  });
+
+  test("saves a copy under a fresh id, so importing twice keeps both", async () => {
+    const store = loadStore();
+    const first = await store.importProject(exported());
+    const second = await store.importProject(exported());
+    assert.notEqual(first.id, "theirs");
+    assert.notEqual(first.id, second.id);
+    assert.deepEqual(
+      (await store.getProject(first.id)).scripts.map((s) => s.id),
+      ["a", "b"]
+    );
+    assert.equal((await store.listProjects()).length, 2);
+  });
+
+  test("keeps revisions of its own scripts only", async () => {
+    const store = loadStore();
+    const project = await store.importProject(
+      exported({
+        revisions: [
+          { scriptId: "a", savedAt: 1, reason: "autosave", phoneticText: "first" },
+          { scriptId: "gone", savedAt: 2, reason: "autosave", phoneticText: "orphan" },
+          { scriptId: "b", savedAt: 3, phoneticText: 42 },
+        ],
+      })
+    );
+    const revisions = await store.listRevisions(project.id, "a");
+    assert.deepEqual(
+      revisions.map((r) => [r.projectId, r.phoneticText]),
+      [[project.id, "first"]]
+    );
+    assert.deepEqual(await store.listRevisions(project.id, "gone"), []);
+    assert.deepEqual(await store.listRevisions(project.id, "b"), []);
+  });
+});
+
+describe("addRevision", () => {
+  const ids = { projectId: "p", scriptId: "a" };
+
+  test("skips text that matches the latest revision", async () => {
+    const store = loadStore();
+    assert.ok(await store.addRevision({ ...ids, phoneticText: "one" }));
+    assert.equal(await store.addRevision({ ...ids, phoneticText: "one" }), null);
+    assert.ok(await store.addRevision({ ...ids, phoneticText: "two" }));
+    assert.ok(await store.addRevision({ ...ids, phoneticText: "one" }), "only the latest is compared");
+    assert.equal((await store.listRevisions("p", "a")).length, 3);
+  });
+
+  test("overlapping calls with the same text add it once", async () => {
+    const store = loadStore();
+    const added = await Promise.all([
+      store.addRevision({ ...ids, phoneticText: "same", reason: "autosave" }),
+      store.addRevision({ ...ids, phoneticText: "same", reason: "before restore" }),
+    ]);
+    assert.equal(added.filter(Boolean).length, 1);
+    assert.equal((await store.listRevisions("p", "a")).length, 1);
+  });
+
+  test("keeps the newest 50 per script", async () => {
+    const store = loadStore();
+    for (let i = 0; i < 55; i++) await store.addRevision({ ...ids, phoneticText: `v${i}` });
+    await store.addRevision({ projectId: "p", scriptId: "b", phoneticText: "other" });
+
+    const revisions = await store.listRevisions("p", "a");
+    assert.equal(revisions.length, 50);
+    assert.equal(revisions[0].phoneticText, "v54");
+    assert.equal(revisions.at(-1).phoneticText, "v5");
+    assert.equal((await store.listRevisions("p", "b")).length, 1);
+  });
+});
@@ -0,0 +1,121 @@
+import { afterEach, describe, mock, test } from "node:test";
+import assert from "node:assert/strict";
+import { createProviders, outputContainers } from "../providers/index.js";
+import { ProviderHttpError, parseRetryAfter } from "../providers/http.js";
+import { parseWav } from "../audio.js";
+
+const ENV = { DEEPGRAM_API_KEY: "dg-key", OPENAI_TTS_API_KEY: "oa-key", TONE_TTS_ENABLED: "true" };
+
+describe("provider registry", () => {
+  test("only configured providers are registered", () => {
+    assert.deepEqual(
+      createProviders({ TONE_TTS_ENABLED: "true" }).providers.map((p) => p.id),
+      ["tone"]
+    );
+    assert.deepEqual(
+      createProviders(ENV).providers.map((p) => p.id),
+      ["deepgram", "openai", "tone"]
+    );
+  });
+
+  test("voices resolve by provider prefix, bare ids by the default provider", () => {
+    const { resolveVoice } = createProviders({ ...ENV, TTS_DEFAULT_PROVIDER: "tone" });
+    assert.equal(resolveVoice("openai:nova").provider.id, "openai");
+    assert.equal(resolveVoice("openai:nova").voice, "nova");
+    assert.equal(resolveVoice("mid").provider.id, "tone");
+    assert.equal(resolveVoice("").voice, "low");
+    assert.throws(() => resolveVoice("local:amy"), /not configured: local/);
+    assert.throws(() => resolveVoice("openai:nobody"), /Unknown voice for openai/);
+  });
+
+  test("the catalog lists every voice and what it can be narrated to", () => {
+    const catalog = createProviders({ ...ENV, OPENAI_TTS_PRICE_PER_1K_CHARS: "" }).voiceCatalog();
+    assert.equal(catalog.defaultVoice, "deepgram:aura-2-thalia-en");
+    const openai = catalog.providers.find((p) => p.id === "openai");
+    assert.deepEqual(openai.containers, ["wav", "mp3", "flac", "ogg"]);
+    assert.equal(openai.pricePer1kChars, null);
+    assert.ok(catalog.voices.some((v) => v.id === "tone:silence"));
+  });
+
+  test("only providers with 16-bit WAV are encoded locally", () => {
+    assert.deepEqual(outputContainers({ containers: ["wav"], wavFormats: {} }), ["wav"]);
+    assert.deepEqual(outputContainers({ containers: ["wav"], wavFormats: { linear16: null } }), [
+      "wav",
+      "flac",
+      "ogg",
+    ]);
+  });
+});
+
+describe("providers", () => {
+  afterEach(() => mock.restoreAll());
+
+  function provider(id, env = ENV) {
+    return createProviders(env).providers.find((p) => p.id === id);
+  }
+
+  function stubFetch(status, body, headers = {}) {
+    return mock.method(globalThis, "fetch", async () => new Response(body, { status, headers }));
+  }
+
+  test("Deepgram gets the voice and format as query parameters", async () => {
+    const fetch = stubFetch(200, "audio");
+    const audio = await provider("deepgram").synthesize({
+      text: "Hi.",
+      voice: "aura-2-luna-en",
+      container: "wav",
+      encoding: "mulaw",
+      sampleRate: 8000,
+    });
+    assert.equal(audio.toString(), "audio");
+
+    const [url, init] = fetch.mock.calls[0].arguments;
+    const params = new URL(url).searchParams;
+    assert.equal(params.get("model"), "aura-2-luna-en");
+    assert.equal(params.get("encoding"), "mulaw");
+    assert.equal(params.get("sample_rate"), "8000");
+    assert.equal(init.headers.Authorization, "Token dg-key");
+    assert.deepEqual(JSON.parse(init.body), { text: "Hi." });
+  });
+
+  test("OpenAI-compatible endpoints get a speech request", async () => {
+    const fetch = stubFetch(200, "audio");
+    const env = { OPENAI_TTS_BASE_URL: "http://tts.local/", OPENAI_TTS_MODEL: "kokoro" };
+    await provider("openai", env).synthesize({ text: "Hi.", voice: "nova", container: "mp3" });
+
+    const [url, init] = fetch.mock.calls[0].arguments;
+    assert.equal(url, "http://tts.local/v1/audio/speech");
+    assert.equal(init.headers.Authorization, undefined);
+    assert.deepEqual(JSON.parse(init.body), {
+      model: "kokoro",
+      voice: "nova",
+      input: "Hi.",
+      response_format: "mp3",
+    });
+  });
+
+  test("HTTP failures carry the status and Retry-After", async () => {
+    stubFetch(429, "slow down", { "Retry-After": "3" });
+    const error = await provider("openai")
+      .synthesize({ text: "Hi.", voice: "nova", container: "wav" })
+      .catch((e) => e);
+    assert.ok(error instanceof ProviderHttpError);
+    assert.equal(error.status, 429);
+    assert.equal(error.retryAfterMs, 3000);
+    assert.match(error.message, /OpenAI TTS failed \(429\): slow down/);
+  });
+
+  test("the tone provider's length follows the text", async () => {
+    const opts = { text: "x".repeat(10), voice: "mid", container: "wav", sampleRate: 8000 };
+    const wav = await provider("tone").synthesize(opts);
+    assert.equal(parseWav(wav).data.length, 600 * 8 * 2); // 60 ms a character, 8 frames a ms
+  });
+
+  test("Retry-After is seconds or a date", () => {
+    assert.equal(parseRetryAfter("2"), 2000);
+    assert.equal(parseRetryAfter(null), null);
+    assert.equal(parseRetryAfter("soon"), null);
+    const inAMinute = new Date(Date.now() + 60_000).toUTCString();
+    assert.ok(Math.abs(parseRetryAfter(inAMinute) - 60_000) <= 1000);
+  });
+});
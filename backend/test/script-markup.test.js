@@ -0,0 +1,116 @@
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import scriptMarkup from "../../shared/script-markup.js";
+import { narrateForm, startServer } from "./helpers.js";
+
+const { parseMarkup, renderMarkup, stripMarkup, transformText } = scriptMarkup;
+
+const errors = (text) => parseMarkup(text).errors.map((e) => `${e.line}:${e.column} ${e.message}`);
+const render = (text, opts) => renderMarkup(parseMarkup(text, opts).nodes, opts);
+
+describe("validation", () => {
+  test("unknown tags suggest the closest one", () => {
+    assert.deepEqual(errors("Hi [PAWSE] there"), ["1:4 Unknown tag [PAWSE]; did you mean [PAUSE]?"]);
+  });
+
+  test("tags must be closed and nested properly", () => {
+    assert.deepEqual(errors("[SPELL]ECG"), ["1:1 [SPELL] is never closed; add [/SPELL]"]);
+    assert.deepEqual(errors("line one\n  [/VOICE]"), ["2:3 [/VOICE] has no matching [VOICE]"]);
+    assert.deepEqual(errors("[SPELL][PAUSE][/SPELL]"), [
+      "1:8 [SPELL] can only contain plain text, not [PAUSE]",
+    ]);
+  });
+
+  test("values and attributes are checked", () => {
+    assert.deepEqual(errors("[PAUSE=soon] [SAY-AS=time]1[/SAY-AS] [SUB]x[/SUB] [EMPHASIS=2]x[/EMPHASIS]"), [
+      "1:1 [PAUSE=soon] is not a pause length; use SHORT or a duration like 750ms or 2s",
+      "1:14 [SAY-AS=time] is not supported; use number, date, characters",
+      '1:38 [SUB] needs alias="..."',
+      "1:51 [EMPHASIS] doesn't take a value",
+    ]);
+  });
+
+  test("timed pauses longer than 30s are errors", () => {
+    assert.deepEqual(errors("Wait [PAUSE=30s] then\n[PAUSE=45s] [PAUSE=30001ms]"), [
+      "2:1 [PAUSE=45s] is too long; pauses are at most 30s",
+      "2:13 [PAUSE=30001ms] is too long; pauses are at most 30s",
+    ]);
+  });
+
+  test("escaped and stray brackets are plain text", () => {
+    assert.deepEqual(errors("See [[note] and [1] or a [ alone"), []);
+    assert.equal(stripMarkup("See [[note]"), "See [note]");
+  });
+});
+
+describe("rendering", () => {
+  test("pauses", () => {
+    assert.deepEqual(render("A [PAUSE] B", { longPauseDots: 3 }), [{ type: "text", text: "A ... B" }]);
+    assert.deepEqual(render("A [SILENT_PAUSE] B"), [{ type: "text", text: "A . . . B" }]);
+    assert.match(render("A [PAUSE=SHORT] B")[0].text, /^A ?, B$/);
+    assert.deepEqual(render("A [PAUSE=1.5s] B [PAUSE=90s]"), [
+      { type: "text", text: "A " },
+      { type: "pause", ms: 1500 },
+      { type: "text", text: " B " },
+      { type: "pause", ms: 30000 },
+    ]);
+  });
+
+  test("spelling, substitutions and say-as", () => {
+    const text = '[SPELL]ECG[/SPELL], [SUB alias="blood pressure"]BP[/SUB], [SAY-AS=characters]AB1[/SAY-AS]';
+    assert.equal(render(text)[0].text, "E C G, blood pressure, A B one");
+  });
+
+  test("emphasis sets words off with short pauses", () => {
+    assert.equal(render("Take [EMPHASIS]two[/EMPHASIS] tablets.")[0].text, "Take, two, tablets.");
+    assert.equal(render("Take [EMPHASIS]two[/EMPHASIS].")[0].text, "Take, two.");
+  });
+
+  test("voice blocks and speakers label their segments", () => {
+    const script = "NURSE: Hi.\nDR. LEE: Hello [VOICE=tone:low]there[/VOICE].";
+    assert.deepEqual(render(script, { speakers: true }), [
+      { type: "text", text: "Hi.\n", speaker: "NURSE" },
+      { type: "text", text: "Hello ", speaker: "DR. LEE" },
+      { type: "text", text: "there", speaker: "DR. LEE", voice: "tone:low" },
+      { type: "text", text: ".", speaker: "DR. LEE" },
+    ]);
+  });
+
+  test("the lexicon and normalizer only see ordinary text", () => {
+    const upper = (t) => t.toUpperCase();
+    assert.equal(
+      transformText('bp [SUB alias="bp"]bp[/SUB] [SPELL]bp[/SPELL] bp', upper),
+      'BP [SUB alias="bp"]bp[/SUB] [SPELL]bp[/SPELL] BP'
+    );
+  });
+});
+
+describe("markup errors in requests", () => {
+  let server;
+  before(async () => (server = await startServer()));
+  after(() => server.stop());
+
+  test("fail the batch before anything is synthesized", async () => {
+    const res = await fetch(`${server.url}/api/narrate/batch`, {
+      method: "POST",
+      body: narrateForm(
+        [
+          ["ok.txt", "Fine."],
+          ["bad.txt", "Hold [PAUSE=forever] please."],
+        ],
+        { model: "tone:mid" }
+      ),
+    });
+    assert.equal(res.status, 400);
+    const body = await res.json();
+    assert.match(body.error, /1 error/);
+    assert.deepEqual(body.issues, [
+      {
+        file: "bad.txt",
+        line: 1,
+        column: 6,
+        message: "[PAUSE=forever] is not a pause length; use SHORT or a duration like 750ms or 2s",
+      },
+    ]);
+  });
+});
@@ -0,0 +1,116 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import textNormalizer from "../../shared/text-normalizer.js";
+
+const { normalizeText, numberWords, ordinalWords, RULE_IDS } = textNormalizer;
+
+const only = (...ids) => ({ rules: Object.fromEntries(RULE_IDS.map((id) => [id, ids.includes(id)])) });
+
+describe("number words", () => {
+  test("integers, decimals and ordinals", () => {
+    assert.equal(numberWords("1,250"), "one thousand two hundred fifty");
+    assert.equal(numberWords("7.25"), "seven point two five");
+    assert.equal(numberWords(".5"), "point five");
+    assert.equal(ordinalWords("21"), "twenty-first");
+    assert.equal(ordinalWords("12"), "twelfth");
+  });
+});
+
+describe("dates and times", () => {
+  test("numeric and written dates", () => {
+    assert.equal(normalizeText("2024-03-12"), "March twelfth, twenty twenty-four");
+    assert.equal(normalizeText("3/4/2024", { dateOrder: "dmy" }), "April third, twenty twenty-four");
+    assert.equal(normalizeText("Mar. 3rd"), "March third");
+  });
+
+  test("12-hour times", () => {
+    assert.equal(normalizeText("Take it at 7:05 p.m. Then rest."), "Take it at seven oh five PM. Then rest.");
+  });
+
+  test("24-hour times are read as times, not ratios", () => {
+    assert.equal(normalizeText("at 14:30"), "at fourteen thirty");
+    assert.equal(normalizeText("12:00"), "twelve o'clock");
+    assert.equal(normalizeText("18:00"), "eighteen hundred");
+    assert.equal(normalizeText("from 9:00 to 9:45"), "from nine o'clock to nine forty-five");
+  });
+
+  test("times are not ratios even with the dates rule off", () => {
+    assert.equal(normalizeText("at 14:30", only("ratios")), "at 14:30");
+    assert.equal(normalizeText("1:1000", only("ratios")), "1 to 1000");
+  });
+});
+
+describe("ratios", () => {
+  test("dilutions", () => {
+    assert.equal(normalizeText("1:1000 epinephrine"), "one to one thousand epinephrine");
+    assert.equal(normalizeText("a 1:10 dilution"), "a one to ten dilution");
+  });
+
+  test("H:MM:SS is left alone", () => {
+    assert.equal(normalizeText("12:30:15", only("ratios", "dates")), "12:30:15");
+  });
+});
+
+describe("ranges", () => {
+  test("ranges of units and counted things", () => {
+    assert.equal(normalizeText("0.5–1.0 mL", only("ranges")), "0.5 to 1.0 mL");
+    assert.equal(normalizeText("5-10%", only("ranges")), "5 to 10%");
+    assert.equal(normalizeText("2-3 tablets", only("ranges")), "2 to 3 tablets");
+  });
+
+  test("bare ranges that go up", () => {
+    assert.equal(normalizeText("ages 5-10"), "ages five to ten");
+    assert.equal(normalizeText("Stage 1–2 disease"), "Stage one to two disease");
+    assert.equal(normalizeText("ages 5-10", only("ranges")), "ages 5 to 10");
+    assert.equal(normalizeText("lot 12-05", only("ranges")), "lot 12-05");
+    assert.equal(normalizeText("ID 123-4567", only("ranges")), "ID 123-4567");
+  });
+
+  test("phone numbers and IDs are not ranges", () => {
+    assert.equal(normalizeText("555-1234", only("ranges")), "555-1234");
+    assert.equal(normalizeText("call 800-555-0199", only("ranges")), "call 800-555-0199");
+    assert.equal(normalizeText("555-1234"), "five five five, one two three four");
+    assert.equal(
+      normalizeText("call 800-555-0199"),
+      "call eight zero zero, five five five, zero one nine nine"
+    );
+  });
+});
+
+describe("clinical notation", () => {
+  test("blood pressure", () => {
+    assert.equal(normalizeText("120/80 mmHg"), "one hundred twenty over eighty millimeters of mercury");
+    assert.equal(normalizeText("BP 120/80", only("bloodPressure")), "BP 120 over 80");
+    assert.equal(normalizeText("take 1/2", only("bloodPressure")), "take 1/2");
+  });
+
+  test("dosing frequency", () => {
+    assert.equal(normalizeText("q8h", only("frequency")), "every 8 hours");
+    assert.equal(normalizeText("q4-6h", only("frequency")), "every 4 to 6 hours");
+    assert.equal(normalizeText("500 mg BID", only("frequency")), "500 mg twice daily");
+    assert.equal(normalizeText("bid", only("frequency")), "bid");
+  });
+
+  test("units", () => {
+    assert.equal(normalizeText("5 mg/kg", only("units")), "5 milligrams per kilogram");
+    assert.equal(normalizeText("1 mL", only("units")), "1 milliliter");
+    assert.equal(normalizeText("2 mg/m2/d", only("units")), "2 milligrams per square meter per day");
+  });
+
+  test("a spaced capital L is only liters with a per-unit", () => {
+    assert.equal(normalizeText("Stage 4 L"), "Stage four L");
+    assert.equal(normalizeText("2L", only("units")), "2 liters");
+    assert.equal(normalizeText("2 L/min", only("units")), "2 liters per minute");
+  });
+});
+
+describe("normalizeText", () => {
+  test("rules can be switched off", () => {
+    assert.equal(normalizeText("5 mg", { rules: { units: false, numbers: false } }), "5 mg");
+  });
+
+  test("normalizing twice changes nothing", () => {
+    const once = normalizeText("BP 120/80 at 14:30, 5-10 mg q6h PRN on 3/12/2024; call 555-1234.");
+    assert.equal(normalizeText(once), once);
+  });
+});
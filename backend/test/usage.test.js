@@ -0,0 +1,192 @@
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { mkdir, mkdtemp, readFile, rm, writeFile } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import path from "node:path";
+import { QuotaError, createUsage } from "../usage.js";
+import { narrateForm, startServer } from "./helpers.js";
+
+let dir;
+
+before(async () => {
+  dir = await mkdtemp(path.join(tmpdir(), "usage-test-"));
+});
+
+after(async () => {
+  await rm(dir, { recursive: true, force: true });
+});
+
+// A usage store in its own directory, with an optional quotas.json
+async function usageIn(name, limits, quotas) {
+  const usageDir = path.join(dir, name);
+  if (quotas) {
+    await mkdir(usageDir, { recursive: true });
+    await writeFile(path.join(usageDir, "quotas.json"), JSON.stringify(quotas));
+  }
+  return createUsage({ dir: usageDir, limits });
+}
+
+describe("accounting", () => {
+  test("cache hits and failures are counted but not billed", async () => {
+    const usage = await usageIn("billing");
+    const meter = usage.startMeter({ user: "ana", project: "acme", source: "batch" });
+    await usage.record(meter, { model: "tone:mid", characters: 100, audioSeconds: 6 });
+    await usage.record(meter, { model: "tone:mid", characters: 40, cacheHit: true });
+    await usage.record(meter, { model: "tone:mid", characters: 30, failed: true });
+
+    const [row] = await usage.report({ groupBy: ["user", "project"] });
+    assert.deepEqual(row, {
+      user: "ana",
+      project: "acme",
+      chunks: 3,
+      characters: 170,
+      billedCharacters: 100,
+      audioSeconds: 6,
+      cacheHits: 1,
+      failures: 1,
+    });
+  });
+
+  test("totals are rebuilt from the log at startup", async () => {
+    const usage = await usageIn("reload");
+    await usage.record(usage.startMeter({ user: "ana", source: "batch" }), { model: "a", characters: 10 });
+    await usage.record(usage.startMeter({ user: "bo", source: "job" }), { model: "b", characters: 20 });
+    const lines = (await readFile(path.join(dir, "reload/usage.jsonl"), "utf8")).trim().split("\n");
+    assert.equal(lines.length, 2);
+
+    const again = await usageIn("reload");
+    assert.deepEqual(
+      (await again.report({ groupBy: ["user"] })).map((r) => [r.user, r.billedCharacters]),
+      [
+        ["ana", 10],
+        ["bo", 20],
+      ]
+    );
+    const [row] = await again.report({ groupBy: ["model"], user: "bo" });
+    assert.deepEqual([row.model, row.chunks, row.billedCharacters], ["b", 1, 20]);
+    assert.deepEqual(await again.report({ from: "2000-01-01", to: "2000-12-31" }), []);
+  });
+
+  test("CSV export", async () => {
+    const usage = await usageIn("csv");
+    await usage.record(usage.startMeter({ user: "ana, RN", source: "batch" }), { model: "m", characters: 5 });
+    const csv = usage.reportCsv(await usage.report({ groupBy: ["user"] }), ["user"]);
+    assert.equal(
+      csv,
+      "user,chunks,characters,billedCharacters,audioSeconds,cacheHits,failures\r\n" +
+        '"ana, RN",1,5,5,0,0,0\r\n'
+    );
+  });
+});
+
+describe("quotas", () => {
+  test("billed characters and open reservations count against the limits", async () => {
+    const usage = await usageIn("limits", { user: { daily: 100 } });
+    await usage.record(usage.startMeter({ user: "ana", source: "batch" }), { model: "m", characters: 60 });
+    await usage.checkQuota({ user: "ana", characters: 40 });
+    await assert.rejects(usage.checkQuota({ user: "ana", characters: 41 }), QuotaError);
+
+    const meter = usage.startMeter({ user: "ana", source: "batch", reserve: 30 });
+    await assert.rejects(usage.checkQuota({ user: "ana", characters: 20 }), { status: 429 });
+    usage.endMeter(meter);
+    await usage.checkQuota({ user: "ana", characters: 20 });
+
+    // Other users have their own quota
+    await usage.checkQuota({ user: "bo", characters: 100 });
+  });
+
+  test("quotas.json overrides the defaults per user and project", async () => {
+    const usage = await usageIn(
+      "overrides",
+      { user: { daily: 100 } },
+      { users: { ana: { daily: 0, monthly: 500 } }, projects: { acme: { daily: 50 } } }
+    );
+    assert.deepEqual(await usage.quotaStatus({ user: "ana", project: "acme" }), [
+      { scope: "user", name: "ana", period: "monthly", limit: 500, used: 0, remaining: 500 },
+      { scope: "project", name: "acme", period: "daily", limit: 50, used: 0, remaining: 50 },
+    ]);
+    await assert.rejects(usage.checkQuota({ user: "ana", project: "acme", characters: 51 }), /project acme/);
+    await usage.checkQuota({ user: "ana", characters: 400 });
+  });
+});
+
+test("a corrupt quotas file stops the server before it listens", async () => {
+  const usageDir = path.join(dir, "corrupt");
+  await mkdir(usageDir);
+  await writeFile(path.join(usageDir, "quotas.json"), "{bad");
+  await assert.rejects(startServer({ USAGE_DIR: usageDir }), (e) => {
+    assert.match(e.message, /Can't read .*quotas\.json/);
+    assert.doesNotMatch(e.message, /Backend listening/);
+    return true;
+  });
+});
+
+describe("usage routes", () => {
+  let server;
+  before(async () => (server = await startServer({ USAGE_DAILY_CHARS: "30" })));
+  after(() => server.stop());
+
+  const narrate = (text) =>
+    fetch(`${server.url}/api/narrate/batch`, {
+      method: "POST",
+      body: narrateForm([["a.txt", text]], { model: "tone:mid" }),
+    });
+
+  test("narration is billed and then refused past the quota", async () => {
+    assert.equal((await narrate("Take two tablets.")).status, 200);
+
+    const { quotas } = await (await fetch(`${server.url}/api/usage/quota`)).json();
+    assert.equal(quotas.length, 1);
+    assert.equal(quotas[0].limit, 30);
+    assert.ok(quotas[0].used > 0 && quotas[0].used === 30 - quotas[0].remaining);
+
+    // A cache hit is free, new text isn't
+    assert.equal((await narrate("Take two tablets.")).status, 200);
+    const refused = await narrate("Call the clinic if the pain gets worse.");
+    assert.equal(refused.status, 429);
+    assert.match((await refused.json()).error, /daily quota of 30/);
+  });
+
+  test("reports as JSON and CSV", async () => {
+    const { rows } = await (await fetch(`${server.url}/api/usage?groupBy=user`)).json();
+    assert.deepEqual(
+      rows.map((r) => [r.user, r.cacheHits > 0]),
+      [["local", true]]
+    );
+    const csv = await fetch(`${server.url}/api/usage/export.csv?groupBy=user,model`);
+    assert.match(csv.headers.get("Content-Type"), /text\/csv/);
+    assert.match(await csv.text(), /^user,model,chunks,/);
+
+    assert.equal((await fetch(`${server.url}/api/usage?groupBy=voice`)).status, 400);
+    assert.equal((await fetch(`${server.url}/api/usage?from=yesterday`)).status, 400);
+  });
+});
+
+describe("preview quotas", () => {
+  let server;
+  before(async () => (server = await startServer({ USAGE_DAILY_CHARS: "50" })));
+  after(() => server.stop());
+
+  const preview = (text) => {
+    const form = new FormData();
+    form.append("text", text);
+    form.append("model", "tone:mid");
+    return fetch(`${server.url}/api/narrate/previews`, { method: "POST", body: form });
+  };
+  const quota = async () => (await (await fetch(`${server.url}/api/usage/quota`)).json()).quotas[0];
+
+  test("hold their characters until they are played", async () => {
+    const first = await preview("Take two tablets by mouth.");
+    assert.equal(first.status, 201, await first.clone().text());
+    const { url, characters } = await first.json();
+    assert.equal((await quota()).used, characters);
+
+    // Not played yet, but the quota is already spoken for
+    assert.equal((await preview("Call the clinic if it gets worse.")).status, 429);
+
+    await (await fetch(server.url + url)).arrayBuffer();
+    const after = await quota();
+    assert.equal(after.used, characters, "billed once, no longer reserved on top");
+    assert.equal((await preview("Rest.")).status, 201);
+  });
+});
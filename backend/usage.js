@@ -0,0 +1,249 @@
+// usage.js (ESM) — per-call usage accounting and character quotas
+//
+// Every chunk synthesis call (cache hits and failures included) is appended
+// to <dir>/usage.jsonl as
+//   { at, day, user, project, source, model, characters, billedCharacters,
+//     audioSeconds, cacheHit, failed }
+// billedCharacters is what the provider charges for: 0 for cache hits and
+// failed calls. Totals are rebuilt from the file at startup. Days and months
+// are UTC.
+//
+// Quotas limit billed characters per user and per project, by day and by
+// month. Defaults come from the server's env; <dir>/quotas.json (read at
+// startup) may override them:
+//   { users: { [username]: { daily, monthly } }, projects: { [id]: { daily, monthly } } }
+// A limit of 0 (or none) means unlimited.
+import { appendFile, mkdir, readFile } from "node:fs/promises";
+import path from "node:path";
+
+export class QuotaError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "QuotaError";
+    this.status = 429;
+  }
+}
+
+export const USAGE_GROUPS = ["day", "user", "project", "model"];
+
+const COUNTERS = ["chunks", "characters", "billedCharacters", "audioSeconds", "cacheHits", "failures"];
+const NO_PROJECT = ""; // project key for narration without a project
+
+function utcDay(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+function emptyCounters() {
+  return Object.fromEntries(COUNTERS.map((c) => [c, 0]));
+}
+
+function cleanLimit(value) {
+  const n = Number(value);
+  return Number.isFinite(n) && n > 0 ? Math.floor(n) : 0;
+}
+
+function csvCell(value) {
+  const s = String(value ?? "");
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+// limits: { user: { daily, monthly }, project: { daily, monthly } } defaults
+export function createUsage({ dir, limits = {} }) {
+  const usageFile = path.join(dir, "usage.jsonl");
+  const quotasFile = path.join(dir, "quotas.json");
+
+  // key: day \0 user \0 project \0 model, value: counters
+  const buckets = new Map();
+  // key: "user"|"project" \0 name \0 day or month, value: billed characters
+  const billed = new Map();
+  const meters = new Set(); // open meters holding character reservations
+  let overrides = { users: {}, projects: {} };
+  let writeChain = Promise.resolve();
+
+  function add(record) {
+    const key = [record.day, record.user, record.project, record.model].join("\u0000");
+    const counters = buckets.get(key) || emptyCounters();
+    counters.chunks++;
+    counters.characters += record.characters;
+    counters.billedCharacters += record.billedCharacters;
+    counters.audioSeconds += record.audioSeconds;
+    if (record.cacheHit) counters.cacheHits++;
+    if (record.failed) counters.failures++;
+    buckets.set(key, counters);
+
+    if (!record.billedCharacters) return;
+    const month = record.day.slice(0, 7);
+    for (const [kind, name] of [["user", record.user], ["project", record.project]]) {
+      if (kind === "project" && name === NO_PROJECT) continue;
+      for (const period of [record.day, month]) {
+        const k = [kind, name, period].join("\u0000");
+        billed.set(k, (billed.get(k) || 0) + record.billedCharacters);
+      }
+    }
+  }
+
+  const ready = (async () => {
+    try {
+      for (const line of (await readFile(usageFile, "utf8")).split("\n")) {
+        if (!line.trim()) continue;
+        try {
+          add(JSON.parse(line));
+        } catch {
+          // a torn last line from a crash; skip it
+        }
+      }
+    } catch (e) {
+      if (e.code !== "ENOENT") throw new Error(`Can't read ${usageFile}: ${e.message}`);
+    }
+    try {
+      const data = JSON.parse(await readFile(quotasFile, "utf8"));
+      overrides = { users: data.users || {}, projects: data.projects || {} };
+    } catch (e) {
+      if (e.code !== "ENOENT") throw new Error(`Can't read ${quotasFile}: ${e.message}`);
+    }
+  })();
+
+  // Appends are serialized so records never interleave
+  function persist(record) {
+    writeChain = writeChain
+      .catch(() => {})
+      .then(async () => {
+        await mkdir(dir, { recursive: true });
+        await appendFile(usageFile, JSON.stringify(record) + "\n");
+      });
+    return writeChain;
+  }
+
+  // =====================
+  // Metering
+  // =====================
+  // A meter ties synthesis calls to who asked for them. `reserve` holds that
+  // many characters against the quotas until the calls are recorded (or the
+  // meter ends), so two batches started together can't both use the last of it.
+  function startMeter({ user, project = null, source, reserve = 0 }) {
+    const meter = { user: user || "anonymous", project: project || NO_PROJECT, source, reserved: reserve };
+    if (reserve > 0) meters.add(meter);
+    return meter;
+  }
+
+  function endMeter(meter) {
+    meters.delete(meter);
+  }
+
+  // One synthesis call: { model, characters, audioSeconds, cacheHit, failed }
+  async function record(meter, { model, characters, audioSeconds = 0, cacheHit = false, failed = false }) {
+    await ready;
+    const now = new Date();
+    const billedCharacters = cacheHit || failed ? 0 : characters;
+    const entry = {
+      at: now.toISOString(),
+      day: utcDay(now),
+      user: meter.user,
+      project: meter.project,
+      source: meter.source,
+      model,
+      characters,
+      billedCharacters,
+      audioSeconds: Math.round(audioSeconds * 1000) / 1000,
+      cacheHit,
+      failed,
+    };
+    add(entry);
+    meter.reserved = Math.max(0, meter.reserved - billedCharacters);
+    await persist(entry);
+  }
+
+  // =====================
+  // Quotas
+  // =====================
+  function limitsFor(kind, name) {
+    const override = (kind === "user" ? overrides.users : overrides.projects)[name] || {};
+    const defaults = limits[kind] || {};
+    return {
+      daily: cleanLimit(override.daily ?? defaults.daily),
+      monthly: cleanLimit(override.monthly ?? defaults.monthly),
+    };
+  }
+
+  function usedIn(kind, name, period) {
+    let used = billed.get([kind, name, period].join("\u0000")) || 0;
+    for (const m of meters) if (m[kind] === name) used += m.reserved;
+    return used;
+  }
+
+  // [{ scope: "user"|"project", name, period: "daily"|"monthly", limit, used, remaining }]
+  // for every limit that applies; unlimited ones are left out
+  async function quotaStatus({ user, project = null }) {
+    await ready;
+    const now = new Date();
+    const periods = { daily: utcDay(now), monthly: utcDay(now).slice(0, 7) };
+    const scopes = [["user", user || "anonymous"]];
+    if (project) scopes.push(["project", project]);
+
+    const out = [];
+    for (const [scope, name] of scopes) {
+      const scopeLimits = limitsFor(scope, name);
+      for (const [period, key] of Object.entries(periods)) {
+        const limit = scopeLimits[period];
+        if (!limit) continue;
+        const used = usedIn(scope, name, key);
+        out.push({ scope, name, period, limit, used, remaining: Math.max(0, limit - used) });
+      }
+    }
+    return out;
+  }
+
+  // Throws QuotaError when `characters` more billed characters would pass a limit
+  async function checkQuota({ user, project = null, characters }) {
+    for (const q of await quotaStatus({ user, project })) {
+      if (characters <= q.remaining) continue;
+      const when = q.period === "daily" ? "today" : "this month";
+      throw new QuotaError(
+        `This needs ${characters} characters, but ${q.scope} ${q.name} has ${q.remaining} of its ` +
+          `${q.period} quota of ${q.limit} left ${when}`
+      );
+    }
+  }
+
+  // =====================
+  // Reports
+  // =====================
+  // Totals grouped by `groupBy` (a subset of USAGE_GROUPS), optionally limited
+  // to days from..to (inclusive, YYYY-MM-DD) and one user or project
+  async function report({ groupBy = USAGE_GROUPS, from = "", to = "", user = "", project = "" } = {}) {
+    await ready;
+    const rows = new Map();
+    for (const [key, counters] of buckets) {
+      const [day, u, p, model] = key.split("\u0000");
+      if ((from && day < from) || (to && day > to)) continue;
+      if ((user && u !== user) || (project && p !== project)) continue;
+
+      const fields = { day, user: u, project: p || null, model };
+      const group = Object.fromEntries(groupBy.map((g) => [g, fields[g]]));
+      const groupKey = JSON.stringify(group);
+      const row = rows.get(groupKey) || { ...group, ...emptyCounters() };
+      for (const c of COUNTERS) row[c] += counters[c];
+      rows.set(groupKey, row);
+    }
+
+    const compare = (a, b) => {
+      for (const g of groupBy) {
+        const order = String(a[g] ?? "").localeCompare(String(b[g] ?? ""));
+        if (order) return order;
+      }
+      return 0;
+    };
+    return [...rows.values()]
+      .map((row) => ({ ...row, audioSeconds: Math.round(row.audioSeconds * 10) / 10 }))
+      .sort(compare);
+  }
+
+  function reportCsv(rows, groupBy = USAGE_GROUPS) {
+    const columns = [...groupBy, ...COUNTERS];
+    const lines = [columns.join(",")];
+    for (const row of rows) lines.push(columns.map((c) => csvCell(row[c])).join(","));
+    return lines.join("\r\n") + "\r\n";
+  }
+
+  return { ready, startMeter, endMeter, record, quotaStatus, checkQuota, report, reportCsv };
+}
@@ -0,0 +1,96 @@
+// users-cli.js (ESM) — manage the local users the backend signs in (auth.js)
+//
+//   npm run users -- list
+//   npm run users -- add <username> <viewer|narrator|lexicon-admin>
+//   npm run users -- role <username> <role>
+//   npm run users -- passwd <username>
+//   npm run users -- remove <username>
+//   npm run users -- token <username> [name]     prints a new API token once
+//
+// Passwords are asked for on the terminal, or read from the first line of
+// stdin when it isn't one (e.g. from a secrets manager). A running server
+// picks up changes within a few seconds.
+import readline from "node:readline";
+import dotenv from "dotenv";
+import { fileURLToPath } from "node:url";
+import { ROLES, createAuth } from "./auth.js";
+
+dotenv.config({ quiet: true });
+
+const AUTH_DIR = process.env.AUTH_DIR || fileURLToPath(new URL("./data/auth", import.meta.url));
+
+const USAGE = `usage: npm run users -- <command>
+  list
+  add <username> <${ROLES.join("|")}>
+  role <username> <role>
+  passwd <username>
+  remove <username>
+  token <username> [name]`;
+
+// Typed characters aren't echoed on a terminal
+function readPassword(prompt) {
+  const terminal = !!process.stdin.isTTY;
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout, terminal });
+  return new Promise((resolve) => {
+    if (terminal) {
+      process.stdout.write(prompt);
+      rl._writeToOutput = () => {};
+    }
+    rl.once("line", (line) => {
+      resolve(line);
+      if (terminal) process.stdout.write("\n");
+      rl.close();
+    });
+    rl.once("close", () => resolve(""));
+  });
+}
+
+async function main([command, username, arg]) {
+  const auth = createAuth({ dir: AUTH_DIR, sessionTtlMs: 0 });
+
+  switch (command) {
+    case "list": {
+      for (const u of await auth.listUsers()) console.log(`${u.username}\t${u.role}\t${u.createdAt}`);
+      return;
+    }
+    case "add": {
+      const password = await readPassword(`Password for ${username}: `);
+      const user = await auth.createUser({ username, password, role: arg });
+      console.log(`Added ${user.username} (${user.role})`);
+      return;
+    }
+    case "role": {
+      const user = await auth.updateUser(username, { role: arg });
+      console.log(`${user.username} is now ${user.role}`);
+      return;
+    }
+    case "passwd": {
+      const password = await readPassword(`New password for ${username}: `);
+      const user = await auth.updateUser(username, { password });
+      console.log(`Changed the password of ${user.username}`);
+      return;
+    }
+    case "remove": {
+      const user = await auth.removeUser(username);
+      console.log(`Removed ${user.username}`);
+      return;
+    }
+    case "token": {
+      const name = String(username || "").toLowerCase();
+      const user = (await auth.listUsers()).find((u) => u.username.toLowerCase() === name);
+      if (!user) throw new Error(`No user named ${username}`);
+      const token = await auth.createToken(user.id, arg);
+      console.log(token.token);
+      console.error(`API token "${token.name}" for ${user.username}; it is not shown again.`);
+      return;
+    }
+    default:
+      console.error(USAGE);
+      process.exitCode = 2;
+  }
+}
+
+main(process.argv.slice(2)).catch((e) => {
+  console.error(e.message);
+  process.exitCode = 1;
+});
@@ -12,18 +12,61 @@ const fileListEl = document.getElementById("fileList");
 const generateBtn = document.getElementById("generate");
 const progressEl = document.getElementById("progress");
 
+// Job progress UI
+const jobPanelEl = document.getElementById("jobPanel");
+const jobSummaryEl = document.getElementById("jobSummary");
+const jobFilesEl = document.getElementById("jobFiles");
+const cancelJobBtn = document.getElementById("cancelJob");
+
+// Review (preflight) UI
+const reviewPanelEl = document.getElementById("reviewPanel");
+const reviewSummaryEl = document.getElementById("reviewSummary");
+const reviewFilesEl = document.getElementById("reviewFiles");
+const confirmGenerateBtn = document.getElementById("confirmGenerate");
+const cancelReviewBtn = document.getElementById("cancelReview");
+
 const lexStatusEl = document.getElementById("lexStatus");
 const lexMetaEl = document.getElementById("lexMeta");
 const refreshLexBtn = document.getElementById("refreshLex");
-
+const lexLayersEl = document.getElementById("lexLayers");
+const strictRefreshEl = document.getElementById("strictRefresh");
+const quotaStatusEl = document.getElementById("quotaStatus");
+const exportUsageBtn = document.getElementById("exportUsage");
+
+// Project lexicon UI
+const projectEl = document.getElementById("project");
+const projectListEl = document.getElementById("projectList");
+const projectLexFileEl = document.getElementById("projectLexFile");
+const uploadProjectLexBtn = document.getElementById("uploadProjectLex");
+
+// Cast (multi-voice) UI
+const multiVoiceEl = document.getElementById("multiVoice");
+const castWrapEl = document.getElementById("castWrap");
+const castListEl = document.getElementById("castList");
+const castNoteEl = document.getElementById("castNote");
+
+// Text normalization UI
+const normalizeRulesEl = document.getElementById("normalizeRules");
+const dateOrderEl = document.getElementById("dateOrder");
+
+const modelEl = document.getElementById("model");
 const containerEl = document.getElementById("container");
 const wavSettings = document.getElementById("wavSettings");
+const encodingSettings = document.getElementById("encodingSettings");
 const mp3Settings = document.getElementById("mp3Settings");
+const oggSettings = document.getElementById("oggSettings");
+const postProcessEl = document.getElementById("postProcess");
 
 const scriptSelectEl = document.getElementById("scriptSelect");
 const phoneticEditorEl = document.getElementById("phoneticEditor");
 const refreshFromOriginalBtn = document.getElementById("refreshFromOriginal");
+const discardEditsBtn = document.getElementById("discardEdits");
 const previewNoteEl = document.getElementById("previewNote");
+const markupErrorsEl = document.getElementById("markupErrors");
+const mergeConflictsEl = document.getElementById("mergeConflicts");
+const diffSummaryEl = document.getElementById("diffSummary");
+const phoneticDiffEl = document.getElementById("phoneticDiff");
+const diffDetailEl = document.getElementById("diffDetail");
 
 // Paste UI
 const pasteTitleEl = document.getElementById("pasteTitle");
@@ -31,6 +74,62 @@ const pasteInputEl = document.getElementById("pasteInput");
 const addPastedBtn = document.getElementById("addPasted");
 const clearPastedBtn = document.getElementById("clearPasted");
 
+// Lexicon editor UI
+const lexSearchEl = document.getElementById("lexSearch");
+const lexTagFilterEl = document.getElementById("lexTagFilter");
+const lexEntriesEl = document.getElementById("lexEntries");
+const lexAuditEl = document.getElementById("lexAudit");
+const newTermEl = document.getElementById("newTerm");
+const newSpokenEl = document.getElementById("newSpoken");
+const newNotesEl = document.getElementById("newNotes");
+const newTagsEl = document.getElementById("newTags");
+const addEntryBtn = document.getElementById("addEntry");
+const newCaseEl = document.getElementById("newCase");
+const newRegexEl = document.getElementById("newRegex");
+const newBeforeEl = document.getElementById("newBefore");
+const newAfterEl = document.getElementById("newAfter");
+const addTermFromSelectionBtn = document.getElementById("addTermFromSelection");
+const lexImportFileEl = document.getElementById("lexImportFile");
+const lexImportModeEl = document.getElementById("lexImportMode");
+const lexImportBtn = document.getElementById("lexImport");
+const lexExportBtn = document.getElementById("lexExport");
+
+// Lexicon lint UI
+const lintLayerEl = document.getElementById("lintLayer");
+const lintLexBtn = document.getElementById("lintLex");
+const lintSummaryEl = document.getElementById("lintSummary");
+const lintWrapEl = document.getElementById("lintWrap");
+const lintIssuesEl = document.getElementById("lintIssues");
+
+// Projects (IndexedDB) UI
+const projectSelectEl = document.getElementById("projectSelect");
+const newProjectBtn = document.getElementById("newProject");
+const renameProjectBtn = document.getElementById("renameProject");
+const deleteProjectBtn = document.getElementById("deleteProject");
+const exportProjectBtn = document.getElementById("exportProject");
+const importProjectBtn = document.getElementById("importProject");
+const projectImportFileEl = document.getElementById("projectImportFile");
+const projectStatusEl = document.getElementById("projectStatus");
+const revisionSelectEl = document.getElementById("revisionSelect");
+const restoreRevisionBtn = document.getElementById("restoreRevision");
+
+// Sign-in
+const loginPanelEl = document.getElementById("loginPanel");
+const loginFormEl = document.getElementById("loginForm");
+const loginUserEl = document.getElementById("loginUser");
+const loginPasswordEl = document.getElementById("loginPassword");
+const loginErrorEl = document.getElementById("loginError");
+const appMainEl = document.getElementById("appMain");
+const authBarEl = document.getElementById("authBar");
+const whoamiEl = document.getElementById("whoami");
+const logoutBtn = document.getElementById("logout");
+
+// Editor previews
+const playSelectionBtn = document.getElementById("playSelection");
+const previewPanelEl = document.getElementById("previewPanel");
+const previewPlayerEl = document.getElementById("previewPlayer");
+const previewHistoryEl = document.getElementById("previewHistory");
+
 // --- Safe event helper ---
 function on(el, evt, fn) {
   if (!el) return;
@@ -38,9 +137,16 @@ function on(el, evt, fn) {
 }
 
 // State
-let scripts = []; // [{ id, name, originalText, phoneticText, source }]
+let scripts = []; // [{ id, name, originalText, generatedText, phoneticText, conflicts, source }]
 let selectedIndex = -1;
 let lexiconTerms = []; // [{term, spoken}]
+let lexiconMatcher = null; // compiled from lexiconTerms
+let voiceProviders = []; // [{ id, label, maxChars, containers }]
+let voiceList = []; // [{ id: "provider:voice", provider, voice, label }]
+let defaultProviderId = null; // owner of bare voice ids like "aura-2-thalia-en"
+let activeJobId = null;
+
+const JOB_POLL_MS = 1500;
 
 function setProgress(msg) {
   if (progressEl) progressEl.textContent = msg || "";
@@ -48,35 +154,160 @@ function setProgress(msg) {
 
 function updateGenerateEnabled() {
   if (!generateBtn) return;
-  generateBtn.disabled = scripts.length === 0;
+  generateBtn.disabled = scripts.length === 0 || !!activeJobId || scripts.some((s) => markupErrors(s).length);
 }
 
-on(containerEl, "change", () => {
+function updateContainerSettings() {
   const c = containerEl?.value;
-  if (wavSettings) wavSettings.style.display = c === "wav" ? "block" : "none";
+  // FLAC takes a sample rate; Ogg Opus is always 48 kHz
+  if (wavSettings) wavSettings.style.display = c === "wav" || c === "flac" ? "block" : "none";
+  if (encodingSettings) encodingSettings.style.display = c === "wav" ? "block" : "none";
   if (mp3Settings) mp3Settings.style.display = c === "mp3" ? "block" : "none";
-});
+  if (oggSettings) oggSettings.style.display = c === "ogg" ? "block" : "none";
+  if (postProcessEl) postProcessEl.disabled = c === "mp3"; // works on decoded samples
+}
+
+on(containerEl, "change", updateContainerSettings);
+
+// Only offer output containers the selected voice's provider supports
+function updateContainerOptions() {
+  if (!containerEl || !modelEl) return;
+
+  const providerId = modelEl.selectedOptions[0]?.dataset.provider;
+  const provider = voiceProviders.find((p) => p.id === providerId);
+  if (!provider) return;
+
+  for (const opt of containerEl.options) {
+    opt.disabled = !provider.containers.includes(opt.value);
+  }
+  if (containerEl.selectedOptions[0]?.disabled) {
+    containerEl.value = provider.containers[0];
+    updateContainerSettings();
+  }
+}
+
+on(modelEl, "change", updateContainerOptions);
+
+async function loadVoices() {
+  const r = await apiFetch(`/api/voices`);
+  const j = await r.json();
+  if (!r.ok) throw new Error(j.error || "voices failed");
 
-function escapeRegExp(s) {
-  return s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  voiceProviders = Array.isArray(j.providers) ? j.providers : [];
+  voiceList = Array.isArray(j.voices) ? j.voices : [];
+  defaultProviderId = String(j.defaultVoice || "").split(":")[0] || null;
+  renderCast({ force: true });
+  if (!modelEl || !voiceList.length) return;
+
+  const previous = modelEl.value;
+  fillVoiceSelect(modelEl);
+
+  // Keep the previous pick if it still exists (bare ids belong to the default provider)
+  const match = voiceList.find((v) => v.id === previous || v.voice === previous);
+  modelEl.value = match ? match.id : j.defaultVoice || voiceList[0].id;
+  updateContainerOptions();
+}
+
+// Voice options grouped by provider
+function fillVoiceSelect(selectEl) {
+  selectEl.innerHTML = "";
+
+  for (const p of voiceProviders) {
+    const group = document.createElement("optgroup");
+    group.label = p.label;
+
+    for (const v of voiceList.filter((v) => v.provider === p.id)) {
+      const opt = document.createElement("option");
+      opt.value = v.id;
+      opt.textContent = v.label;
+      opt.dataset.provider = p.id;
+      group.appendChild(opt);
+    }
+
+    selectEl.appendChild(group);
+  }
+}
+
+// Catalog entry for "provider:voice" or a bare id of the default provider
+function findVoice(id) {
+  return voiceList.find((v) => v.id === id || (v.voice === id && v.provider === defaultProviderId)) || null;
 }
 
+// Same matcher the backend uses (lexicon-matcher.js), so preview == narration
 function applyLexiconPreview(text) {
-  if (!lexiconTerms.length) return text;
+  if (!lexiconMatcher) return text;
+  return window.LexiconMatcher.applyLexicon(text, lexiconMatcher);
+}
+
+// Lexicon first, then normalization — the same order as the backend pipeline.
+// Markup tags (and [SPELL]/[SAY-AS]/[SUB] content) pass through untouched.
+function phoneticPreview(text) {
+  const opts = normalizeOptions();
+  return window.ScriptMarkup.transformText(
+    text,
+    (t) => window.TextNormalizer.normalizeText(applyLexiconPreview(t), opts),
+    { speakers: castEnabled() }
+  );
+}
+
+// Same checks the backend runs (script-markup.js plus the cast and voice list)
+function markupErrors(script) {
+  const parsed = window.ScriptMarkup.parseMarkup(script?.phoneticText ?? "", { speakers: castEnabled() });
+  const errors = [...parsed.errors];
+
+  for (const sp of parsed.speakers) {
+    if (!findVoice(castAssignments[sp.name])) {
+      const message = `No voice assigned to speaker ${sp.name} (see Cast)`;
+      errors.push({ line: sp.line, column: sp.column, message });
+    }
+  }
+  for (const v of parsed.voices) {
+    if (voiceList.length && !findVoice(v.value)) {
+      errors.push({ line: v.line, column: v.column, message: `[VOICE=${v.value}] is not an available voice` });
+    }
+  }
 
-  const sorted = [...lexiconTerms].sort((a, b) => (b.term || "").length - (a.term || "").length);
-  let out = text;
+  return errors.sort((a, b) => a.line - b.line || a.column - b.column);
+}
+
+// Puts the editor cursor on a 1-based line/column
+function jumpToPosition(line, column) {
+  if (!phoneticEditorEl) return;
+  const lines = phoneticEditorEl.value.split("\n");
+  let offset = 0;
+  for (let i = 0; i < line - 1 && i < lines.length; i++) offset += lines[i].length + 1;
+  offset = Math.min(offset + column - 1, phoneticEditorEl.value.length);
 
-  for (const { term, spoken } of sorted) {
-    if (!term || !spoken) continue;
+  phoneticEditorEl.focus();
+  phoneticEditorEl.setSelectionRange(offset, offset);
+}
 
-    const escaped = escapeRegExp(term).replace(/\\-/g, "[-\\s]?");
-    const pattern = `(?<![A-Za-z0-9])${escaped}(?![A-Za-z0-9])`;
+// Lists the selected script's markup errors under the editor; generation
+// stays disabled while any script has one
+function renderMarkupErrors() {
+  if (!markupErrorsEl) return;
+  markupErrorsEl.innerHTML = "";
 
-    out = out.replace(new RegExp(pattern, "gi"), spoken);
+  const s = getSelectedScript();
+  const errors = s ? markupErrors(s) : [];
+  const others = scripts.filter((x) => x !== s && markupErrors(x).length).map((x) => x.name);
+
+  for (const err of errors) {
+    const item = document.createElement("button");
+    item.type = "button";
+    item.className = "markupError";
+    item.textContent = `Line ${err.line}, column ${err.column}: ${err.message}`;
+    item.addEventListener("click", () => jumpToPosition(err.line, err.column));
+    markupErrorsEl.appendChild(item);
+  }
+  if (others.length) {
+    const note = document.createElement("div");
+    note.className = "markupError";
+    note.textContent = `Also fix markup errors in: ${others.join(", ")}`;
+    markupErrorsEl.appendChild(note);
   }
 
-  return out;
+  markupErrorsEl.style.display = errors.length || others.length ? "grid" : "none";
 }
 
 function getSelectedScript() {
@@ -105,68 +336,430 @@ function rebuildScriptSelect() {
 
 function renderEditor() {
   const s = getSelectedScript();
+  for (const btn of [refreshFromOriginalBtn, discardEditsBtn]) if (btn) btn.disabled = !s;
   if (!s) {
     if (phoneticEditorEl) phoneticEditorEl.value = "";
-    if (refreshFromOriginalBtn) refreshFromOriginalBtn.disabled = true;
+    renderMarkupErrors();
+    renderPhoneticDiff();
     return;
   }
 
   if (phoneticEditorEl) phoneticEditorEl.value = s.phoneticText ?? "";
-  if (refreshFromOriginalBtn) refreshFromOriginalBtn.disabled = false;
+  renderCast();
+  renderMarkupErrors();
+  renderPhoneticDiff();
+  renderRevisions();
 }
 
 on(scriptSelectEl, "change", () => {
   selectedIndex = Number(scriptSelectEl.value);
   renderEditor();
+  scheduleAutosave();
 });
 
 on(phoneticEditorEl, "input", () => {
   const s = getSelectedScript();
   if (!s) return;
+  if (s.conflicts?.length) {
+    s.conflicts = window.PhoneticDiff.mapRanges(s.conflicts, s.phoneticText ?? "", phoneticEditorEl.value);
+  }
   s.phoneticText = phoneticEditorEl.value;
+  hideReview(); // the plan is stale now
+  renderCast();
+  renderMarkupErrors();
+  schedulePhoneticDiff();
+  updateGenerateEnabled();
+  scheduleAutosave();
 });
 
+// Re-applies the lexicon (and normalization) to the original and merges the
+// manual edits back on top
 on(refreshFromOriginalBtn, "click", () => {
   const s = getSelectedScript();
   if (!s) return;
 
-  s.phoneticText = applyLexiconPreview(s.originalText ?? "");
-  if (phoneticEditorEl) phoneticEditorEl.value = s.phoneticText ?? "";
-  setProgress(`Refreshed phonetic from original: ${s.name}`);
+  keepRevision(s, "before refresh from original");
+  const generated = phoneticPreview(s.originalText ?? "");
+  const merged = window.PhoneticDiff.mergeEdits(generatedTextOf(s), s.phoneticText ?? "", generated);
+  s.generatedText = generated;
+  setPhoneticText(s, merged.text, merged.conflicts);
+
+  const kept = merged.conflicts.length ? ` — ${merged.conflicts.length} conflict(s) to review` : "";
+  setProgress(`Refreshed phonetic from original: ${s.name}${kept}`);
+});
+
+on(discardEditsBtn, "click", () => {
+  const s = getSelectedScript();
+  if (!s || !confirm(`Discard all manual edits to ${s.name}? A revision is kept first.`)) return;
+
+  keepRevision(s, "before discarding edits");
+  s.generatedText = phoneticPreview(s.originalText ?? "");
+  setPhoneticText(s, s.generatedText, []);
+  setProgress(`Regenerated phonetic from original: ${s.name}`);
 });
 
+// --- Phonetic layers (phonetic-diff.js) ---
+// generatedText is what the lexicon and normalizer made of the original;
+// phoneticText is that plus manual edits. conflicts marks ranges of
+// phoneticText where a refresh found an edit and a new substitution on the
+// same words: [{ start, end, ours, theirs, base }].
+const DIFF_RENDER_MS = 300;
+const CHANGE_LABELS = { lexicon: "lexicon", normalized: "normalization", manual: "your edits", conflict: "conflicts" };
+let diffRenderTimer = null;
+
+// Scripts saved before the layers were kept have only their phonetic text
+function generatedTextOf(s) {
+  return s.generatedText ?? s.phoneticText ?? "";
+}
+
+// Replaces a script's phonetic text from code (revert, conflict choice,
+// restore), moving its conflict ranges along unless new ones are given
+function setPhoneticText(s, text, conflicts = null) {
+  s.conflicts = conflicts ?? window.PhoneticDiff.mapRanges(s.conflicts || [], s.phoneticText ?? "", text);
+  s.phoneticText = text;
+  if (phoneticEditorEl && s === getSelectedScript()) phoneticEditorEl.value = text;
+  hideReview();
+  renderCast();
+  renderMarkupErrors();
+  renderPhoneticDiff();
+  updateGenerateEnabled();
+  scheduleAutosave();
+}
+
+// An empty range touches a range it sits at the edge of
+function rangesTouch(aStart, aEnd, bStart, bEnd) {
+  if (aStart === aEnd || bStart === bEnd) return aStart <= bEnd && bStart <= aEnd;
+  return aStart < bEnd && bStart < aEnd;
+}
+
+// The script's changes against its original, each with where it came from:
+// [{ aStart, aEnd, bStart, bEnd, kind, spans, edits, conflict }] where a* are
+// offsets in originalText, b* in phoneticText, and kind is "conflict",
+// "manual", "lexicon" or "normalized"
+function phoneticChanges(s) {
+  const { diffTexts } = window.PhoneticDiff;
+  const original = s.originalText ?? "";
+  const phonetic = s.phoneticText ?? "";
+  const edits = diffTexts(generatedTextOf(s), phonetic);
+  const spans = lexiconMatcher ? window.LexiconMatcher.matchLexicon(original, lexiconMatcher) : [];
+
+  return diffTexts(original, phonetic).map((h) => {
+    const change = {
+      ...h,
+      spans: spans.filter((sp) => sp.start < h.aEnd && h.aStart < sp.end),
+      edits: edits.filter((e) => rangesTouch(e.bStart, e.bEnd, h.bStart, h.bEnd)),
+      conflict: (s.conflicts || []).find((c) => rangesTouch(c.start, c.end, h.bStart, h.bEnd)) || null,
+    };
+    if (change.conflict) change.kind = "conflict";
+    else if (change.edits.length) change.kind = "manual";
+    else change.kind = change.spans.length ? "lexicon" : "normalized";
+    return change;
+  });
+}
+
+function schedulePhoneticDiff() {
+  clearTimeout(diffRenderTimer);
+  diffRenderTimer = setTimeout(renderPhoneticDiff, DIFF_RENDER_MS);
+}
+
+// The phonetic text with every change from the original highlighted
+// (original struck through, replacement underlined)
+function renderPhoneticDiff() {
+  clearTimeout(diffRenderTimer);
+  const s = getSelectedScript();
+  renderMergeConflicts(s);
+  showChangeDetail(null);
+  if (!phoneticDiffEl) return;
+  phoneticDiffEl.innerHTML = "";
+  if (diffSummaryEl) diffSummaryEl.textContent = "";
+  if (!s) return;
+
+  const original = s.originalText ?? "";
+  const phonetic = s.phoneticText ?? "";
+  const changes = phoneticChanges(s);
+  const counts = {};
+  let pos = 0;
+
+  for (const change of changes) {
+    counts[change.kind] = (counts[change.kind] || 0) + 1;
+    phoneticDiffEl.append(phonetic.slice(pos, change.bStart));
+
+    const btn = document.createElement("button");
+    btn.type = "button";
+    btn.className = `diffChange diff-${change.kind}`;
+    const removed = original.slice(change.aStart, change.aEnd);
+    const added = phonetic.slice(change.bStart, change.bEnd);
+    if (removed) btn.appendChild(Object.assign(document.createElement("del"), { textContent: removed }));
+    if (added) btn.appendChild(Object.assign(document.createElement("ins"), { textContent: added }));
+    on(btn, "click", () => showChangeDetail(s, change));
+    phoneticDiffEl.appendChild(btn);
+    pos = change.bEnd;
+  }
+  phoneticDiffEl.append(phonetic.slice(pos));
+
+  if (diffSummaryEl) {
+    const parts = Object.entries(CHANGE_LABELS)
+      .filter(([kind]) => counts[kind])
+      .map(([kind, label]) => `${counts[kind]} ${label}`);
+    diffSummaryEl.textContent = parts.length ? parts.join(" · ") : "Same as the original.";
+  }
+}
+
+// Where a change came from, with buttons to revert it
+function showChangeDetail(s, change) {
+  if (!diffDetailEl) return;
+  diffDetailEl.innerHTML = "";
+  diffDetailEl.style.display = change ? "block" : "none";
+  if (!change) return;
+
+  const original = s.originalText ?? "";
+  const phonetic = s.phoneticText ?? "";
+  const line = (text) => {
+    const div = document.createElement("div");
+    div.textContent = text;
+    diffDetailEl.appendChild(div);
+  };
+
+  const removed = original.slice(change.aStart, change.aEnd);
+  const added = phonetic.slice(change.bStart, change.bEnd);
+  if (!removed) line(`Added “${added}”`);
+  else if (!added) line(`Removed “${removed}”`);
+  else line(`“${removed}” → “${added}”`);
+  if (change.conflict) {
+    line(`Conflict: your edit was kept; the refreshed lexicon gives “${change.conflict.theirs}”.`);
+  } else if (change.edits.length) {
+    line("Your edit.");
+  }
+  for (const sp of change.spans) {
+    const layer = sp.entry.layer ? ` (${sp.entry.layer})` : "";
+    const notes = sp.entry.notes ? ` — ${sp.entry.notes}` : "";
+    line(`Lexicon term “${sp.term}” → “${sp.spoken}”${layer}${notes}`);
+  }
+  if (!change.spans.length && !change.edits.length) line("Made by text normalization (see Text Normalization).");
+
+  const actions = document.createElement("div");
+  actions.className = "buttonRow";
+  actions.appendChild(
+    actionButton("Revert to original", () => {
+      const text = original.slice(change.aStart, change.aEnd);
+      setPhoneticText(s, phonetic.slice(0, change.bStart) + text + phonetic.slice(change.bEnd));
+      setProgress(`Reverted “${phonetic.slice(change.bStart, change.bEnd)}” to the original.`);
+    })
+  );
+  if (change.edits.length) {
+    actions.appendChild(
+      actionButton("Undo my edit", () => {
+        const generated = generatedTextOf(s);
+        const first = change.edits[0];
+        const last = change.edits[change.edits.length - 1];
+        const text = generated.slice(first.aStart, last.aEnd);
+        setPhoneticText(s, phonetic.slice(0, first.bStart) + text + phonetic.slice(last.bEnd));
+        setProgress(`Restored the generated “${text}”.`);
+      })
+    );
+  }
+  if (change.spans.length && lexSearchEl) {
+    actions.appendChild(
+      actionButton("Find in lexicon", () => {
+        lexSearchEl.value = change.spans[0].term;
+        scheduleLexSearch();
+        lexSearchEl.scrollIntoView({ behavior: "smooth", block: "center" });
+      })
+    );
+  }
+  diffDetailEl.appendChild(actions);
+}
+
+// Conflicts left by the last refresh, each resolved by keeping the edit or
+// taking the lexicon's version
+function renderMergeConflicts(s) {
+  if (!mergeConflictsEl) return;
+  mergeConflictsEl.innerHTML = "";
+  const conflicts = s?.conflicts || [];
+
+  for (const c of conflicts) {
+    const item = document.createElement("div");
+    item.className = "markupError";
+    item.append(`Conflict: you have “${c.ours}”, the refreshed lexicon gives “${c.theirs}”. `);
+    item.appendChild(
+      actionButton("Show", () => {
+        phoneticEditorEl?.focus();
+        phoneticEditorEl?.setSelectionRange(c.start, c.end);
+      })
+    );
+    item.append(" ");
+    item.appendChild(
+      actionButton("Keep mine", () => {
+        s.conflicts = s.conflicts.filter((x) => x !== c);
+        renderPhoneticDiff();
+        scheduleAutosave();
+      })
+    );
+    item.append(" ");
+    item.appendChild(
+      actionButton("Use lexicon version", () => {
+        s.conflicts = s.conflicts.filter((x) => x !== c);
+        const text = s.phoneticText ?? "";
+        setPhoneticText(s, text.slice(0, c.start) + c.theirs + text.slice(c.end));
+      })
+    );
+    mergeConflictsEl.appendChild(item);
+  }
+
+  mergeConflictsEl.style.display = conflicts.length ? "grid" : "none";
+}
+
+function currentProject() {
+  return (projectEl?.value || "").trim();
+}
+
+// "?project=..." for lexicon requests, or "" when no project is selected
+function projectQuery() {
+  const p = currentProject();
+  return p ? `?project=${encodeURIComponent(p)}` : "";
+}
+
+function renderLexStatus(j) {
+  if (lexStatusEl) lexStatusEl.textContent = `Loaded ${j.termCount} terms`;
+  if (lexMetaEl) {
+    lexMetaEl.textContent = j.lastFetched
+      ? `Last updated: ${new Date(j.lastFetched).toLocaleString()}`
+      : "No lexicon sources loaded";
+  }
+  if (lexLayersEl) {
+    lexLayersEl.textContent = (j.layers || [])
+      .map((l) => {
+        const when = l.lastFetched ? new Date(l.lastFetched).toLocaleString() : "never";
+        return `${l.id}: ${l.termCount} terms (${when})${l.error ? ` — ${l.error}` : ""}`;
+      })
+      .join("\n");
+  }
+}
+
 async function loadLexStatus() {
   try {
-    const r = await fetch(`${API_BASE}/api/lexicon/status`);
+    const r = await apiFetch(`/api/lexicon/status${projectQuery()}`);
     const j = await r.json();
     if (!r.ok) throw new Error(j.error || "status failed");
 
-    if (lexStatusEl) lexStatusEl.textContent = `Loaded ${j.termCount} terms`;
-    if (lexMetaEl) lexMetaEl.textContent = `Last updated: ${new Date(j.lastFetched).toLocaleString()}`;
+    renderLexStatus(j);
   } catch (e) {
     if (lexStatusEl) lexStatusEl.textContent = "Lexicon error";
     if (lexMetaEl) lexMetaEl.textContent = e.message;
   }
 }
 
+function describeQuota(q) {
+  const who = q.scope === "user" ? "You" : `Project ${q.name}`;
+  const when = q.period === "daily" ? "today" : "this month";
+  return `${who}: ${q.remaining.toLocaleString()} of ${q.limit.toLocaleString()} characters left ${when}`;
+}
+
+// What's left of the signed-in user's (and the project's) character quotas
+async function loadQuota() {
+  if (!quotaStatusEl) return;
+  try {
+    const r = await apiFetch(`/api/usage/quota${projectQuery()}`);
+    const j = await r.json();
+    if (!r.ok) throw new Error(j.error || "quota failed");
+
+    const quotas = j.quotas || [];
+    quotaStatusEl.textContent = quotas.length ? quotas.map(describeQuota).join("\n") : "No character quota";
+  } catch (e) {
+    quotaStatusEl.textContent = `Quota unavailable: ${e.message}`;
+  }
+}
+
 async function loadLexiconTerms() {
-  const r = await fetch(`${API_BASE}/api/lexicon/json`);
+  const r = await apiFetch(`/api/lexicon/json${projectQuery()}`);
   const j = await r.json();
   if (!r.ok) throw new Error(j.error || "lexicon json failed");
   lexiconTerms = Array.isArray(j.terms) ? j.terms : [];
+  lexiconMatcher = lexiconTerms.length ? window.LexiconMatcher.compileLexicon(lexiconTerms) : null;
+  renderPhoneticDiff();
 }
 
+async function loadProjects() {
+  const r = await apiFetch(`/api/lexicon/projects`);
+  const j = await r.json();
+  if (!r.ok) throw new Error(j.error || "projects failed");
+
+  if (!projectListEl) return;
+  projectListEl.innerHTML = "";
+  for (const p of j.projects || []) {
+    const opt = document.createElement("option");
+    opt.value = p.project;
+    opt.label = `${p.termCount} override terms`;
+    projectListEl.appendChild(opt);
+  }
+}
+
+on(projectEl, "change", async () => {
+  loadQuota();
+  try {
+    await loadLexStatus();
+    await loadLexiconTerms();
+    setProgress(
+      currentProject()
+        ? `Using project lexicon: ${currentProject()}. Click “Refresh phonetic from original” to apply to a script.`
+        : "Using global lexicon only."
+    );
+  } catch (e) {
+    setProgress(`Lexicon load warning: ${e.message}`);
+  }
+});
+
+on(uploadProjectLexBtn, "click", () => {
+  if (!currentProject()) {
+    setProgress("Enter a project name before uploading overrides.");
+    return;
+  }
+  projectLexFileEl?.click();
+});
+
+on(projectLexFileEl, "change", async () => {
+  const file = projectLexFileEl.files?.[0];
+  const project = currentProject();
+  if (!file || !project) return;
+
+  const form = new FormData();
+  form.append("file", file);
+
+  try {
+    const r = await apiFetch(`/api/lexicon/projects/${encodeURIComponent(project)}`, {
+      method: "PUT",
+      body: form,
+    });
+    const j = await r.json();
+    if (!r.ok) throw new Error(j.error || "upload failed");
+
+    setProgress(`Uploaded ${j.termCount} override terms for ${project}.`);
+    await loadProjects();
+    await loadLexStatus();
+    await loadLexiconTerms();
+  } catch (e) {
+    setProgress(`Override upload failed: ${e.message}`);
+  } finally {
+    projectLexFileEl.value = "";
+  }
+});
+
 on(refreshLexBtn, "click", async () => {
   refreshLexBtn.disabled = true;
   refreshLexBtn.textContent = "Refreshing...";
 
   try {
-    const r = await fetch(`${API_BASE}/api/lexicon/refresh`, { method: "POST" });
+    // Unchecked leaves the server's LEXICON_LINT_STRICT default in place
+    const params = new URLSearchParams();
+    if (currentProject()) params.set("project", currentProject());
+    if (strictRefreshEl?.checked) params.set("strict", "true");
+
+    const r = await apiFetch(`/api/lexicon/refresh?${params.toString()}`, { method: "POST" });
     const j = await r.json();
+    if (j.issues) renderLintIssues(j.issues, "Refresh rejected");
     if (!r.ok) throw new Error(j.error || "refresh failed");
 
-    if (lexStatusEl) lexStatusEl.textContent = `Loaded ${j.termCount} terms`;
-    if (lexMetaEl) lexMetaEl.textContent = `Last updated: ${new Date(j.lastFetched).toLocaleString()}`;
+    renderLexStatus(j);
 
     await loadLexiconTerms();
     setProgress("Lexicon refreshed. Click “Refresh phonetic from original” to apply to a script.");
@@ -179,169 +772,1535 @@ on(refreshLexBtn, "click", async () => {
   refreshLexBtn.textContent = "Refresh Lexicon";
 });
 
-async function readFileAsText(file) {
-  const name = file.name || "script";
-  const lower = name.toLowerCase();
+// --- Cast (multi-voice) ---
+const CAST_KEY = "narration.cast";
 
-  if (lower.endsWith(".txt")) {
-    return await file.text();
-  }
+let castAssignments = {}; // { [SPEAKER]: voice id }
+let castRendered = null; // speaker list the table was last built for
 
-  if (lower.endsWith(".docx")) {
-    if (!window.mammoth) throw new Error("DOCX support missing (mammoth not loaded).");
-    const ab = await file.arrayBuffer();
-    const result = await window.mammoth.extractRawText({ arrayBuffer: ab });
-    const text = (result.value || "").trim();
-    if (!text) throw new Error(`No readable text found in ${name}.`);
-    return text;
+try {
+  const saved = JSON.parse(localStorage.getItem(CAST_KEY) || "{}");
+  castAssignments = saved.voices || {};
+  if (multiVoiceEl) multiVoiceEl.checked = !!saved.enabled;
+} catch {}
+
+function castEnabled() {
+  return !!multiVoiceEl?.checked;
+}
+
+// Speaker labels used by any script, in order of first appearance
+function castSpeakers() {
+  const names = new Set();
+  for (const s of scripts) {
+    for (const sp of window.ScriptMarkup.parseMarkup(s.phoneticText ?? "", { speakers: true }).speakers) {
+      names.add(sp.name);
+    }
   }
+  return [...names];
+}
 
-  throw new Error(`Unsupported file type: ${name}`);
+// The narrate form's `cast` field: the voices of the speakers in use
+function castField() {
+  const cast = {};
+  for (const name of castSpeakers()) {
+    if (castAssignments[name]) cast[name] = castAssignments[name];
+  }
+  return JSON.stringify(cast);
 }
 
-function addScript({ name, originalText, source }) {
-  const safeName = (name || "Script").trim() || "Script";
-  const finalName = safeName.match(/\.(txt|docx)$/i) ? safeName : `${safeName}.txt`;
+function saveCast() {
+  localStorage.setItem(CAST_KEY, JSON.stringify({ enabled: castEnabled(), voices: castAssignments }));
+  scheduleAutosave();
+}
 
-  const phoneticText = applyLexiconPreview(originalText || "");
+// Rebuilt only when the speaker list changes, so typing doesn't reset the selects
+function renderCast({ force = false } = {}) {
+  if (!castListEl) return;
+
+  const speakers = castEnabled() ? castSpeakers() : [];
+  const key = speakers.join("\n");
+  if (!force && key === castRendered) return;
+  castRendered = key;
+
+  castListEl.innerHTML = "";
+  for (const name of speakers) {
+    const tr = document.createElement("tr");
+
+    const nameTd = document.createElement("td");
+    nameTd.textContent = name;
+
+    const select = document.createElement("select");
+    fillVoiceSelect(select);
+    const none = document.createElement("option");
+    none.value = "";
+    none.textContent = "Choose a voice…";
+    select.prepend(none);
+    select.value = findVoice(castAssignments[name])?.id || "";
+
+    on(select, "change", () => {
+      castAssignments[name] = select.value;
+      saveCast();
+      renderMarkupErrors();
+      updateGenerateEnabled();
+    });
+
+    const voiceTd = document.createElement("td");
+    voiceTd.appendChild(select);
+    tr.append(nameTd, voiceTd);
+    castListEl.appendChild(tr);
+  }
 
-  scripts.push({
-    id: crypto?.randomUUID ? crypto.randomUUID() : String(Date.now() + Math.random()),
-    name: finalName,
-    originalText: originalText || "",
-    phoneticText,
-    source: source || "unknown",
-  });
+  if (castWrapEl) castWrapEl.style.display = speakers.length ? "block" : "none";
+  if (castNoteEl) {
+    castNoteEl.textContent = !castEnabled()
+      ? ""
+      : speakers.length
+        ? "Each speaker's lines are read with its voice and joined into one file per script."
+        : "No speaker labels found. Start lines with an upper-case name and a colon, e.g. “NURSE: …”.";
+  }
+}
 
-  rebuildScriptSelect();
-  selectedIndex = scripts.length - 1;
-  if (scriptSelectEl) scriptSelectEl.value = String(selectedIndex);
-  renderEditor();
+on(multiVoiceEl, "change", () => {
+  saveCast();
+  renderCast({ force: true });
+  renderMarkupErrors();
   updateGenerateEnabled();
+});
+
+// --- Text normalization ---
+const NORMALIZE_KEY = "narration.normalize";
+
+// { rules: { [ruleId]: boolean }, dateOrder } for normalizeText()
+function normalizeOptions() {
+  const rules = {};
+  for (const input of normalizeRulesEl?.querySelectorAll("input[type=checkbox]") || []) {
+    rules[input.value] = input.checked;
+  }
+  return { rules, dateOrder: dateOrderEl?.value || "mdy" };
 }
 
-on(filesEl, "change", async () => {
-  const inputFiles = [...(filesEl.files || [])];
-  if (fileListEl) fileListEl.textContent = inputFiles.length ? inputFiles.map(f => f.name).join("\n") : "";
+// The narrate form's `normalize` field: enabled rule ids, or "none"
+function normalizeField() {
+  const { rules } = normalizeOptions();
+  const enabled = Object.keys(rules).filter((id) => rules[id]);
+  return enabled.length ? enabled.join(",") : "none";
+}
 
-  if (!inputFiles.length) return;
+function renderNormalizeRules() {
+  if (!normalizeRulesEl) return;
 
-  setProgress("Loading uploaded scripts and generating phonetic...");
+  let saved = {};
   try {
-    for (const f of inputFiles) {
-      const originalText = await readFileAsText(f);
-      addScript({ name: f.name || "script.txt", originalText, source: "upload" });
-    }
-
-    setProgress("Uploaded scripts added. Edit phonetic, or refresh from original to reset.");
-    if (previewNoteEl) {
-      previewNoteEl.textContent =
-        "Phonetic is generated from the original script + lexicon. Edit here. Click “Refresh phonetic from original” to regenerate and discard edits.";
-    }
-  } catch (e) {
-    setProgress(`Upload load error: ${e.message}`);
-  } finally {
-    // allow uploading same files again
-    if (filesEl) filesEl.value = "";
+    saved = JSON.parse(localStorage.getItem(NORMALIZE_KEY) || "{}");
+  } catch {}
+  if (dateOrderEl && saved.dateOrder) dateOrderEl.value = saved.dateOrder;
+
+  normalizeRulesEl.innerHTML = "";
+  for (const rule of window.TextNormalizer.NORMALIZE_RULES) {
+    const row = document.createElement("div");
+    row.className = "checkRow";
+
+    const input = document.createElement("input");
+    input.type = "checkbox";
+    input.id = `normalize-${rule.id}`;
+    input.value = rule.id;
+    input.checked = saved.rules?.[rule.id] !== false;
+
+    const label = document.createElement("label");
+    label.htmlFor = input.id;
+    label.textContent = rule.label;
+    label.title = rule.example;
+
+    row.append(input, label);
+    normalizeRulesEl.appendChild(row);
   }
-});
+}
 
-on(addPastedBtn, "click", () => {
-  const title = (pasteTitleEl?.value || "").trim() || `Pasted_${scripts.length + 1}`;
-  const text = (pasteInputEl?.value || "").trim();
+function onNormalizeChange() {
+  localStorage.setItem(NORMALIZE_KEY, JSON.stringify(normalizeOptions()));
+  setProgress("Normalization changed. Click “Refresh phonetic from original” to apply to a script.");
+}
 
-  if (!text) {
-    setProgress("Paste text is empty.");
-    return;
-  }
+on(normalizeRulesEl, "change", onNormalizeChange);
+on(dateOrderEl, "change", onNormalizeChange);
 
-  addScript({ name: title, originalText: text, source: "paste" });
-  setProgress(`Added pasted script: ${title}`);
-});
+// --- Lexicon editor ---
+// JSON request to the lexicon API; the audit log records the signed-in user
+async function lexApi(path, { method = "GET", body } = {}) {
+  const headers = {};
+  if (body !== undefined && !(body instanceof FormData)) headers["Content-Type"] = "application/json";
 
-on(clearPastedBtn, "click", () => {
-  if (pasteTitleEl) pasteTitleEl.value = "";
-  if (pasteInputEl) pasteInputEl.value = "";
-  setProgress("Paste cleared.");
-});
+  const r = await apiFetch(`/api/lexicon${path}`, {
+    method,
+    headers,
+    body: body === undefined || body instanceof FormData ? body : JSON.stringify(body),
+  });
+  const j = await r.json().catch(() => ({}));
+  if (!r.ok) throw new Error(j.error || r.statusText);
+  return j;
+}
 
-on(generateBtn, "click", async () => {
-  if (!scripts.length) return;
+function entryCell(text) {
+  const td = document.createElement("td");
+  td.textContent = text;
+  return td;
+}
 
-  // Commit editor text into selected script before generating
-  const s = getSelectedScript();
-  if (s && phoneticEditorEl) s.phoneticText = phoneticEditorEl.value;
+function entryInput(value) {
+  const td = document.createElement("td");
+  const input = document.createElement("input");
+  input.type = "text";
+  input.value = value;
+  td.appendChild(input);
+  return { td, input };
+}
 
-  setProgress("Uploading phonetic scripts and generating audio...");
+function actionButton(label, fn) {
+  const b = document.createElement("button");
+  b.type = "button";
+  b.className = "link";
+  b.textContent = label;
+  on(b, "click", fn);
+  return b;
+}
 
-  const form = new FormData();
+// "case-sensitive · regex · before “\d\s*”" for the Match column
+function matchSummary(entry) {
+  const parts = [];
+  if (entry.caseSensitive) parts.push("case-sensitive");
+  if (entry.regex) parts.push("regex");
+  if (entry.before) parts.push(`before “${entry.before}”`);
+  if (entry.after) parts.push(`after “${entry.after}”`);
+  return parts.join(" · ");
+}
 
-  for (const script of scripts) {
-    const base = (script.name || "script").replace(/\.(txt|docx)$/i, "");
-    const payloadText = script.phoneticText ?? "";
+// Case/regex checkboxes and before/after inputs for one entry, in a single cell
+function matchInputs(entry) {
+  const td = document.createElement("td");
+  const check = (label, checked) => {
+    const wrap = document.createElement("label");
+    wrap.className = "inlineCheck";
+    const input = document.createElement("input");
+    input.type = "checkbox";
+    input.checked = !!checked;
+    wrap.append(input, ` ${label}`);
+    td.appendChild(wrap);
+    return input;
+  };
+  const text = (value, placeholder) => {
+    const input = document.createElement("input");
+    input.type = "text";
+    input.value = value || "";
+    input.placeholder = placeholder;
+    td.appendChild(input);
+    return input;
+  };
+
+  const caseSensitive = check("Case", entry.caseSensitive);
+  const regex = check("Regex", entry.regex);
+  const before = text(entry.before, "Text before…");
+  const after = text(entry.after, "Text after…");
+
+  const values = () => ({
+    caseSensitive: caseSensitive.checked,
+    regex: regex.checked,
+    before: before.value,
+    after: after.value,
+  });
+  return { td, values };
+}
 
-    const blob = new Blob([payloadText], { type: "text/plain;charset=utf-8" });
-    const file = new File([blob], `${base}.txt`, { type: "text/plain" });
-    form.append("files", file);
+function renderEntryRow(entry, editing = false) {
+  const tr = document.createElement("tr");
+  const actions = document.createElement("td");
+  actions.className = "actions";
+
+  if (!editing) {
+    tr.append(
+      entryCell(entry.term),
+      entryCell(entry.spoken),
+      entryCell(entry.notes),
+      entryCell(entry.tags.join(", ")),
+      entryCell(matchSummary(entry)),
+      entryCell(`${new Date(entry.updatedAt).toLocaleDateString()} · ${entry.updatedBy}`)
+    );
+    if (hasRole("lexicon-admin")) {
+      actions.append(
+        actionButton("Edit", () => tr.replaceWith(renderEntryRow(entry, true))),
+        actionButton("Delete", async () => {
+          if (!confirm(`Delete “${entry.term}”?`)) return;
+          try {
+            await lexApi(`/entries/${encodeURIComponent(entry.id)}`, { method: "DELETE" });
+            await afterLexiconEdit(`Deleted ${entry.term}.`);
+          } catch (e) {
+            setProgress(`Delete failed: ${e.message}`);
+          }
+        })
+      );
+    }
+    tr.appendChild(actions);
+    return tr;
   }
 
-  form.append("model", document.getElementById("model")?.value || "aura-2-thalia-en");
-  form.append("container", containerEl?.value || "wav");
-  form.append("longPauseDots", document.getElementById("longPauseDots")?.value || "6");
-  form.append("useSilentPause", document.getElementById("useSilentPause")?.checked ? "true" : "false");
+  const term = entryInput(entry.term);
+  const spoken = entryInput(entry.spoken);
+  const notes = entryInput(entry.notes);
+  const tags = entryInput(entry.tags.join(", "));
+  const match = matchInputs(entry);
+  tr.append(term.td, spoken.td, notes.td, tags.td, match.td, entryCell(""));
+
+  actions.append(
+    actionButton("Save", async () => {
+      try {
+        const updated = await lexApi(`/entries/${encodeURIComponent(entry.id)}`, {
+          method: "PATCH",
+          body: {
+            term: term.input.value,
+            spoken: spoken.input.value,
+            notes: notes.input.value,
+            tags: tags.input.value,
+            ...match.values(),
+          },
+        });
+        tr.replaceWith(renderEntryRow(updated));
+        await afterLexiconEdit(`Saved ${updated.term}.`, { reloadTable: false });
+      } catch (e) {
+        setProgress(`Save failed: ${e.message}`);
+      }
+    }),
+    actionButton("Cancel", () => tr.replaceWith(renderEntryRow(entry)))
+  );
+  tr.appendChild(actions);
+  return tr;
+}
 
-  if ((containerEl?.value || "wav") === "wav") {
-    form.append("encoding", "linear16");
-    form.append("sampleRate", "48000");
-  } else {
-    form.append("bitRate", document.getElementById("bitRate")?.value || "128000");
-  }
+async function loadLexEntries() {
+  if (!lexEntriesEl) return;
 
-  let r;
-  try {
-    r = await fetch(`${API_BASE}/api/narrate/batch`, { method: "POST", body: form });
-  } catch (e) {
-    setProgress(`Network error: ${e.message}`);
-    return;
-  }
+  const params = new URLSearchParams();
+  if (lexSearchEl?.value.trim()) params.set("q", lexSearchEl.value.trim());
+  if (lexTagFilterEl?.value.trim()) params.set("tag", lexTagFilterEl.value.trim());
 
-  if (!r.ok) {
-    const j = await r.json().catch(() => ({}));
-    setProgress(`Error: ${j.error || r.statusText}`);
-    return;
-  }
+  const j = await lexApi(`/entries?${params.toString()}`);
+  lexEntriesEl.innerHTML = "";
+  for (const entry of j.entries || []) lexEntriesEl.appendChild(renderEntryRow(entry));
+}
 
-  const contentType = r.headers.get("content-type") || "";
-  const zipBlob = await r.blob();
+async function loadLexAudit() {
+  if (!lexAuditEl) return;
+  const j = await lexApi("/audit?limit=50");
+  lexAuditEl.textContent = (j.records || [])
+    .map((r) => {
+      const change =
+        r.action === "delete"
+          ? "deleted"
+          : r.before
+            ? `“${r.before.spoken}” → “${r.after.spoken}”`
+            : `added as “${r.after.spoken}”`;
+      return `${new Date(r.at).toLocaleString()}  ${r.actor}  ${r.action}  ${r.term}: ${change}`;
+    })
+    .join("\n");
+}
 
-  if (!contentType.includes("application/zip")) {
-    setProgress(`Unexpected response type: ${contentType}`);
-    return;
+// --- Lexicon lint ---
+function renderLintIssues(issues, heading = "Lint") {
+  if (!lintIssuesEl) return;
+
+  const counts = { error: 0, warning: 0, info: 0 };
+  for (const i of issues) counts[i.severity]++;
+  if (lintSummaryEl) {
+    lintSummaryEl.textContent = issues.length
+      ? `${heading}: ${counts.error} errors, ${counts.warning} warnings, ${counts.info} notes`
+      : `${heading}: no problems found`;
   }
 
-  const url = URL.createObjectURL(zipBlob);
-  const a = document.createElement("a");
-  a.href = url;
-  a.download = "narrations.zip";
-  document.body.appendChild(a);
-  a.click();
-  a.remove();
-  URL.revokeObjectURL(url);
+  lintIssuesEl.innerHTML = "";
+  for (const i of issues) {
+    const tr = document.createElement("tr");
+    const sev = entryCell(i.severity);
+    sev.className = `sev sev-${i.severity}`;
+    tr.append(
+      sev,
+      entryCell(i.layer),
+      entryCell(i.row ?? ""),
+      entryCell(i.term),
+      entryCell(i.message),
+      entryCell(i.suggestion)
+    );
+    lintIssuesEl.appendChild(tr);
+  }
+  if (lintWrapEl) lintWrapEl.style.display = issues.length ? "" : "none";
+}
 
-  setProgress("Done. ZIP downloaded.");
-  await loadLexStatus();
+on(lintLexBtn, "click", async () => {
+  lintLexBtn.disabled = true;
+  try {
+    const params = new URLSearchParams();
+    if (currentProject()) params.set("project", currentProject());
+    if (lintLayerEl?.value) params.set("layer", lintLayerEl.value);
+
+    const j = await lexApi(`/lint?${params.toString()}`);
+    renderLintIssues(j.layers.flatMap((l) => l.issues));
+  } catch (e) {
+    if (lintSummaryEl) lintSummaryEl.textContent = `Lint failed: ${e.message}`;
+  }
+  lintLexBtn.disabled = false;
 });
 
-// Init
-(async () => {
+// Editor changes feed the managed lexicon layer; reload what depends on it
+async function afterLexiconEdit(msg, { reloadTable = true } = {}) {
+  setProgress(msg);
   try {
+    if (reloadTable) await loadLexEntries();
+    await loadLexAudit();
     await loadLexStatus();
     await loadLexiconTerms();
   } catch (e) {
-    setProgress(`Lexicon load warning: ${e.message}`);
-  } finally {
-    rebuildScriptSelect();
+    setProgress(`${msg} (reload warning: ${e.message})`);
+  }
+}
+
+let lexSearchTimer = null;
+function scheduleLexSearch() {
+  clearTimeout(lexSearchTimer);
+  lexSearchTimer = setTimeout(() => {
+    loadLexEntries().catch((e) => setProgress(`Lexicon search failed: ${e.message}`));
+  }, 250);
+}
+
+on(lexSearchEl, "input", scheduleLexSearch);
+on(lexTagFilterEl, "input", scheduleLexSearch);
+
+on(addEntryBtn, "click", async () => {
+  try {
+    const entry = await lexApi("/entries", {
+      method: "POST",
+      body: {
+        term: newTermEl?.value || "",
+        spoken: newSpokenEl?.value || "",
+        notes: newNotesEl?.value || "",
+        tags: newTagsEl?.value || "",
+        caseSensitive: !!newCaseEl?.checked,
+        regex: !!newRegexEl?.checked,
+        before: newBeforeEl?.value || "",
+        after: newAfterEl?.value || "",
+      },
+    });
+    for (const el of [newTermEl, newSpokenEl, newNotesEl, newTagsEl, newBeforeEl, newAfterEl]) if (el) el.value = "";
+    for (const el of [newCaseEl, newRegexEl]) if (el) el.checked = false;
+    await afterLexiconEdit(`Added ${entry.term}.`);
+  } catch (e) {
+    setProgress(`Add failed: ${e.message}`);
+  }
+});
+
+on(addTermFromSelectionBtn, "click", () => {
+  if (!phoneticEditorEl) return;
+  const { selectionStart, selectionEnd, value } = phoneticEditorEl;
+  const selected = value.slice(selectionStart, selectionEnd).trim();
+
+  if (!selected) {
+    setProgress("Select a word in the phonetic editor first.");
+    return;
+  }
+
+  if (newTermEl) newTermEl.value = selected;
+  if (newSpokenEl) {
+    newSpokenEl.value = "";
+    newSpokenEl.scrollIntoView({ behavior: "smooth", block: "center" });
+    newSpokenEl.focus();
+  }
+});
+
+// --- Editor previews ---
+const PREVIEW_HISTORY = 5;
+let previewHistory = []; // [{ url, text, voice, at }], newest first
+let playingPreviewUrl = null;
+
+// The selection, or else the paragraph (between blank lines) around the cursor
+function previewPassage() {
+  const { selectionStart, selectionEnd, value } = phoneticEditorEl;
+  if (selectionEnd > selectionStart) return value.slice(selectionStart, selectionEnd);
+
+  const breaks = [...value.slice(0, selectionStart).matchAll(/\n[ \t]*\n/g)];
+  const last = breaks[breaks.length - 1];
+  const start = last ? last.index + last[0].length : 0;
+  const next = /\n[ \t]*\n/.exec(value.slice(selectionStart));
+  return value.slice(start, next ? selectionStart + next.index : value.length);
+}
+
+function renderPreviewHistory() {
+  if (!previewHistoryEl) return;
+  previewHistoryEl.innerHTML = "";
+
+  for (const p of previewHistory) {
+    const li = document.createElement("li");
+    if (p.url === playingPreviewUrl) li.className = "playing";
+
+    const snippet = p.text.replace(/\s+/g, " ").trim();
+    const label = document.createElement("span");
+    label.textContent =
+      `${p.at.toLocaleTimeString()} · ${findVoice(p.voice)?.label || p.voice} · ` +
+      `“${snippet.length > 80 ? `${snippet.slice(0, 80)}…` : snippet}”`;
+
+    li.append(actionButton("Play", () => playPreview(p)), label);
+    previewHistoryEl.appendChild(li);
+  }
+}
+
+// The player streams the first play from the server as it is synthesized
+function playPreview(p) {
+  if (!previewPlayerEl) return;
+  playingPreviewUrl = p.url;
+  previewPlayerEl.src = p.url;
+  previewPlayerEl.play().catch(() => {}); // autoplay may be blocked; controls still work
+  renderPreviewHistory();
+}
+
+on(previewPlayerEl, "error", () => {
+  if (!previewPlayerEl.getAttribute("src")) return;
+  setProgress("Preview playback failed; it may have expired, so play the selection again.");
+});
+
+on(playSelectionBtn, "click", async () => {
+  if (!phoneticEditorEl) return;
+  const text = previewPassage();
+  if (!text.trim()) {
+    setProgress("Select some text, or put the cursor in a paragraph, in the phonetic editor first.");
+    return;
+  }
+
+  const form = new FormData();
+  form.append("text", text);
+  appendVoiceFields(form);
+
+  playSelectionBtn.disabled = true;
+  try {
+    const r = await apiFetch(`/api/narrate/previews`, { method: "POST", body: form });
+    const j = await r.json();
+    if (!r.ok) throw new Error(j.error || "preview failed");
+
+    const p = { url: `${API_BASE}${j.url}`, text, voice: modelEl?.value || "", at: new Date() };
+    previewHistory = [p, ...previewHistory].slice(0, PREVIEW_HISTORY);
+    if (previewPanelEl) previewPanelEl.style.display = "block";
+    playPreview(p);
+    setProgress(`Previewing ${j.characters} characters in ${j.chunks} chunk(s).`);
+  } catch (e) {
+    setProgress(`Preview failed: ${e.message}`);
+  } finally {
+    playSelectionBtn.disabled = false;
+  }
+});
+
+on(lexImportBtn, "click", () => lexImportFileEl?.click());
+
+on(lexImportFileEl, "change", async () => {
+  const file = lexImportFileEl.files?.[0];
+  if (!file) return;
+
+  const form = new FormData();
+  form.append("file", file);
+  form.append("mode", lexImportModeEl?.value || "merge");
+
+  try {
+    const j = await lexApi("/entries/import", { method: "POST", body: form });
+    await afterLexiconEdit(
+      `Imported: ${j.created} added, ${j.updated} updated, ${j.deleted} deleted, ${j.skipped} skipped.`
+    );
+  } catch (e) {
+    setProgress(`Import failed: ${e.message}`);
+  } finally {
+    lexImportFileEl.value = "";
+  }
+});
+
+on(lexExportBtn, "click", async () => {
+  try {
+    const r = await apiFetch(`/api/lexicon/entries/export.csv`);
+    if (!r.ok) throw new Error(r.statusText);
+
+    const url = URL.createObjectURL(await r.blob());
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = "lexicon.csv";
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    URL.revokeObjectURL(url);
+  } catch (e) {
+    setProgress(`Export failed: ${e.message}`);
+  }
+});
+
+// Usage by day, user, project and model; only lexicon admins get other users' rows
+on(exportUsageBtn, "click", async () => {
+  try {
+    const r = await apiFetch(`/api/usage/export.csv`);
+    if (!r.ok) throw new Error(r.statusText);
+
+    const url = URL.createObjectURL(await r.blob());
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = "usage.csv";
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    URL.revokeObjectURL(url);
+  } catch (e) {
+    setProgress(`Usage export failed: ${e.message}`);
+  }
+});
+
+// [{ name, text }]: one script per file, or per slide with speaker notes for
+// a .pptx. The backend extracts text from .docx, .pdf and .pptx.
+async function readUploadedScripts(file) {
+  const name = file.name || "script";
+  const lower = name.toLowerCase();
+
+  if (lower.endsWith(".txt")) {
+    return [{ name, text: await file.text() }];
+  }
+
+  if (/\.(docx|pdf|pptx)$/.test(lower)) {
+    const form = new FormData();
+    form.append("file", file);
+    const r = await apiFetch(`/api/documents/extract`, { method: "POST", body: form });
+    const j = await r.json();
+    if (!r.ok) throw new Error(j.error || `Could not read ${name}`);
+    return j.scripts;
+  }
+
+  throw new Error(`Unsupported file type: ${name}`);
+}
+
+function addScript({ name, originalText, source }) {
+  const safeName = (name || "Script").trim() || "Script";
+  const finalName = safeName.match(/\.(txt|docx)$/i) ? safeName : `${safeName}.txt`;
+
+  const phoneticText = phoneticPreview(originalText || "");
+
+  scripts.push({
+    id: crypto?.randomUUID ? crypto.randomUUID() : String(Date.now() + Math.random()),
+    name: finalName,
+    originalText: originalText || "",
+    generatedText: phoneticText,
+    phoneticText,
+    conflicts: [],
+    source: source || "unknown",
+  });
+
+  rebuildScriptSelect();
+  selectedIndex = scripts.length - 1;
+  if (scriptSelectEl) scriptSelectEl.value = String(selectedIndex);
+  renderEditor();
+  updateGenerateEnabled();
+  scheduleAutosave();
+}
+
+on(filesEl, "change", async () => {
+  const inputFiles = [...(filesEl.files || [])];
+  if (fileListEl) fileListEl.textContent = inputFiles.length ? inputFiles.map(f => f.name).join("\n") : "";
+
+  if (!inputFiles.length) return;
+
+  setProgress("Loading uploaded scripts and generating phonetic...");
+  try {
+    for (const f of inputFiles) {
+      for (const script of await readUploadedScripts(f)) {
+        addScript({ name: script.name, originalText: script.text, source: "upload" });
+      }
+    }
+
+    setProgress("Uploaded scripts added. Edit phonetic, or refresh from original to reset.");
+    if (previewNoteEl) {
+      previewNoteEl.textContent =
+        "Phonetic is generated from the original script + lexicon. Edit here. “Refresh phonetic from original” " +
+        "re-applies the lexicon and keeps your edits; “Discard manual edits” starts over.";
+    }
+  } catch (e) {
+    setProgress(`Upload load error: ${e.message}`);
+  } finally {
+    // allow uploading same files again
+    if (filesEl) filesEl.value = "";
+  }
+});
+
+on(addPastedBtn, "click", () => {
+  const title = (pasteTitleEl?.value || "").trim() || `Pasted_${scripts.length + 1}`;
+  const text = (pasteInputEl?.value || "").trim();
+
+  if (!text) {
+    setProgress("Paste text is empty.");
+    return;
+  }
+
+  addScript({ name: title, originalText: text, source: "paste" });
+  setProgress(`Added pasted script: ${title}`);
+});
+
+on(clearPastedBtn, "click", () => {
+  if (pasteTitleEl) pasteTitleEl.value = "";
+  if (pasteInputEl) pasteInputEl.value = "";
+  setProgress("Paste cleared.");
+});
+
+function renderJob(job) {
+  if (!jobPanelEl || !jobFilesEl) return;
+  jobPanelEl.style.display = "block";
+
+  if (jobSummaryEl) {
+    jobSummaryEl.textContent =
+      `Job ${job.status}: ${job.filesDone}/${job.filesTotal} scripts, ` +
+      `${job.chunksDone}/${job.chunksTotal || "?"} chunks` +
+      (job.cacheHits ? ` (${job.cacheHits} reused from cache)` : "");
+  }
+  if (cancelJobBtn) {
+    cancelJobBtn.style.display = ["queued", "running"].includes(job.status) ? "" : "none";
+  }
+
+  jobFilesEl.innerHTML = "";
+  for (const f of job.files || []) {
+    const pct =
+      f.status === "done" ? 100 : f.chunksTotal ? Math.round((f.chunksDone / f.chunksTotal) * 100) : 0;
+
+    const row = document.createElement("div");
+    row.className = `jobFile ${f.status}`;
+
+    const label = document.createElement("div");
+    label.className = "jobFileLabel";
+    const name = document.createElement("span");
+    name.textContent = f.name;
+    const state = document.createElement("span");
+    state.textContent = f.chunksTotal ? `${f.status} · ${f.chunksDone}/${f.chunksTotal}` : f.status;
+    label.append(name, state);
+
+    const bar = document.createElement("div");
+    bar.className = "bar";
+    const fill = document.createElement("div");
+    fill.className = "barFill";
+    fill.style.width = `${pct}%`;
+    bar.appendChild(fill);
+
+    row.append(label, bar);
+    if (f.error) {
+      const err = document.createElement("div");
+      err.className = "jobFileError small";
+      err.textContent = f.error;
+      row.appendChild(err);
+    }
+    jobFilesEl.appendChild(row);
+  }
+
+  const attention = manifestAttention(job.manifest);
+  if (attention) {
+    const note = document.createElement("div");
+    note.className = "jobAttention small";
+    note.textContent = attention;
+    jobFilesEl.appendChild(note);
+  }
+}
+
+// "2 of 3 scripts narrated. Needs attention: Slide_07 (error)". Empty when all
+// went through, or before the job has finished.
+function manifestAttention(manifest) {
+  if (!manifest) return "";
+  const failed = manifest.files.filter((f) => f.status !== "done");
+  if (!failed.length) return "";
+  return (
+    `${manifest.totals.done} of ${manifest.totals.files} scripts narrated. Needs attention: ` +
+    failed.map((f) => `${f.file} (${f.error || f.status})`).join("; ") +
+    ". See manifest.csv in the ZIP."
+  );
+}
+
+async function fetchJob(jobId) {
+  const r = await apiFetch(`/api/narrate/jobs/${encodeURIComponent(jobId)}`);
+  const j = await r.json();
+  if (!r.ok) throw new Error(j.error || "job status failed");
+  return j;
+}
+
+async function downloadJobZip(jobId) {
+  const r = await apiFetch(`/api/narrate/jobs/${encodeURIComponent(jobId)}/download`);
+  if (!r.ok) {
+    const j = await r.json().catch(() => ({}));
+    throw new Error(j.error || r.statusText);
+  }
+
+  const zipBlob = await r.blob();
+  const url = URL.createObjectURL(zipBlob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = "narrations.zip";
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  URL.revokeObjectURL(url);
+}
+
+async function pollJob(jobId) {
+  while (activeJobId === jobId) {
+    let job;
+    try {
+      job = await fetchJob(jobId);
+    } catch (e) {
+      setProgress(`Progress check failed: ${e.message}`);
+      await new Promise((r) => setTimeout(r, JOB_POLL_MS * 2));
+      continue;
+    }
+
+    renderJob(job);
+
+    if (job.status === "done") {
+      setProgress("Downloading ZIP...");
+      await downloadJobZip(jobId);
+      const failed = job.manifest?.totals.failed || 0;
+      setProgress(failed ? `Done with ${failed} failed script(s). ZIP downloaded.` : "Done. ZIP downloaded.");
+      return;
+    }
+    if (job.status === "failed") throw new Error(job.error || "Job failed");
+    if (job.status === "cancelled") {
+      setProgress("Job cancelled.");
+      return;
+    }
+
+    setProgress(`Generating audio... ${job.filesDone}/${job.filesTotal} scripts done.`);
+    await new Promise((r) => setTimeout(r, JOB_POLL_MS));
+  }
+}
+
+on(cancelJobBtn, "click", async () => {
+  if (!activeJobId) return;
+  try {
+    const r = await apiFetch(`/api/narrate/jobs/${encodeURIComponent(activeJobId)}/cancel`, {
+      method: "POST",
+    });
+    const j = await r.json();
+    if (!r.ok) throw new Error(j.error || "cancel failed");
+    renderJob(j);
+  } catch (e) {
+    setProgress(`Cancel failed: ${e.message}`);
+  }
+});
+
+// Voice, lexicon project and text options, shared by narration and previews
+function appendVoiceFields(form) {
+  form.append("model", modelEl?.value || "aura-2-thalia-en");
+  if (currentProject()) form.append("project", currentProject());
+  form.append("longPauseDots", document.getElementById("longPauseDots")?.value || "6");
+  form.append("useSilentPause", document.getElementById("useSilentPause")?.checked ? "true" : "false");
+  form.append("normalize", normalizeField());
+  if (castEnabled()) form.append("cast", castField());
+  form.append("dateOrder", dateOrderEl?.value || "mdy");
+}
+
+// The narrate form shared by the preflight and job routes
+function narrateForm() {
+  const form = new FormData();
+
+  for (const script of scripts) {
+    const base = (script.name || "script").replace(/\.(txt|docx)$/i, "");
+    const payloadText = script.phoneticText ?? "";
+
+    const blob = new Blob([payloadText], { type: "text/plain;charset=utf-8" });
+    const file = new File([blob], `${base}.txt`, { type: "text/plain" });
+    form.append("files", file);
+  }
+
+  appendVoiceFields(form);
+  form.append("container", containerEl?.value || "wav");
+
+  // Captions show the original script, so send it alongside each phonetic one
+  if (document.getElementById("captions")?.checked) {
+    form.append("captions", "true");
+    form.append("captionMaxChars", document.getElementById("captionMaxChars")?.value || "84");
+    form.append("captionLineWidth", document.getElementById("captionLineWidth")?.value || "42");
+    for (const script of scripts) {
+      const text = script.originalText ?? script.phoneticText ?? "";
+      const blob = new Blob([text], { type: "text/plain;charset=utf-8" });
+      form.append("originals", new File([blob], "original.txt", { type: "text/plain" }));
+    }
+  }
+
+  const container = containerEl?.value || "wav";
+  if (container === "mp3") {
+    form.append("bitRate", document.getElementById("bitRate")?.value || "128000");
+  } else {
+    if (container === "wav") form.append("encoding", document.getElementById("encoding")?.value || "linear16");
+    if (container === "ogg") form.append("bitRate", document.getElementById("opusBitRate")?.value || "32000");
+    else form.append("sampleRate", document.getElementById("sampleRate")?.value || "48000");
+
+    if (postProcessEl?.checked) {
+      form.append("postProcess", "true");
+      for (const id of ["targetLufs", "truePeakDb", "crossfadeMs", "headPadMs", "tailPadMs"]) {
+        form.append(id, document.getElementById(id)?.value || "");
+      }
+      form.append("trimSilence", document.getElementById("trimSilence")?.checked ? "true" : "false");
+    }
+  }
+
+  return form;
+}
+
+// --- Review (preflight) ---
+function formatDuration(ms) {
+  const total = Math.round(ms / 1000);
+  const h = Math.floor(total / 3600);
+  const m = Math.floor((total % 3600) / 60);
+  const sec = String(total % 60).padStart(2, "0");
+  return h ? `${h}:${String(m).padStart(2, "0")}:${sec}` : `${m}:${sec}`;
+}
+
+function formatCost(cost) {
+  if (cost === null || cost === undefined) return "unknown (no price for this voice's provider)";
+  return cost > 0 && cost < 0.01 ? "< $0.01" : `$${cost.toFixed(2)}`;
+}
+
+function hideReview() {
+  if (reviewPanelEl) reviewPanelEl.style.display = "none";
+}
+
+function reviewSection(title, content) {
+  const box = document.createElement("div");
+  box.className = "reviewSection";
+  const h = document.createElement("div");
+  h.className = "help-title";
+  h.textContent = title;
+  box.append(h, content);
+  return box;
+}
+
+function reviewList(title, items) {
+  const ul = document.createElement("ul");
+  for (const item of items) ul.appendChild(item);
+  return reviewSection(title, ul);
+}
+
+function reviewItem(text, action) {
+  const li = document.createElement("li");
+  li.textContent = text;
+  if (action) li.append(" ", action);
+  return li;
+}
+
+function renderReview(j) {
+  if (!reviewPanelEl || !reviewFilesEl) return;
+  const t = j.totals;
+
+  if (reviewSummaryEl) {
+    reviewSummaryEl.textContent =
+      `${t.files} script(s), ${t.chunks} chunk(s), ${t.characters} characters ` +
+      `(${t.billableCharacters} to synthesize, the rest cached). ` +
+      `About ${formatDuration(t.estimatedMs)} of audio, estimated cost ${formatCost(t.estimatedCost)}.`;
+  }
+
+  reviewFilesEl.innerHTML = "";
+  for (const f of j.files) {
+    const details = document.createElement("details");
+    details.className = "reviewFile";
+
+    const flags = [];
+    if (f.error) flags.push(`can't be read, will be skipped: ${f.error}`);
+    if (f.markup.length) flags.push(`${f.markup.length} markup error(s)`);
+    const midWord = f.hardWraps.filter((w) => w.midWord);
+    if (midWord.length) flags.push(`${midWord.length} mid-word split(s)`);
+    if (f.unknownTerms.length) flags.push(`${f.unknownTerms.length} unknown term(s)`);
+    details.open = flags.length > 0;
+
+    const summary = document.createElement("summary");
+    summary.textContent =
+      `${f.name}: ${f.characters} chars, ${f.chunks.length} chunk(s), ~${formatDuration(f.estimatedMs)}` +
+      (flags.length ? ` · ${flags.join(" · ")}` : "");
+    details.appendChild(summary);
+    if (f.error) {
+      reviewFilesEl.appendChild(details);
+      continue;
+    }
+
+    if (f.markup.length) {
+      details.appendChild(
+        reviewList(
+          "Markup errors",
+          f.markup.map((e) => reviewItem(`Line ${e.line}, column ${e.column}: ${e.message}`))
+        )
+      );
+    }
+    if (f.hardWraps.length) {
+      details.appendChild(
+        reviewList(
+          "Hard-wrapped chunks (no sentence break within the provider limit)",
+          f.hardWraps.map((w) =>
+            reviewItem(`After chunk ${w.chunk + 1}${w.midWord ? ", mid-word" : ""}: “${w.context}”`)
+          )
+        )
+      );
+    }
+    if (f.unknownTerms.length) {
+      details.appendChild(
+        reviewList(
+          "Medical-looking words with no lexicon entry",
+          f.unknownTerms.map((u) =>
+            reviewItem(
+              `${u.word} ×${u.count} (${u.reason})`,
+              actionButton("Add to lexicon", () => {
+                if (newTermEl) newTermEl.value = u.word;
+                if (newSpokenEl) {
+                  newSpokenEl.value = "";
+                  newSpokenEl.scrollIntoView({ behavior: "smooth", block: "center" });
+                  newSpokenEl.focus();
+                }
+              })
+            )
+          )
+        )
+      );
+    }
+
+    const table = document.createElement("table");
+    table.className = "lexTable";
+    table.innerHTML =
+      "<thead><tr><th>#</th><th>Chars</th><th>Voice</th><th>Speaker</th><th>Cached</th></tr></thead>";
+    const tbody = document.createElement("tbody");
+    for (const c of f.chunks) {
+      const tr = document.createElement("tr");
+      tr.title = c.text;
+      tr.append(
+        entryCell(String(c.index + 1)),
+        entryCell(String(c.chars)),
+        entryCell(c.voice),
+        entryCell(c.speaker || ""),
+        entryCell(c.cached ? "yes" : "")
+      );
+      tbody.appendChild(tr);
+    }
+    table.appendChild(tbody);
+    const wrap = document.createElement("div");
+    wrap.className = "tableWrap";
+    wrap.appendChild(table);
+    details.appendChild(reviewSection("Chunks (hover a row for its text)", wrap));
+
+    const text = document.createElement("pre");
+    text.className = "help-box reviewText";
+    text.textContent = f.text;
+    details.appendChild(reviewSection("Text sent to the voice", text));
+
+    reviewFilesEl.appendChild(details);
+  }
+
+  if (confirmGenerateBtn) confirmGenerateBtn.disabled = t.markupErrors > 0;
+  reviewPanelEl.style.display = "block";
+}
+
+// Generate runs a preflight first; narration starts from the review panel
+on(generateBtn, "click", async () => {
+  if (!scripts.length || activeJobId) return;
+
+  // Commit editor text into selected script before generating
+  const s = getSelectedScript();
+  if (s && phoneticEditorEl) s.phoneticText = phoneticEditorEl.value;
+
+  const invalid = scripts.filter((x) => markupErrors(x).length);
+  if (invalid.length) {
+    setProgress(`Fix the markup errors in ${invalid.map((x) => x.name).join(", ")} before generating.`);
+    return;
+  }
+
+  setProgress("Checking scripts...");
+  generateBtn.disabled = true;
+
+  try {
+    const r = await apiFetch(`/api/narrate/preflight`, { method: "POST", body: narrateForm() });
+    const j = await r.json().catch(() => ({}));
+    if (!r.ok) throw new Error(j.error || r.statusText);
+
+    renderReview(j);
+    setProgress("Review the plan below, then start narration.");
+  } catch (e) {
+    setProgress(`Error: ${e.message}`);
+  } finally {
+    updateGenerateEnabled();
+  }
+});
+
+on(cancelReviewBtn, "click", () => {
+  hideReview();
+  setProgress("");
+});
+
+on(confirmGenerateBtn, "click", async () => {
+  if (!scripts.length || activeJobId) return;
+  hideReview();
+  setProgress("Uploading phonetic scripts...");
+
+  let job;
+  try {
+    const r = await apiFetch(`/api/narrate/jobs`, { method: "POST", body: narrateForm() });
+    job = await r.json().catch(() => ({}));
+    if (!r.ok) throw new Error(job.error || r.statusText);
+  } catch (e) {
+    setProgress(`Error: ${e.message}`);
+    return;
+  }
+
+  activeJobId = job.id;
+  generateBtn.disabled = true;
+  renderJob(job);
+
+  try {
+    await pollJob(job.id);
+  } catch (e) {
+    setProgress(`Error: ${e.message}`);
+  } finally {
+    activeJobId = null;
+    updateGenerateEnabled();
+  }
+
+  await loadLexStatus();
+  await loadQuota();
+});
+
+// --- Projects (project-store.js) ---
+const PROJECT_KEY = "narration.project"; // id of the project last open
+const AUTOSAVE_MS = 1000;
+const REVISION_INTERVAL_MS = 3 * 60 * 1000; // autosave keeps a revision at most this often
+
+// Form controls saved with a project, by element id
+const PROJECT_SETTING_FIELDS = [
+  "model",
+  "container",
+  "sampleRate",
+  "encoding",
+  "bitRate",
+  "opusBitRate",
+  "postProcess",
+  "targetLufs",
+  "truePeakDb",
+  "crossfadeMs",
+  "trimSilence",
+  "headPadMs",
+  "tailPadMs",
+  "captions",
+  "captionMaxChars",
+  "captionLineWidth",
+  "multiVoice",
+  "longPauseDots",
+  "useSilentPause",
+  "dateOrder",
+  "project",
+];
+
+let activeProject = null; // the open project record, or null when IndexedDB is unavailable
+let autosaveTimer = null;
+const lastRevisionAt = new Map(); // key: script id, value: when autosave last kept a revision
+
+function setProjectStatus(msg) {
+  if (projectStatusEl) projectStatusEl.textContent = msg || "";
+}
+
+function projectSettings() {
+  const fields = {};
+  for (const id of PROJECT_SETTING_FIELDS) {
+    const el = document.getElementById(id);
+    if (el) fields[id] = el.type === "checkbox" ? el.checked : el.value;
+  }
+  return { fields, cast: { ...castAssignments }, normalizeRules: normalizeOptions().rules };
+}
+
+function applyProjectSettings(settings = {}) {
+  for (const [id, value] of Object.entries(settings.fields || {})) {
+    const el = document.getElementById(id);
+    if (!el) continue;
+    if (el.type === "checkbox") el.checked = !!value;
+    else if (el.tagName !== "SELECT" || [...el.options].some((o) => o.value === value)) el.value = value;
+  }
+
+  castAssignments = { ...(settings.cast || {}) };
+  localStorage.setItem(CAST_KEY, JSON.stringify({ enabled: castEnabled(), voices: castAssignments }));
+
+  const rules = settings.normalizeRules || {};
+  for (const input of normalizeRulesEl?.querySelectorAll("input[type=checkbox]") || []) {
+    input.checked = rules[input.value] !== false;
+  }
+  localStorage.setItem(NORMALIZE_KEY, JSON.stringify(normalizeOptions()));
+
+  updateContainerOptions();
+  updateContainerSettings();
+  renderCast({ force: true });
+}
+
+function scheduleAutosave() {
+  if (!activeProject) return;
+  clearTimeout(autosaveTimer);
+  autosaveTimer = setTimeout(() => {
+    saveActiveProject().catch((e) => setProjectStatus(`Autosave failed: ${e.message}`));
+  }, AUTOSAVE_MS);
+}
+
+// Writes the open project now. Autosave also keeps a revision of each script
+// that changed, at most every REVISION_INTERVAL_MS.
+async function saveActiveProject({ revisions = true } = {}) {
+  clearTimeout(autosaveTimer);
+  if (!activeProject) return;
+
+  activeProject.scripts = scripts.map((s) => ({ ...s }));
+  activeProject.selectedIndex = selectedIndex;
+  activeProject.settings = projectSettings();
+  await window.ProjectStore.saveProject(activeProject);
+
+  if (revisions) {
+    const now = Date.now();
+    for (const s of scripts) {
+      if (now - (lastRevisionAt.get(s.id) || 0) < REVISION_INTERVAL_MS) continue;
+      await window.ProjectStore.addRevision({
+        projectId: activeProject.id,
+        scriptId: s.id,
+        phoneticText: s.phoneticText ?? "",
+      });
+      lastRevisionAt.set(s.id, now);
+    }
+    renderRevisions();
+  }
+  setProjectStatus(`Saved ${new Date().toLocaleTimeString()}`);
+}
+
+// Keeps the script's current phonetic text as a revision before it is replaced
+function keepRevision(script, reason) {
+  if (!activeProject) return;
+  window.ProjectStore.addRevision({
+    projectId: activeProject.id,
+    scriptId: script.id,
+    phoneticText: script.phoneticText ?? "",
+    reason,
+  })
+    .then(renderRevisions)
+    .catch((e) => setProjectStatus(`Could not keep a revision: ${e.message}`));
+}
+
+async function renderRevisions() {
+  if (!revisionSelectEl) return;
+  const s = getSelectedScript();
+  let revisions = [];
+  try {
+    if (activeProject && s) revisions = await window.ProjectStore.listRevisions(activeProject.id, s.id);
+  } catch (e) {
+    setProjectStatus(`Could not load revisions: ${e.message}`);
+  }
+
+  revisionSelectEl.innerHTML = "";
+  for (const r of revisions) {
+    const opt = document.createElement("option");
+    opt.value = String(r.rev);
+    const chars = r.phoneticText.length;
+    opt.textContent = `${new Date(r.savedAt).toLocaleString()} · ${r.reason} · ${chars} chars`;
+    revisionSelectEl.appendChild(opt);
+  }
+  if (restoreRevisionBtn) restoreRevisionBtn.disabled = !revisions.length;
+}
+
+async function renderProjectSelect() {
+  if (!projectSelectEl) return;
+  const projects = await window.ProjectStore.listProjects();
+
+  projectSelectEl.innerHTML = "";
+  for (const p of projects) {
+    const opt = document.createElement("option");
+    opt.value = p.id;
+    opt.textContent = `${p.name} (${p.scripts} script${p.scripts === 1 ? "" : "s"})`;
+    projectSelectEl.appendChild(opt);
+  }
+  if (activeProject) projectSelectEl.value = activeProject.id;
+}
+
+// Saves the open project (unless `save` is false), then loads another one into
+// the editor and settings. On startup the lexicon loads afterwards anyway.
+async function openProject(id, { save = true, startup = false } = {}) {
+  if (save) await saveActiveProject();
+
+  const project = await window.ProjectStore.getProject(id);
+  if (!project) throw new Error("Project not found");
+
+  const lexProject = currentProject();
+  activeProject = project;
+  localStorage.setItem(PROJECT_KEY, project.id);
+  lastRevisionAt.clear();
+
+  scripts = project.scripts.map((s) => ({ ...s }));
+  selectedIndex = project.selectedIndex;
+  applyProjectSettings(project.settings);
+
+  hideReview();
+  rebuildScriptSelect();
+  renderEditor();
+  updateGenerateEnabled();
+  await renderProjectSelect();
+  setProjectStatus(`Opened ${project.name}.`);
+
+  // The project lexicon is part of the settings; reload it when it changed
+  if (!startup && currentProject() !== lexProject) projectEl?.dispatchEvent(new Event("change"));
+}
+
+// Opens the last project, or starts one from whatever is on screen
+async function initProjects({ startup = false } = {}) {
+  const projects = await window.ProjectStore.listProjects();
+  const lastId = localStorage.getItem(PROJECT_KEY);
+  let id = projects.find((p) => p.id === lastId)?.id || projects[0]?.id;
+
+  if (!id) {
+    const project = window.ProjectStore.createProject("Untitled project", { settings: projectSettings() });
+    await window.ProjectStore.saveProject(project);
+    id = project.id;
+  }
+  await openProject(id, { save: false, startup });
+}
+
+for (const id of PROJECT_SETTING_FIELDS) on(document.getElementById(id), "change", scheduleAutosave);
+on(normalizeRulesEl, "change", scheduleAutosave);
+
+// Tab closes and reloads usually come with a "hidden" first; save before that
+on(document, "visibilitychange", () => {
+  if (document.visibilityState === "hidden" && autosaveTimer) saveActiveProject().catch(() => {});
+});
+
+on(projectSelectEl, "change", async () => {
+  try {
+    await openProject(projectSelectEl.value);
+  } catch (e) {
+    setProjectStatus(`Could not open project: ${e.message}`);
+  }
+});
+
+on(newProjectBtn, "click", async () => {
+  const name = prompt("Name for the new project:", "Untitled project");
+  if (name === null) return;
+
+  try {
+    await saveActiveProject();
+    // Starts empty, with the current voice and output settings
+    const project = window.ProjectStore.createProject(name, { settings: projectSettings() });
+    await window.ProjectStore.saveProject(project);
+    await openProject(project.id, { save: false });
+  } catch (e) {
+    setProjectStatus(`Could not create project: ${e.message}`);
+  }
+});
+
+on(renameProjectBtn, "click", async () => {
+  if (!activeProject) return;
+  const name = prompt("Project name:", activeProject.name);
+  if (name === null || !name.trim()) return;
+
+  activeProject.name = name.trim();
+  try {
+    await saveActiveProject({ revisions: false });
+    await renderProjectSelect();
+  } catch (e) {
+    setProjectStatus(`Rename failed: ${e.message}`);
+  }
+});
+
+on(deleteProjectBtn, "click", async () => {
+  if (!activeProject) return;
+  if (!confirm(`Delete project “${activeProject.name}” and its revision history from this browser?`)) return;
+
+  try {
+    clearTimeout(autosaveTimer);
+    await window.ProjectStore.deleteProject(activeProject.id);
+    activeProject = null;
+    localStorage.removeItem(PROJECT_KEY);
+    await initProjects();
+  } catch (e) {
+    setProjectStatus(`Delete failed: ${e.message}`);
+  }
+});
+
+on(exportProjectBtn, "click", async () => {
+  if (!activeProject) return;
+  try {
+    await saveActiveProject();
+    const data = await window.ProjectStore.exportProject(activeProject.id);
+    const blob = new Blob([JSON.stringify(data, null, 2)], { type: "application/json" });
+
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = `${activeProject.name.replace(/[^\w.-]+/g, "_") || "project"}.narration.json`;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    URL.revokeObjectURL(url);
+  } catch (e) {
+    setProjectStatus(`Export failed: ${e.message}`);
+  }
+});
+
+on(importProjectBtn, "click", () => projectImportFileEl?.click());
+
+on(projectImportFileEl, "change", async () => {
+  const file = projectImportFileEl.files?.[0];
+  if (!file) return;
+
+  try {
+    let data;
+    try {
+      data = JSON.parse(await file.text());
+    } catch {
+      throw new Error(`${file.name} is not JSON`);
+    }
+    const project = await window.ProjectStore.importProject(data);
+    await openProject(project.id);
+    setProjectStatus(`Imported ${project.name} (${project.scripts.length} scripts).`);
+  } catch (e) {
+    setProjectStatus(`Import failed: ${e.message}`);
+  } finally {
+    projectImportFileEl.value = "";
+  }
+});
+
+on(restoreRevisionBtn, "click", async () => {
+  const s = getSelectedScript();
+  if (!s || !activeProject || !revisionSelectEl?.value) return;
+
+  let revision;
+  try {
+    const revisions = await window.ProjectStore.listRevisions(activeProject.id, s.id);
+    revision = revisions.find((r) => String(r.rev) === revisionSelectEl.value);
+  } catch (e) {
+    setProjectStatus(`Restore failed: ${e.message}`);
+    return;
+  }
+  if (!revision) return;
+
+  keepRevision(s, "before restore");
+  setPhoneticText(s, revision.phoneticText);
+  setProgress(`Restored ${s.name} to the revision from ${new Date(revision.savedAt).toLocaleString()}.`);
+});
+
+// --- Sign-in ---
+const SESSION_KEY = "narration.session"; // bearer token from /api/auth/login
+
+let currentUser = null; // { id, username, role }
+let roleOrder = []; // lowest first, from the backend
+let appStarted = false;
+
+// fetch() against the backend as the signed-in user; a 401 asks for a new sign-in
+async function apiFetch(path, init = {}) {
+  const headers = new Headers(init.headers);
+  const token = localStorage.getItem(SESSION_KEY);
+  if (token) headers.set("Authorization", `Bearer ${token}`);
+
+  const r = await fetch(`${API_BASE}${path}`, { ...init, headers });
+  if (r.status === 401 && currentUser) showLogin("Your session has ended. Sign in again.");
+  return r;
+}
+
+// Roles include the ones below them (viewer < narrator < lexicon-admin)
+function hasRole(role) {
+  return !!currentUser && roleOrder.indexOf(currentUser.role) >= roleOrder.indexOf(role);
+}
+
+// Hides the controls marked data-role="..." the user's role can't use
+function applyRole() {
+  for (const el of document.querySelectorAll("[data-role]")) {
+    el.style.display = hasRole(el.dataset.role) ? "" : "none";
+  }
+  if (whoamiEl) whoamiEl.textContent = currentUser ? `${currentUser.username} (${currentUser.role})` : "";
+}
+
+function showLogin(message = "") {
+  currentUser = null;
+  localStorage.removeItem(SESSION_KEY);
+  if (loginErrorEl) loginErrorEl.textContent = message;
+  if (loginPanelEl) loginPanelEl.style.display = "";
+  if (appMainEl) appMainEl.style.display = "none";
+  if (authBarEl) authBarEl.style.display = "none";
+  loginUserEl?.focus();
+}
+
+// Shows the app for the signed-in user, loading it the first time
+function enterApp(user, { authDisabled = false } = {}) {
+  currentUser = user;
+  if (loginPanelEl) loginPanelEl.style.display = "none";
+  if (appMainEl) appMainEl.style.display = "";
+  if (authBarEl) authBarEl.style.display = authDisabled ? "none" : "";
+  applyRole();
+
+  if (!appStarted) {
+    appStarted = true;
+    startApp();
+  } else {
+    loadLexEntries().catch((e) => setProgress(`Lexicon load warning: ${e.message}`));
+  }
+}
+
+// Whoever the stored session (or a backend with auth turned off) says we are
+async function checkSession() {
+  try {
+    const r = await apiFetch("/api/auth/me");
+    const j = await r.json().catch(() => ({}));
+    if (!r.ok) return showLogin();
+    roleOrder = j.roles || [];
+    enterApp(j.user, { authDisabled: j.authDisabled });
+  } catch (e) {
+    showLogin(`Can't reach the backend: ${e.message}`);
+  }
+}
+
+on(loginFormEl, "submit", async (e) => {
+  e.preventDefault();
+  if (loginErrorEl) loginErrorEl.textContent = "Signing in...";
+  try {
+    const r = await apiFetch("/api/auth/login", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ username: loginUserEl?.value || "", password: loginPasswordEl?.value || "" }),
+    });
+    const j = await r.json().catch(() => ({}));
+    if (!r.ok) throw new Error(j.error || "Sign-in failed");
+
+    localStorage.setItem(SESSION_KEY, j.token);
+    if (loginPasswordEl) loginPasswordEl.value = "";
+    await checkSession();
+  } catch (err) {
+    if (loginErrorEl) loginErrorEl.textContent = err.message;
+  }
+});
+
+on(logoutBtn, "click", async () => {
+  await saveActiveProject({ revisions: false }).catch(() => {});
+  await apiFetch("/api/auth/logout", { method: "POST" }).catch(() => {});
+  showLogin("Signed out.");
+});
+
+// Init
+renderNormalizeRules();
+checkSession();
+
+async function startApp() {
+  try {
+    await loadVoices();
+  } catch (e) {
+    setProgress(`Voice list warning: ${e.message}`);
+  }
+
+  // After the voice list, so the project's saved voices can be selected
+  try {
+    await initProjects({ startup: true });
+  } catch (e) {
+    setProjectStatus(`Projects are unavailable, so edits are not saved: ${e.message}`);
+  }
+
+  loadQuota();
+  try {
+    await loadLexStatus();
+    await loadLexiconTerms();
+    await loadProjects();
+    await loadLexEntries();
+    await loadLexAudit();
+  } catch (e) {
+    setProgress(`Lexicon load warning: ${e.message}`);
+  } finally {
+    rebuildScriptSelect();
     renderEditor();
     updateGenerateEnabled();
   }
-})();
+}
@@ -0,0 +1,243 @@
+// phonetic-diff.js — word-level diffs and merges for the phonetic editor
+// (window.PhoneticDiff). The editor keeps two layers per script: the text the
+// lexicon and normalizer generated from the original (`generatedText`) and
+// the user's manual edits on top of it (`phoneticText`). Refreshing merges the
+// edits onto the newly generated text instead of discarding them.
+//
+// Texts are compared as tokens (runs of letters/digits, runs of whitespace, or
+// single other characters), so a change never splits a word.
+(function (root, factory) {
+  const api = factory();
+  if (typeof module === "object" && module.exports) module.exports = api;
+  else root.PhoneticDiff = api;
+})(typeof self !== "undefined" ? self : this, function () {
+  "use strict";
+
+  const TOKEN_RE = /[A-Za-z0-9]+|\s+|[^A-Za-z0-9\s]/g;
+  const MAX_EDIT_COST = 2000; // beyond this many token edits, the texts are treated as unrelated
+
+  // [{ text, start }] covering the whole string
+  function tokenize(text) {
+    return [...String(text || "").matchAll(TOKEN_RE)].map((m) => ({ text: m[0], start: m.index }));
+  }
+
+  // Myers' O(ND) shortest edit script over token strings. Returns the index
+  // pairs of matching tokens, in order (none when the texts are too different).
+  function commonTokens(a, b) {
+    const n = a.length;
+    const m = b.length;
+    const max = n + m;
+    const offset = max + 1;
+    const v = new Int32Array(2 * max + 3);
+    const trace = []; // trace[d]: v for diagonals -d..d before step d
+
+    let done = false;
+    for (let d = 0; d <= max && !done; d++) {
+      if (d > MAX_EDIT_COST) return [];
+      trace.push(v.slice(offset - d, offset + d + 1));
+      for (let k = -d; k <= d; k += 2) {
+        const down = k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]);
+        let x = down ? v[offset + k + 1] : v[offset + k - 1] + 1;
+        let y = x - k;
+        while (x < n && y < m && a[x] === b[y]) {
+          x++;
+          y++;
+        }
+        v[offset + k] = x;
+        if (x >= n && y >= m) {
+          done = true;
+          break;
+        }
+      }
+    }
+
+    // Walk the trace back from (n, m) collecting the diagonal moves
+    const pairs = [];
+    let x = n;
+    let y = m;
+    for (let d = trace.length - 1; d >= 0 && (x > 0 || y > 0); d--) {
+      const vd = trace[d];
+      const k = x - y;
+      const prevK = k === -d || (k !== d && vd[d + k - 1] < vd[d + k + 1]) ? k + 1 : k - 1;
+      const prevX = d === 0 ? 0 : vd[d + prevK];
+      const prevY = d === 0 ? 0 : prevX - prevK;
+      while (x > prevX && y > prevY) {
+        x--;
+        y--;
+        pairs.push([x, y]);
+      }
+      if (d > 0) {
+        x = prevX;
+        y = prevY;
+      }
+    }
+    return pairs.reverse();
+  }
+
+  // Changed regions between two texts, as character offsets:
+  // [{ aStart, aEnd, bStart, bEnd }] — a[aStart..aEnd) became b[bStart..bEnd)
+  function diffTexts(a, b) {
+    const textA = String(a || "");
+    const textB = String(b || "");
+    if (textA === textB) return [];
+
+    const ta = tokenize(textA);
+    const tb = tokenize(textB);
+
+    // Common prefix and suffix first; edits are usually small and local
+    let head = 0;
+    while (head < ta.length && head < tb.length && ta[head].text === tb[head].text) head++;
+    let tail = 0;
+    while (
+      tail < ta.length - head &&
+      tail < tb.length - head &&
+      ta[ta.length - 1 - tail].text === tb[tb.length - 1 - tail].text
+    ) {
+      tail++;
+    }
+
+    const midA = ta.slice(head, ta.length - tail);
+    const midB = tb.slice(head, tb.length - tail);
+    const pairs = commonTokens(
+      midA.map((t) => t.text),
+      midB.map((t) => t.text)
+    );
+    pairs.push([midA.length, midB.length]); // sentinel: end of both
+
+    // Character offset of the i-th middle token (or of the end of the middle)
+    const endA = ta[head + midA.length]?.start ?? textA.length;
+    const endB = tb[head + midB.length]?.start ?? textB.length;
+    const posA = (i) => (i < midA.length ? midA[i].start : endA);
+    const posB = (i) => (i < midB.length ? midB[i].start : endB);
+
+    const hunks = [];
+    let i = 0;
+    let j = 0;
+    for (const [pi, pj] of pairs) {
+      if (pi > i || pj > j) {
+        const h = { aStart: posA(i), aEnd: posA(pi), bStart: posB(j), bEnd: posB(pj) };
+        const last = hunks[hunks.length - 1];
+        // Changes only whitespace apart are one change ("ASA" -> "A S A")
+        if (last && !textA.slice(last.aEnd, h.aStart).trim()) {
+          last.aEnd = h.aEnd;
+          last.bEnd = h.bEnd;
+        } else {
+          hunks.push(h);
+        }
+      }
+      i = pi + 1;
+      j = pj + 1;
+    }
+
+    // Whitespace both sides share at a change's edges isn't part of it
+    const sameSpace = (x, y) => textA[x] === textB[y] && /\s/.test(textA[x]);
+    for (const h of hunks) {
+      while (h.aEnd > h.aStart && h.bEnd > h.bStart && sameSpace(h.aEnd - 1, h.bEnd - 1)) {
+        h.aEnd--;
+        h.bEnd--;
+      }
+      while (h.aStart < h.aEnd && h.bStart < h.bEnd && sameSpace(h.aStart, h.bStart)) {
+        h.aStart++;
+        h.bStart++;
+      }
+    }
+    return hunks;
+  }
+
+  function overlaps(h, cluster) {
+    if (h.aStart < cluster.aEnd) return true;
+    // Two insertions at the same point can't both go first
+    return h.aStart === h.aEnd && h.aStart === cluster.aStart && cluster.aStart === cluster.aEnd;
+  }
+
+  // Applies one side's hunks inside base[start..end)
+  function applyHunks(base, start, end, hunks, text) {
+    let out = "";
+    let pos = start;
+    for (const h of hunks) {
+      out += base.slice(pos, h.aStart) + text.slice(h.bStart, h.bEnd);
+      pos = h.aEnd;
+    }
+    return out + base.slice(pos, end);
+  }
+
+  // Three-way merge: `edited` is `base` plus manual edits, `updated` is the
+  // newly generated text. Changes from both sides are combined; where both
+  // changed the same words the manual edit is kept and listed as a conflict:
+  // { text, conflicts: [{ start, end, ours, theirs, base }] } with start/end
+  // offsets of `ours` in the merged text.
+  function mergeEdits(base, edited, updated) {
+    const src = String(base || "");
+    const ours = String(edited || "");
+    const theirs = String(updated || "");
+
+    const hunks = [
+      ...diffTexts(src, ours).map((h) => ({ ...h, side: "ours" })),
+      ...diffTexts(src, theirs).map((h) => ({ ...h, side: "theirs" })),
+    ].sort((x, y) => x.aStart - y.aStart || x.aEnd - x.aStart - (y.aEnd - y.aStart));
+
+    // Group hunks that touch the same base text
+    const clusters = [];
+    for (const h of hunks) {
+      const last = clusters[clusters.length - 1];
+      if (last && overlaps(h, last)) {
+        last.aEnd = Math.max(last.aEnd, h.aEnd);
+        last.hunks.push(h);
+      } else {
+        clusters.push({ aStart: h.aStart, aEnd: h.aEnd, hunks: [h] });
+      }
+    }
+
+    let text = "";
+    let pos = 0;
+    const conflicts = [];
+    for (const c of clusters) {
+      text += src.slice(pos, c.aStart);
+      pos = c.aEnd;
+
+      const mine = c.hunks.filter((h) => h.side === "ours");
+      const other = c.hunks.filter((h) => h.side === "theirs");
+      const oursText = applyHunks(src, c.aStart, c.aEnd, mine, ours);
+      const theirsText = applyHunks(src, c.aStart, c.aEnd, other, theirs);
+
+      if (!mine.length) text += theirsText;
+      else if (!other.length || oursText === theirsText) text += oursText;
+      else {
+        conflicts.push({
+          start: text.length,
+          end: text.length + oursText.length,
+          ours: oursText,
+          theirs: theirsText,
+          base: src.slice(c.aStart, c.aEnd),
+        });
+        text += oursText;
+      }
+    }
+    text += src.slice(pos);
+
+    return { text, conflicts };
+  }
+
+  // Moves [{ start, end }] ranges in `before` to where they are in `after`.
+  // Ranges whose text was edited are dropped.
+  function mapRanges(ranges, before, after) {
+    const hunks = diffTexts(before, after);
+    const out = [];
+    for (const r of ranges || []) {
+      let shift = 0;
+      let touched = false;
+      for (const h of hunks) {
+        if (h.aEnd <= r.start && !(h.aStart === h.aEnd && h.aStart === r.start && r.start === r.end)) {
+          shift += h.bEnd - h.bStart - (h.aEnd - h.aStart);
+        } else if (h.aStart < r.end || (h.aStart === r.end && r.start === r.end)) {
+          touched = true;
+          break;
+        }
+      }
+      if (!touched) out.push({ ...r, start: r.start + shift, end: r.end + shift });
+    }
+    return out;
+  }
+
+  return { tokenize, diffTexts, mergeEdits, mapRanges };
+});
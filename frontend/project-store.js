@@ -0,0 +1,207 @@
+// project-store.js — narration projects kept in the browser's IndexedDB
+// (window.ProjectStore). A project holds its scripts (original and phonetic
+// text) and the voice, output and pacing settings; every script also keeps a
+// history of earlier phonetic text (revisions) to go back to.
+//
+// Records:
+//   projects:  { id, name, createdAt, updatedAt, selectedIndex, settings,
+//                scripts: [{ id, name, originalText, generatedText, phoneticText,
+//                            conflicts, source }] }
+//   revisions: { rev, projectId, scriptId, savedAt, reason, phoneticText }
+//
+// A project exported to JSON is { format, version, exportedAt, project, revisions }.
+(function (root) {
+  const DB_NAME = "medical-narration";
+  const DB_VERSION = 1;
+  const EXPORT_FORMAT = "medical-narration-project";
+  const MAX_REVISIONS = 50; // per script, oldest are dropped
+
+  let dbPromise = null;
+
+  function request(req) {
+    return new Promise((resolve, reject) => {
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+  }
+
+  function done(tx) {
+    return new Promise((resolve, reject) => {
+      tx.oncomplete = () => resolve();
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error || new Error("Transaction aborted"));
+    });
+  }
+
+  function open() {
+    if (!dbPromise) {
+      if (!root.indexedDB) return Promise.reject(new Error("This browser has no IndexedDB"));
+
+      const req = root.indexedDB.open(DB_NAME, DB_VERSION);
+      req.onupgradeneeded = () => {
+        const db = req.result;
+        db.createObjectStore("projects", { keyPath: "id" });
+        const revisions = db.createObjectStore("revisions", { keyPath: "rev", autoIncrement: true });
+        revisions.createIndex("byScript", ["projectId", "scriptId"]);
+        revisions.createIndex("byProject", "projectId");
+      };
+      dbPromise = request(req);
+      dbPromise.catch(() => {
+        dbPromise = null;
+      });
+    }
+    return dbPromise;
+  }
+
+  function newId() {
+    return root.crypto?.randomUUID ? root.crypto.randomUUID() : `${Date.now()}-${Math.random()}`;
+  }
+
+  // =====================
+  // Projects
+  // =====================
+  // [{ id, name, updatedAt, scripts: count }], most recently saved first
+  async function listProjects() {
+    const db = await open();
+    const all = await request(db.transaction("projects").objectStore("projects").getAll());
+    return all
+      .map((p) => ({ id: p.id, name: p.name, updatedAt: p.updatedAt, scripts: p.scripts.length }))
+      .sort((a, b) => b.updatedAt - a.updatedAt);
+  }
+
+  async function getProject(id) {
+    const db = await open();
+    return (await request(db.transaction("projects").objectStore("projects").get(id))) || null;
+  }
+
+  function createProject(name, fields = {}) {
+    const now = Date.now();
+    return {
+      id: newId(),
+      name: String(name || "").trim() || "Untitled project",
+      createdAt: now,
+      updatedAt: now,
+      selectedIndex: -1,
+      settings: {},
+      scripts: [],
+      ...fields,
+    };
+  }
+
+  async function saveProject(project) {
+    const db = await open();
+    const tx = db.transaction("projects", "readwrite");
+    tx.objectStore("projects").put({ ...project, updatedAt: Date.now() });
+    await done(tx);
+  }
+
+  // Removes the project and all of its revisions
+  async function deleteProject(id) {
+    const db = await open();
+    const tx = db.transaction(["projects", "revisions"], "readwrite");
+    tx.objectStore("projects").delete(id);
+    const keys = await request(tx.objectStore("revisions").index("byProject").getAllKeys(id));
+    for (const key of keys) tx.objectStore("revisions").delete(key);
+    await done(tx);
+  }
+
+  // =====================
+  // Revisions
+  // =====================
+  // Newest first
+  async function listRevisions(projectId, scriptId) {
+    const db = await open();
+    const index = db.transaction("revisions").objectStore("revisions").index("byScript");
+    const all = await request(index.getAll([projectId, scriptId]));
+    return all.sort((a, b) => b.rev - a.rev);
+  }
+
+  // Records the script's phonetic text unless it matches the latest revision.
+  // Returns the new revision, or null when nothing changed. The check and the
+  // write share one transaction, so overlapping calls can't both add.
+  async function addRevision({ projectId, scriptId, phoneticText, reason = "autosave" }) {
+    const db = await open();
+    const tx = db.transaction("revisions", "readwrite");
+    const store = tx.objectStore("revisions");
+    const existing = (await request(store.index("byScript").getAll([projectId, scriptId]))).sort(
+      (a, b) => b.rev - a.rev
+    );
+    if (existing[0]?.phoneticText === phoneticText) {
+      await done(tx);
+      return null;
+    }
+
+    const revision = { projectId, scriptId, savedAt: Date.now(), reason, phoneticText };
+    revision.rev = await request(store.add(revision));
+    for (const old of existing.slice(MAX_REVISIONS - 1)) store.delete(old.rev);
+    await done(tx);
+    return revision;
+  }
+
+  // =====================
+  // Export / import
+  // =====================
+  async function exportProject(id) {
+    const project = await getProject(id);
+    if (!project) throw new Error("Project not found");
+
+    const db = await open();
+    const index = db.transaction("revisions").objectStore("revisions").index("byProject");
+    const revisions = (await request(index.getAll(id))).map(({ rev, projectId, ...r }) => r);
+
+    return { format: EXPORT_FORMAT, version: 1, exportedAt: new Date().toISOString(), project, revisions };
+  }
+
+  // Imports an exported project as a new one (new id, so importing twice never
+  // overwrites a colleague's copy). Returns the saved project.
+  async function importProject(data) {
+    if (data?.format !== EXPORT_FORMAT || !data.project || !Array.isArray(data.project.scripts)) {
+      throw new Error("Not a narration project file");
+    }
+    if (data.version > 1) throw new Error(`Project file version ${data.version} is newer than this app`);
+
+    const scripts = data.project.scripts.map((s) => ({
+      id: String(s.id || newId()),
+      name: String(s.name || "Script.txt"),
+      originalText: String(s.originalText ?? ""),
+      generatedText: typeof s.generatedText === "string" ? s.generatedText : undefined,
+      phoneticText: String(s.phoneticText ?? ""),
+      conflicts: Array.isArray(s.conflicts) ? s.conflicts : [],
+      source: String(s.source || "import"),
+    }));
+    const project = createProject(data.project.name, {
+      selectedIndex: Number.isInteger(data.project.selectedIndex) ? data.project.selectedIndex : -1,
+      settings: data.project.settings && typeof data.project.settings === "object" ? data.project.settings : {},
+      scripts,
+    });
+
+    const db = await open();
+    const tx = db.transaction(["projects", "revisions"], "readwrite");
+    tx.objectStore("projects").put(project);
+    const known = new Set(scripts.map((s) => s.id));
+    for (const r of Array.isArray(data.revisions) ? data.revisions : []) {
+      if (!known.has(String(r.scriptId)) || typeof r.phoneticText !== "string") continue;
+      tx.objectStore("revisions").add({
+        projectId: project.id,
+        scriptId: String(r.scriptId),
+        savedAt: Number(r.savedAt) || Date.now(),
+        reason: String(r.reason || "import"),
+        phoneticText: r.phoneticText,
+      });
+    }
+    await done(tx);
+    return project;
+  }
+
+  root.ProjectStore = {
+    listProjects,
+    getProject,
+    createProject,
+    saveProject,
+    deleteProject,
+    listRevisions,
+    addRevision,
+    exportProject,
+    importProject,
+  };
+})(window);
@@ -0,0 +1,261 @@
+// lexicon-matcher.js — single-pass lexicon replacement, shared by the browser
+// preview (window.LexiconMatcher) and the backend (imported by backend/server.js),
+// so the phonetic preview and the narrated text are always identical. The
+// frontend build copies it next to index.html (see frontend/netlify.toml).
+//
+// Rules:
+// - terms match case-insensitively, only as whole tokens (no letter/digit on either side)
+// - a hyphen in a term also matches a single space, or nothing ("anti-inflammatory",
+//   "anti inflammatory", "antiinflammatory")
+// - at each position the longest matching term wins; matches never overlap and
+//   replacement text is never re-scanned, so substitutions can't chain
+//
+// Optional entry fields (all off by default, so plain { term, spoken } entries
+// behave as described above):
+// - caseSensitive: the term's letters must match exactly ("MS" but not "ms")
+// - regex: `term` is a regular expression; `spoken` may use $1, $<name>, $& and $$
+// - before / after: a regular expression the text immediately before / after the
+//   match must end / start with, e.g. before "\d\s*" for "mg" after a number.
+//   A leading "!" inverts the condition.
+// On the same term, entries with conditions are tried before the plain one from
+// their own layer (`layer`, as set by the backend's merge); a plain entry from a
+// higher-precedence layer overrides conditional ones from lower layers.
+(function (root, factory) {
+  const api = factory();
+  if (typeof module === "object" && module.exports) module.exports = api;
+  else root.LexiconMatcher = api;
+})(typeof self !== "undefined" ? self : this, function () {
+  "use strict";
+
+  function isWordChar(ch) {
+    return !!ch && /[A-Za-z0-9]/.test(ch);
+  }
+
+  function isHyphenLike(ch) {
+    return ch === "-" || /\s/.test(ch);
+  }
+
+  // Letters and digits only, for comparing case-sensitive terms
+  function squash(s) {
+    return s.replace(/[-\s]+/g, "");
+  }
+
+  function newNode() {
+    return { next: new Map(), hyphen: null, rules: [] };
+  }
+
+  // Entries that describe the same rule; a higher-precedence layer replaces
+  // a lower one only when the keys are equal
+  function ruleKey(entry) {
+    const term = String(entry?.term || "");
+    return [
+      entry?.regex ? "regex" : "term",
+      entry?.caseSensitive ? term : term.toLowerCase(),
+      entry?.before || "",
+      entry?.after || "",
+    ].join("\u0000");
+  }
+
+  // "!..." becomes a negative lookaround; sticky so it is tested at lastIndex
+  function contextRegExp(source, side, flags) {
+    const negate = source.startsWith("!");
+    const body = negate ? source.slice(1) : source;
+    const open = side === "before" ? (negate ? "(?<!" : "(?<=") : negate ? "(?!" : "(?=";
+    return new RegExp(`${open}${body})`, flags);
+  }
+
+  // Throws SyntaxError for invalid patterns
+  function compileRule(entry, order) {
+    const flags = entry.caseSensitive ? "y" : "iy";
+    return {
+      entry,
+      order,
+      caseSensitive: !!entry.caseSensitive,
+      // The trailing lookahead keeps regex matches on whole tokens too
+      pattern: entry.regex ? new RegExp(`(?:${entry.term})(?![A-Za-z0-9])`, flags) : null,
+      before: entry.before ? contextRegExp(String(entry.before), "before", flags) : null,
+      after: entry.after ? contextRegExp(String(entry.after), "after", flags) : null,
+      conditional: !!(entry.caseSensitive || entry.before || entry.after),
+    };
+  }
+
+  // Builds a trie over lowercased literal terms plus a list of regex rules.
+  // Earlier entries win when two rules match the same text, so pass terms in
+  // precedence order. Invalid patterns are skipped and listed in `errors`.
+  function compileLexicon(terms) {
+    const root = newNode();
+    const patterns = [];
+    const errors = [];
+    let size = 0;
+    let order = 0;
+
+    for (const entry of terms || []) {
+      const term = String(entry?.term || "");
+      if (!term || !entry.spoken) continue;
+
+      let rule;
+      try {
+        rule = compileRule(entry, order++);
+      } catch (e) {
+        errors.push({ term, message: e.message });
+        continue;
+      }
+
+      if (rule.pattern) {
+        patterns.push(rule);
+        size++;
+        continue;
+      }
+
+      let node = root;
+      for (const ch of term) {
+        if (ch === "-") {
+          node.hyphen = node.hyphen || newNode();
+          node = node.hyphen;
+          continue;
+        }
+        const key = ch.toLowerCase();
+        if (!node.next.has(key)) node.next.set(key, newNode());
+        node = node.next.get(key);
+      }
+
+      // A plain entry shadows later plain ones; conditional ones from its
+      // layer go ahead of it, those from lower layers behind it
+      const plainAt = node.rules.findIndex((r) => !r.conditional);
+      if (!rule.conditional && plainAt >= 0) continue;
+      const sameLayer = plainAt >= 0 && node.rules[plainAt].entry.layer === entry.layer;
+      if (rule.conditional && sameLayer) node.rules.splice(plainAt, 0, rule);
+      else node.rules.push(rule);
+      size++;
+    }
+
+    return { root, patterns, errors, size };
+  }
+
+  function contextHolds(rule, text, start, end) {
+    if (rule.before) {
+      rule.before.lastIndex = start;
+      if (!rule.before.test(text)) return false;
+    }
+    if (rule.after) {
+      rule.after.lastIndex = end;
+      if (!rule.after.test(text)) return false;
+    }
+    return true;
+  }
+
+  function isBetter(candidate, best) {
+    return !best || candidate.end > best.end || (candidate.end === best.end && candidate.rule.order < best.rule.order);
+  }
+
+  // Longest match starting at `start`: { end, rule, groups } or null
+  function longestMatchAt(text, start, matcher) {
+    let best = null;
+    const stack = [[matcher.root, start]];
+
+    while (stack.length) {
+      const [node, pos] = stack.pop();
+
+      if (node.rules.length && pos > start && !isWordChar(text[pos])) {
+        const word = text.slice(start, pos);
+        const rule = node.rules.find(
+          (r) =>
+            (!r.caseSensitive || squash(word) === squash(r.entry.term)) && contextHolds(r, text, start, pos)
+        );
+        const candidate = rule && { end: pos, rule, groups: null };
+        if (candidate && isBetter(candidate, best)) best = candidate;
+      }
+
+      if (node.hyphen) {
+        stack.push([node.hyphen, pos]); // hyphen matches nothing
+        if (pos < text.length && isHyphenLike(text[pos])) stack.push([node.hyphen, pos + 1]);
+      }
+
+      if (pos < text.length) {
+        const child = node.next.get(text[pos].toLowerCase());
+        if (child) stack.push([child, pos + 1]);
+      }
+    }
+
+    for (const rule of matcher.patterns) {
+      rule.pattern.lastIndex = start;
+      const m = rule.pattern.exec(text);
+      if (!m || !m[0].length) continue;
+
+      const candidate = { end: start + m[0].length, rule, groups: m };
+      if (isBetter(candidate, best) && contextHolds(rule, text, start, candidate.end)) best = candidate;
+    }
+
+    return best;
+  }
+
+  // Regex replacement text: $1..$99, $<name>, $& and $$
+  function expandSpoken(spoken, groups) {
+    return spoken.replace(/\$(\$|&|\d{1,2}|<([^>]*)>)/g, (all, token, name) => {
+      if (token === "$") return "$";
+      if (token === "&") return groups[0];
+      if (name !== undefined) return groups.groups?.[name] ?? "";
+      const n = Number(token);
+      return n < groups.length ? (groups[n] ?? "") : all;
+    });
+  }
+
+  // All non-overlapping matches, left to right:
+  // [{ start, end, term, spoken, entry }] with offsets into `text`
+  function matchLexicon(text, matcher) {
+    const src = String(text || "");
+    const spans = [];
+    if (!matcher?.size) return spans;
+
+    let i = 0;
+    while (i < src.length) {
+      if (isWordChar(src[i - 1])) {
+        i++;
+        continue;
+      }
+
+      const m = longestMatchAt(src, i, matcher);
+      if (!m) {
+        i++;
+        continue;
+      }
+
+      const { entry } = m.rule;
+      const spoken = m.groups ? expandSpoken(String(entry.spoken), m.groups) : entry.spoken;
+      spans.push({ start: i, end: m.end, term: entry.term, spoken, entry });
+      i = m.end;
+    }
+
+    return spans;
+  }
+
+  // Accepts a compiled matcher or a plain [{ term, spoken }] list
+  function toMatcher(termsOrMatcher) {
+    return termsOrMatcher?.root ? termsOrMatcher : compileLexicon(termsOrMatcher);
+  }
+
+  // { text, spans } where each span also carries outStart/outEnd in the output
+  function applyLexiconWithSpans(text, termsOrMatcher) {
+    const src = String(text || "");
+    const spans = matchLexicon(src, toMatcher(termsOrMatcher));
+
+    let out = "";
+    let last = 0;
+    for (const span of spans) {
+      out += src.slice(last, span.start);
+      span.outStart = out.length;
+      out += span.spoken;
+      span.outEnd = out.length;
+      last = span.end;
+    }
+    out += src.slice(last);
+
+    return { text: out, spans };
+  }
+
+  function applyLexicon(text, termsOrMatcher) {
+    return applyLexiconWithSpans(text, termsOrMatcher).text;
+  }
+
+  return { compileLexicon, matchLexicon, applyLexicon, applyLexiconWithSpans, ruleKey };
+});
@@ -0,0 +1,465 @@
+// script-markup.js — authoring tags in scripts: parser, validator and renderer,
+// shared by the phonetic editor (window.ScriptMarkup) and the backend
+// (imported by backend/server.js), so the editor reports exactly what the
+// server would reject. The frontend build copies it next to index.html (see
+// frontend/netlify.toml).
+//
+// Grammar:
+//   [NAME]  [NAME=value]  [NAME attr="value"]  ...  [/NAME]
+//   "[[" is a literal "["; a "[" not followed by a letter or "/" is plain text.
+//
+// Tags (names are case-insensitive):
+//   [PAUSE]                  long pause (dots, or ". . ." with useSilentPause)
+//   [PAUSE=SHORT]            short pause (comma)
+//   [PAUSE=750ms] [PAUSE=2s] exact timed silence, at most 30s
+//   [SILENT_PAUSE]           silent pause (. . .)
+//   [SPELL]ECG[/SPELL]       letter by letter: "E C G"
+//   [SAY-AS=number|date|characters]...[/SAY-AS]
+//   [SUB alias="..."]...[/SUB]  speaks the alias instead of the content
+//   [EMPHASIS]...[/EMPHASIS] sets the words off with short pauses
+//   [VOICE=aura-2-orion-en]...[/VOICE]  reads the block with another voice
+//
+// SPELL, SAY-AS and SUB hold plain text only; the lexicon and text
+// normalization never touch their content.
+//
+// With { speakers: true }, an upper-case label at the start of a line
+// ("NURSE: ...", "DR. LEE: ...") switches the speaker until the next label;
+// the request's cast maps speakers to voices.
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory(require("./text-normalizer.js"));
+  } else {
+    root.ScriptMarkup = factory(root.TextNormalizer);
+  }
+})(typeof self !== "undefined" ? self : this, function (TextNormalizer) {
+  "use strict";
+
+  const MAX_PAUSE_MS = 30_000;
+  const TIMED_PAUSE_RE = /^(\d+(?:\.\d+)?)\s*(ms|s)$/i;
+
+  // Milliseconds of a timed pause value ("750ms", "2s"), or null
+  function timedPauseMs(value) {
+    const m = TIMED_PAUSE_RE.exec(value || "");
+    if (!m) return null;
+    return Math.round(m[2].toLowerCase() === "s" ? Number(m[1]) * 1000 : Number(m[1]));
+  }
+  const SAY_AS_VALUES = ["number", "date", "characters"];
+
+  // void: no closing tag; plain: content may not contain other tags
+  const TAGS = {
+    PAUSE: { void: true, value: "optional" },
+    SILENT_PAUSE: { void: true },
+    SPELL: { plain: true },
+    "SAY-AS": { plain: true, value: "required" },
+    SUB: { plain: true, attrs: ["alias"] },
+    EMPHASIS: {},
+    VOICE: { value: "required" },
+  };
+
+  // [/?NAME(=value)?( attr="value")*]
+  const TAG_RE = /\[(\/?)([A-Za-z][A-Za-z_-]*)(?:=([^\]"\s][^\]"]*?))?((?:\s+[A-Za-z][\w-]*="[^"]*")*)\s*\]/y;
+  const ATTR_RE = /([A-Za-z][\w-]*)="([^"]*)"/g;
+  const SPEAKER_RE = /^[ \t]*([A-Z][A-Z0-9 ._'-]{0,39}):(?=[ \t]|$)[ \t]*/gm;
+
+  function speakerName(label) {
+    return String(label || "").trim().replace(/\s+/g, " ").toUpperCase();
+  }
+  // =====================
+  // Positions
+  // =====================
+  function lineStarts(src) {
+    const starts = [0];
+    for (let i = 0; i < src.length; i++) if (src[i] === "\n") starts.push(i + 1);
+    return starts;
+  }
+
+  // 1-based { line, column } for a string offset
+  function positionAt(starts, offset) {
+    let lo = 0;
+    let hi = starts.length - 1;
+    while (lo < hi) {
+      const mid = (lo + hi + 1) >> 1;
+      if (starts[mid] <= offset) lo = mid;
+      else hi = mid - 1;
+    }
+    return { line: lo + 1, column: offset - starts[lo] + 1 };
+  }
+
+  // Closest known tag name, for "did you mean" hints
+  function suggestTag(name) {
+    let best = null;
+    let bestDist = 3;
+    for (const known of Object.keys(TAGS)) {
+      const d = editDistance(name, known);
+      if (d < bestDist) {
+        best = known;
+        bestDist = d;
+      }
+    }
+    return best;
+  }
+
+  function editDistance(a, b) {
+    const prev = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+      let diag = prev[0];
+      prev[0] = i;
+      for (let j = 1; j <= b.length; j++) {
+        const tmp = prev[j];
+        prev[j] = Math.min(prev[j] + 1, prev[j - 1] + 1, diag + (a[i - 1] === b[j - 1] ? 0 : 1));
+        diag = tmp;
+      }
+    }
+    return prev[b.length];
+  }
+
+  // =====================
+  // Parser
+  // =====================
+  function checkTag(tag, error) {
+    const spec = TAGS[tag.name];
+    const label = `[${tag.name}]`;
+
+    if (spec.value === "required" && tag.value === undefined) {
+      const example = tag.name === "VOICE" ? "aura-2-orion-en" : SAY_AS_VALUES[0];
+      error(`${label} needs a value, e.g. [${tag.name}=${example}]`);
+    } else if (!spec.value && tag.value !== undefined) {
+      error(`${label} doesn't take a value`);
+    }
+
+    if (tag.name === "PAUSE" && tag.value !== undefined) {
+      const ms = timedPauseMs(tag.value);
+      if (!/^short$/i.test(tag.value) && ms === null) {
+        error(`[PAUSE=${tag.value}] is not a pause length; use SHORT or a duration like 750ms or 2s`);
+      } else if (ms > MAX_PAUSE_MS) {
+        error(`[PAUSE=${tag.value}] is too long; pauses are at most ${MAX_PAUSE_MS / 1000}s`);
+      }
+    }
+    if (tag.name === "SAY-AS" && tag.value !== undefined && !SAY_AS_VALUES.includes(tag.value.toLowerCase())) {
+      error(`[SAY-AS=${tag.value}] is not supported; use ${SAY_AS_VALUES.join(", ")}`);
+    }
+
+    for (const attr of Object.keys(tag.attrs)) {
+      if (!(spec.attrs || []).includes(attr)) error(`${label} has no attribute "${attr}"`);
+    }
+    if (tag.name === "SUB" && !tag.attrs.alias?.trim()) error(`[SUB] needs alias="..."`);
+  }
+
+  // Returns { nodes, errors, speakers, voices }. Nodes are
+  //   { type: "text", text }                      (raw source, "[[" not unescaped)
+  //   { type: "tag", name, value, attrs, raw, closeRaw, children, line, column }
+  //   { type: "speaker", name, raw, line, column } (only with { speakers: true })
+  // Errors are { line, column, message }. The tree is still usable when there
+  // are errors: unclosed tags end at the end of the script. `speakers` and
+  // `voices` list every speaker label and [VOICE=...] value with its position,
+  // so callers can check them against the cast and the voice catalog.
+  function parseMarkup(text, { speakers: withSpeakers = false } = {}) {
+    const src = String(text || "").replace(/\r\n/g, "\n");
+    const starts = lineStarts(src);
+    const errors = [];
+    const speakers = [];
+    const voices = [];
+    const root = { children: [] };
+    const stack = [root];
+
+    // Speaker labels only count outside tags
+    const labels = withSpeakers ? [...src.matchAll(SPEAKER_RE)] : [];
+    let nextLabel = 0;
+
+    const errorAt = (offset, message) => errors.push({ ...positionAt(starts, offset), message });
+    const top = () => stack[stack.length - 1];
+    const pushText = (s) => {
+      const nodes = top().children;
+      const last = nodes[nodes.length - 1];
+      if (last?.type === "text") last.text += s;
+      else nodes.push({ type: "text", text: s });
+    };
+
+    let i = 0;
+    while (i < src.length) {
+      while (nextLabel < labels.length && labels[nextLabel].index < i) nextLabel++;
+      const label = labels[nextLabel];
+      const bracket = src.indexOf("[", i);
+      const open = bracket < 0 ? src.length : bracket;
+
+      if (label && label.index < open) {
+        if (label.index > i) pushText(src.slice(i, label.index));
+        i = label.index + label[0].length;
+        nextLabel++;
+        if (stack.length > 1) {
+          pushText(label[0]);
+          continue;
+        }
+        const speaker = {
+          type: "speaker",
+          name: speakerName(label[1]),
+          raw: label[0],
+          ...positionAt(starts, label.index),
+        };
+        root.children.push(speaker);
+        speakers.push({ name: speaker.name, line: speaker.line, column: speaker.column });
+        continue;
+      }
+
+      if (bracket < 0) {
+        pushText(src.slice(i));
+        break;
+      }
+      if (open > i) pushText(src.slice(i, open));
+
+      if (src[open + 1] === "[") {
+        pushText("[[");
+        i = open + 2;
+        continue;
+      }
+      if (!/[A-Za-z/]/.test(src[open + 1] || "")) {
+        pushText("[");
+        i = open + 1;
+        continue;
+      }
+
+      TAG_RE.lastIndex = open;
+      const m = TAG_RE.exec(src);
+      if (!m) {
+        const lineEnd = src.indexOf("\n", open);
+        const snippet = src.slice(open, lineEnd < 0 ? undefined : lineEnd).slice(0, 30);
+        errorAt(open, `Malformed tag "${snippet}"; write a literal "[" as "[["`);
+        pushText("[");
+        i = open + 1;
+        continue;
+      }
+
+      const raw = m[0];
+      const closing = m[1] === "/";
+      const name = m[2].toUpperCase();
+      i = open + raw.length;
+
+      if (!TAGS[name]) {
+        const hint = suggestTag(name);
+        errorAt(open, `Unknown tag [${m[1]}${m[2]}]${hint ? `; did you mean [${m[1]}${hint}]?` : ""}`);
+        pushText(raw);
+        continue;
+      }
+
+      if (closing) {
+        if (TAGS[name].void) {
+          errorAt(open, `[${name}] doesn't take a closing tag`);
+          continue;
+        }
+
+        const depth = stack.map((n) => n.name).lastIndexOf(name);
+        if (depth <= 0) {
+          errorAt(open, `[/${name}] has no matching [${name}]`);
+          continue;
+        }
+        while (stack.length - 1 > depth) {
+          const unclosed = stack.pop();
+          errors.push({
+            line: unclosed.line,
+            column: unclosed.column,
+            message: `[${unclosed.name}] is never closed (found [/${name}] first)`,
+          });
+        }
+        stack.pop().closeRaw = raw;
+        continue;
+      }
+
+      const attrs = {};
+      for (const a of (m[4] || "").matchAll(ATTR_RE)) attrs[a[1].toLowerCase()] = a[2];
+
+      const tag = {
+        type: "tag",
+        name,
+        value: m[3] === undefined ? undefined : m[3].trim(),
+        attrs,
+        raw,
+        closeRaw: "",
+        children: [],
+        ...positionAt(starts, open),
+      };
+      checkTag(tag, (message) => errorAt(open, message));
+
+      const parent = top();
+      if (parent !== root && TAGS[parent.name].plain) {
+        errorAt(open, `[${parent.name}] can only contain plain text, not [${name}]`);
+      }
+      if (name === "VOICE") {
+        if (stack.some((n) => n.name === "VOICE")) errorAt(open, "[VOICE] blocks can't be nested");
+        if (tag.value) voices.push({ value: tag.value, line: tag.line, column: tag.column });
+      }
+
+      parent.children.push(tag);
+      if (!TAGS[name].void) stack.push(tag);
+    }
+
+    for (const unclosed of stack.slice(1)) {
+      errors.push({
+        line: unclosed.line,
+        column: unclosed.column,
+        message: `[${unclosed.name}] is never closed; add [/${unclosed.name}]`,
+      });
+    }
+
+    errors.sort((a, b) => a.line - b.line || a.column - b.column);
+    return { nodes: root.children, errors, speakers, voices };
+  }
+
+  // =====================
+  // Source rewriting
+  // =====================
+  // Applies fn to every run of ordinary text (not inside SPELL, SAY-AS or SUB)
+  // and returns the script with all tags left in place. Used to run the
+  // lexicon and text normalization without touching markup (or speaker labels,
+  // with { speakers: true }).
+  function transformText(text, fn, opts = {}) {
+    const { nodes } = parseMarkup(text, opts);
+
+    const walk = (list, plain) =>
+      list
+        .map((n) => {
+          if (n.type === "text") return plain ? n.text : fn(n.text);
+          if (n.type === "speaker" || TAGS[n.name].void) return n.raw;
+          return n.raw + walk(n.children, plain || TAGS[n.name].plain) + n.closeRaw;
+        })
+        .join("");
+
+    return walk(nodes, false);
+  }
+
+  // =====================
+  // Rendering
+  // =====================
+  const DIGIT_WORDS = ["zero", "one", "two", "three", "four", "five", "six", "seven", "eight", "nine"];
+
+  function spellOut(s) {
+    return [...s]
+      .filter((ch) => /[A-Za-z0-9]/.test(ch))
+      .map((ch) => (/\d/.test(ch) ? DIGIT_WORDS[ch] : ch.toUpperCase()))
+      .join(" ");
+  }
+
+  function sayAs(kind, s, opts) {
+    const text = s.trim();
+    if (kind === "characters") return spellOut(text);
+    if (kind === "number") {
+      return text.replace(/\d[\d,]*(?:\.\d+)?|\.\d+/g, (n) => TextNormalizer.numberWords(n.replace(/,/g, "")));
+    }
+    // date: the normalizer's date rule, then any leftover digits
+    const rules = Object.fromEntries(
+      TextNormalizer.RULE_IDS.map((id) => [id, id === "dates" || id === "numbers"])
+    );
+    return TextNormalizer.normalizeText(text, { rules, dateOrder: opts.dateOrder });
+  }
+
+  function unescape(s) {
+    return s.replace(/\[\[/g, "[");
+  }
+
+  function plainText(nodes) {
+    return nodes.map((n) => (n.type === "text" ? unescape(n.text) : plainText(n.children || []))).join("");
+  }
+
+  // Renders parsed nodes into [{ type: "text", text, speaker?, voice? } |
+  // { type: "pause", ms }] for synthesis. `speaker` is the current speaker
+  // label and `voice` the enclosing [VOICE=...] value, when there is one.
+  // opts: { longPauseDots, useSilentPause, dateOrder }
+  function renderMarkup(nodes, opts = {}) {
+    const segments = [];
+    const dots = ".".repeat(Math.max(1, Number(opts.longPauseDots) || 6));
+    let speaker;
+    let voice;
+
+    const emit = (text) => {
+      const last = segments[segments.length - 1];
+      if (last?.type === "text" && last.speaker === speaker && last.voice === voice) {
+        last.text += text;
+        return;
+      }
+      const seg = { type: "text", text };
+      if (speaker) seg.speaker = speaker;
+      if (voice) seg.voice = voice;
+      segments.push(seg);
+    };
+
+    const walk = (list) => {
+      for (const n of list) {
+        if (n.type === "text") {
+          emit(unescape(n.text));
+          continue;
+        }
+        if (n.type === "speaker") {
+          speaker = n.name;
+          continue;
+        }
+
+        switch (n.name) {
+          case "PAUSE": {
+            const ms = timedPauseMs(n.value);
+            if (ms !== null) {
+              segments.push({ type: "pause", ms: Math.min(ms, MAX_PAUSE_MS) }); // parseMarkup rejects longer ones
+            } else if (n.value) {
+              emit(",");
+            } else {
+              emit(opts.useSilentPause ? ". . ." : dots);
+            }
+            break;
+          }
+          case "SILENT_PAUSE":
+            emit(". . .");
+            break;
+          case "SPELL":
+            emit(spellOut(plainText(n.children)));
+            break;
+          case "SAY-AS":
+            emit(sayAs(String(n.value || "").toLowerCase(), plainText(n.children), opts));
+            break;
+          case "SUB":
+            emit(n.attrs.alias || plainText(n.children));
+            break;
+          case "EMPHASIS": {
+            // No provider takes emphasis markup yet; short pauses set the words off
+            const before = segments[segments.length - 1];
+            if (before?.type === "text" && !/[,.;:!?]\s*$/.test(before.text)) {
+              before.text = before.text.trimEnd() + ", ";
+            }
+            walk(n.children);
+            emit(",");
+            break;
+          }
+          case "VOICE": {
+            const outer = voice;
+            voice = n.value;
+            walk(n.children);
+            voice = outer;
+            break;
+          }
+        }
+      }
+    };
+
+    walk(nodes);
+
+    // Drop the comma an EMPHASIS leaves before existing punctuation
+    for (const seg of segments) {
+      if (seg.type === "text") seg.text = seg.text.replace(/,(\s*[,.;:!?])/g, "$1");
+    }
+    return segments;
+  }
+
+  // What a reader sees: tags dropped, [SUB], [SPELL] and [SAY-AS] keep their
+  // written content and "[[" becomes "[". With { speakers: true } speaker
+  // labels go too, as they aren't spoken. Used for captions.
+  function stripMarkup(text, { speakers = false } = {}) {
+    return plainText(parseMarkup(text, { speakers }).nodes);
+  }
+
+  return {
+    TAGS: Object.keys(TAGS),
+    parseMarkup,
+    transformText,
+    renderMarkup,
+    stripMarkup,
+    speakerName,
+    MAX_PAUSE_MS,
+  };
+});
@@ -0,0 +1,408 @@
+// text-normalizer.js — rewrites medical notation into speakable words before TTS,
+// shared by the browser preview (window.TextNormalizer) and the backend
+// (imported by backend/server.js), so the preview matches what gets narrated.
+// The frontend build copies it next to index.html (see frontend/netlify.toml).
+//
+// Rules run in the order of NORMALIZE_RULES and can be switched off one by one.
+// Most rules only restructure ("120/80 mmHg" -> "120 over 80 millimeters of
+// mercury") and leave the digits to the final `numbers` rule. Output contains
+// no digits the rules recognize, so normalizing twice changes nothing.
+(function (root, factory) {
+  const api = factory();
+  if (typeof module === "object" && module.exports) module.exports = api;
+  else root.TextNormalizer = api;
+})(typeof self !== "undefined" ? self : this, function () {
+  "use strict";
+
+  // =====================
+  // Number words
+  // =====================
+  const ONES = [
+    "zero", "one", "two", "three", "four", "five", "six", "seven", "eight", "nine", "ten",
+    "eleven", "twelve", "thirteen", "fourteen", "fifteen", "sixteen", "seventeen", "eighteen", "nineteen",
+  ];
+  const TENS = ["", "", "twenty", "thirty", "forty", "fifty", "sixty", "seventy", "eighty", "ninety"];
+  const SCALES = ["", "thousand", "million", "billion", "trillion", "quadrillion"];
+
+  function below1000(n) {
+    const words = [];
+    if (n >= 100) {
+      words.push(`${ONES[Math.floor(n / 100)]} hundred`);
+      n %= 100;
+    }
+    if (n >= 20) words.push(TENS[Math.floor(n / 10)] + (n % 10 ? `-${ONES[n % 10]}` : ""));
+    else if (n > 0) words.push(ONES[n]);
+    return words.join(" ");
+  }
+
+  // Digits as a string, so long numbers don't lose precision
+  function integerWords(digits) {
+    const s = String(digits).replace(/,/g, "").replace(/^0+(?=\d)/, "");
+    if (/^0+$/.test(s)) return "zero";
+    if (s.length > SCALES.length * 3) return s.split("").map((d) => ONES[d]).join(" ");
+
+    const groups = [];
+    for (let end = s.length; end > 0; end -= 3) groups.unshift(Number(s.slice(Math.max(0, end - 3), end)));
+
+    return groups
+      .map((g, i) => {
+        const scale = SCALES[groups.length - 1 - i];
+        return g ? `${below1000(g)}${scale ? ` ${scale}` : ""}` : "";
+      })
+      .filter(Boolean)
+      .join(" ");
+  }
+
+  // "7.25" -> "seven point two five", ".5" -> "point five"
+  function numberWords(num) {
+    const [int, frac] = String(num).split(".");
+    const head = int ? integerWords(int) : "";
+    if (frac === undefined) return head;
+    const tail = frac.split("").map((d) => ONES[d]).join(" ");
+    return head ? `${head} point ${tail}` : `point ${tail}`;
+  }
+
+  const ORDINAL_WORDS = {
+    one: "first",
+    two: "second",
+    three: "third",
+    five: "fifth",
+    eight: "eighth",
+    nine: "ninth",
+    twelve: "twelfth",
+  };
+
+  // Only the last word changes: "twenty-one" -> "twenty-first"
+  function ordinalWords(n) {
+    return integerWords(n).replace(
+      /[a-z]+$/,
+      (w) => ORDINAL_WORDS[w] || (w.endsWith("y") ? `${w.slice(0, -1)}ieth` : `${w}th`)
+    );
+  }
+
+  // 1985 -> "nineteen eighty-five", 2005 -> "two thousand five", 2024 -> "twenty twenty-four"
+  function yearWords(y) {
+    if (y < 1100 || y > 2099 || (y >= 2000 && y < 2010)) return integerWords(y);
+    const hi = Math.floor(y / 100);
+    const lo = y % 100;
+    return `${integerWords(hi)} ${lo === 0 ? "hundred" : lo < 10 ? `oh ${ONES[lo]}` : integerWords(lo)}`;
+  }
+
+  // =====================
+  // Rules
+  // =====================
+  const NUM = String.raw`\d{1,3}(?:,\d{3})+(?:\.\d+)?|\d+(?:\.\d+)?|\.\d+`;
+  const NOT_AFTER_WORD = String.raw`(?<![A-Za-z0-9]|\d\.)`; // not inside a token or a decimal
+
+  const MONTHS = [
+    "January", "February", "March", "April", "May", "June",
+    "July", "August", "September", "October", "November", "December",
+  ];
+  const MONTH_ABBR = {
+    Jan: 1, Feb: 2, Mar: 3, Apr: 4, Jun: 6, Jul: 7, Aug: 8, Sep: 9, Sept: 9, Oct: 10, Nov: 11, Dec: 12,
+  };
+
+  function monthIndex(name) {
+    const i = MONTHS.indexOf(name);
+    return i >= 0 ? i + 1 : MONTH_ABBR[name] || 0;
+  }
+
+  function isValidDate(m, d) {
+    return m >= 1 && m <= 12 && d >= 1 && d <= 31;
+  }
+
+  function dateWords(y, m, d) {
+    const md = `${MONTHS[m - 1]} ${ordinalWords(d)}`;
+    return y ? `${md}, ${yearWords(y)}` : md;
+  }
+
+  function fullYear(yy) {
+    const n = Number(yy);
+    return yy.length === 4 ? n : n < 50 ? 2000 + n : 1900 + n;
+  }
+
+  // A swallowed trailing period that ended the sentence is put back
+  function keepSentenceEnd(match, offset, src, words) {
+    if (!match.endsWith(".")) return words;
+    const rest = src.slice(offset + match.length);
+    return /^\s*($|[A-Z\n])/.test(rest) ? `${words}.` : words;
+  }
+
+  function timeWords(h, mm, ampm) {
+    const m = Number(mm);
+    const minutes = m === 0 ? "" : m < 10 ? ` oh ${ONES[m]}` : ` ${integerWords(m)}`;
+    return `${integerWords(h)}${minutes} ${ampm.replace(/\./g, "").toUpperCase()}`;
+  }
+
+  // 24-hour clock: "14:30" -> "fourteen thirty", "12:00" -> "twelve o'clock", "18:00" -> "eighteen hundred"
+  function clockWords(h, mm) {
+    const m = Number(mm);
+    if (m === 0) return `${integerWords(h)} ${+h <= 12 ? "o'clock" : "hundred"}`;
+    return `${integerWords(h)} ${m < 10 ? `oh ${ONES[m]}` : integerWords(m)}`;
+  }
+
+  // Words that put a bare H:MM on the clock ("at 9:30", "from 8:00 to 9:15")
+  const TIME_CONTEXT_RE = /\b(at|by|from|to|until|till|through|before|after|around|between|and)\s+$/i;
+
+  // "14:30" and "09:00" are always times; a one-digit hour ("1:10") only after
+  // a word like "at", otherwise it is most likely a dilution (see `ratios`)
+  function isClockTime(h, mm, offset, src) {
+    if (+h > 23 || +mm > 59) return false;
+    return h.length === 2 || TIME_CONTEXT_RE.test(src.slice(Math.max(0, offset - 12), offset));
+  }
+
+  const MONTH_NAMES_RE = [...MONTHS, ...Object.keys(MONTH_ABBR)].join("|");
+
+  function normalizeDates(text, { dateOrder = "mdy" } = {}) {
+    return (
+      text
+        // 2024-03-12
+        .replace(/(?<![\d/-])(\d{4})-(\d{1,2})-(\d{1,2})(?![\d/-])/g, (all, y, m, d) =>
+          isValidDate(+m, +d) ? dateWords(+y, +m, +d) : all
+        )
+        // 3/12/2024, 03/12/24 (month first unless dateOrder is "dmy")
+        .replace(/(?<![\d/.])(\d{1,2})\/(\d{1,2})\/(\d{4}|\d{2})(?![\d/])/g, (all, a, b, yy) => {
+          const [m, d] = dateOrder === "dmy" ? [+b, +a] : [+a, +b];
+          return isValidDate(m, d) ? dateWords(fullYear(yy), m, d) : all;
+        })
+        // March 3, 2024 / Mar. 3rd
+        .replace(
+          new RegExp(String.raw`\b(${MONTH_NAMES_RE})\.? (\d{1,2})(?:st|nd|rd|th)?(?:,? (\d{4}))?(?![\d:])`, "g"),
+          (all, name, d, y) => {
+            const m = monthIndex(name);
+            return isValidDate(m, +d) ? dateWords(y ? +y : 0, m, +d) : all;
+          }
+        )
+        // 3 March 2024
+        .replace(
+          new RegExp(String.raw`(?<![\d.])(\d{1,2})(?:st|nd|rd|th)? (${MONTH_NAMES_RE})\.?(?: (\d{4}))?\b`, "g"),
+          (all, d, name, y) => {
+            const m = monthIndex(name);
+            if (!isValidDate(m, +d)) return all;
+            return `the ${ordinalWords(d)} of ${MONTHS[m - 1]}${y ? `, ${yearWords(+y)}` : ""}`;
+          }
+        )
+        // 10:30 am, 7:05 p.m.
+        .replace(
+          /(?<![\d:])(\d{1,2}):(\d{2})\s*([ap]\.?m\.?)(?![A-Za-z])/gi,
+          (all, h, mm, ampm, offset, src) =>
+            +h <= 12 && +mm < 60 ? keepSentenceEnd(all, offset, src, timeWords(h, mm, ampm)) : all
+        )
+        // 14:30, at 9:05 (not 12:30:15, which is left as is)
+        .replace(/(?<![\d:.])(\d{1,2}):(\d{2})(?![\d:])/g, (all, h, mm, offset, src) =>
+          isClockTime(h, mm, offset, src) ? clockWords(h, mm) : all
+        )
+    );
+  }
+
+  // 120/80 mmHg, or 120/80 shortly after "BP" / "blood pressure"
+  function normalizeBloodPressure(text) {
+    const re = /(?<![\d/.])(\d{2,3})\/(\d{2,3})(?![\d/])(\s*mm\s?Hg\b)?/g;
+    return text.replace(re, (all, sys, dia, unit, offset, src) => {
+      const context = src.slice(Math.max(0, offset - 30), offset);
+      if (!unit && !/\b(BP|B\/P|blood pressure)\b[^.\d]*$/i.test(context)) return all;
+      return `${sys} over ${dia}${unit ? " millimeters of mercury" : ""}`;
+    });
+  }
+
+  // 1:1000 -> "1 to 1000" (clock times are left alone; `dates` reads them)
+  function normalizeRatios(text) {
+    return text.replace(
+      new RegExp(String.raw`${NOT_AFTER_WORD}(?<!:)(${NUM}):(${NUM})(?![\d:])`, "g"),
+      (all, a, b, offset, src) => (isClockTime(a, b, offset, src) ? all : `${a} to ${b}`)
+    );
+  }
+
+  // Counted things a range can be of, besides UNITS ("2-3 tablets")
+  const RANGE_NOUNS = [
+    "days", "weeks", "months", "years", "hours", "minutes", "seconds", "times",
+    "tablets", "capsules", "drops", "puffs", "doses", "sprays", "units", "breaths", "beats",
+  ];
+
+  const digitCount = (num) => num.replace(/\D/g, "").length;
+
+  // 0.5–1.0 mL -> "0.5 to 1.0 mL", 5-10% -> "5 to 10%", ages 5-10 -> "ages 5 to 10".
+  // A range of a unit or one of RANGE_NOUNS always is one; a bare pair only when
+  // it goes up and has fewer than 7 digits, so phone numbers and IDs ("555-1234",
+  // "12-05") stay as they are.
+  function normalizeRanges(text) {
+    const of = String.raw`\s?(?:${UNIT_RE})(?![A-Za-z0-9])|\s(?:${RANGE_NOUNS.join("|")})\b`;
+    const re = new RegExp(String.raw`${NOT_AFTER_WORD}(${NUM})\s*[-–—]\s*(${NUM})(?=${of})`, "g");
+    const bare = new RegExp(
+      String.raw`(?<![A-Za-z0-9.,:/-])(${NUM})\s*[-–]\s*(${NUM})(?![A-Za-z0-9/-]|[.,:]\d)`,
+      "g"
+    );
+    return text.replace(re, "$1 to $2").replace(bare, (all, a, b) => {
+      const ascending = Number(a.replace(/,/g, "")) < Number(b.replace(/,/g, ""));
+      return ascending && digitCount(a) + digitCount(b) < 7 ? `${a} to ${b}` : all;
+    });
+  }
+
+  // Dosing frequency abbreviations (lowercase "bid" is left alone, it's a word)
+  const FREQUENCIES = [
+    [String.raw`b\.i\.d\.?|BID`, "twice daily"],
+    [String.raw`t\.i\.d\.?|TID|tid`, "three times daily"],
+    [String.raw`q\.i\.d\.?|QID|qid`, "four times daily"],
+    [String.raw`q\.h\.s\.?|QHS|qhs|h\.s\.`, "at bedtime"],
+    [String.raw`q\.o\.d\.?|QOD|qod`, "every other day"],
+    [String.raw`q\.d\.?|QD|qd|QDay|qday`, "once daily"],
+    [String.raw`p\.r\.n\.?|PRN|prn`, "as needed"],
+  ];
+
+  function normalizeFrequency(text) {
+    let out = text.replace(
+      /(?<![A-Za-z0-9])q\.?\s?(\d+)(?:\s*[-–]\s*(\d+))?\s?(h|hr|hrs|hours?)\b\.?/gi,
+      (all, a, b, unit, offset, src) => {
+        const words = b ? `every ${a} to ${b} hours` : a === "1" ? "every hour" : `every ${a} hours`;
+        return keepSentenceEnd(all, offset, src, words);
+      }
+    );
+    for (const [pattern, words] of FREQUENCIES) {
+      const re = new RegExp(String.raw`(?<![A-Za-z0-9.])(?:${pattern})(?![A-Za-z0-9])`, "g");
+      out = out.replace(re, (all, offset, src) => keepSentenceEnd(all, offset, src, words));
+    }
+    return out;
+  }
+
+  // [singular, plural]; only expanded right after a number
+  const UNITS = {
+    mg: ["milligram", "milligrams"],
+    mcg: ["microgram", "micrograms"],
+    µg: ["microgram", "micrograms"],
+    μg: ["microgram", "micrograms"],
+    ng: ["nanogram", "nanograms"],
+    g: ["gram", "grams"],
+    kg: ["kilogram", "kilograms"],
+    mL: ["milliliter", "milliliters"],
+    ml: ["milliliter", "milliliters"],
+    dL: ["deciliter", "deciliters"],
+    dl: ["deciliter", "deciliters"],
+    L: ["liter", "liters"],
+    mmHg: ["millimeter of mercury", "millimeters of mercury"],
+    mmol: ["millimole", "millimoles"],
+    mEq: ["milliequivalent", "milliequivalents"],
+    IU: ["international unit", "international units"],
+    cm: ["centimeter", "centimeters"],
+    mm: ["millimeter", "millimeters"],
+    kcal: ["kilocalorie", "kilocalories"],
+    bpm: ["beat per minute", "beats per minute"],
+    h: ["hour", "hours"],
+    hr: ["hour", "hours"],
+    hrs: ["hour", "hours"],
+    min: ["minute", "minutes"],
+    wk: ["week", "weeks"],
+    "%": ["percent", "percent"],
+    "°C": ["degree Celsius", "degrees Celsius"],
+    "°F": ["degree Fahrenheit", "degrees Fahrenheit"],
+  };
+  // Only valid after "/" ("mg/m2", "mL/d")
+  const PER_UNITS = { d: "day", day: "day", m2: "square meter", "m²": "square meter" };
+
+  function escapeRegExp(s) {
+    return s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  }
+
+  const byLength = (a, b) => b.length - a.length;
+  const UNIT_RE = Object.keys(UNITS).sort(byLength).map(escapeRegExp).join("|");
+  const PER_RE = [...Object.keys(UNITS), ...Object.keys(PER_UNITS)]
+    .sort(byLength)
+    .map(escapeRegExp)
+    .join("|");
+
+  // Units that are also a common label after a number ("Stage 4 L", "Grade 2 L")
+  // only count when attached ("2L") or followed by a per-unit ("2 L/min")
+  const ATTACHED_UNITS = new Set(["L"]);
+
+  function normalizeUnits(text) {
+    const re = new RegExp(
+      String.raw`${NOT_AFTER_WORD}(${NUM})(\s?)(${UNIT_RE})((?:/(?:${PER_RE}))*)(?![A-Za-z0-9])`,
+      "g"
+    );
+    return text.replace(re, (all, num, space, unit, per) => {
+      if (space && !per && ATTACHED_UNITS.has(unit)) return all;
+      const [one, many] = UNITS[unit];
+      const denominators = per
+        .split("/")
+        .filter(Boolean)
+        .map((u) => `per ${PER_UNITS[u] || UNITS[u][0]}`);
+      return [num, num === "1" ? one : many, ...denominators].join(" ");
+    });
+  }
+
+  // Phone numbers and IDs are read digit by digit: 555-1234, 800-555-0199
+  const DIGIT_GROUPS_RE = /(?<![A-Za-z0-9.-])\d{2,}(?:-\d{2,}){1,3}(?![A-Za-z0-9-]|\.\d)/g;
+
+  function digitWords(group) {
+    return group
+      .split("-")
+      .map((g) => g.split("").map((d) => ONES[d]).join(" "))
+      .join(", ");
+  }
+
+  function normalizeNumbers(text) {
+    return (
+      text
+        .replace(DIGIT_GROUPS_RE, (all) => (all.replace(/-/g, "").length >= 7 ? digitWords(all) : all))
+        // 1st, 22nd
+        .replace(/(?<![A-Za-z0-9])(\d+)(?:st|nd|rd|th)(?![A-Za-z0-9])/g, (all, n) => ordinalWords(n))
+        // 1/2 -> "one over two"
+        .replace(new RegExp(String.raw`${NOT_AFTER_WORD}(${NUM})/(${NUM})(?![\d/])`, "g"), "$1 over $2")
+        // -5 at the start of a word
+        .replace(/(^|[\s(])-(?=\.?\d)/g, "$1minus ")
+        .replace(new RegExp(String.raw`${NOT_AFTER_WORD}(?:${NUM})(?![A-Za-z0-9]|\.\d)`, "g"), numberWords)
+    );
+  }
+
+  // Order matters: earlier rules leave digits for later ones
+  const NORMALIZE_RULES = [
+    {
+      id: "dates",
+      label: "Dates and times",
+      example: "3/12/2024 → March twelfth, twenty twenty-four",
+      apply: normalizeDates,
+    },
+    {
+      id: "bloodPressure",
+      label: "Blood pressure",
+      example: "120/80 mmHg → 120 over 80 millimeters of mercury",
+      apply: normalizeBloodPressure,
+    },
+    { id: "ratios", label: "Ratios", example: "1:1000 → 1 to 1000", apply: normalizeRatios },
+    { id: "ranges", label: "Ranges", example: "0.5–1.0 mL → 0.5 to 1.0 mL", apply: normalizeRanges },
+    {
+      id: "frequency",
+      label: "Dosing frequency",
+      example: "q8h → every 8 hours, b.i.d. → twice daily",
+      apply: normalizeFrequency,
+    },
+    {
+      id: "units",
+      label: "Units and dosages",
+      example: "5 mg/kg → 5 milligrams per kilogram",
+      apply: normalizeUnits,
+    },
+    { id: "numbers", label: "Numbers", example: "7.2% → seven point two percent", apply: normalizeNumbers },
+  ];
+
+  const RULE_IDS = NORMALIZE_RULES.map((r) => r.id);
+
+  // options.rules: { [ruleId]: false } switches a rule off (all on by default);
+  // options.dateOrder: "mdy" (default) or "dmy" for 03/04/2024
+  function normalizeText(text, options = {}) {
+    const rules = options.rules || {};
+    let out = String(text || "");
+    for (const rule of NORMALIZE_RULES) {
+      if (rules[rule.id] === false) continue;
+      out = rule.apply(out, options);
+    }
+    return out;
+  }
+
+  return {
+    NORMALIZE_RULES: NORMALIZE_RULES.map(({ id, label, example }) => ({ id, label, example })),
+    RULE_IDS,
+    normalizeText,
+    numberWords,
+    ordinalWords,
+  };
+});